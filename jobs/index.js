@@ -0,0 +1,47 @@
+const { scheduleJob } = require('./scheduler');
+const { purgeDueAccounts } = require('../services/accountService');
+const { purgeExpiredAudio } = require('../services/audioService');
+const { processScoringQueue } = require('../services/speechScoringService');
+const { runProgressAlerts } = require('../services/progressAlertService');
+const { runCurriculumProgression } = require('../services/curriculumService');
+
+const HOUR = 60 * 60 * 1000;
+const SPEECH_SCORING_INTERVAL_MS = Number(process.env.SPEECH_SCORING_INTERVAL_SECONDS || 15) * 1000;
+const CURRICULUM_INTERVAL_MS = Number(process.env.CURRICULUM_CHECK_INTERVAL_MINUTES || 60) * 60 * 1000;
+
+// Called once the database connection is ready; `io` lets jobs push updates
+function startJobs({ io = null } = {}) {
+  if (String(process.env.JOBS_ENABLED || 'true').toLowerCase() === 'false') {
+    console.log('⏸️ Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  scheduleJob('account-deletion', HOUR, async () => {
+    const purged = await purgeDueAccounts();
+    if (purged) console.log(`🗑️ Anonymised ${purged} account(s) past their deletion grace period`);
+  }, { runOnStart: true });
+
+  scheduleJob('audio-retention', 24 * HOUR, async () => {
+    const removed = await purgeExpiredAudio();
+    if (removed) console.log(`🗑️ Deleted ${removed} attempt recording(s) past their center's retention period`);
+  }, { runOnStart: true });
+
+  // Also started right after each upload (routes/audio.js)
+  scheduleJob('speech-scoring', SPEECH_SCORING_INTERVAL_MS, () => processScoringQueue({ io }), { runOnStart: true });
+
+  scheduleJob('progress-alerts', 6 * HOUR, async () => {
+    const { created, resolved } = await runProgressAlerts({ io });
+    if (created || resolved) console.log(`📉 Progress alerts: ${created} raised, ${resolved} resolved`);
+  });
+
+  scheduleJob('curriculum-progression', CURRICULUM_INTERVAL_MS, async () => {
+    const { advanced, completed, stuck, paused } = await runCurriculumProgression({ io });
+    if (advanced || completed || stuck || paused) {
+      console.log(`📚 Curricula: ${advanced} advanced, ${completed} completed, ${stuck} stuck, ${paused} paused`);
+    }
+  });
+
+  console.log('⏱️ Background jobs started');
+}
+
+module.exports = { startJobs };
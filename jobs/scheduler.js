@@ -0,0 +1,61 @@
+// Minimal in-process scheduler for periodic background jobs.
+// Each job runs at most once at a time; a failing run is logged and retried on
+// the next tick.
+
+const jobs = new Map();
+
+function scheduleJob(name, intervalMs, run, { runOnStart = false } = {}) {
+  if (jobs.has(name)) return jobs.get(name);
+
+  const job = { name, intervalMs, running: false, lastRunAt: null, timer: null };
+
+  const tick = async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await run();
+      job.lastRunAt = new Date();
+    } catch (error) {
+      console.error(`❌ Job "${name}" failed:`, error.message);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(tick, intervalMs);
+  // Never keep the process alive just for a background job
+  job.timer.unref();
+  job.run = tick;
+  jobs.set(name, job);
+
+  if (runOnStart) setImmediate(tick);
+  return job;
+}
+
+// Run a scheduled job now instead of waiting for its next tick
+function runJobNow(name) {
+  const job = jobs.get(name);
+  if (job) setImmediate(job.run);
+  return !!job;
+}
+
+function stopJobs() {
+  for (const job of jobs.values()) clearInterval(job.timer);
+  jobs.clear();
+}
+
+function listJobs() {
+  return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt
+  }));
+}
+
+module.exports = {
+  scheduleJob,
+  runJobNow,
+  stopJobs,
+  listJobs
+};
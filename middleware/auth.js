@@ -1,5 +1,42 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Child = require('../models/Child');
+const { findActiveSession } = require('../services/sessionService');
+const { needsTwoFactorSetup } = require('../services/twoFactorService');
+const { isDeviceToken, authenticateDevice } = require('../services/deviceService');
+const { canAccessChild, DEVICE_ACTIONS } = require('../services/policy');
+
+// Paired child devices act on behalf of the parent who paired them, but only
+// on routes that opted in with `allowDevice` and only for their own child.
+async function protectDevice(req, res, next, token) {
+  if (!req.allowDevice) {
+    console.log('❌ [AUTH MIDDLEWARE] Device credential used on a non-device route');
+    return res.status(403).json({
+      success: false,
+      message: 'Device credentials cannot access this route'
+    });
+  }
+
+  const device = await authenticateDevice(token, req);
+  if (!device) {
+    return res.status(401).json({
+      success: false,
+      message: 'Device is not paired or has been revoked'
+    });
+  }
+
+  req.user = await User.findById(device.parent);
+  if (!req.user || req.user.deletion?.completedAt) {
+    return res.status(401).json({
+      success: false,
+      message: 'Device is not paired or has been revoked'
+    });
+  }
+
+  req.device = device;
+  console.log('✅ [AUTH MIDDLEWARE] Device authenticated:', device.id, '(child:', device.child.toString(), ')');
+  next();
+}
 
 exports.protect = async (req, res, next) => {
   try {
@@ -27,6 +64,10 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (isDeviceToken(token)) {
+      return await protectDevice(req, res, next, token);
+    }
+
     console.log('🔐 [AUTH MIDDLEWARE] Verifying JWT token...');
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('✅ [AUTH MIDDLEWARE] JWT verified, user ID:', decoded.id);
@@ -42,6 +83,43 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a "log out everywhere" or password change are no longer valid
+    if (req.user.tokensValidAfter && decoded.iat * 1000 < req.user.tokensValidAfter.getTime()) {
+      console.log('❌ [AUTH MIDDLEWARE] Token issued before tokensValidAfter for user:', decoded.id);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+
+    // Center policy requires 2FA: only the auth endpoints stay reachable until
+    // enrollment. Tokens without a session are checked against the policy itself.
+    let setupRequired;
+
+    // Access tokens carry the id of the device session they belong to
+    if (decoded.sid) {
+      const session = await findActiveSession(decoded.sid);
+      if (!session || session.user.toString() !== req.user.id) {
+        console.log('❌ [AUTH MIDDLEWARE] Session revoked or expired:', decoded.sid);
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+      req.sessionId = session.id;
+      setupRequired = session.twoFactorSetupRequired;
+    } else {
+      setupRequired = await needsTwoFactorSetup(req.user);
+    }
+
+    if (setupRequired && req.baseUrl !== '/api/auth') {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be enabled before accessing this resource'
+      });
+    }
+
     console.log('✅ [AUTH MIDDLEWARE] User authenticated:', req.user.name, '(Role:', req.user.role, ')');
     next();
   } catch (error) {
@@ -53,6 +131,38 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Socket.IO handshakes carry the same access token as API requests
+// (`auth: { token }` or an Authorization header). Returns the verified user,
+// or null when the token is missing, invalid or revoked. Only verified users
+// join their notification room.
+exports.authenticateSocket = async (socket) => {
+  try {
+    const header = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token
+      || (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+    if (!token || isDeviceToken(token)) return null;
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('name role tokensValidAfter deletion');
+    if (!user || user.deletion?.completedAt) return null;
+    if (user.tokensValidAfter && decoded.iat * 1000 < user.tokensValidAfter.getTime()) return null;
+
+    if (decoded.sid) {
+      const session = await findActiveSession(decoded.sid);
+      if (!session || session.user.toString() !== user.id) return null;
+    }
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Place before `protect` on routes the child game calls with its device credential
+exports.allowDevice = (req, res, next) => {
+  req.allowDevice = true;
+  next();
+};
+
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -74,3 +184,55 @@ exports.requireEmailVerification = (req, res, next) => {
   }
   next();
 };
+
+// Load the child a request refers to and check it against the access policy
+// (services/policy.js). The loaded child is exposed as req.child.
+// By default the id is taken from :childId, then :id, then body.childId.
+const defaultChildId = (req) => req.params.childId || req.params.id || req.body?.childId;
+
+exports.authorizeChild = (action, getChildId = defaultChildId) => {
+  return async (req, res, next) => {
+    try {
+      const childId = getChildId(req);
+
+      if (!childId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Child ID is required'
+        });
+      }
+
+      // A paired device is limited to its own child and a few read/write actions
+      if (req.device && (String(childId) !== req.device.child.toString() || !DEVICE_ACTIONS.includes(action))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized'
+        });
+      }
+
+      const child = await Child.findById(childId);
+
+      if (!child) {
+        return res.status(404).json({
+          success: false,
+          message: 'Child not found'
+        });
+      }
+
+      if (!(await canAccessChild(req.user, action, child))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized'
+        });
+      }
+
+      req.child = child;
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  };
+};
@@ -0,0 +1,76 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { formatOf, verifiedFormat } = require('../services/audioService');
+
+// Images and reference recordings of catalogue entries are public content,
+// so they go to the public uploads folder (served at /uploads).
+const uploadDir = path.join(__dirname, '../uploads');
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    fs.mkdir(uploadDir, { recursive: true }, (error) => cb(error, uploadDir));
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `catalog-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const KINDS = {
+  image: {
+    maxBytes: 5 * 1024 * 1024,
+    accepts: (file) => /jpeg|jpg|png|gif|webp/.test(file.mimetype)
+      && /\.(jpe?g|png|gif|webp)$/.test(path.extname(file.originalname).toLowerCase()),
+    error: 'Images only!'
+  },
+  audio: {
+    maxBytes: 2 * 1024 * 1024,
+    accepts: (file) => !!formatOf(file),
+    error: 'Only wav, m4a or ogg recordings are allowed',
+    // Same signature check as attempt recordings, once the file is on disk
+    verify: async (file) => !!(await verifiedFormat(file)),
+    contentError: 'File content does not match a wav, m4a or ogg recording'
+  }
+};
+
+// uploadCatalogMedia('image' | 'audio'): one file in the field of that name;
+// multer errors become JSON responses
+function uploadCatalogMedia(kind) {
+  const { maxBytes, accepts, error: typeError, verify, contentError } = KINDS[kind];
+  const upload = multer({
+    storage,
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => (accepts(file) ? cb(null, true) : cb(new Error(typeError)))
+  });
+
+  return (req, res, next) => {
+    upload.single(kind)(req, res, async (error) => {
+      if (!error) {
+        const valid = !req.file || !verify || (await verify(req.file).catch(() => false));
+        if (valid) return next();
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({
+          success: false,
+          message: contentError
+        });
+      }
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge ? `File is larger than ${Math.round(maxBytes / 1024)} KB` : error.message
+      });
+    });
+  };
+}
+
+// Remove a previously uploaded catalogue file (only files this module wrote)
+function removeCatalogFile(publicPath) {
+  if (!publicPath || !/^\/uploads\/catalog-[\w.-]+$/.test(publicPath)) return;
+  fs.unlink(path.join(uploadDir, path.basename(publicPath)), () => {});
+}
+
+module.exports = {
+  uploadCatalogMedia,
+  removeCatalogFile
+};
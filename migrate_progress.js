@@ -0,0 +1,115 @@
+// One-off migration: move the sessions embedded in Progress documents into the
+// Session and Attempt collections, then rebuild each child's overallStats and
+// letter/word mastery.
+//
+//   npm run migrate:progress
+//
+// Safe to run more than once: sessions and attempts keep their original _id,
+// so already migrated records are skipped. Duplicate Progress documents of
+// the same child are merged into the oldest one before the unique index on
+// `child` is built.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Progress = require('./models/Progress');
+const Session = require('./models/Session');
+const Attempt = require('./models/Attempt');
+const { rebuildStats } = require('./services/progressService');
+const { refreshMastery } = require('./services/masteryService');
+
+const isDuplicateKey = (error) => error?.code === 11000
+  || (Array.isArray(error?.writeErrors) && error.writeErrors.every(e => e.code === 11000));
+
+async function migrateSession(childId, embedded) {
+  const { attempts = [], ...session } = embedded;
+
+  // Attempts first: if the run stops half-way the session is retried next time
+  if (attempts.length) {
+    try {
+      await Attempt.collection.insertMany(attempts.map((attempt, order) => ({
+        ...attempt,
+        child: childId,
+        session: session._id,
+        sessionDate: session.sessionDate,
+        order
+      })), { ordered: false });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+    }
+  }
+
+  try {
+    await Session.collection.insertOne({
+      ...session,
+      child: childId,
+      clientSessionId: session.clientSessionId || null,
+      createdAt: session.sessionDate || new Date(),
+      updatedAt: new Date()
+    });
+    return true;
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+    // Same clientSessionId already migrated under another _id (a duplicate
+    // Progress document): drop the attempts inserted above
+    if (!(await Session.exists({ _id: session._id }))) {
+      await Attempt.deleteMany({ session: session._id });
+    }
+    return false;
+  }
+}
+
+async function migrate() {
+  const progresses = mongoose.connection.collection('progresses');
+  const keptByChild = new Map();
+  let migrated = 0;
+  let skipped = 0;
+  let merged = 0;
+
+  const cursor = progresses.find({}).sort({ createdAt: 1, _id: 1 });
+  for await (const doc of cursor) {
+    const childKey = String(doc.child);
+
+    for (const embedded of doc.sessions || []) {
+      if (await migrateSession(doc.child, embedded)) migrated++;
+      else skipped++;
+    }
+
+    if (keptByChild.has(childKey)) {
+      await progresses.deleteOne({ _id: doc._id });
+      merged++;
+      continue;
+    }
+
+    keptByChild.set(childKey, doc.child);
+    if (doc.sessions) await progresses.updateOne({ _id: doc._id }, { $unset: { sessions: '' } });
+  }
+
+  for (const childId of keptByChild.values()) {
+    await rebuildStats(childId);
+    await refreshMastery(childId);
+  }
+
+  await Promise.all([Progress.syncIndexes(), Session.syncIndexes(), Attempt.syncIndexes()]);
+
+  console.log(`✅ Sessions migrated: ${migrated}, already present: ${skipped}`);
+  console.log(`✅ Children: ${keptByChild.size}, duplicate progress documents merged: ${merged}`);
+}
+
+(async () => {
+  const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error('❌ Missing MONGODB_URI/MONGO_URI env var');
+    process.exit(1);
+  }
+
+  try {
+    const dbName = String(process.env.MONGODB_DB_NAME || '').trim();
+    await mongoose.connect(mongoUri, dbName ? { dbName } : {});
+    await migrate();
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await mongoose.connection.close().catch(() => {});
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Aggregate progress of a child whose account was deleted. Holds no names or
+// ids that lead back to the family, so centers keep their statistics.
+const anonymizedChildStatsSchema = new mongoose.Schema({
+    center: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Center',
+        default: null
+    },
+    age: Number,
+    gender: String,
+    difficultyLevel: String,
+    totalSessions: { type: Number, default: 0 },
+    totalPlayTime: { type: Number, default: 0 }, // minutes
+    totalAttempts: { type: Number, default: 0 },
+    successRate: { type: Number, default: 0 },
+    averageScore: { type: Number, default: 0 },
+    masteredLetters: [String],
+    masteredWords: [String],
+    // Month granularity only, so the record can't be matched to a deletion request
+    deletedMonth: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: false
+});
+
+anonymizedChildStatsSchema.index({ center: 1, deletedMonth: 1 });
+
+module.exports = mongoose.model('AnonymizedChildStats', anonymizedChildStatsSchema);
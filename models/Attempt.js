@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Where the recognized text differs from the reference, per character
+const comparisonSchema = new mongoose.Schema({
+  normalizedReference: String,
+  normalizedRecognized: String,
+  distance: Number,
+  similarity: Number, // 0-100
+  mismatches: [{
+    _id: false,
+    type: { type: String, enum: ['substitution', 'omission', 'addition'] },
+    position: Number,
+    expected: String,
+    actual: String
+  }],
+  substitutions: Number,
+  omissions: Number,
+  additions: Number,
+  comparedAt: Date
+}, { _id: false });
+
+// Recording of the attempt, stored privately (services/audioService.js)
+const audioSchema = new mongoose.Schema({
+  file: String,
+  contentType: String,
+  size: Number, // bytes
+  uploadedAt: Date
+}, { _id: false });
+
+// Server-side scoring of the recording (services/speechScoringService.js)
+const scoringSchema = new mongoose.Schema({
+  status: { type: String, enum: ['queued', 'completed', 'failed'] },
+  provider: String,
+  requestedAt: Date,
+  scoredAt: Date,
+  error: String
+}, { _id: false });
+
+// One pronunciation attempt within a Session
+const attemptSchema = new mongoose.Schema({
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Child',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  // Copied from the session so attempt queries don't need a join
+  sessionDate: Date,
+  // Position within the session, keeps the original order
+  order: { type: Number, default: 0 },
+  letter: String,
+  word: String,
+  vowel: String,
+  // Speech analysis details (sent from Child-Game)
+  recognizedText: String,
+  referenceText: String,
+  // Detailed scores (0-100). `score` is kept for backward compatibility.
+  pronunciationScore: Number,
+  accuracyScore: Number,
+  fluencyScore: Number,
+  completenessScore: Number,
+  // e.g. 'local' | 'azure', or the server-side provider ('mock', ...)
+  analysisSource: String,
+  success: Boolean,
+  score: Number,
+  timestamp: { type: Date, default: Date.now },
+  // Server-side comparison of recognizedText against referenceText
+  // (services/textComparisonService.js)
+  comparison: { type: comparisonSchema, default: null },
+  audio: { type: audioSchema, default: null },
+  scoring: { type: scoringSchema, default: null }
+}, {
+  timestamps: false
+});
+
+attemptSchema.index({ child: 1, timestamp: -1 });
+attemptSchema.index({ session: 1, order: 1 });
+// Research exports read attempts in session order
+attemptSchema.index({ child: 1, sessionDate: 1, order: 1 });
+
+module.exports = mongoose.model('Attempt', attemptSchema);
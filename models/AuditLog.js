@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Append-only record of clinical and administrative changes: who did what to which record.
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    actorRole: {
+        type: String,
+        default: null
+    },
+    // e.g. 'child.update', 'exercise.create', 'user.delete'
+    action: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    targetModel: {
+        type: String,
+        required: true,
+        enum: ['Child', 'Exercise', 'Content', 'LinkRequest', 'Center', 'User', 'ClinicalNote', 'PlanTemplate', 'Curriculum', 'CatalogItem']
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Child the change concerns (if any), for per-child history
+    child: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Child',
+        default: null
+    },
+    // Center the change belongs to, used to scope /api/admin/audit
+    center: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Center',
+        default: null
+    },
+    // { field: { before, after } } for changed fields only
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ center: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ child: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One document per signed-in device. The refresh token itself is never stored,
+// only its SHA-256 hash; it is rotated on every refresh.
+const authSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Hash of the token that was rotated out last. Presenting it again means the
+    // token was copied, so the whole session is revoked.
+    previousTokenHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: null
+    },
+    // Set when the user's center requires 2FA but the user has not enrolled yet;
+    // such a session may only reach /api/auth until enrollment is finished.
+    twoFactorSetupRequired: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+authSessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions some time after they expire
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
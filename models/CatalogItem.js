@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One letter or word of the default catalogue the game and the portals offer
+// when building plans. Entries without a center form the global catalogue
+// (managed by superadmins); a center adds its own entries or overrides a
+// global one by creating an entry with the same text (or hides it).
+const catalogItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['letter', 'word'],
+    required: true
+  },
+  // The letter or the word itself
+  text: {
+    type: String,
+    required: [true, 'Text is required'],
+    trim: true,
+    maxlength: 50
+  },
+  center: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Center',
+    default: null
+  },
+  // Center entries only: hide the global entry with the same text
+  hidden: { type: Boolean, default: false },
+  // Letters
+  articulationPoint: { type: String, trim: true, default: null }, // مخرج الحرف
+  vowels: [String],
+  // Words
+  category: { type: String, trim: true, lowercase: true, default: null },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard', null],
+    default: null
+  },
+  // e.g. 'libyan', 'msa'
+  dialects: [{ type: String, trim: true, lowercase: true }],
+  // Language code -> translation, e.g. { en: 'Happy' }
+  translations: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  image: { type: String, default: null },
+  // Reference pronunciation
+  audio: { type: String, default: null },
+  // Position in the list; left unset on a center override to keep the
+  // position of the global entry (0 is a real position)
+  order: { type: Number, default: null },
+  active: { type: Boolean, default: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+catalogItemSchema.index({ type: 1, center: 1, text: 1 }, { unique: true });
+catalogItemSchema.index({ type: 1, center: 1, category: 1, order: 1 });
+
+module.exports = mongoose.model('CatalogItem', catalogItemSchema);
@@ -47,6 +47,18 @@ const centerSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    // When true, every specialist of the center must sign in with two-factor authentication
+    requireTwoFactor: {
+        type: Boolean,
+        default: false
+    },
+    // Days attempt recordings are kept; null uses AUDIO_RETENTION_DAYS
+    audioRetentionDays: {
+        type: Number,
+        min: 1,
+        max: 3650,
+        default: null
     }
 }, {
     timestamps: true
@@ -69,6 +69,30 @@ const childSchema = new mongoose.Schema({
     enum: ['beginner', 'intermediate', 'advanced'],
     default: 'beginner'
   },
+  // Adaptive difficulty (services/adaptiveService.js). difficultyLevel follows
+  // the recommended level unless the specialist locked the automation or set
+  // an override.
+  adaptive: {
+    locked: { type: Boolean, default: false },
+    levelOverride: {
+      type: String,
+      enum: ['beginner', 'intermediate', 'advanced', null],
+      default: null
+    },
+    // Fixed difficulty for single letters/words
+    itemOverrides: [{
+      _id: false,
+      targetType: { type: String, enum: ['letter', 'word'] },
+      target: { type: String, trim: true },
+      difficulty: { type: String, enum: ['easy', 'medium', 'hard'] }
+    }],
+    recommendedLevel: {
+      type: String,
+      enum: ['beginner', 'intermediate', 'advanced', null],
+      default: null
+    },
+    updatedAt: { type: Date, default: null }
+  },
   // Custom child ID for search
   childId: {
     type: String,
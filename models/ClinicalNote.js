@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Free-text note a specialist writes about a child's therapy; shown in the
+// progress report.
+const clinicalNoteSchema = new mongoose.Schema({
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Child',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: 5000
+  }
+}, {
+  timestamps: true
+});
+
+clinicalNoteSchema.index({ child: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ClinicalNote', clinicalNoteSchema);
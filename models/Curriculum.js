@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// When the next step of a curriculum starts
+//   mastery:         share of the step's targets mastered (Mastery)
+//   days:            after a number of days
+//   mastery_or_days: whichever comes first
+//   manual:          only when the specialist advances the child
+const advanceRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['mastery', 'days', 'mastery_or_days', 'manual'],
+    default: 'mastery'
+  },
+  // 0-100: percentage of the step's letters and words that must be mastered
+  masteryPercent: { type: Number, default: 100 },
+  // Played sessions on the step before mastery can advance it
+  minSessions: { type: Number, default: 1 },
+  days: { type: Number, default: null }
+}, { _id: false });
+
+const stepSchema = new mongoose.Schema({
+  sessionName: { type: String, trim: true, default: null },
+  letters: [{
+    letter: String,
+    articulationPoint: String,
+    vowels: [String],
+    difficulty: { type: String, enum: ['easy', 'medium', 'hard'] }
+  }],
+  words: [{
+    word: String,
+    translation: String,
+    category: String,
+    difficulty: { type: String, enum: ['easy', 'medium', 'hard'] }
+  }],
+  targetDuration: { type: Number, default: null },
+  advance: { type: advanceRuleSchema, default: () => ({}) },
+  // The child counts as stuck after this many days on the step
+  stuckAfterDays: { type: Number, default: null }
+});
+
+const historySchema = new mongoose.Schema({
+  step: Number,
+  exercise: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise' },
+  startedAt: Date,
+  endedAt: { type: Date, default: null },
+  // 'mastery' | 'days' | 'manual' | 'replaced' (how the step ended)
+  endReason: { type: String, default: null }
+}, { _id: false });
+
+// An ordered sequence of plan sessions for one child. The current step is the
+// child's active plan (Exercise); jobs/index.js advances it automatically.
+const curriculumSchema = new mongoose.Schema({
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Child',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  steps: {
+    type: [stepSchema],
+    validate: [steps => steps.length > 0, 'A curriculum needs at least one step']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  // e.g. 'plan_replaced' when the specialist created a plan outside the curriculum
+  pausedReason: { type: String, default: null },
+  currentStep: { type: Number, default: 0 },
+  currentExercise: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise', default: null },
+  stepStartedAt: { type: Date, default: null },
+  // Set once the child was reported stuck on the current step
+  stuckNotifiedAt: { type: Date, default: null },
+  history: [historySchema],
+  completedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+curriculumSchema.index({ child: 1, status: 1 });
+curriculumSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Curriculum', curriculumSchema);
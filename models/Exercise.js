@@ -46,7 +46,9 @@ const exerciseSchema = new mongoose.Schema({
   targetDuration: Number, // minutes per day
   startDate: { type: Date, default: Date.now },
   endDate: Date,
-  active: { type: Boolean, default: true }
+  active: { type: Boolean, default: true },
+  // Current plan version; every change is kept in ExerciseVersion
+  version: { type: Number, default: 1 }
 }, {
   timestamps: true
 });
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a plan (Exercise, kind 'plan') as it was after each
+// change. Sessions store the plan version they were played with
+// (Session.planVersion), so the exact content stays known after later edits.
+const exerciseVersionSchema = new mongoose.Schema({
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise',
+    required: true,
+    immutable: true
+  },
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Child',
+    required: true,
+    immutable: true
+  },
+  version: { type: Number, required: true, immutable: true },
+  // 'create' | 'update' | 'restore' ('baseline' for plans that existed
+  // before versioning and were snapshotted on their first edit)
+  reason: {
+    type: String,
+    enum: ['create', 'baseline', 'update', 'restore'],
+    required: true,
+    immutable: true
+  },
+  restoredFrom: { type: Number, default: null, immutable: true },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  // The plan content at this version
+  sessionIndex: { type: Number, default: null, immutable: true },
+  sessionName: { type: String, default: null, immutable: true },
+  letters: { type: [mongoose.Schema.Types.Mixed], default: [], immutable: true },
+  words: { type: [mongoose.Schema.Types.Mixed], default: [], immutable: true },
+  targetDuration: { type: Number, default: null, immutable: true },
+  endDate: { type: Date, default: null, immutable: true }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+exerciseVersionSchema.index({ exercise: 1, version: 1 }, { unique: true });
+
+// Versions are append-only
+function rejectChange(next) {
+  next(new Error('Plan versions cannot be modified'));
+}
+
+exerciseVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+exerciseVersionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+module.exports = mongoose.model('ExerciseVersion', exerciseVersionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Failed-attempt counters used by services/loginThrottle.js (Mongo store).
+// `key` is e.g. "login:ip:1.2.3.4" or "login:account:user@example.com".
+const loginAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: {
+        type: Date,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Mastery state of one letter or word for one child, derived from the child's
+// attempt history by services/masteryService.js.
+const masterySchema = new mongoose.Schema({
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Child',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['letter', 'word'],
+    required: true
+  },
+  target: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['learning', 'mastered', 'challenging'],
+    default: 'learning'
+  },
+  attempts: { type: Number, default: 0 },
+  successes: { type: Number, default: 0 },
+  consecutiveSuccesses: { type: Number, default: 0 },
+  consecutiveFailures: { type: Number, default: 0 },
+  averageScore: { type: Number, default: null },
+  // Scores of the latest attempts, oldest first (used for the trend)
+  recentScores: [Number],
+  recentSuccessRate: { type: Number, default: 0 },
+  trend: {
+    type: String,
+    enum: ['improving', 'stable', 'declining', null],
+    default: null
+  },
+  // Difficulty the adaptive engine recommends for this target
+  recommendedDifficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'easy'
+  },
+  // `attempts` when recommendedDifficulty was last evaluated; the target is
+  // only re-evaluated once it has new attempts
+  evaluatedAttempts: { type: Number, default: 0 },
+  lastAttemptAt: { type: Date, default: null },
+  masteredAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+masterySchema.index({ child: 1, targetType: 1, target: 1 }, { unique: true });
+
+module.exports = mongoose.model('Mastery', masterySchema);
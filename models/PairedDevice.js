@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A child game device (tablet/phone) paired with exactly one child. Starts as a
+// pending pairing code and becomes a device credential once the code is redeemed.
+const pairedDeviceSchema = new mongoose.Schema({
+    child: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Child',
+        required: true
+    },
+    // The parent who generated the pairing code; the device acts on their behalf
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'paired', 'revoked'],
+        default: 'pending'
+    },
+    // SHA-256 of the short pairing code, cleared once it is redeemed
+    pairingCodeHash: {
+        type: String,
+        select: false
+    },
+    pairingCodeExpiresAt: {
+        type: Date,
+        default: null
+    },
+    // SHA-256 of the device credential
+    tokenHash: {
+        type: String,
+        select: false
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: ''
+    },
+    platform: {
+        type: String,
+        enum: ['android', 'ios', 'web', 'unknown'],
+        default: 'unknown'
+    },
+    pairedAt: {
+        type: Date,
+        default: null
+    },
+    lastSeenAt: {
+        type: Date,
+        default: null
+    },
+    lastIp: {
+        type: String,
+        default: ''
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+pairedDeviceSchema.index({ pairingCodeHash: 1 }, { sparse: true });
+pairedDeviceSchema.index({ parent: 1, child: 1, status: 1 });
+
+module.exports = mongoose.model('PairedDevice', pairedDeviceSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A reusable therapy plan. Private templates are seen by their owner only;
+// 'center' templates form the plan library of the owner's center.
+const planTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  description: { type: String, trim: true, default: '', maxlength: 1000 },
+  tags: [{ type: String, trim: true }],
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  center: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Center',
+    default: null
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'center'],
+    default: 'private'
+  },
+  // Same shape as the plan content of Exercise
+  sessionName: { type: String, trim: true, default: null },
+  letters: [{
+    letter: String,
+    articulationPoint: String,
+    vowels: [String],
+    difficulty: { type: String, enum: ['easy', 'medium', 'hard'] }
+  }],
+  words: [{
+    word: String,
+    translation: String,
+    category: String,
+    difficulty: { type: String, enum: ['easy', 'medium', 'hard'] }
+  }],
+  targetDuration: { type: Number, default: null }, // minutes per day
+  durationDays: { type: Number, default: null }, // plan length; sets endDate
+  usageCount: { type: Number, default: 0 },
+  archived: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+planTemplateSchema.index({ center: 1, visibility: 1, archived: 1, updatedAt: -1 });
+planTemplateSchema.index({ owner: 1, archived: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('PlanTemplate', planTemplateSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A progress problem detected for a child and reported to their specialist.
+// Stays open while the condition holds so it is only notified once.
+const progressAlertSchema = new mongoose.Schema({
+  specialist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Child',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['score_regression', 'success_rate_drop', 'inactivity', 'repeated_failures'],
+    required: true
+  },
+  // Letter or word, for repeated_failures
+  target: { type: String, default: null },
+  // Numbers behind the alert (averages, rates, days, failure count)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+  lastDetectedAt: { type: Date, default: Date.now },
+  // Set when the condition no longer holds
+  resolvedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+progressAlertSchema.index({ specialist: 1, resolvedAt: 1, createdAt: -1 });
+progressAlertSchema.index({ child: 1, type: 1, target: 1, resolvedAt: 1 });
+
+module.exports = mongoose.model('ProgressAlert', progressAlertSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Queued speech-scoring work for one attempt recording, processed by the
+// 'speech-scoring' background job (services/speechScoringService.js).
+const scoringJobSchema = new mongoose.Schema({
+  attempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attempt',
+    required: true
+  },
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Child',
+    required: true
+  },
+  // null until a provider is configured (the job waits in the queue)
+  provider: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  tries: { type: Number, default: 0 },
+  // Not picked up before this time (retry backoff)
+  runAfter: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  lastError: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+scoringJobSchema.index({ status: 1, runAfter: 1 });
+scoringJobSchema.index({ attempt: 1, createdAt: -1 });
+// Finished jobs are only kept for troubleshooting
+scoringJobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { completedAt: { $type: 'date' } } }
+);
+
+module.exports = mongoose.model('ScoringJob', scoringJobSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One played game session of a child. Attempts live in their own collection
+// (models/Attempt.js); the per-child summary stays in Progress.overallStats.
+const sessionSchema = new mongoose.Schema({
+  child: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Child',
+    required: true
+  },
+  // Generated by the child app so a retried sync updates instead of duplicating
+  clientSessionId: { type: String, trim: true, default: null },
+  // Server time the session was last written by a sync (the sync cursor)
+  syncedAt: { type: Date, default: null },
+  sessionDate: { type: Date, default: Date.now },
+  duration: Number, // minutes
+  // Link a played session to the active plan session (Exercise)
+  planExerciseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise', default: null },
+  planSessionIndex: { type: Number, default: null },
+  planSessionName: { type: String, default: null },
+  // ExerciseVersion the session was played with (stamped on sync when the
+  // app does not send it)
+  planVersion: { type: Number, default: null },
+  totalAttempts: { type: Number, default: 0 },
+  successfulAttempts: { type: Number, default: 0 },
+  failedAttempts: { type: Number, default: 0 },
+  averageScore: { type: Number, default: 0 },
+  robotFeedback: [{
+    type: String,
+    timestamp: Date
+  }],
+  // Set when the session was played outside the schedule or over the daily
+  // limit and the schedule is not enforced (enforced schedules reject it)
+  scheduleViolations: [String]
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ child: 1, sessionDate: -1 });
+sessionSchema.index({ child: 1, syncedAt: 1 });
+// A client session id identifies one session per child; concurrent retries of
+// the same sync collide here instead of creating duplicates
+sessionSchema.index(
+  { child: 1, clientSessionId: 1 },
+  { unique: true, partialFilterExpression: { clientSessionId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -53,6 +53,52 @@ const userSchema = new mongoose.Schema({
   verificationToken: String,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  // Wrong guesses of the current reset code; the code is dropped at the limit
+  resetPasswordAttempts: Number,
+  // IANA time zone of the family (e.g. 'Africa/Tripoli'); play schedules are
+  // interpreted in the parent's time zone
+  timezone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Access tokens issued before this instant are rejected (set on "log out everywhere"
+  // and password changes so tokens without a session id are cut off too)
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
+  // Optional TOTP two-factor authentication (staff accounts)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret generated by /2fa/setup, promoted to `secret` once a code is verified
+    pendingSecret: { type: String, select: false },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: { type: [String], select: false },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: { type: Date, default: null }
+  },
+  // Accounts created by staff (parents, specialists, admins) start with an
+  // invitation; the invitee chooses their own password when accepting it
+  invitation: {
+    // SHA-256 of the nonce inside the current signed invite token
+    tokenHash: { type: String, select: false },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    sentAt: { type: Date, default: null },
+    sendCount: { type: Number, default: 0 },
+    expiresAt: { type: Date, default: null },
+    acceptedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null }
+  },
+  // Right to be forgotten: the account is anonymised once `scheduledFor` passes,
+  // unless the user cancels in the meantime
+  deletion: {
+    requestedAt: { type: Date, default: null },
+    scheduledFor: { type: Date, default: null },
+    completedAt: { type: Date, default: null }
+  },
   assignedChildren: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Child'
@@ -68,6 +114,16 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // For specialists: progress alert thresholds; null uses the default
+  // (services/progressAlertService.js)
+  alertSettings: {
+    enabled: { type: Boolean, default: true },
+    scoreDrop: { type: Number, default: null },
+    successRateDrop: { type: Number, default: null },
+    inactivityDays: { type: Number, default: null },
+    repeatedFailures: { type: Number, default: null },
+    windowDays: { type: Number, default: null }
+  },
   // For admin and specialist: the center they belong to
   center: {
     type: mongoose.Schema.Types.ObjectId,
@@ -128,4 +184,6 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
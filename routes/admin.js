@@ -5,6 +5,17 @@ const Center = require('../models/Center');
 const Child = require('../models/Child');
 const LinkRequest = require('../models/LinkRequest');
 const { protect, authorize } = require('../middleware/auth');
+const { unlockAccount } = require('../services/loginThrottle');
+const { setTwoFactorSetupRequired } = require('../services/sessionService');
+const { recordAudit, buildAuditFilter, listAuditLogs } = require('../services/auditService');
+const { retentionDaysDefault } = require('../services/audioService');
+const {
+    invitationSummary,
+    createInvitedUser,
+    sendInvitation,
+    revokeInvitation,
+    isAwaitingInvitation
+} = require('../services/invitationService');
 
 // Middleware to check admin has access to center
 const checkCenterAccess = async (req, res, next) => {
@@ -51,6 +62,100 @@ router.get('/center', protect, authorize('admin'), checkCenterAccess, async (req
     }
 });
 
+// @route   PUT /api/admin/center/security
+// @desc    Update center security policy (require 2FA for all specialists)
+// @access  Private (Admin)
+router.put('/center/security', protect, authorize('admin'), checkCenterAccess, async (req, res) => {
+    try {
+        const { requireTwoFactor } = req.body;
+
+        if (typeof requireTwoFactor !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'requireTwoFactor يجب أن تكون true أو false'
+            });
+        }
+
+        const before = { requireTwoFactor: !!req.center.requireTwoFactor };
+        req.center.requireTwoFactor = requireTwoFactor;
+        await req.center.save();
+
+        await recordAudit(req, {
+            action: 'center.update_security',
+            targetModel: 'Center',
+            targetId: req.center._id,
+            center: req.center._id,
+            before,
+            after: { requireTwoFactor }
+        });
+
+        // Specialists already signed in without 2FA are restricted until they enroll
+        const specialists = await User.find({
+            center: req.center._id,
+            role: 'specialist',
+            'twoFactor.enabled': { $ne: true }
+        }).select('_id');
+
+        for (const specialist of specialists) {
+            await setTwoFactorSetupRequired(specialist._id, requireTwoFactor);
+        }
+
+        res.json({
+            success: true,
+            message: 'تم تحديث سياسة الأمان بنجاح',
+            requireTwoFactor: req.center.requireTwoFactor,
+            specialistsPendingEnrollment: requireTwoFactor ? specialists.length : 0
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   PUT /api/admin/center/audio-retention
+// @desc    Set how many days attempt recordings are kept (null = default)
+// @access  Private (Admin)
+router.put('/center/audio-retention', protect, authorize('admin'), checkCenterAccess, async (req, res) => {
+    try {
+        const { audioRetentionDays } = req.body;
+
+        if (audioRetentionDays !== null
+            && !(Number.isInteger(audioRetentionDays) && audioRetentionDays >= 1 && audioRetentionDays <= 3650)) {
+            return res.status(400).json({
+                success: false,
+                message: 'audioRetentionDays يجب أن يكون عدداً صحيحاً بين 1 و 3650 أو null'
+            });
+        }
+
+        const before = { audioRetentionDays: req.center.audioRetentionDays ?? null };
+        req.center.audioRetentionDays = audioRetentionDays;
+        await req.center.save();
+
+        await recordAudit(req, {
+            action: 'center.update_audio_retention',
+            targetModel: 'Center',
+            targetId: req.center._id,
+            center: req.center._id,
+            before,
+            after: { audioRetentionDays }
+        });
+
+        res.json({
+            success: true,
+            message: 'تم تحديث مدة الاحتفاظ بالتسجيلات الصوتية بنجاح',
+            audioRetentionDays: req.center.audioRetentionDays,
+            effectiveRetentionDays: req.center.audioRetentionDays || retentionDaysDefault()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // ========================================
 // SPECIALIST MANAGEMENT
 // ========================================
@@ -65,13 +170,13 @@ router.get('/specialists', protect, authorize('admin'), checkCenterAccess, async
             center: req.user.center,
             role: 'specialist'
         })
-            .select('name email phone specialization linkedParents assignedChildren profilePhoto staffId')
+            .select('name email phone specialization linkedParents assignedChildren profilePhoto staffId twoFactor.enabled invitation')
             .lean();
 
         res.json({
             success: true,
             count: specialists.length,
-            specialists
+            specialists: specialists.map(s => ({ ...s, invitation: invitationSummary(s) }))
         });
     } catch (error) {
         res.status(500).json({
@@ -82,16 +187,16 @@ router.get('/specialists', protect, authorize('admin'), checkCenterAccess, async
 });
 
 // @route   POST /api/admin/create-specialist
-// @desc    Create new specialist in the center
+// @desc    Invite a new specialist to the center (they set their own password)
 // @access  Private (Admin)
 router.post('/create-specialist', protect, authorize('admin'), checkCenterAccess, async (req, res) => {
     try {
-        const { name, email, password, phone, specialization, licenseNumber } = req.body;
+        const { name, email, phone, specialization, licenseNumber } = req.body;
 
-        if (!name || !email || !password) {
+        if (!name || !email) {
             return res.status(400).json({
                 success: false,
-                message: 'الاسم والبريد الإلكتروني وكلمة المرور مطلوبة'
+                message: 'الاسم والبريد الإلكتروني مطلوبان'
             });
         }
 
@@ -104,35 +209,45 @@ router.post('/create-specialist', protect, authorize('admin'), checkCenterAccess
             });
         }
 
-        // Create specialist
-        const specialist = await User.create({
+        // Create specialist (unusable until the invitation is accepted)
+        const { user: specialist, invitation, emailSent } = await createInvitedUser({
             name,
             email: email.toLowerCase(),
-            password,
             phone,
             role: 'specialist',
             specialization,
             licenseNumber,
             center: req.user.center,
-            createdBy: req.user.id,
-            emailVerified: true
-        });
+            createdBy: req.user.id
+        }, req.user);
 
         // Add specialist to center
         await Center.findByIdAndUpdate(req.user.center, {
             $addToSet: { specialists: specialist._id }
         });
 
+        await recordAudit(req, {
+            action: 'user.create_specialist',
+            targetModel: 'User',
+            targetId: specialist._id,
+            after: specialist,
+            metadata: { invitationSent: emailSent }
+        });
+
         res.status(201).json({
             success: true,
-            message: 'تم إنشاء حساب الأخصائي بنجاح',
+            message: emailSent
+                ? 'تم إرسال الدعوة إلى الأخصائي بنجاح'
+                : 'تم إنشاء حساب الأخصائي ولكن تعذر إرسال بريد الدعوة، يرجى إعادة الإرسال',
             specialist: {
                 id: specialist._id,
                 name: specialist.name,
                 email: specialist.email,
                 phone: specialist.phone,
-                specialization: specialist.specialization
-            }
+                specialization: specialist.specialization,
+                invitation
+            },
+            emailSent
         });
     } catch (error) {
         res.status(500).json({
@@ -166,6 +281,8 @@ router.put('/specialists/:id', protect, authorize('admin'), checkCenterAccess, a
             });
         }
 
+        const before = specialist.toObject();
+
         if (name) specialist.name = name;
         if (phone !== undefined) specialist.phone = phone;
         if (specialization !== undefined) specialist.specialization = specialization;
@@ -173,6 +290,14 @@ router.put('/specialists/:id', protect, authorize('admin'), checkCenterAccess, a
 
         await specialist.save();
 
+        await recordAudit(req, {
+            action: 'user.update_specialist',
+            targetModel: 'User',
+            targetId: specialist._id,
+            before,
+            after: specialist
+        });
+
         res.json({
             success: true,
             message: 'تم تحديث الأخصائي بنجاح',
@@ -220,9 +345,19 @@ router.delete('/specialists/:id', protect, authorize('admin'), checkCenterAccess
         });
 
         // Clear center reference from specialist
+        const before = specialist.toObject();
         specialist.center = null;
         await specialist.save();
 
+        await recordAudit(req, {
+            action: 'user.remove_specialist',
+            targetModel: 'User',
+            targetId: specialist._id,
+            center: req.user.center,
+            before,
+            after: specialist
+        });
+
         res.json({
             success: true,
             message: 'تم إزالة الأخصائي من المركز بنجاح'
@@ -235,6 +370,141 @@ router.delete('/specialists/:id', protect, authorize('admin'), checkCenterAccess
     }
 });
 
+// @route   POST /api/admin/specialists/:id/unlock
+// @desc    Clear login lockout of a specialist in the center
+// @access  Private (Admin)
+router.post('/specialists/:id/unlock', protect, authorize('admin'), checkCenterAccess, async (req, res) => {
+    try {
+        const specialist = await User.findById(req.params.id);
+
+        if (!specialist || specialist.role !== 'specialist') {
+            return res.status(404).json({
+                success: false,
+                message: 'الأخصائي غير موجود'
+            });
+        }
+
+        if (!specialist.center || specialist.center.toString() !== req.user.center.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'غير مصرح للوصول إلى هذا الأخصائي'
+            });
+        }
+
+        await unlockAccount(specialist.email);
+
+        await recordAudit(req, {
+            action: 'user.unlock',
+            targetModel: 'User',
+            targetId: specialist._id
+        });
+
+        res.json({
+            success: true,
+            message: 'تم إلغاء قفل الحساب بنجاح'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Load a specialist of the admin's center, or answer 404/403
+const findCenterSpecialist = async (req, res) => {
+    const specialist = await User.findById(req.params.id);
+
+    if (!specialist || specialist.role !== 'specialist') {
+        res.status(404).json({
+            success: false,
+            message: 'الأخصائي غير موجود'
+        });
+        return null;
+    }
+
+    if (!specialist.center || specialist.center.toString() !== req.user.center.toString()) {
+        res.status(403).json({
+            success: false,
+            message: 'غير مصرح للوصول إلى هذا الأخصائي'
+        });
+        return null;
+    }
+
+    return specialist;
+};
+
+// @route   POST /api/admin/specialists/:id/invite/resend
+// @desc    Send a fresh invitation to a specialist (the previous link stops working)
+// @access  Private (Admin)
+router.post('/specialists/:id/invite/resend', protect, authorize('admin'), checkCenterAccess, async (req, res) => {
+    try {
+        const specialist = await findCenterSpecialist(req, res);
+        if (!specialist) return;
+
+        if (!isAwaitingInvitation(specialist)) {
+            return res.status(400).json({
+                success: false,
+                message: 'الأخصائي قبل الدعوة بالفعل'
+            });
+        }
+
+        const { invitation, emailSent } = await sendInvitation(specialist, req.user);
+
+        await recordAudit(req, {
+            action: 'user.invite_resend',
+            targetModel: 'User',
+            targetId: specialist._id,
+            metadata: { emailSent }
+        });
+
+        res.status(emailSent ? 200 : 500).json({
+            success: emailSent,
+            message: emailSent ? 'تم إرسال الدعوة بنجاح' : 'تعذر إرسال بريد الدعوة',
+            invitation
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/admin/specialists/:id/invite
+// @desc    Revoke a specialist's pending invitation
+// @access  Private (Admin)
+router.delete('/specialists/:id/invite', protect, authorize('admin'), checkCenterAccess, async (req, res) => {
+    try {
+        const specialist = await findCenterSpecialist(req, res);
+        if (!specialist) return;
+
+        if (!(await revokeInvitation(specialist))) {
+            return res.status(400).json({
+                success: false,
+                message: 'لا توجد دعوة معلقة لإلغائها'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'user.invite_revoke',
+            targetModel: 'User',
+            targetId: specialist._id
+        });
+
+        res.json({
+            success: true,
+            message: 'تم إلغاء الدعوة',
+            invitation: invitationSummary(specialist)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // ========================================
 // ADMIN - SPECIALIST FUNCTIONALITY
 // (Admin can do everything a specialist can)
@@ -313,6 +583,34 @@ router.get('/link-requests', protect, authorize('admin'), async (req, res) => {
     }
 });
 
+// ========================================
+// AUDIT LOG
+// ========================================
+
+// @route   GET /api/admin/audit
+// @desc    Audit log of the admin's center (filters: actor, child, action, targetModel, from, to, page, limit)
+// @access  Private (Admin)
+router.get('/audit', protect, authorize('admin'), checkCenterAccess, async (req, res) => {
+    try {
+        const filter = {
+            ...buildAuditFilter(req.query),
+            center: req.center._id
+        };
+
+        const result = await listAuditLogs(filter, req.query);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // ========================================
 // STATISTICS
 // ========================================
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const Attempt = require('../models/Attempt');
+const { allowDevice, protect, authorizeChild } = require('../middleware/auth');
+const { ACTIONS } = require('../services/policy');
+const {
+  MAX_AUDIO_BYTES,
+  childAudioDir,
+  formatOf,
+  audioPath,
+  attachAudio
+} = require('../services/audioService');
+const { enqueueScoring } = require('../services/speechScoringService');
+const { runJobNow } = require('../jobs/scheduler');
+
+// Storage config: straight into the child's private audio folder
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const dir = childAudioDir(req.attempt.child);
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+  },
+  filename: function (req, file, cb) {
+    cb(null, `${req.attempt._id}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: MAX_AUDIO_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (formatOf(file)) return cb(null, true);
+    cb(new Error('Only wav, m4a or ogg recordings are allowed'));
+  }
+});
+
+// Multer errors as JSON responses
+function uploadAudio(req, res, next) {
+  upload.single('audio')(req, res, (error) => {
+    if (!error) return next();
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      message: tooLarge
+        ? `Recording is larger than ${Math.round(MAX_AUDIO_BYTES / 1024)} KB`
+        : error.message
+    });
+  });
+}
+
+// Loads the attempt so the access check can run against its child
+async function loadAttempt(req, res, next) {
+  try {
+    const attempt = mongoose.Types.ObjectId.isValid(req.params.attemptId)
+      ? await Attempt.findById(req.params.attemptId)
+      : null;
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    req.attempt = attempt;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+const attemptChildId = (req) => req.attempt.child;
+
+// @route   POST /api/audio/attempts/:attemptId
+// @desc    Upload the recording of an attempt (multipart field `audio`;
+//          wav, m4a or ogg). Replaces an earlier recording and queues it for
+//          server-side scoring; the scores arrive as an 'attempt_scored' event.
+// @access  Private (Parent or paired device)
+router.post(
+  '/attempts/:attemptId',
+  allowDevice,
+  protect,
+  loadAttempt,
+  authorizeChild(ACTIONS.PROGRESS_WRITE, attemptChildId),
+  uploadAudio,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No recording uploaded'
+        });
+      }
+
+      try {
+        await attachAudio(req.attempt, req.file);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      await enqueueScoring(req.attempt);
+      runJobNow('speech-scoring');
+
+      res.status(201).json({
+        success: true,
+        attemptId: req.attempt._id,
+        audioUrl: `/api/audio/attempts/${req.attempt._id}`,
+        size: req.attempt.audio.size,
+        contentType: req.attempt.audio.contentType,
+        scoring: req.attempt.scoring
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/audio/attempts/:attemptId
+// @desc    Stream the recording of an attempt (supports Range requests)
+// @access  Private (Parent, Assigned Specialist)
+router.get(
+  '/attempts/:attemptId',
+  protect,
+  loadAttempt,
+  authorizeChild(ACTIONS.AUDIO_LISTEN, attemptChildId),
+  (req, res) => {
+    const filePath = audioPath(req.attempt);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'This attempt has no recording'
+      });
+    }
+
+    // sendFile answers Range requests with 206 partial content
+    res.sendFile(filePath, {
+      acceptRanges: true,
+      headers: {
+        'Content-Type': req.attempt.audio.contentType,
+        'Cache-Control': 'private, no-store'
+      }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        // The audio content type may already be set by the time an error happens
+        const messages = { 404: 'Recording not found', 416: 'Requested range is not satisfiable' };
+        res.status(messages[error.status] ? error.status : 500).type('json').json({
+          success: false,
+          message: messages[error.status] || error.message
+        });
+      }
+    });
+  }
+);
+
+module.exports = router;
@@ -1,10 +1,48 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
-const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emailService');
+const QRCode = require('qrcode');
+const { protect, authorize } = require('../middleware/auth');
+const {
+    createSession,
+    setTwoFactorSetupRequired,
+    rotateRefreshToken,
+    listActiveSessions,
+    revokeSession,
+    revokeAllSessions,
+    signAccessToken
+} = require('../services/sessionService');
+const { throttle } = require('../services/loginThrottle');
+const { issueResetCode, clearResetCode, checkResetCode } = require('../services/passwordResetService');
+const totp = require('../services/totp');
+const {
+    TWO_FACTOR_ROLES,
+    signChallengeToken,
+    verifyChallengeToken,
+    isTwoFactorRequired
+} = require('../services/twoFactorService');
+const {
+    SELF_DELETABLE_ROLES,
+    gracePeriodDays,
+    collectAccountData,
+    createExportArchive,
+    requestAccountDeletion,
+    cancelAccountDeletion,
+    purgeAccount
+} = require('../services/accountService');
+const { recordAudit } = require('../services/auditService');
+const { isValidTimeZone } = require('../services/playScheduleService');
+const {
+    findInvitation,
+    acceptInvitation,
+    isAwaitingInvitation
+} = require('../services/invitationService');
+const {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendAccountDeletionScheduledEmail
+} = require('../services/emailService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -41,12 +79,11 @@ const upload = multer({
     }
 });
 
-
-// Generate JWT token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE
-    });
+// Cut off every access token issued so far (including ones without a session id).
+// Rounded down to the second because JWT `iat` has second precision.
+const invalidateIssuedTokens = async (userId) => {
+    const validAfter = new Date(Math.floor(Date.now() / 1000) * 1000);
+    await User.findByIdAndUpdate(userId, { tokensValidAfter: validAfter });
 };
 
 // @route   POST /api/auth/register
@@ -90,11 +127,11 @@ router.post('/register', async (req, res) => {
             // User can still resend verification later
         }
 
-        const token = generateToken(user._id);
+        const tokens = await createSession(user, req);
 
         res.status(201).json({
             success: true,
-            token,
+            ...tokens,
             user: {
                 id: user._id,
                 name: user.name,
@@ -114,7 +151,7 @@ router.post('/register', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', throttle('login', req => req.body.email), async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -128,17 +165,111 @@ router.post('/login', async (req, res) => {
         const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
         if (!user || !(await user.comparePassword(password))) {
+            await req.throttle.fail();
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        const token = generateToken(user._id);
+        // Second step required: hand out a short-lived challenge instead of a session
+        if (user.twoFactor?.enabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(user)
+            });
+        }
+
+        await req.throttle.succeed();
+        const tokens = await createSession(user, req);
+
+        res.json({
+            success: true,
+            ...tokens,
+            deletionScheduledFor: user.deletion?.scheduledFor || null,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP code or a recovery code
+// @access  Public (requires the challenge token from /login)
+router.post('/login/2fa', throttle('login', req => verifyChallengeToken(req.body.challengeToken)?.email), async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const challenge = verifyChallengeToken(challengeToken);
+        if (!challenge) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge is invalid or expired, please sign in again'
+            });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the authentication code or a recovery code'
+            });
+        }
+
+        const user = await User.findById(challenge.id)
+            .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+        if (!user || !user.twoFactor?.enabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge is invalid or expired, please sign in again'
+            });
+        }
+
+        let verified = false;
+        if (code) {
+            const step = totp.verifyCode(user.twoFactor.secret, code, {
+                afterStep: user.twoFactor.lastUsedStep ?? null
+            });
+            if (step !== null) {
+                user.twoFactor.lastUsedStep = step;
+                verified = true;
+            }
+        } else {
+            const hash = totp.hashRecoveryCode(recoveryCode);
+            const codes = user.twoFactor.recoveryCodes || [];
+            if (codes.includes(hash)) {
+                // Recovery codes are single use
+                user.twoFactor.recoveryCodes = codes.filter(c => c !== hash);
+                verified = true;
+            }
+        }
+
+        if (!verified) {
+            await req.throttle.fail();
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        await user.save();
+        await req.throttle.succeed();
+        const tokens = await createSession(user, req);
 
         res.json({
             success: true,
-            token,
+            ...tokens,
+            recoveryCodesRemaining: recoveryCode ? user.twoFactor.recoveryCodes.length : undefined,
             user: {
                 id: user._id,
                 name: user.name,
@@ -177,7 +308,7 @@ router.get('/me', protect, async (req, res) => {
 // @access  Private
 router.put('/profile', protect, upload.single('photo'), async (req, res) => {
     try {
-        const { name, email, phone } = req.body;
+        const { name, email, phone, timezone } = req.body;
         console.log('Update Profile Body:', req.body);
         console.log('Update Profile File:', req.file);
 
@@ -205,6 +336,15 @@ router.put('/profile', protect, upload.single('photo'), async (req, res) => {
 
         if (name) user.name = name;
         if (phone !== undefined) user.phone = phone;
+        if (timezone !== undefined) {
+            if (timezone && !isValidTimeZone(timezone)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid time zone'
+                });
+            }
+            user.timezone = timezone || null;
+        }
 
         // Handle File Upload (save to profilePhoto)
         if (req.file) {
@@ -223,7 +363,8 @@ router.put('/profile', protect, upload.single('photo'), async (req, res) => {
                 role: user.role,
                 phone: user.phone,
                 emailVerified: user.emailVerified,
-                profilePhoto: user.profilePhoto
+                profilePhoto: user.profilePhoto,
+                timezone: user.timezone
             }
         });
     } catch (error) {
@@ -261,9 +402,18 @@ router.put('/change-password', protect, async (req, res) => {
         user.password = newPassword;
         await user.save();
 
+        // Sign out every other device; the current one gets a fresh access token
+        await revokeAllSessions(user._id, { except: req.sessionId, reason: 'password_changed' });
+        await invalidateIssuedTokens(user._id);
+
+        const tokens = req.sessionId
+            ? { token: signAccessToken(user._id, req.sessionId) }
+            : await createSession(user, req);
+
         res.json({
             success: true,
-            message: 'Password changed successfully'
+            message: 'Password changed successfully',
+            ...tokens
         });
     } catch (error) {
         res.status(500).json({
@@ -276,7 +426,7 @@ router.put('/change-password', protect, async (req, res) => {
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email with 6-digit code
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', throttle('forgot', req => req.body.email), async (req, res) => {
     try {
         const { email } = req.body;
 
@@ -287,20 +437,22 @@ router.post('/forgot-password', async (req, res) => {
             });
         }
 
+        // Every request counts, so the endpoint cannot be used to flood an inbox
+        await req.throttle.fail();
+
         const user = await User.findOne({ email });
 
-        if (!user) {
-            // Don't reveal if email exists or not for security
+        // Invited accounts get their password through the invitation, not a reset.
+        // Don't reveal if email exists or not for security
+        if (!user || isAwaitingInvitation(user)) {
             return res.json({
                 success: true,
                 message: 'If an account with that email exists, a password reset code has been sent'
             });
         }
 
-        // Generate 6-digit reset code
-        const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
-        user.resetPasswordToken = resetCode;
-        user.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+        // Generate 6-digit reset code (valid for 10 minutes)
+        const resetCode = issueResetCode(user);
 
         await user.save();
 
@@ -310,8 +462,7 @@ router.post('/forgot-password', async (req, res) => {
             console.log('✅ Password reset email sent successfully to:', user.email);
         } catch (emailError) {
             console.error('❌ Email sending failed during password reset:', emailError.message);
-            user.resetPasswordToken = undefined;
-            user.resetPasswordExpire = undefined;
+            clearResetCode(user);
             await user.save();
             return res.status(500).json({
                 success: false,
@@ -334,23 +485,22 @@ router.post('/forgot-password', async (req, res) => {
 // 🔑 @route POST /api/auth/verify-reset-token
 // @desc    Verify if the 6-digit password reset token is valid and not expired
 // @access  Public
-router.post('/verify-reset-token', async (req, res) => {
+router.post('/verify-reset-token', throttle('reset', req => req.body.email), async (req, res) => {
     try {
-        const { token } = req.body;
+        const { token, email } = req.body;
 
-        if (!token) {
+        if (!token || !email) {
             return res.status(400).json({
                 success: false,
-                message: 'Reset token is required'
+                message: 'Email and reset token are required'
             });
         }
 
-        const user = await User.findOne({
-            resetPasswordToken: token,
-            resetPasswordExpire: { $gt: Date.now() } // تحقق من عدم انتهاء الصلاحية
-        });
+        // تحقق من الرمز وعدم انتهاء صلاحيته لهذا الحساب فقط
+        const user = await checkResetCode(email, token);
 
         if (!user) {
+            await req.throttle.fail();
             return res.status(400).json({
                 success: false,
                 message: 'Invalid or expired code.'
@@ -373,23 +523,21 @@ router.post('/verify-reset-token', async (req, res) => {
 // @route   PUT /api/auth/reset-password
 // @desc    Reset password with 6-digit code
 // @access  Public
-router.put('/reset-password', async (req, res) => {
+router.put('/reset-password', throttle('reset', req => req.body.email), async (req, res) => {
     try {
-        const { token, newPassword } = req.body;
+        const { token, newPassword, email } = req.body;
 
-        if (!token || !newPassword) {
+        if (!token || !newPassword || !email) {
             return res.status(400).json({
                 success: false,
-                message: 'Please provide code and new password'
+                message: 'Please provide email, code and new password'
             });
         }
 
-        const user = await User.findOne({
-            resetPasswordToken: token,
-            resetPasswordExpire: { $gt: Date.now() }
-        });
+        const user = await checkResetCode(email, token);
 
         if (!user) {
+            await req.throttle.fail();
             // ملاحظة: هذا المسار لا يجب أن ينجح إذا تم بالفعل التحقق من الرمز في الخطوة السابقة، 
             // ولكن نتركه كفحص أمان أخير.
             return res.status(400).json({
@@ -399,10 +547,14 @@ router.put('/reset-password', async (req, res) => {
         }
 
         user.password = newPassword;
-        user.resetPasswordToken = undefined;
-        user.resetPasswordExpire = undefined;
+        clearResetCode(user);
         await user.save();
 
+        // Whoever knew the old password must not stay signed in
+        await revokeAllSessions(user._id, { reason: 'password_reset' });
+        await invalidateIssuedTokens(user._id);
+        await req.throttle.succeed();
+
         res.json({
             success: true,
             message: 'Password reset successfully'
@@ -504,25 +656,463 @@ router.post('/resend-verification', protect, async (req, res) => {
     }
 });
 
-// @route   POST /api/auth/refresh-token
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh-token', protect, async (req, res) => {
+// @route   POST /api/auth/invitations/verify
+// @desc    Check an invitation token and return who it is for
+// @access  Public
+router.post('/invitations/verify', async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const { user, error } = await findInvitation(req.body.token);
 
-        if (!user) {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({
+            success: true,
+            invitation: {
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                expiresAt: user.invitation.expiresAt
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Accept an invitation by choosing a password; signs the user in
+// @access  Public
+router.post('/accept-invite', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the invitation token and a password'
+            });
+        }
+
+        if (String(password).length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters'
+            });
+        }
+
+        const { user, error } = await findInvitation(token);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await acceptInvitation(user, password);
+
+        const tokens = await createSession(user, req);
+
+        req.user = user;
+        await recordAudit(req, {
+            action: 'user.invite_accept',
+            targetModel: 'User',
+            targetId: user._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Invitation accepted',
+            ...tokens,
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/refresh-token
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh-token', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (refreshToken) {
+            const rotated = await rotateRefreshToken(refreshToken, req);
+
+            if (!rotated) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired refresh token'
+                });
+            }
+
+            return res.json({
+                success: true,
+                ...rotated
+            });
+        }
+
+        // Older app builds only hold a long-lived access token: let them trade it
+        // once for a session-backed token pair.
+        return protect(req, res, async () => {
+            try {
+                if (req.sessionId) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Refresh token is required'
+                    });
+                }
+
+                const tokens = await createSession(req.user, req);
+                res.json({
+                    success: true,
+                    ...tokens
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+    try {
+        if (req.sessionId) {
+            await revokeSession(req.user.id, req.sessionId, 'logout');
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (signed-in devices) of the current user
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user.id);
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            sessions: sessions.map(s => ({
+                id: s._id,
+                userAgent: s.userAgent,
+                ip: s.ip,
+                createdAt: s.createdAt,
+                lastUsedAt: s.lastUsedAt,
+                expiresAt: s.expiresAt,
+                current: !!req.sessionId && s.id === req.sessionId
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out everywhere (pass ?keepCurrent=true to stay signed in on this device)
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+    try {
+        const keepCurrent = String(req.query.keepCurrent || '').toLowerCase() === 'true';
+        const except = keepCurrent ? req.sessionId : null;
+
+        const revoked = await revokeAllSessions(req.user.id, { except, reason: 'logout_all' });
+        await invalidateIssuedTokens(req.user.id);
+
+        // The caller's own access token was just invalidated too, so re-issue it
+        let tokens = {};
+        if (keepCurrent) {
+            tokens = req.sessionId
+                ? { token: signAccessToken(req.user._id, req.sessionId) }
+                : await createSession(req.user, req);
+        }
+
+        res.json({
+            success: true,
+            message: 'Sessions revoked',
+            revoked,
+            ...tokens
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.user.id, req.params.id, 'revoked_by_user');
+
+        if (!revoked) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Session not found'
             });
         }
 
-        const token = generateToken(user._id);
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ========================================
+// TWO-FACTOR AUTHENTICATION (staff accounts)
+// ========================================
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor status of the current user
+// @access  Private (Specialist, Admin, Superadmin)
+router.get('/2fa/status', protect, authorize(...TWO_FACTOR_ROLES), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+        res.json({
+            success: true,
+            twoFactor: {
+                enabled: !!user.twoFactor?.enabled,
+                enabledAt: user.twoFactor?.enabledAt || null,
+                required: await isTwoFactorRequired(user),
+                recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).length
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: generate a secret and otpauth URI / QR code
+// @access  Private (Specialist, Admin, Superadmin)
+router.post('/2fa/setup', protect, authorize(...TWO_FACTOR_ROLES), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = totp.generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        const otpauthUri = totp.buildOtpauthUri(secret, user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUri);
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUri,
+            qrCode
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Finish enrollment with a code from the authenticator app
+// @access  Private (Specialist, Admin, Superadmin)
+router.post('/2fa/verify', protect, authorize(...TWO_FACTOR_ROLES), async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+        if (!user.twoFactor?.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+
+        const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        await user.save();
+
+        await setTwoFactorSetupRequired(user._id, false);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            // Shown only once
+            recoveryCodes
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a current code)
+// @access  Private (Specialist, Admin, Superadmin)
+router.post('/2fa/recovery-codes', protect, authorize(...TWO_FACTOR_ROLES), async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await User.findById(req.user.id)
+            .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const step = totp.verifyCode(user.twoFactor.secret, code, {
+            afterStep: user.twoFactor.lastUsedStep ?? null
+        });
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+        await user.save();
+
+        res.json({
+            success: true,
+            recoveryCodes
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication (requires password and a current code)
+// @access  Private (Specialist, Admin, Superadmin)
+router.post('/2fa/disable', protect, authorize(...TWO_FACTOR_ROLES), async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (!password || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide password and authentication code'
+            });
+        }
+
+        const user = await User.findById(req.user.id)
+            .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (await isTwoFactorRequired(user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your center requires two-factor authentication'
+            });
+        }
+
+        const step = totp.verifyCode(user.twoFactor.secret, code, {
+            afterStep: user.twoFactor.lastUsedStep ?? null
+        });
+        if (!(await user.comparePassword(password)) || step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid password or authentication code'
+            });
+        }
+
+        user.twoFactor = { enabled: false, enabledAt: null };
+        await user.save();
 
         res.json({
             success: true,
-            token
+            message: 'Two-factor authentication disabled'
         });
     } catch (error) {
         res.status(500).json({
@@ -572,4 +1162,147 @@ router.get('/my-specialist', protect, async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/export
+// @desc    Download a zip archive (JSON + CSV) of everything stored about the
+//          user and their children
+// @access  Private
+router.post('/export', protect, async (req, res) => {
+    try {
+        const data = await collectAccountData(req.user._id);
+        const archive = createExportArchive(data);
+        const date = new Date().toISOString().slice(0, 10);
+
+        await recordAudit(req, {
+            action: 'user.export',
+            targetModel: 'User',
+            targetId: req.user._id,
+            metadata: { children: data.children.length }
+        });
+
+        archive.on('error', (error) => {
+            console.error('Account export error:', error);
+            res.destroy(error);
+        });
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="bmo-account-export-${date}.zip"`);
+        archive.pipe(res);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/auth/account
+// @desc    Schedule deletion of the account, its children and their data.
+//          The account is anonymised once the grace period is over.
+// @access  Private (Parent, Specialist)
+router.delete('/account', protect, authorize(...SELF_DELETABLE_ROLES), async (req, res) => {
+    try {
+        const { password } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please confirm with your password'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select('+password');
+        if (!(await user.comparePassword(password))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+
+        if (user.deletion?.scheduledFor) {
+            return res.json({
+                success: true,
+                message: 'Account deletion is already scheduled',
+                scheduledFor: user.deletion.scheduledFor
+            });
+        }
+
+        const graceDays = gracePeriodDays();
+
+        await recordAudit(req, {
+            action: 'user.delete_requested',
+            targetModel: 'User',
+            targetId: user._id,
+            metadata: { gracePeriodDays: graceDays }
+        });
+
+        if (graceDays === 0) {
+            await purgeAccount(user._id);
+            return res.json({
+                success: true,
+                message: 'Account deleted'
+            });
+        }
+
+        const scheduledFor = await requestAccountDeletion(user._id);
+        // Other devices are signed out; this one stays (with a fresh access
+        // token) so the user can still cancel
+        await revokeAllSessions(user._id, { except: req.sessionId, reason: 'account_deletion_requested' });
+        await invalidateIssuedTokens(user._id);
+        const tokens = req.sessionId
+            ? { token: signAccessToken(user._id, req.sessionId) }
+            : await createSession(user, req);
+
+        try {
+            await sendAccountDeletionScheduledEmail(user.email, scheduledFor);
+        } catch (emailError) {
+            console.error('Failed to send deletion email:', emailError.message);
+        }
+
+        res.json({
+            success: true,
+            message: 'Account deletion scheduled',
+            scheduledFor,
+            gracePeriodDays: graceDays,
+            ...tokens
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/account/cancel-deletion
+// @desc    Cancel a pending account deletion during the grace period
+// @access  Private
+router.post('/account/cancel-deletion', protect, async (req, res) => {
+    try {
+        const cancelled = await cancelAccountDeletion(req.user._id);
+
+        if (!cancelled) {
+            return res.status(400).json({
+                success: false,
+                message: 'No account deletion is pending'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'user.delete_cancelled',
+            targetModel: 'User',
+            targetId: req.user._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Account deletion cancelled'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
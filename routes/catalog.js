@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const CatalogItem = require('../models/CatalogItem');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadCatalogMedia, removeCatalogFile } = require('../middleware/catalogUpload');
+const { recordAudit } = require('../services/auditService');
+const {
+  validateCatalogItem,
+  catalogScopeFor,
+  canManageItem,
+  listCatalogItems
+} = require('../services/catalogService');
+
+const MANAGER_ROLES = ['admin', 'superadmin'];
+
+// Loads a catalogue entry: global entries are visible to every manager,
+// center entries to superadmins and that center's admin
+async function loadItem(req, res, next) {
+  try {
+    const item = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await CatalogItem.findById(req.params.id)
+      : null;
+
+    if (!item || (item.center && !canManageItem(req.user, item))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalogue entry not found'
+      });
+    }
+
+    req.catalogItem = item;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+function requireManage(req, res, next) {
+  if (!canManageItem(req.user, req.catalogItem)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+  next();
+}
+
+// A center entry that hides a global one must name an existing global entry
+async function checkHidden(values, center) {
+  if (!values.hidden) return null;
+  if (!center) return 'Only center entries can hide a global entry';
+  const target = await CatalogItem.exists({ type: values.type, text: values.text, center: null });
+  return target ? null : 'There is no global entry with this text to hide';
+}
+
+const duplicateResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'An entry with this text already exists in this catalogue'
+});
+
+// @route   GET /api/catalog?type=letter|word&centerId=&q=&category=&dialect=&includeInactive=
+// @desc    Entries of the global catalogue (superadmin) or of a center, as
+//          stored; the merged view is /api/exercises/letters|words/default
+// @access  Private (Superadmin, admin)
+router.get('/', protect, authorize(...MANAGER_ROLES), async (req, res) => {
+  try {
+    // Admins list their center's entries; ?scope=global lists the global ones
+    const scope = req.user.role === 'admin' && req.query.scope === 'global'
+      ? { center: null }
+      : catalogScopeFor(req.user, req.query.centerId);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        message: scope.error
+      });
+    }
+
+    const items = await listCatalogItems(scope.center, req.query);
+
+    res.json({
+      success: true,
+      count: items.length,
+      items
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/catalog/:id
+// @desc    One catalogue entry
+// @access  Private (Superadmin, admin)
+router.get('/:id', protect, authorize(...MANAGER_ROLES), loadItem, async (req, res) => {
+  res.json({
+    success: true,
+    item: req.catalogItem
+  });
+});
+
+// @route   POST /api/catalog
+// @desc    Add a letter or word. Superadmins add to the global catalogue (or
+//          to ?centerId's), admins to their center's: an entry with the text
+//          of a global entry overrides it, { hidden: true } hides it
+// @access  Private (Superadmin, admin)
+router.post('/', protect, authorize(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const scope = catalogScopeFor(req.user, req.body.centerId);
+    if (scope.error) {
+      return res.status(400).json({
+        success: false,
+        message: scope.error
+      });
+    }
+
+    const { values, errors } = validateCatalogItem(req.body);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid catalogue entry',
+        errors
+      });
+    }
+
+    const hiddenError = await checkHidden(values, scope.center);
+    if (hiddenError) {
+      return res.status(400).json({
+        success: false,
+        message: hiddenError
+      });
+    }
+
+    const item = await CatalogItem.create({
+      ...values,
+      center: scope.center,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'catalog.create',
+      targetModel: 'CatalogItem',
+      targetId: item._id,
+      center: item.center,
+      after: item,
+      metadata: { type: item.type, text: item.text }
+    });
+
+    res.status(201).json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    if (error.code === 11000) return duplicateResponse(res);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/catalog/:id
+// @desc    Update a catalogue entry
+// @access  Private (Superadmin, center admin for the center's entries)
+router.put('/:id', protect, authorize(...MANAGER_ROLES), loadItem, requireManage, async (req, res) => {
+  try {
+    if (req.body.centerId !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'An entry cannot be moved to another catalogue'
+      });
+    }
+
+    const item = req.catalogItem;
+    const { values, errors } = validateCatalogItem(req.body, { partial: true, existing: item });
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid catalogue entry',
+        errors
+      });
+    }
+
+    const hiddenError = await checkHidden({
+      type: item.type,
+      text: values.text ?? item.text,
+      hidden: values.hidden ?? item.hidden
+    }, item.center);
+    if (hiddenError) {
+      return res.status(400).json({
+        success: false,
+        message: hiddenError
+      });
+    }
+
+    const before = item.toObject();
+    item.set({ ...values, updatedBy: req.user._id });
+    await item.save();
+
+    if (values.image === null) removeCatalogFile(before.image);
+    if (values.audio === null) removeCatalogFile(before.audio);
+
+    await recordAudit(req, {
+      action: 'catalog.update',
+      targetModel: 'CatalogItem',
+      targetId: item._id,
+      center: item.center,
+      before,
+      after: item,
+      metadata: { type: item.type, text: item.text }
+    });
+
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    if (error.code === 11000) return duplicateResponse(res);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/catalog/:id
+// @desc    Delete a catalogue entry. Deleting a global entry also drops the
+//          center entries that only hid it; use { active: false } to retire
+//          an entry without losing it
+// @access  Private (Superadmin, center admin for the center's entries)
+router.delete('/:id', protect, authorize(...MANAGER_ROLES), loadItem, requireManage, async (req, res) => {
+  try {
+    const item = req.catalogItem;
+    await item.deleteOne();
+
+    if (!item.center) {
+      await CatalogItem.deleteMany({ type: item.type, text: item.text, center: { $ne: null }, hidden: true });
+    }
+    removeCatalogFile(item.image);
+    removeCatalogFile(item.audio);
+
+    await recordAudit(req, {
+      action: 'catalog.delete',
+      targetModel: 'CatalogItem',
+      targetId: item._id,
+      center: item.center,
+      before: item,
+      metadata: { type: item.type, text: item.text }
+    });
+
+    res.json({
+      success: true,
+      message: 'Catalogue entry deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Stores the uploaded file as the entry's `field` (image or audio)
+function attachMedia(field) {
+  return async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `No ${field} file uploaded (form field "${field}")`
+        });
+      }
+
+      const item = req.catalogItem;
+      const previous = item[field];
+      item[field] = `/uploads/${req.file.filename}`;
+      item.updatedBy = req.user._id;
+      await item.save();
+      removeCatalogFile(previous);
+
+      await recordAudit(req, {
+        action: `catalog.${field}`,
+        targetModel: 'CatalogItem',
+        targetId: item._id,
+        center: item.center,
+        before: { [field]: previous },
+        after: { [field]: item[field] },
+        metadata: { type: item.type, text: item.text }
+      });
+
+      res.json({
+        success: true,
+        item
+      });
+    } catch (error) {
+      removeCatalogFile(req.file && `/uploads/${req.file.filename}`);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  };
+}
+
+// @route   POST /api/catalog/:id/image
+// @desc    Upload the entry's picture (multipart field "image")
+// @access  Private (Superadmin, center admin for the center's entries)
+router.post('/:id/image', protect, authorize(...MANAGER_ROLES), loadItem, requireManage, uploadCatalogMedia('image'), attachMedia('image'));
+
+// @route   POST /api/catalog/:id/audio
+// @desc    Upload the entry's reference pronunciation (multipart field "audio")
+// @access  Private (Superadmin, center admin for the center's entries)
+router.post('/:id/audio', protect, authorize(...MANAGER_ROLES), loadItem, requireManage, uploadCatalogMedia('audio'), attachMedia('audio'));
+
+module.exports = router;
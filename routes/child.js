@@ -3,7 +3,25 @@ const router = express.Router();
 const Child = require('../models/Child');
 const User = require('../models/User');
 const Progress = require('../models/Progress');
-const { protect, authorize } = require('../middleware/auth');
+const { allowDevice, protect, authorize, authorizeChild } = require('../middleware/auth');
+const { ACTIONS, canAccessChild, accessibleChildrenFilter } = require('../services/policy');
+const { recordAudit } = require('../services/auditService');
+const { deleteChildData } = require('../services/accountService');
+const { familyTimeZone, getPlayStatus } = require('../services/playScheduleService');
+const { recentSessions } = require('../services/progressService');
+const {
+  recomputeAdaptive,
+  parseAdaptiveSettings,
+  adaptiveOverview,
+  nextItems
+} = require('../services/adaptiveService');
+
+// Profile fields PUT /:id may change. Ownership and assignment have their own
+// flows, and the level belongs to the adaptive engine (PUT /:id/adaptive).
+const EDITABLE_FIELDS = [
+  'name', 'age', 'gender', 'avatarId', 'dailyPlayDuration', 'sessionStructure',
+  'playSchedule', 'targetLetters', 'targetWords'
+];
 
 // @route   POST /api/children
 // @desc    Create new child profile
@@ -38,6 +56,14 @@ router.post('/', protect, async (req, res) => {
     await Progress.create({ child: child._id });
     console.log('✅ [CHILD ROUTE] Progress tracking initialized');
 
+    await recordAudit(req, {
+      action: 'child.create',
+      targetModel: 'Child',
+      targetId: child._id,
+      child,
+      after: child
+    });
+
     res.status(201).json({
       success: true,
       child
@@ -74,6 +100,12 @@ router.get('/', protect, async (req, res) => {
       console.log('👶 [CHILD ROUTE] Fetching children for specialist...');
       children = await Child.find({ assignedSpecialist: req.user.id }).populate('parent', 'name email phone profilePhoto');
       console.log('✅ [CHILD ROUTE] Found', children.length, 'children for specialist');
+    } else if (['admin', 'superadmin'].includes(req.user.role)) {
+      console.log('👶 [CHILD ROUTE] Fetching children for', req.user.role, '...');
+      children = await Child.find(await accessibleChildrenFilter(req.user))
+        .populate('parent', 'name email phone profilePhoto')
+        .populate('assignedSpecialist', 'name email specialization center');
+      console.log('✅ [CHILD ROUTE] Found', children.length, 'children for', req.user.role);
     } else {
       console.log('❌ [CHILD ROUTE] Unknown user role:', req.user.role);
       return res.status(403).json({
@@ -99,7 +131,7 @@ router.get('/', protect, async (req, res) => {
 // @route   GET /api/children/:id
 // @desc    Get single child by ID
 // @access  Private
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', allowDevice, protect, async (req, res) => {
   try {
     const child = await Child.findById(req.params.id)
       .populate('parent', 'name email phone photo')
@@ -119,15 +151,8 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check authorization
-    if (req.user.role === 'parent' && child.parent._id.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
-
-    if (req.user.role === 'specialist' && (!child.assignedSpecialist || child.assignedSpecialist._id.toString() !== req.user.id)) {
+    const isOtherChildsDevice = req.device && req.device.child.toString() !== child.id;
+    if (isOtherChildsDevice || !(await canAccessChild(req.user, ACTIONS.CHILD_READ, child))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -146,40 +171,139 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @route   PUT /api/children/:id
-// @desc    Update child profile
+// @route   GET /api/children/:id/play-status
+// @desc    Whether the child may play right now, minutes left today and the
+//          next allowed window (in the family's time zone)
+// @access  Private (also paired child devices)
+router.get('/:id/play-status', allowDevice, protect, authorizeChild(ACTIONS.CHILD_READ), async (req, res) => {
+  try {
+    const timeZone = await familyTimeZone(req.child);
+    // Two days back is enough to cover "today" in any time zone
+    const since = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    const sessions = await recentSessions(req.child._id, since);
+
+    res.json({
+      success: true,
+      playStatus: getPlayStatus(req.child, { timeZone, sessions })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/children/:id/next-items?limit=
+// @desc    Ordered practice queue for the game: plan targets still being
+//          learned, new plan targets and mastered targets due for review,
+//          each with the difficulty to play it at
+// @access  Private (also paired child devices)
+router.get('/:id/next-items', allowDevice, protect, authorizeChild(ACTIONS.PLAN_READ), async (req, res) => {
+  try {
+    const rawLimit = parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(rawLimit) ? Math.min(Math.max(rawLimit, 1), 50) : 20;
+
+    const queue = await nextItems(req.child, { limit });
+
+    res.json({
+      success: true,
+      ...queue
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/children/:id/adaptive
+// @desc    Adaptive difficulty settings and the recommendation per target
 // @access  Private
-router.put('/:id', protect, async (req, res) => {
+router.get('/:id/adaptive', protect, authorizeChild(ACTIONS.PLAN_READ), async (req, res) => {
   try {
-    let child = await Child.findById(req.params.id);
+    res.json({
+      success: true,
+      adaptive: await adaptiveOverview(req.child)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
 
-    if (!child) {
-      return res.status(404).json({
+// @route   PUT /api/children/:id/adaptive
+// @desc    Lock the automation, override the child's level or fix the
+//          difficulty of single targets
+// @access  Private (Assigned specialist, center admin)
+router.put('/:id/adaptive', protect, authorizeChild(ACTIONS.PLAN_WRITE), async (req, res) => {
+  try {
+    const { values, errors } = parseAdaptiveSettings(req.body);
+    if (errors) {
+      return res.status(400).json({
         success: false,
-        message: 'Child not found'
+        message: 'Invalid adaptive settings',
+        errors
       });
     }
 
-    // Check authorization
-    if (req.user.role === 'parent' && child.parent.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+    const child = req.child;
+    const before = { adaptive: child.toObject().adaptive || null, difficultyLevel: child.difficultyLevel };
+    for (const [key, value] of Object.entries(values)) child.set(`adaptive.${key}`, value);
+    await child.save();
 
-    if (req.user.role === 'specialist' && (!child.assignedSpecialist || child.assignedSpecialist.toString() !== req.user.id)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+    // Apply an override (or unlocking) right away
+    await recomputeAdaptive(child._id);
+    const updated = await Child.findById(child._id);
+
+    await recordAudit(req, {
+      action: 'child.adaptive',
+      targetModel: 'Child',
+      targetId: child._id,
+      child: updated,
+      before,
+      after: { adaptive: updated.toObject().adaptive, difficultyLevel: updated.difficultyLevel }
+    });
+
+    res.json({
+      success: true,
+      adaptive: await adaptiveOverview(updated)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
 
-    child = await Child.findByIdAndUpdate(req.params.id, req.body, {
+// @route   PUT /api/children/:id
+// @desc    Update child profile
+// @access  Private
+router.put('/:id', protect, authorizeChild(ACTIONS.CHILD_UPDATE), async (req, res) => {
+  try {
+    const before = req.child.toObject();
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    const child = await Child.findByIdAndUpdate(req.params.id, changes, {
       new: true,
       runValidators: true
     });
 
+    await recordAudit(req, {
+      action: 'child.update',
+      targetModel: 'Child',
+      targetId: child._id,
+      child,
+      before,
+      after: child
+    });
+
     res.json({
       success: true,
       child
@@ -193,27 +317,19 @@ router.put('/:id', protect, async (req, res) => {
 });
 
 // @route   DELETE /api/children/:id
-// @desc    Delete child profile
+// @desc    Delete child profile with its progress, plans, notes and devices
 // @access  Private (Parent)
-router.delete('/:id', protect, authorize('parent'), async (req, res) => {
+router.delete('/:id', protect, authorizeChild(ACTIONS.CHILD_DELETE), async (req, res) => {
   try {
-    const child = await Child.findById(req.params.id);
-
-    if (!child) {
-      return res.status(404).json({
-        success: false,
-        message: 'Child not found'
-      });
-    }
-
-    if (child.parent.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
-
-    await child.deleteOne();
+    await deleteChildData([req.child]);
+
+    await recordAudit(req, {
+      action: 'child.delete',
+      targetModel: 'Child',
+      targetId: req.child._id,
+      child: req.child,
+      before: req.child
+    });
 
     res.json({
       success: true,
@@ -230,27 +346,20 @@ router.delete('/:id', protect, authorize('parent'), async (req, res) => {
 // @route   POST /api/children/:id/request-specialist
 // @desc    Request specialist assignment
 // @access  Private (Parent)
-router.post('/:id/request-specialist', protect, authorize('parent'), async (req, res) => {
+router.post('/:id/request-specialist', protect, authorize('parent'), authorizeChild(ACTIONS.CHILD_UPDATE), async (req, res) => {
   try {
-    const child = await Child.findById(req.params.id);
-
-    if (!child) {
-      return res.status(404).json({
-        success: false,
-        message: 'Child not found'
-      });
-    }
-
-    if (child.parent.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+    const child = req.child;
 
     child.specialistRequestStatus = 'pending';
     await child.save();
 
+    await recordAudit(req, {
+      action: 'child.request_specialist',
+      targetModel: 'Child',
+      targetId: child._id,
+      child
+    });
+
     res.json({
       success: true,
       message: 'Specialist request submitted',
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const Exercise = require('../models/Exercise');
-const { protect } = require('../middleware/auth');
+const Child = require('../models/Child');
+const { allowDevice, protect, authorizeChild } = require('../middleware/auth');
+const { ACTIONS, canAccessChild, accessibleChildIds } = require('../services/policy');
+const { recordAudit } = require('../services/auditService');
 
 async function getOrCreateContentDoc(childId) {
     return Exercise.findOneAndUpdate(
@@ -27,7 +30,7 @@ function asLegacyContentItem(item, contentType, childId) {
 // @route   GET /api/content/child/:childId
 // @desc    Get all content (words and letters) for a specific child
 // @access  Private
-router.get('/child/:childId', protect, async (req, res) => {
+router.get('/child/:childId', allowDevice, protect, authorizeChild(ACTIONS.CONTENT_READ), async (req, res) => {
     try {
         const { childId } = req.params;
         const { contentType, difficulty } = req.query;
@@ -63,7 +66,7 @@ router.get('/child/:childId', protect, async (req, res) => {
 // @route   GET /api/content/words/child/:childId
 // @desc    Get words for a specific child
 // @access  Private
-router.get('/words/child/:childId', protect, async (req, res) => {
+router.get('/words/child/:childId', allowDevice, protect, authorizeChild(ACTIONS.CONTENT_READ), async (req, res) => {
     try {
         const { childId } = req.params;
         const { difficulty } = req.query;
@@ -93,7 +96,7 @@ router.get('/words/child/:childId', protect, async (req, res) => {
 // @route   GET /api/content/letters/child/:childId
 // @desc    Get letters for a specific child
 // @access  Private
-router.get('/letters/child/:childId', protect, async (req, res) => {
+router.get('/letters/child/:childId', allowDevice, protect, authorizeChild(ACTIONS.CONTENT_READ), async (req, res) => {
     try {
         const { childId } = req.params;
         const { difficulty } = req.query;
@@ -122,8 +125,8 @@ router.get('/letters/child/:childId', protect, async (req, res) => {
 
 // @route   POST /api/content/add
 // @desc    Add new content (word or letter)
-// @access  Private
-router.post('/add', protect, async (req, res) => {
+// @access  Private (Assigned specialist, center admin)
+router.post('/add', protect, authorizeChild(ACTIONS.CONTENT_WRITE), async (req, res) => {
     try {
         const { text, contentType, difficulty, childId } = req.body;
 
@@ -186,6 +189,14 @@ router.post('/add', protect, async (req, res) => {
         targetArr.push(created);
         await doc.save();
 
+        await recordAudit(req, {
+            action: 'content.add',
+            targetModel: 'Content',
+            targetId: created._id,
+            child: req.child,
+            after: { ...created.toObject(), contentType: contentType }
+        });
+
         const content = asLegacyContentItem(created, contentType, childId);
 
         res.status(201).json({
@@ -204,7 +215,7 @@ router.post('/add', protect, async (req, res) => {
 
 // @route   DELETE /api/content/delete/:contentId
 // @desc    Delete content by ID
-// @access  Private
+// @access  Private (Assigned specialist, center admin)
 router.delete('/delete/:contentId', protect, async (req, res) => {
     try {
         const { contentId } = req.params;
@@ -224,6 +235,13 @@ router.delete('/delete/:contentId', protect, async (req, res) => {
             });
         }
 
+        if (!(await canAccessChild(req.user, ACTIONS.CONTENT_WRITE, await Child.findById(doc.child)))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized'
+            });
+        }
+
         const wordItem = doc.contentWords?.id(contentId);
         const letterItem = doc.contentLetters?.id(contentId);
 
@@ -232,6 +250,14 @@ router.delete('/delete/:contentId', protect, async (req, res) => {
 
         await doc.save();
 
+        await recordAudit(req, {
+            action: 'content.delete',
+            targetModel: 'Content',
+            targetId: contentId,
+            child: doc.child,
+            before: { ...(wordItem || letterItem)?.toObject(), contentType: wordItem ? 'word' : 'letter' }
+        });
+
         res.json({
             success: true,
             message: 'Content deleted successfully'
@@ -253,7 +279,18 @@ router.get('/all', protect, async (req, res) => {
         const { contentType, difficulty, childId } = req.query;
 
         const docQuery = { kind: 'content' };
-        if (childId) docQuery.child = childId;
+        if (childId) {
+            const child = await Child.findById(childId);
+            if (!child || !(await canAccessChild(req.user, ACTIONS.CONTENT_READ, child))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized'
+                });
+            }
+            docQuery.child = childId;
+        } else if (req.user.role !== 'superadmin') {
+            docQuery.child = { $in: await accessibleChildIds(req.user) };
+        }
 
         const docs = await Exercise.find(docQuery)
             .populate('child', 'name age')
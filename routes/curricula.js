@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Curriculum = require('../models/Curriculum');
+const { protect, authorizeChild } = require('../middleware/auth');
+const { ACTIONS } = require('../services/policy');
+const { recordAudit } = require('../services/auditService');
+const {
+  buildCurriculum,
+  startCurriculum,
+  advanceCurriculum,
+  resumeCurriculum,
+  curriculumStatus
+} = require('../services/curriculumService');
+
+// Loads a curriculum so the access check can run against its child
+async function loadCurriculum(req, res, next) {
+  try {
+    const curriculum = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Curriculum.findById(req.params.id)
+      : null;
+
+    if (!curriculum) {
+      return res.status(404).json({
+        success: false,
+        message: 'Curriculum not found'
+      });
+    }
+
+    req.curriculum = curriculum;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+const curriculumChildId = (req) => req.curriculum.child;
+
+const notOpen = (res, curriculum) => res.status(400).json({
+  success: false,
+  message: `Curriculum is ${curriculum.status}`
+});
+
+// @route   POST /api/curricula
+// @desc    Lay out an ordered sequence of plan sessions for a child, with an
+//          advancement rule per step; the first step becomes the active plan
+// @access  Private (Assigned specialist, center admin)
+router.post('/', protect, authorizeChild(ACTIONS.PLAN_WRITE), async (req, res) => {
+  try {
+    const { childId, ...body } = req.body;
+    const { values, errors } = await buildCurriculum(body, req.user);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid curriculum',
+        errors
+      });
+    }
+
+    const curriculum = await startCurriculum(req.child, values, { author: req.user._id });
+
+    await recordAudit(req, {
+      action: 'curriculum.create',
+      targetModel: 'Curriculum',
+      targetId: curriculum._id,
+      child: req.child,
+      metadata: { name: curriculum.name, steps: curriculum.steps.length, exercise: curriculum.currentExercise }
+    });
+
+    res.status(201).json({
+      success: true,
+      curriculum
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/curricula/child/:childId
+// @desc    Curricula of a child, the open one first, with progress on the
+//          current step
+// @access  Private
+router.get('/child/:childId', protect, authorizeChild(ACTIONS.PLAN_READ), async (req, res) => {
+  try {
+    const curricula = await Curriculum.find({ child: req.params.childId })
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const open = curricula.find(c => ['active', 'paused'].includes(c.status)) || null;
+    const status = open ? await curriculumStatus(open) : null;
+
+    res.json({
+      success: true,
+      count: curricula.length,
+      current: open ? { curriculumId: open._id, ...status } : null,
+      curricula
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/curricula/:id
+// @desc    One curriculum with progress on its current step
+// @access  Private
+router.get('/:id', protect, loadCurriculum, authorizeChild(ACTIONS.PLAN_READ, curriculumChildId), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      curriculum: req.curriculum,
+      status: await curriculumStatus(req.curriculum)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/curricula/:id/advance
+// @desc    Move the child to the next step now
+// @access  Private (Assigned specialist, center admin)
+router.post('/:id/advance', protect, loadCurriculum, authorizeChild(ACTIONS.PLAN_WRITE, curriculumChildId), async (req, res) => {
+  try {
+    const curriculum = req.curriculum;
+    if (curriculum.status !== 'active') return notOpen(res, curriculum);
+
+    const fromStep = curriculum.currentStep;
+    const event = await advanceCurriculum(curriculum, req.child, 'manual', {
+      author: req.user._id,
+      io: req.app.get('io')
+    });
+
+    await recordAudit(req, {
+      action: 'curriculum.advance',
+      targetModel: 'Curriculum',
+      targetId: curriculum._id,
+      child: req.child,
+      metadata: { fromStep, toStep: curriculum.currentStep, event, exercise: curriculum.currentExercise }
+    });
+
+    res.json({
+      success: true,
+      curriculum
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/curricula/:id/pause
+// @desc    Stop automatic advancement (the current plan stays active)
+// @access  Private (Assigned specialist, center admin)
+router.post('/:id/pause', protect, loadCurriculum, authorizeChild(ACTIONS.PLAN_WRITE, curriculumChildId), async (req, res) => {
+  try {
+    const curriculum = req.curriculum;
+    if (curriculum.status !== 'active') return notOpen(res, curriculum);
+
+    curriculum.status = 'paused';
+    curriculum.pausedReason = 'manual';
+    await curriculum.save();
+
+    res.json({
+      success: true,
+      curriculum
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/curricula/:id/resume
+// @desc    Resume a paused curriculum (its step's plan becomes active again)
+// @access  Private (Assigned specialist, center admin)
+router.post('/:id/resume', protect, loadCurriculum, authorizeChild(ACTIONS.PLAN_WRITE, curriculumChildId), async (req, res) => {
+  try {
+    const curriculum = req.curriculum;
+    if (curriculum.status !== 'paused') return notOpen(res, curriculum);
+
+    const open = await Curriculum.exists({ child: curriculum.child, status: 'active', _id: { $ne: curriculum._id } });
+    if (open) {
+      return res.status(409).json({
+        success: false,
+        message: 'The child already has an active curriculum'
+      });
+    }
+
+    await resumeCurriculum(curriculum, req.child, { author: req.user._id });
+
+    res.json({
+      success: true,
+      curriculum
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/curricula/:id
+// @desc    Cancel a curriculum (plans already created stay)
+// @access  Private (Assigned specialist, center admin)
+router.delete('/:id', protect, loadCurriculum, authorizeChild(ACTIONS.PLAN_WRITE, curriculumChildId), async (req, res) => {
+  try {
+    const curriculum = req.curriculum;
+    if (!['active', 'paused'].includes(curriculum.status)) return notOpen(res, curriculum);
+
+    const previous = curriculum.status;
+    curriculum.status = 'cancelled';
+    await curriculum.save();
+
+    await recordAudit(req, {
+      action: 'curriculum.cancel',
+      targetModel: 'Curriculum',
+      targetId: curriculum._id,
+      child: req.child,
+      before: { status: previous },
+      after: { status: 'cancelled' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Curriculum cancelled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -10,7 +10,7 @@ router.get('/config', (req, res) => {
         env: process.env.NODE_ENV || 'unknown',
         jwt: {
             configured: !!process.env.JWT_SECRET,
-            expireConfigured: !!process.env.JWT_EXPIRE,
+            expireConfigured: !!process.env.JWT_ACCESS_EXPIRE,
         },
         db: {
             mongoConfigured: !!(process.env.MONGODB_URI || process.env.MONGO_URI),
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, authorizeChild } = require('../middleware/auth');
+const { ACTIONS } = require('../services/policy');
+const { throttle } = require('../services/loginThrottle');
+const { recordAudit } = require('../services/auditService');
+const {
+  publicDevice,
+  createPairingCode,
+  redeemPairingCode,
+  listDevices,
+  revokeDevice
+} = require('../services/deviceService');
+
+// @route   POST /api/devices/pairing-code
+// @desc    Generate a short-lived code to pair a game device with a child
+// @access  Private (Parent)
+router.post('/pairing-code', protect, authorize('parent'), authorizeChild(ACTIONS.DEVICE_MANAGE), async (req, res) => {
+  try {
+    const { code, expiresAt } = await createPairingCode(req.child, req.user);
+
+    res.status(201).json({
+      success: true,
+      code,
+      expiresAt,
+      child: { id: req.child._id, name: req.child.name }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/devices/pair
+// @desc    Exchange a pairing code for a device credential scoped to one child
+// @access  Public (called by the child game)
+router.post('/pair', throttle('pairing'), async (req, res) => {
+  try {
+    const { code, name, platform } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pairing code is required'
+      });
+    }
+
+    const result = await redeemPairingCode(code, { name, platform }, req);
+
+    if (!result) {
+      await req.throttle.fail();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired pairing code'
+      });
+    }
+
+    const { device, deviceToken } = result;
+    await device.populate([
+      { path: 'child', select: 'name childId avatarId' },
+      { path: 'parent', select: 'role center' }
+    ]);
+
+    // The device acts for the parent who generated the code
+    req.user = device.parent;
+    await recordAudit(req, {
+      action: 'child.device_pair',
+      targetModel: 'Child',
+      targetId: device.child._id,
+      child: device.child._id,
+      metadata: { deviceId: device._id, name: device.name, platform: device.platform }
+    });
+
+    res.status(201).json({
+      success: true,
+      deviceToken,
+      device: { ...publicDevice(device), child: device.child._id },
+      child: device.child
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/devices
+// @desc    List the parent's paired devices (optionally ?childId=)
+// @access  Private (Parent)
+router.get('/', protect, authorize('parent'), async (req, res) => {
+  try {
+    const devices = await listDevices(req.user._id, { childId: req.query.childId });
+
+    res.json({
+      success: true,
+      count: devices.length,
+      devices: devices.map(publicDevice)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/devices/:id
+// @desc    Revoke a paired device; its credential stops working immediately
+// @access  Private (Parent)
+router.delete('/:id', protect, authorize('parent'), async (req, res) => {
+  try {
+    const device = await revokeDevice(req.user._id, req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'child.device_revoke',
+      targetModel: 'Child',
+      targetId: device.child,
+      child: device.child,
+      metadata: { deviceId: device._id, name: device.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device revoked',
+      device: publicDevice(device)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,71 +1,106 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Exercise = require('../models/Exercise');
 const Child = require('../models/Child');
-const { protect, authorize } = require('../middleware/auth');
-
-// @route   POST /api/exercises
-// @desc    Create exercise plan for child
-// @access  Private (Specialist)
-router.post('/', protect, authorize('specialist'), async (req, res) => {
+const { allowDevice, protect, authorizeChild } = require('../middleware/auth');
+const { ACTIONS, canAccessChild } = require('../services/policy');
+const { recordAudit } = require('../services/auditService');
+const { getCatalog } = require('../services/catalogService');
+const {
+  validatePlanUpdate,
+  snapshotOf,
+  createPlan,
+  applyPlanChange,
+  restoreVersion,
+  listVersions,
+  getVersion,
+  diffVersions
+} = require('../services/planVersionService');
+
+// Loads a plan (kind 'plan') so the access check can run against its child
+async function loadPlan(req, res, next) {
   try {
-    const { childId, letters, words, targetDuration, endDate, sessionName } = req.body;
+    const exercise = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Exercise.findById(req.params.id)
+      : null;
 
-    const child = await Child.findById(childId);
-
-    if (!child) {
+    if (!exercise || exercise.kind !== 'plan') {
       return res.status(404).json({
         success: false,
-        message: 'Child not found'
+        message: 'Exercise not found'
       });
     }
 
-    if (!child.assignedSpecialist || child.assignedSpecialist.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+    req.exercise = exercise;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
 
-    // Ensure only one active plan at a time (kind: 'plan')
-    await Exercise.updateMany(
-      { child: childId, kind: 'plan', active: true },
-      { $set: { active: false } }
-    );
-
-    // Auto-increment session index (Session 1, Session 2, ...)
-    const last = await Exercise.findOne({ child: childId, kind: 'plan' })
-      .sort({ sessionIndex: -1, createdAt: -1 })
-      .select('sessionIndex');
-
-    const nextSessionIndex = (typeof last?.sessionIndex === 'number' ? last.sessionIndex : 0) + 1;
-
-    const exercise = await Exercise.create({
-      child: childId,
-      specialist: req.user.id,
-      kind: 'plan',
-      sessionIndex: nextSessionIndex,
-      sessionName: sessionName || `Session ${nextSessionIndex}`,
-      letters,
-      words,
-      targetDuration,
-      endDate
-    });
-
-    // Update child's targets (store just the text for quick reference)
-    if (Array.isArray(letters)) {
-      child.targetLetters = letters
-        .map(l => (l && typeof l === 'object') ? l.letter : l)
-        .map(x => String(x || '').trim())
-        .filter(Boolean);
-    }
-    if (Array.isArray(words)) {
-      child.targetWords = words
-        .map(w => (w && typeof w === 'object') ? w.word : w)
-        .map(x => String(x || '').trim())
-        .filter(Boolean);
-    }
-    await child.save();
+const planChildId = (req) => req.exercise.child;
+
+const conflict = (res) => res.status(409).json({
+  success: false,
+  message: 'The plan was changed by someone else, reload it and try again'
+});
+
+// The plan version the client edited: `If-Match: "3"` or { version: 3 }.
+// null when not sent, NaN when malformed.
+function expectedVersionOf(req) {
+  const header = req.get('If-Match');
+  const raw = header !== undefined
+    ? String(header).replace(/^W\//, '').replace(/"/g, '').trim()
+    : req.body?.version;
+  if (raw === undefined || raw === null || raw === '') return null;
+  const version = Number(raw);
+  return Number.isInteger(version) && version >= 1 ? version : NaN;
+}
+
+// Rejects writes that don't say which version they were made against, so
+// two editors can't silently overwrite each other
+function requireExpectedVersion(req, res, next) {
+  const expectedVersion = expectedVersionOf(req);
+  if (expectedVersion === null) {
+    return res.status(428).json({
+      success: false,
+      message: 'Send the plan version you edited (If-Match header or version field)',
+      currentVersion: req.exercise.version || 1
+    });
+  }
+  if (Number.isNaN(expectedVersion)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid plan version'
+    });
+  }
+  req.expectedVersion = expectedVersion;
+  next();
+}
+
+// @route   POST /api/exercises
+// @desc    Create exercise plan for child
+// @access  Private (Assigned specialist, center admin)
+router.post('/', protect, authorizeChild(ACTIONS.PLAN_WRITE), async (req, res) => {
+  try {
+    const { letters, words, targetDuration, endDate, sessionName } = req.body;
+    const child = req.child;
+
+    const exercise = await createPlan(child, { letters, words, targetDuration, endDate, sessionName }, {
+      author: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'exercise.create',
+      targetModel: 'Exercise',
+      targetId: exercise._id,
+      child,
+      after: exercise
+    });
 
     res.status(201).json({
       success: true,
@@ -82,32 +117,8 @@ router.post('/', protect, authorize('specialist'), async (req, res) => {
 // @route   GET /api/exercises/child/:childId
 // @desc    Get exercises for a child
 // @access  Private
-router.get('/child/:childId', protect, async (req, res) => {
+router.get('/child/:childId', allowDevice, protect, authorizeChild(ACTIONS.PLAN_READ), async (req, res) => {
   try {
-    const child = await Child.findById(req.params.childId);
-
-    if (!child) {
-      return res.status(404).json({
-        success: false,
-        message: 'Child not found'
-      });
-    }
-
-    // Check authorization
-    if (req.user.role === 'parent' && child.parent.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
-
-    if (req.user.role === 'specialist' && (!child.assignedSpecialist || child.assignedSpecialist.toString() !== req.user.id)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
-
     const includeInactive = String(req.query.includeInactive || '').toLowerCase() === '1'
       || String(req.query.includeInactive || '').toLowerCase() === 'true';
 
@@ -132,34 +143,188 @@ router.get('/child/:childId', protect, async (req, res) => {
 });
 
 // @route   PUT /api/exercises/:id
-// @desc    Update exercise plan
-// @access  Private (Specialist)
-router.put('/:id', protect, authorize('specialist'), async (req, res) => {
+// @desc    Update a plan (letters, words, targetDuration, endDate,
+//          sessionName); every change is kept as a new version. The version
+//          the edit was made against goes in If-Match or `version`.
+// @access  Private (Assigned specialist, center admin)
+router.put('/:id', protect, loadPlan, authorizeChild(ACTIONS.PLAN_WRITE, planChildId), requireExpectedVersion, async (req, res) => {
   try {
-    let exercise = await Exercise.findById(req.params.id);
+    const { version, ...body } = req.body;
+    const { changes, errors } = validatePlanUpdate(body, req.exercise);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid plan update',
+        errors
+      });
+    }
 
-    if (!exercise) {
+    const before = req.exercise.toObject();
+    const result = await applyPlanChange(req.exercise, changes, {
+      author: req.user._id,
+      child: req.child,
+      expectedVersion: req.expectedVersion
+    });
+    if (result.conflict) return conflict(res);
+
+    await recordAudit(req, {
+      action: 'exercise.update',
+      targetModel: 'Exercise',
+      targetId: result.exercise._id,
+      child: req.child,
+      before,
+      after: result.exercise,
+      metadata: { version: result.version.version }
+    });
+
+    res.json({
+      success: true,
+      exercise: result.exercise
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/exercises/:id/versions
+// @desc    Version history of a plan, newest first
+// @access  Private
+router.get('/:id/versions', protect, loadPlan, authorizeChild(ACTIONS.PLAN_READ, planChildId), async (req, res) => {
+  try {
+    const versions = await listVersions(req.exercise._id);
+
+    res.json({
+      success: true,
+      currentVersion: req.exercise.version || 1,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/exercises/:id/versions/diff?from=&to=
+// @desc    Differences between two versions (default: previous -> current)
+// @access  Private
+router.get('/:id/versions/diff', protect, loadPlan, authorizeChild(ACTIONS.PLAN_READ, planChildId), async (req, res) => {
+  try {
+    const current = req.exercise.version || 1;
+    const to = req.query.to !== undefined ? Number(req.query.to) : current;
+    const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+    if (![from, to].every(n => Number.isInteger(n) && n >= 1 && n <= current)) {
+      return res.status(400).json({
+        success: false,
+        message: `from and to must be versions between 1 and ${current}`
+      });
+    }
+
+    const [before, after] = await Promise.all([getVersion(req.exercise, from), getVersion(req.exercise, to)]);
+    if (!before || !after) {
       return res.status(404).json({
         success: false,
-        message: 'Exercise not found'
+        message: 'Version not found'
       });
     }
 
-    if (exercise.specialist.toString() !== req.user.id) {
-      return res.status(403).json({
+    res.json({
+      success: true,
+      from,
+      to,
+      changes: diffVersions(before, after)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/exercises/:id/versions/:version
+// @desc    The plan content at one version
+// @access  Private
+router.get('/:id/versions/:version', allowDevice, protect, loadPlan, authorizeChild(ACTIONS.PLAN_READ, planChildId), async (req, res) => {
+  try {
+    const version = await getVersion(req.exercise, Number(req.params.version));
+    if (!version) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized'
+        message: 'Version not found'
       });
     }
 
-    exercise = await Exercise.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
+    res.json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/exercises/:id/versions/:version/restore
+// @desc    Make an older version current again (recorded as a new version);
+//          the current version goes in If-Match or `version`
+// @access  Private (Assigned specialist, center admin)
+router.post('/:id/versions/:version/restore', protect, loadPlan, authorizeChild(ACTIONS.PLAN_WRITE, planChildId), requireExpectedVersion, async (req, res) => {
+  try {
+    const versionNumber = Number(req.params.version);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid version'
+      });
+    }
+    if (versionNumber === (req.exercise.version || 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This version is already current'
+      });
+    }
+
+    const before = snapshotOf(req.exercise);
+    const result = await restoreVersion(req.exercise, versionNumber, {
+      author: req.user._id,
+      child: req.child,
+      expectedVersion: req.expectedVersion
+    });
+    if (result.notFound) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+    if (result.conflict) return conflict(res);
+
+    await recordAudit(req, {
+      action: 'exercise.restore',
+      targetModel: 'Exercise',
+      targetId: result.exercise._id,
+      child: req.child,
+      before,
+      after: snapshotOf(result.exercise),
+      metadata: { restoredFrom: versionNumber, version: result.version.version }
     });
 
     res.json({
       success: true,
-      exercise
+      exercise: result.exercise
     });
   } catch (error) {
     res.status(500).json({
@@ -171,8 +336,8 @@ router.put('/:id', protect, authorize('specialist'), async (req, res) => {
 
 // @route   DELETE /api/exercises/:id
 // @desc    Deactivate exercise plan
-// @access  Private (Specialist)
-router.delete('/:id', protect, authorize('specialist'), async (req, res) => {
+// @access  Private (Assigned specialist, center admin)
+router.delete('/:id', protect, async (req, res) => {
   try {
     const exercise = await Exercise.findById(req.params.id);
 
@@ -183,7 +348,8 @@ router.delete('/:id', protect, authorize('specialist'), async (req, res) => {
       });
     }
 
-    if (exercise.specialist.toString() !== req.user.id) {
+    const child = await Child.findById(exercise.child);
+    if (!child || !(await canAccessChild(req.user, ACTIONS.PLAN_WRITE, child))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -193,6 +359,15 @@ router.delete('/:id', protect, authorize('specialist'), async (req, res) => {
     exercise.active = false;
     await exercise.save();
 
+    await recordAudit(req, {
+      action: 'exercise.deactivate',
+      targetModel: 'Exercise',
+      targetId: exercise._id,
+      child,
+      before: { active: true },
+      after: { active: false }
+    });
+
     res.json({
       success: true,
       message: 'Exercise deactivated'
@@ -205,44 +380,26 @@ router.delete('/:id', protect, authorize('specialist'), async (req, res) => {
   }
 });
 
-// @route   GET /api/exercises/letters/default
-// @desc    Get default Arabic letters with articulation points
+// Center whose catalogue additions and overrides apply (?centerId=)
+const catalogCenter = (req) => (
+  mongoose.Types.ObjectId.isValid(req.query.centerId) ? req.query.centerId : null
+);
+
+// @route   GET /api/exercises/letters/default?centerId=&category=&dialect=
+// @desc    Get default Arabic letters with articulation points (global
+//          catalogue, merged with the center's entries when centerId is given)
 // @access  Public
 router.get('/letters/default', async (req, res) => {
   try {
-    const defaultLetters = [
-      { letter: 'ب', articulationPoint: 'الشفتان', vowels: ['بَ', 'بِ', 'بُ', 'بْ'] },
-      { letter: 'ت', articulationPoint: 'طرف اللسان مع أصول الثنايا العليا', vowels: ['تَ', 'تِ', 'تُ', 'تْ'] },
-      { letter: 'ث', articulationPoint: 'طرف اللسان مع أطراف الثنايا العليا', vowels: ['ثَ', 'ثِ', 'ثُ', 'ثْ'] },
-      { letter: 'ج', articulationPoint: 'وسط اللسان مع الحنك الصلب', vowels: ['جَ', 'جِ', 'جُ', 'جْ'] },
-      { letter: 'ح', articulationPoint: 'وسط الحلق', vowels: ['حَ', 'حِ', 'حُ', 'حْ'] },
-      { letter: 'خ', articulationPoint: 'أدنى الحلق', vowels: ['خَ', 'خِ', 'خُ', 'خْ'] },
-      { letter: 'د', articulationPoint: 'طرف اللسان مع أصول الثنايا العليا', vowels: ['دَ', 'دِ', 'دُ', 'دْ'] },
-      { letter: 'ذ', articulationPoint: 'طرف اللسان مع أطراف الثنايا العليا', vowels: ['ذَ', 'ذِ', 'ذُ', 'ذْ'] },
-      { letter: 'ر', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['رَ', 'رِ', 'رُ', 'رْ'] },
-      { letter: 'ز', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['زَ', 'زِ', 'زُ', 'زْ'] },
-      { letter: 'س', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['سَ', 'سِ', 'سُ', 'سْ'] },
-      { letter: 'ش', articulationPoint: 'وسط اللسان مع الحنك الصلب', vowels: ['شَ', 'شِ', 'شُ', 'شْ'] },
-      { letter: 'ص', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['صَ', 'صِ', 'صُ', 'صْ'] },
-      { letter: 'ض', articulationPoint: 'حافة اللسان مع الأضراس العليا', vowels: ['ضَ', 'ضِ', 'ضُ', 'ضْ'] },
-      { letter: 'ط', articulationPoint: 'طرف اللسان مع أصول الثنايا العليا', vowels: ['طَ', 'طِ', 'طُ', 'طْ'] },
-      { letter: 'ظ', articulationPoint: 'طرف اللسان مع أطراف الثنايا العليا', vowels: ['ظَ', 'ظِ', 'ظُ', 'ظْ'] },
-      { letter: 'ع', articulationPoint: 'وسط الحلق', vowels: ['عَ', 'عِ', 'عُ', 'عْ'] },
-      { letter: 'غ', articulationPoint: 'أدنى الحلق', vowels: ['غَ', 'غِ', 'غُ', 'غْ'] },
-      { letter: 'ف', articulationPoint: 'الشفة السفلى مع الثنايا العليا', vowels: ['فَ', 'فِ', 'فُ', 'فْ'] },
-      { letter: 'ق', articulationPoint: 'أقصى اللسان مع الحنك الرخو', vowels: ['قَ', 'قِ', 'قُ', 'قْ'] },
-      { letter: 'ك', articulationPoint: 'أقصى اللسان مع الحنك الرخو', vowels: ['كَ', 'كِ', 'كُ', 'كْ'] },
-      { letter: 'ل', articulationPoint: 'حافة اللسان مع اللثة العليا', vowels: ['لَ', 'لِ', 'لُ', 'لْ'] },
-      { letter: 'م', articulationPoint: 'الشفتان', vowels: ['مَ', 'مِ', 'مُ', 'مْ'] },
-      { letter: 'ن', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['نَ', 'نِ', 'نُ', 'نْ'] },
-      { letter: 'ه', articulationPoint: 'أقصى الحلق', vowels: ['هَ', 'هِ', 'هُ', 'هْ'] },
-      { letter: 'و', articulationPoint: 'الشفتان', vowels: ['وَ', 'وِ', 'وُ', 'وْ'] },
-      { letter: 'ي', articulationPoint: 'وسط اللسان مع الحنك الصلب', vowels: ['يَ', 'يِ', 'يُ', 'يْ'] }
-    ];
+    const letters = await getCatalog('letter', {
+      center: catalogCenter(req),
+      category: req.query.category,
+      dialect: req.query.dialect
+    });
 
     res.json({
       success: true,
-      letters: defaultLetters
+      letters
     });
   } catch (error) {
     res.status(500).json({
@@ -252,40 +409,21 @@ router.get('/letters/default', async (req, res) => {
   }
 });
 
-// @route   GET /api/exercises/words/default
-// @desc    Get default Libyan dialect words
+// @route   GET /api/exercises/words/default?centerId=&category=&dialect=
+// @desc    Get default Libyan dialect words (global catalogue, merged with
+//          the center's entries when centerId is given)
 // @access  Public
 router.get('/words/default', async (req, res) => {
   try {
-    const defaultWords = [
-      // Emotions
-      { word: 'فرحان', translation: 'Happy', category: 'emotions' },
-      { word: 'حزين', translation: 'Sad', category: 'emotions' },
-      { word: 'خايف', translation: 'Scared', category: 'emotions' },
-      { word: 'زعلان', translation: 'Upset', category: 'emotions' },
-      
-      // Basic needs
-      { word: 'جعان', translation: 'Hungry', category: 'needs' },
-      { word: 'عطشان', translation: 'Thirsty', category: 'needs' },
-      { word: 'نعسان', translation: 'Sleepy', category: 'needs' },
-      { word: 'تعبان', translation: 'Tired', category: 'needs' },
-      
-      // Actions
-      { word: 'ماشي', translation: 'Walking', category: 'actions' },
-      { word: 'راكض', translation: 'Running', category: 'actions' },
-      { word: 'قاعد', translation: 'Sitting', category: 'actions' },
-      { word: 'واقف', translation: 'Standing', category: 'actions' },
-      
-      // Family
-      { word: 'بابا', translation: 'Dad', category: 'family' },
-      { word: 'ماما', translation: 'Mom', category: 'family' },
-      { word: 'خويا', translation: 'Brother', category: 'family' },
-      { word: 'ختي', translation: 'Sister', category: 'family' }
-    ];
+    const words = await getCatalog('word', {
+      center: catalogCenter(req),
+      category: req.query.category,
+      dialect: req.query.dialect
+    });
 
     res.json({
       success: true,
-      words: defaultWords
+      words
     });
   } catch (error) {
     res.status(500).json({
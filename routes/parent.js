@@ -5,6 +5,8 @@ const LinkRequest = require('../models/LinkRequest');
 const Notification = require('../models/Notification');
 const Child = require('../models/Child');
 const { protect, authorize } = require('../middleware/auth');
+const { ACTIONS, canAccessChild } = require('../services/policy');
+const { recordAudit } = require('../services/auditService');
 
 // @route   GET /api/parents/search-specialists
 // @desc    Search for specialists by name or specialization
@@ -123,7 +125,7 @@ router.post('/send-link-request', protect, authorize('parent'), async (req, res)
 
         // Check if child exists and belongs to parent
         const child = await Child.findById(childId);
-        if (!child || child.parent.toString() !== req.user.id) {
+        if (!child || !(await canAccessChild(req.user, ACTIONS.CHILD_UPDATE, child))) {
             return res.status(404).json({
                 success: false,
                 message: 'Child not found'
@@ -167,6 +169,16 @@ router.post('/send-link-request', protect, authorize('parent'), async (req, res)
         child.specialistRequestStatus = 'pending';
         await child.save();
 
+        await recordAudit(req, {
+            action: 'link_request.create',
+            targetModel: 'LinkRequest',
+            targetId: linkRequest._id,
+            child,
+            center: specialist.center,
+            after: linkRequest,
+            metadata: { specialistId }
+        });
+
         // Populate the response
         await linkRequest.populate('to', 'name email specialization');
 
@@ -237,6 +249,14 @@ router.delete('/cancel-request/:requestId', protect, authorize('parent'), async
 
         await LinkRequest.findByIdAndDelete(req.params.requestId);
 
+        await recordAudit(req, {
+            action: 'link_request.cancel',
+            targetModel: 'LinkRequest',
+            targetId: request._id,
+            child: request.child || null,
+            before: request
+        });
+
         res.json({
             success: true,
             message: 'Request cancelled successfully'
@@ -404,6 +424,16 @@ router.delete('/unlink-specialist', protect, authorize('parent'), async (req, re
             });
         }
 
+        await recordAudit(req, {
+            action: 'user.unlink_specialist',
+            targetModel: 'User',
+            targetId: parent._id,
+            center: (await User.findById(specialistId).select('center'))?.center,
+            before: { linkedSpecialist: specialistId },
+            after: { linkedSpecialist: null },
+            metadata: { detachedChildren: childIds }
+        });
+
         // 4. Notify the specialist that the parent cancelled the link
         try {
             await Notification.create({
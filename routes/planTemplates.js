@@ -0,0 +1,303 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PlanTemplate = require('../models/PlanTemplate');
+const Exercise = require('../models/Exercise');
+const Child = require('../models/Child');
+const { protect, authorize } = require('../middleware/auth');
+const { ACTIONS, canAccessChild } = require('../services/policy');
+const { recordAudit } = require('../services/auditService');
+const {
+  MAX_INSTANTIATE_CHILDREN,
+  validateTemplate,
+  canViewTemplate,
+  canManageTemplate,
+  searchTemplates,
+  fromPlan,
+  instantiateTemplate
+} = require('../services/planTemplateService');
+
+const STAFF_ROLES = ['specialist', 'admin', 'superadmin'];
+
+// Loads a template the user may see
+async function loadTemplate(req, res, next) {
+  try {
+    const template = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PlanTemplate.findById(req.params.id)
+      : null;
+
+    if (!template || template.archived || !canViewTemplate(req.user, template)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    req.template = template;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+function requireManage(req, res, next) {
+  if (!canManageTemplate(req.user, req.template)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+  next();
+}
+
+// @route   POST /api/plan-templates
+// @desc    Save a plan template, typed in or copied from an existing plan
+//          (fromExerciseId); visibility 'center' shares it with the center
+// @access  Private (Specialist, admin)
+router.post('/', protect, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { values, errors } = validateTemplate(req.body);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template',
+        errors
+      });
+    }
+
+    let source = {};
+    if (req.body.fromExerciseId) {
+      const exercise = mongoose.Types.ObjectId.isValid(req.body.fromExerciseId)
+        ? await Exercise.findOne({ _id: req.body.fromExerciseId, kind: 'plan' })
+        : null;
+      const child = exercise ? await Child.findById(exercise.child) : null;
+      if (!exercise || !child) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exercise not found'
+        });
+      }
+      if (!(await canAccessChild(req.user, ACTIONS.PLAN_READ, child))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized'
+        });
+      }
+      source = fromPlan(exercise);
+    }
+
+    if (values.visibility === 'center' && !req.user.center) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not assigned to a center, the template can only be private'
+      });
+    }
+
+    const template = await PlanTemplate.create({
+      ...source,
+      ...values,
+      owner: req.user._id,
+      center: req.user.center || null
+    });
+
+    await recordAudit(req, {
+      action: 'template.create',
+      targetModel: 'PlanTemplate',
+      targetId: template._id,
+      after: template
+    });
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/plan-templates?q=&tag=&scope=mine|center|all&page=&limit=
+// @desc    Browse and search the user's templates and the center library
+// @access  Private (Specialist, admin)
+router.get('/', protect, authorize(...STAFF_ROLES), async (req, res) => {
+  try {
+    const result = await searchTemplates(req.user, req.query);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/plan-templates/:id
+// @desc    One template
+// @access  Private (Specialist, admin)
+router.get('/:id', protect, authorize(...STAFF_ROLES), loadTemplate, async (req, res) => {
+  try {
+    await req.template.populate('owner', 'name specialization');
+
+    res.json({
+      success: true,
+      template: req.template
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/plan-templates/:id
+// @desc    Update a template (plans already created from it are not changed)
+// @access  Private (Owner, center admin)
+router.put('/:id', protect, authorize(...STAFF_ROLES), loadTemplate, requireManage, async (req, res) => {
+  try {
+    if (req.body.fromExerciseId !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'fromExerciseId can only be used when creating a template'
+      });
+    }
+
+    const { values, errors } = validateTemplate(req.body, { partial: true });
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template',
+        errors
+      });
+    }
+
+    const template = req.template;
+    if (values.visibility === 'center' && !template.center) {
+      return res.status(400).json({
+        success: false,
+        message: 'The template has no center, it can only be private'
+      });
+    }
+
+    const before = template.toObject();
+    template.set(values);
+    await template.save();
+
+    await recordAudit(req, {
+      action: 'template.update',
+      targetModel: 'PlanTemplate',
+      targetId: template._id,
+      center: template.center,
+      before,
+      after: template
+    });
+
+    res.json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/plan-templates/:id
+// @desc    Remove a template from the library (archived, plans made from it stay)
+// @access  Private (Owner, center admin)
+router.delete('/:id', protect, authorize(...STAFF_ROLES), loadTemplate, requireManage, async (req, res) => {
+  try {
+    req.template.archived = true;
+    await req.template.save();
+
+    await recordAudit(req, {
+      action: 'template.archive',
+      targetModel: 'PlanTemplate',
+      targetId: req.template._id,
+      center: req.template.center,
+      before: { archived: false },
+      after: { archived: true }
+    });
+
+    res.json({
+      success: true,
+      message: 'Template removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/plan-templates/:id/instantiate
+// @desc    Create a plan from the template for one or many children
+//          ({ childIds: [...], sessionName? }); each child's targets are
+//          updated as with POST /api/exercises
+// @access  Private (Specialist, admin)
+router.post('/:id/instantiate', protect, authorize(...STAFF_ROLES), loadTemplate, async (req, res) => {
+  try {
+    const childIds = Array.isArray(req.body.childIds)
+      ? req.body.childIds
+      : (req.body.childId ? [req.body.childId] : []);
+
+    if (!childIds.length || childIds.length > MAX_INSTANTIATE_CHILDREN) {
+      return res.status(400).json({
+        success: false,
+        message: `childIds must list 1-${MAX_INSTANTIATE_CHILDREN} children`
+      });
+    }
+    if (req.body.sessionName !== undefined && (typeof req.body.sessionName !== 'string' || !req.body.sessionName.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'sessionName must be a non-empty string'
+      });
+    }
+
+    const results = await instantiateTemplate(req.template, childIds, req.user, {
+      sessionName: req.body.sessionName ? req.body.sessionName.trim() : null
+    });
+
+    for (const result of results.filter(r => r.status === 'created')) {
+      await recordAudit(req, {
+        action: 'exercise.create',
+        targetModel: 'Exercise',
+        targetId: result.exercise._id,
+        child: result.child,
+        after: result.exercise,
+        metadata: { template: req.template._id }
+      });
+    }
+
+    const created = results.filter(r => r.status === 'created').length;
+    res.status(created ? 201 : 400).json({
+      success: created > 0,
+      created,
+      results: results.map(r => ({
+        childId: r.childId,
+        status: r.status,
+        exercise: r.exercise || undefined
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
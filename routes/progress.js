@@ -1,47 +1,97 @@
 const express = require('express');
 const router = express.Router();
 const Progress = require('../models/Progress');
-const Child = require('../models/Child');
-const { protect } = require('../middleware/auth');
+const ClinicalNote = require('../models/ClinicalNote');
+const { allowDevice, protect, authorize, authorizeChild } = require('../middleware/auth');
+const { ACTIONS } = require('../services/policy');
+const { familyTimeZone, checkSession, isEnforced } = require('../services/playScheduleService');
+const { notifyUser } = require('../services/notificationService');
+const { recordAudit } = require('../services/auditService');
+const { buildReportData, renderReportHtml, renderReportPdf } = require('../services/reportService');
+const {
+  parseExportOptions,
+  resolveScopeFilter,
+  loadChildren,
+  createExportStream
+} = require('../services/exportService');
+const {
+  clamp01,
+  getOrCreateProgress,
+  buildSessionDocs,
+  saveNewSession,
+  findSessionsWithAttempts,
+  recentSessions
+} = require('../services/progressService');
+const { thresholds, getMastery } = require('../services/masteryService');
+const { refreshAdaptiveSafely } = require('../services/adaptiveService');
+const { parseWindow, getArticulationReport } = require('../services/articulationService');
+const {
+  BUCKET_INTERVALS,
+  WEEK_STARTS,
+  parseProgressQuery,
+  pageSessions,
+  pageAttempts,
+  progressBuckets
+} = require('../services/progressQueryService');
+const {
+  SYNC_STATUS,
+  MAX_BATCH_SIZE,
+  applySyncBatch,
+  settledCursor,
+  parseSyncCursor,
+  parsePullLimit,
+  sessionsSince
+} = require('../services/progressSyncService');
+
+// Tell the parent that the child played (or tried to) outside the allowed
+// schedule. Best-effort: never fails the sync.
+async function notifyScheduleViolation(req, child, { rejected, flagged }) {
+  try {
+    const count = rejected + flagged;
+    await notifyUser(req.app.get('io'), child.parent, {
+      type: 'warning',
+      title: 'جلسة خارج الوقت المسموح', // Session outside allowed play time
+      message: rejected
+        ? `حاول طفلك ${child.name} اللعب خارج الجدول أو بعد انتهاء الوقت اليومي (${count} جلسة)، ولم يتم قبول الجلسة.`
+        : `لعب طفلك ${child.name} خارج الجدول أو بعد انتهاء الوقت اليومي (${count} جلسة).`,
+      data: {
+        kind: 'play_schedule_violation',
+        childId: child._id,
+        rejected,
+        flagged
+      }
+    });
+  } catch (error) {
+    console.error('❌ Failed to notify parent about schedule violation:', error.message);
+  }
+}
+
+// Stream an export of `children` into the response. Headers are already sent
+// when rows start flowing, so a failure midway can only cut the download.
+function sendExport(res, children, options, name) {
+  const { stream, contentType, extension } = createExportStream(children, options);
+  const suffix = options.pseudonymize ? '-pseudonymized' : '';
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}${suffix}-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+  stream.on('error', (error) => {
+    console.error('❌ Export failed:', error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
 
 // @route   GET /api/progress/child/:childId
 // @desc    Get progress for a child
 // @access  Private
-router.get('/child/:childId', protect, async (req, res) => {
+router.get('/child/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
   try {
-    const child = await Child.findById(req.params.childId);
-
-    if (!child) {
-      return res.status(404).json({
-        success: false,
-        message: 'Child not found'
-      });
-    }
-
-    // Check authorization
-    if (req.user.role === 'parent' && child.parent.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
-
-    if (req.user.role === 'specialist' && (!child.assignedSpecialist || child.assignedSpecialist.toString() !== req.user.id)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
-
-    let progress = await Progress.findOne({ child: req.params.childId }).populate('child');
-
-    if (!progress) {
-      progress = await Progress.create({ child: req.params.childId });
-    }
+    await getOrCreateProgress(req.params.childId);
+    const progress = await Progress.findOne({ child: req.params.childId }).populate('child');
+    const sessions = await findSessionsWithAttempts({ child: req.params.childId });
 
     res.json({
       success: true,
-      progress
+      progress: { ...progress.toObject(), sessions }
     });
   } catch (error) {
     res.status(500).json({
@@ -53,26 +103,49 @@ router.get('/child/:childId', protect, async (req, res) => {
 
 // @route   POST /api/progress/session
 // @desc    Add a new session
-// @access  Private (used by child app)
-router.post('/session', protect, async (req, res) => {
+// @access  Private (Parent, used by child app)
+router.post('/session', allowDevice, protect, authorizeChild(ACTIONS.PROGRESS_WRITE), async (req, res) => {
   try {
     const { childId, sessionData } = req.body;
 
-    let progress = await Progress.findOne({ child: childId });
-
-    if (!progress) {
-      progress = await Progress.create({ child: childId });
+    const docs = buildSessionDocs(req.child._id, sessionData);
+    if (docs.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session data',
+        errors: docs.errors
+      });
     }
 
-    progress.sessions.push(sessionData);
-    progress.updateOverallStats();
-    progress.lastSyncDate = new Date();
+    const timeZone = await familyTimeZone(req.child);
+    const since = new Date(new Date(docs.session.sessionDate).getTime() - 24 * 60 * 60 * 1000);
+    const played = await recentSessions(childId, since);
+    const violations = checkSession(req.child, docs.session, { timeZone, sessions: played });
+
+    if (violations.length) {
+      const enforced = isEnforced(req.child);
+      await notifyScheduleViolation(req, req.child, { rejected: enforced ? 1 : 0, flagged: enforced ? 0 : 1 });
+
+      if (enforced) {
+        return res.status(403).json({
+          success: false,
+          code: 'PLAY_NOT_ALLOWED',
+          message: 'Session is outside the allowed play schedule or daily limit',
+          violations
+        });
+      }
+    }
 
-    await progress.save();
+    // Stamped like a sync write, so devices pulling with a cursor receive it
+    await saveNewSession(docs, { syncedAt: new Date(), scheduleViolations: violations });
+    await refreshAdaptiveSafely(req.child._id);
+    const progress = await Progress.findOne({ child: childId });
 
     res.json({
       success: true,
-      progress
+      progress,
+      sessionId: docs.session._id,
+      attemptIds: docs.attempts.map(a => a._id)
     });
   } catch (error) {
     res.status(500).json({
@@ -83,32 +156,55 @@ router.post('/session', protect, async (req, res) => {
 });
 
 // @route   POST /api/progress/sync
-// @desc    Sync local progress data from child app
-// @access  Private
-router.post('/sync', protect, async (req, res) => {
+// @desc    Sync local progress data from child app. Sessions with a
+//          clientSessionId are upserted, so retrying a sync is safe; every
+//          item gets its own acknowledgement in `results`.
+// @access  Private (Parent or paired device)
+router.post('/sync', allowDevice, protect, authorizeChild(ACTIONS.PROGRESS_WRITE), async (req, res) => {
   try {
     const { childId, sessions } = req.body;
 
-    let progress = await Progress.findOne({ child: childId });
+    if (!Array.isArray(sessions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'sessions must be an array'
+      });
+    }
 
-    if (!progress) {
-      progress = await Progress.create({ child: childId });
+    if (sessions.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `A sync may contain at most ${MAX_BATCH_SIZE} sessions`
+      });
     }
 
-    // Add new sessions
-    sessions.forEach(session => {
-      progress.sessions.push(session);
+    // Sessions that break an enforced schedule are rejected, otherwise they
+    // are stored with their violations flagged.
+    const timeZone = await familyTimeZone(req.child);
+    const syncedAt = new Date();
+    const summary = await applySyncBatch(req.child, sessions, {
+      timeZone,
+      enforced: isEnforced(req.child),
+      now: syncedAt
     });
 
-    progress.updateOverallStats();
-    progress.lastSyncDate = new Date();
+    if (summary.rejected || summary.flagged) {
+      await notifyScheduleViolation(req, req.child, { rejected: summary.rejected, flagged: summary.flagged });
+    }
+
+    const changed = summary.created + summary.updated > 0;
+    if (changed) await refreshAdaptiveSafely(req.child._id);
 
-    await progress.save();
+    const progress = await getOrCreateProgress(childId);
+    if (progress.lastSyncDate < syncedAt) {
+      progress.lastSyncDate = syncedAt;
+      await progress.save();
+    }
 
     // 🔔 Create Notification for Parent
     try {
-      const child = await Child.findById(childId).select('name parent');
-      if (child && child.parent) {
+      const child = req.child;
+      if (summary.created && child && child.parent) {
         const Notification = require('../models/Notification');
         await Notification.create({
           recipient: child.parent,
@@ -127,7 +223,7 @@ router.post('/sync', protect, async (req, res) => {
 
     // 🚀 Real-time Update: Emit event to all connected clients (Portal & App)
     const io = req.app.get('io');
-    if (io) {
+    if (io && changed) {
       io.emit('progress_updated', {
         childId,
         message: 'New progress data synced',
@@ -139,7 +235,18 @@ router.post('/sync', protect, async (req, res) => {
     res.json({
       success: true,
       message: 'Progress synced successfully',
-      progress
+      progress,
+      results: summary.results,
+      summary: {
+        created: summary.created,
+        updated: summary.updated,
+        unchanged: summary.results.filter(r => r.status === SYNC_STATUS.UNCHANGED).length,
+        invalid: summary.results.filter(r => r.status === SYNC_STATUS.INVALID).length,
+        rejected: summary.rejected
+      },
+      // Also returns this batch once more on the next pull, so nothing
+      // written concurrently is skipped
+      cursor: settledCursor(syncedAt)
     });
   } catch (error) {
     res.status(500).json({
@@ -149,35 +256,48 @@ router.post('/sync', protect, async (req, res) => {
   }
 });
 
-// @route   GET /api/progress/stats/:childId
-// @desc    Get statistics summary for a child
-// @access  Private
-router.get('/stats/:childId', protect, async (req, res) => {
+// @route   GET /api/progress/sync/:childId?since=<cursor>&limit=
+// @desc    Sessions the server received after the cursor returned by a previous
+//          sync or pull (all sessions without `since`), oldest first, plus a
+//          new cursor. Pull again with it while `hasMore` is true. Delivery is
+//          at-least-once: a session may come back, match it by clientSessionId.
+// @access  Private (Parent or paired device)
+router.get('/sync/:childId', allowDevice, protect, authorizeChild(ACTIONS.PROGRESS_WRITE), async (req, res) => {
   try {
-    const child = await Child.findById(req.params.childId);
-
-    if (!child) {
-      return res.status(404).json({
+    const since = parseSyncCursor(req.query.since);
+    if (since === undefined) {
+      return res.status(400).json({
         success: false,
-        message: 'Child not found'
+        message: 'since must be the cursor of a previous sync'
       });
     }
 
-    // Check authorization
-    if (req.user.role === 'parent' && child.parent.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+    const limit = parsePullLimit(req.query.limit);
+    const progress = await Progress.findOne({ child: req.params.childId }).select('overallStats').lean();
+    const page = await sessionsSince(req.params.childId, since, { limit });
 
-    if (req.user.role === 'specialist' && (!child.assignedSpecialist || child.assignedSpecialist.toString() !== req.user.id)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+    res.json({
+      success: true,
+      count: page.sessions.length,
+      sessions: page.sessions,
+      overallStats: progress?.overallStats || null,
+      cursor: page.cursor,
+      hasMore: page.hasMore,
+      limit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
 
+// @route   GET /api/progress/stats/:childId
+// @desc    Get statistics summary for a child
+// @access  Private
+router.get('/stats/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
+  try {
     const progress = await Progress.findOne({ child: req.params.childId });
 
     if (!progress) {
@@ -205,71 +325,158 @@ router.get('/stats/:childId', protect, async (req, res) => {
   }
 });
 
-// @route   GET /api/progress/sessions/:childId
-// @desc    Get detailed sessions data for charts
+// @route   GET /api/progress/sessions/:childId?from=&to=&planExerciseId=&planSessionIndex=&target=&targetType=&success=&limit=&order=&cursor=
+// @desc    Sessions for charts, a page at a time (30 by default, newest page
+//          first). Each page is returned oldest first; pass
+//          pagination.nextCursor back as ?cursor= for the next page.
+//          target/success keep sessions with at least one matching attempt.
 // @access  Private
-router.get('/sessions/:childId', protect, async (req, res) => {
+router.get('/sessions/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
   try {
-    const clamp01 = (n) => {
-      const x = Number(n);
-      if (!Number.isFinite(x)) return 0;
-      return Math.max(0, Math.min(100, x));
-    };
+    const options = parseProgressQuery(req.query, { kind: 'sessions' });
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
+      });
+    }
 
-    const child = await Child.findById(req.params.childId);
+    const { items, pagination } = await pageSessions(req.params.childId, options);
+    const chronological = options.order === 'desc' ? [...items].reverse() : items;
+
+    const sessions = chronological.map(session => ({
+      sessionId: session._id,
+      sessionDate: session.sessionDate,
+      duration: session.duration || 0,
+      planExerciseId: session.planExerciseId || null,
+      planSessionIndex: typeof session.planSessionIndex === 'number' ? session.planSessionIndex : null,
+      planSessionName: session.planSessionName || null,
+      totalAttempts: session.totalAttempts || 0,
+      successfulAttempts: session.successfulAttempts || 0,
+      failedAttempts: session.failedAttempts || 0,
+      averageScore: clamp01(session.averageScore || 0),
+      successRate: session.totalAttempts > 0
+        ? clamp01((session.successfulAttempts / session.totalAttempts) * 100)
+        : 0
+    }));
 
-    if (!child) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      sessions,
+      pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/progress/attempts/:childId?from=&to=&planExerciseId=&planSessionIndex=&target=&targetType=&success=&limit=&order=&cursor=
+// @desc    Attempts (flattened across sessions), newest first by default,
+//          a page at a time (50 by default, at most 200)
+// @access  Private
+router.get('/attempts/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
+  try {
+    const options = parseProgressQuery(req.query, { kind: 'attempts' });
+    if (options.error) {
+      return res.status(400).json({
         success: false,
-        message: 'Child not found'
+        message: options.error
       });
     }
 
-    // Check authorization
-    if (req.user.role === 'parent' && child.parent.toString() !== req.user.id) {
-      return res.status(403).json({
+    const { items, pagination } = await pageAttempts(req.params.childId, options);
+
+    const attempts = items.map(a => {
+      const target = a.word || a.letter || a.vowel || '';
+      return {
+        attemptId: a._id,
+        sessionId: a.session,
+        sessionDate: a.sessionDate,
+        timestamp: a.timestamp,
+        target,
+        letter: a.letter,
+        word: a.word,
+        vowel: a.vowel,
+        success: !!a.success,
+        // prefer detailed field if provided; fall back to score
+        score: typeof a.score === 'number' ? a.score : undefined,
+        pronunciationScore: typeof a.pronunciationScore === 'number' ? a.pronunciationScore : undefined,
+        accuracyScore: typeof a.accuracyScore === 'number' ? a.accuracyScore : undefined,
+        fluencyScore: typeof a.fluencyScore === 'number' ? a.fluencyScore : undefined,
+        completenessScore: typeof a.completenessScore === 'number' ? a.completenessScore : undefined,
+        recognizedText: a.recognizedText,
+        referenceText: a.referenceText,
+        analysisSource: a.analysisSource,
+        comparison: a.comparison || null,
+        audioUrl: a.audio ? `/api/audio/attempts/${a._id}` : null,
+        scoring: a.scoring || null,
+      };
+    });
+
+    res.json({
+      success: true,
+      attempts,
+      pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/progress/buckets/:childId?interval=day|week&weekStart=&from=&to=&planExerciseId=&planSessionIndex=&target=&targetType=&success=
+// @desc    Daily or weekly totals in the family's time zone, aggregated in
+//          the database (last 30 days by default)
+// @access  Private
+router.get('/buckets/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
+  try {
+    const interval = String(req.query.interval || 'day').toLowerCase();
+    if (!BUCKET_INTERVALS.includes(interval)) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized'
+        message: `interval must be one of: ${BUCKET_INTERVALS.join(', ')}`
       });
     }
 
-    if (req.user.role === 'specialist' && (!child.assignedSpecialist || child.assignedSpecialist.toString() !== req.user.id)) {
-      return res.status(403).json({
+    const weekStart = String(req.query.weekStart || 'saturday').toLowerCase();
+    if (!WEEK_STARTS.includes(weekStart)) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized'
+        message: `weekStart must be one of: ${WEEK_STARTS.join(', ')}`
       });
     }
 
-    const progress = await Progress.findOne({ child: req.params.childId });
+    const window = parseWindow(req.query);
+    if (window.error) {
+      return res.status(400).json({
+        success: false,
+        message: window.error
+      });
+    }
 
-    if (!progress || !progress.sessions || progress.sessions.length === 0) {
-      return res.json({
-        success: true,
-        sessions: []
+    const options = parseProgressQuery({ ...req.query, ...window });
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
       });
     }
 
-    // Return last 30 sessions for charts
-    const sessions = progress.sessions
-      .slice(-30)
-      .map(session => ({
-        sessionDate: session.sessionDate,
-        duration: session.duration || 0,
-        planExerciseId: session.planExerciseId || null,
-        planSessionIndex: typeof session.planSessionIndex === 'number' ? session.planSessionIndex : null,
-        planSessionName: session.planSessionName || null,
-        totalAttempts: session.totalAttempts || 0,
-        successfulAttempts: session.successfulAttempts || 0,
-        failedAttempts: session.failedAttempts || 0,
-        averageScore: clamp01(session.averageScore || 0),
-        successRate: session.totalAttempts > 0
-          ? clamp01((session.successfulAttempts / session.totalAttempts) * 100)
-          : 0
-      }));
+    const timeZone = await familyTimeZone(req.child);
+    const buckets = await progressBuckets(req.params.childId, options, { interval, timeZone, weekStart });
 
     res.json({
       success: true,
-      sessions
+      interval,
+      timeZone,
+      from: window.from,
+      to: window.to,
+      buckets
     });
   } catch (error) {
     res.status(500).json({
@@ -279,84 +486,298 @@ router.get('/sessions/:childId', protect, async (req, res) => {
   }
 });
 
-// @route   GET /api/progress/attempts/:childId
-// @desc    Get recent attempts (flattened across sessions)
+// @route   GET /api/progress/mastery/:childId
+// @desc    Mastery status and trend of every letter and word the child has
+//          practised, with the thresholds used to decide it
 // @access  Private
-router.get('/attempts/:childId', protect, async (req, res) => {
+router.get('/mastery/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
   try {
-    const child = await Child.findById(req.params.childId);
+    const [mastery, progress] = await Promise.all([
+      getMastery(req.params.childId),
+      Progress.findOne({ child: req.params.childId }).select('overallStats').lean()
+    ]);
+    const stats = progress?.overallStats || {};
 
-    if (!child) {
+    res.json({
+      success: true,
+      thresholds: thresholds(),
+      summary: {
+        masteredLetters: stats.masteredLetters || [],
+        masteredWords: stats.masteredWords || [],
+        challengingLetters: stats.challengingLetters || [],
+        challengingWords: stats.challengingWords || []
+      },
+      letters: mastery.letters,
+      words: mastery.words
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/progress/articulation/:childId?from=&to=
+// @desc    Letter attempts grouped by articulation point, region (throat,
+//          tongue, lips) and vowel over a time window (last 30 days by default)
+// @access  Private
+router.get('/articulation/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
+  try {
+    const window = parseWindow(req.query);
+    if (window.error) {
+      return res.status(400).json({
+        success: false,
+        message: window.error
+      });
+    }
+
+    const report = await getArticulationReport(req.params.childId, window);
+
+    res.json({
+      success: true,
+      from: window.from,
+      to: window.to,
+      ...report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/progress/notes/:childId
+// @desc    Specialist notes on the child, newest first
+// @access  Private
+router.get('/notes/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
+  try {
+    const notes = await ClinicalNote.find({ child: req.params.childId })
+      .populate('author', 'name role')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: notes.length,
+      notes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/progress/notes/:childId
+// @desc    Add a specialist note (included in the progress report)
+// @access  Private (Assigned specialist, center admin)
+router.post('/notes/:childId', protect, authorizeChild(ACTIONS.PLAN_WRITE), async (req, res) => {
+  try {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note text is required'
+      });
+    }
+
+    const note = await ClinicalNote.create({
+      child: req.child._id,
+      author: req.user._id,
+      text
+    });
+
+    await recordAudit(req, {
+      action: 'note.create',
+      targetModel: 'ClinicalNote',
+      targetId: note._id,
+      child: req.child,
+      after: note
+    });
+
+    res.status(201).json({
+      success: true,
+      note
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/progress/notes/:childId/:noteId
+// @desc    Delete a note (its author only)
+// @access  Private
+router.delete('/notes/:childId/:noteId', protect, authorizeChild(ACTIONS.PLAN_WRITE), async (req, res) => {
+  try {
+    const note = await ClinicalNote.findOne({ _id: req.params.noteId, child: req.child._id });
+    if (!note) {
       return res.status(404).json({
         success: false,
-        message: 'Child not found'
+        message: 'Note not found'
       });
     }
 
-    // Check authorization
-    if (req.user.role === 'parent' && child.parent.toString() !== req.user.id) {
+    if (String(note.author) !== String(req.user._id)) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized'
+        message: 'Only the author can delete this note'
       });
     }
 
-    if (req.user.role === 'specialist' && (!child.assignedSpecialist || child.assignedSpecialist.toString() !== req.user.id)) {
-      return res.status(403).json({
+    await note.deleteOne();
+
+    await recordAudit(req, {
+      action: 'note.delete',
+      targetModel: 'ClinicalNote',
+      targetId: note._id,
+      child: req.child,
+      before: note
+    });
+
+    res.json({
+      success: true,
+      message: 'Note deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/progress/report/:childId?from=&to=&format=html|pdf
+// @desc    Printable bilingual (English / Arabic) progress report: child info,
+//          active plan, session totals, charts, targets and specialist notes
+// @access  Private
+router.get('/report/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'html').toLowerCase();
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized'
+        message: 'format must be html or pdf'
       });
     }
 
-    const rawLimit = parseInt(req.query.limit, 10);
-    const limit = Number.isFinite(rawLimit) ? Math.min(Math.max(rawLimit, 1), 200) : 50;
+    const window = parseWindow(req.query);
+    if (window.error) {
+      return res.status(400).json({
+        success: false,
+        message: window.error
+      });
+    }
 
-    const progress = await Progress.findOne({ child: req.params.childId }).lean();
+    const data = await buildReportData(req.child, window);
+    const filename = `progress-report-${req.child.childId || req.child._id}-${window.to.toISOString().slice(0, 10)}`;
 
-    if (!progress || !progress.sessions || progress.sessions.length === 0) {
-      return res.json({
-        success: true,
-        attempts: []
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+      return renderReportPdf(data, res);
+    }
+
+    res.type('html').send(renderReportHtml(data));
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/progress/export/:childId?format=csv|xlsx&dataset=sessions|attempts|all&from=&to=&pseudonymize=true
+// @desc    Export every session and attempt of one child (streamed)
+// @access  Private
+router.get('/export/:childId', protect, authorizeChild(ACTIONS.PROGRESS_READ), async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
       });
     }
 
-    const attempts = [];
-    for (const session of progress.sessions) {
-      const sessionDate = session.sessionDate;
-      const sessionAttempts = Array.isArray(session.attempts) ? session.attempts : [];
-      for (const a of sessionAttempts) {
-        const target = a.word || a.letter || a.vowel || '';
-        attempts.push({
-          sessionDate,
-          timestamp: a.timestamp,
-          target,
-          letter: a.letter,
-          word: a.word,
-          vowel: a.vowel,
-          success: !!a.success,
-          // prefer detailed field if provided; fall back to score
-          score: typeof a.score === 'number' ? a.score : undefined,
-          pronunciationScore: typeof a.pronunciationScore === 'number' ? a.pronunciationScore : undefined,
-          accuracyScore: typeof a.accuracyScore === 'number' ? a.accuracyScore : undefined,
-          fluencyScore: typeof a.fluencyScore === 'number' ? a.fluencyScore : undefined,
-          completenessScore: typeof a.completenessScore === 'number' ? a.completenessScore : undefined,
-          recognizedText: a.recognizedText,
-          referenceText: a.referenceText,
-          analysisSource: a.analysisSource,
-        });
+    await recordAudit(req, {
+      action: 'progress.export',
+      targetModel: 'Child',
+      targetId: req.child._id,
+      child: req.child,
+      metadata: {
+        scope: 'child',
+        format: options.format,
+        dataset: options.dataset,
+        from: options.from,
+        to: options.to,
+        pseudonymize: options.pseudonymize
       }
-    }
+    });
 
-    attempts.sort((a, b) => {
-      const ta = new Date(a.timestamp || 0).getTime();
-      const tb = new Date(b.timestamp || 0).getTime();
-      return tb - ta;
+    const name = options.pseudonymize ? 'progress' : `progress-${req.child.childId || req.child._id}`;
+    sendExport(res, [req.child], options, name);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
     });
+  }
+});
 
-    res.json({
-      success: true,
-      attempts: attempts.slice(0, limit)
+// @route   GET /api/progress/export?scope=caseload|center&specialistId=&centerId=&format=&dataset=&from=&to=&pseudonymize=
+// @desc    Export sessions and attempts of a specialist's caseload or of a
+//          whole center (streamed)
+// @access  Private (Specialist, admin, superadmin)
+router.get('/export', protect, authorize('specialist', 'admin', 'superadmin'), async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
+      });
+    }
+
+    const scope = String(req.query.scope || 'caseload').toLowerCase();
+    const resolved = await resolveScopeFilter(req.user, scope, req.query);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    const children = await loadChildren(resolved.filter);
+
+    await recordAudit(req, {
+      action: 'progress.export',
+      targetModel: scope === 'center' ? 'Center' : 'User',
+      targetId: scope === 'center' ? (req.query.centerId || req.user.center || null) : (req.query.specialistId || req.user._id),
+      metadata: {
+        scope,
+        format: options.format,
+        dataset: options.dataset,
+        from: options.from,
+        to: options.to,
+        pseudonymize: options.pseudonymize,
+        children: children.length
+      }
     });
+
+    sendExport(res, children, options, `progress-${scope}`);
   } catch (error) {
     res.status(500).json({
       success: false,
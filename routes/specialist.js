@@ -1,10 +1,26 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Child = require('../models/Child');
 const User = require('../models/User');
 const LinkRequest = require('../models/LinkRequest');
 const Notification = require('../models/Notification');
+const ProgressAlert = require('../models/ProgressAlert');
 const { protect, authorize } = require('../middleware/auth');
+const { ACTIONS, canAccessChild } = require('../services/policy');
+const { recordAudit } = require('../services/auditService');
+const {
+  invitationSummary,
+  createInvitedUser,
+  sendInvitation,
+  revokeInvitation,
+  isAwaitingInvitation
+} = require('../services/invitationService');
+const {
+  DEFAULT_THRESHOLDS,
+  thresholdsFor,
+  parseAlertSettings
+} = require('../services/progressAlertService');
 
 // @route   GET /api/specialists/pending-requests
 // @desc    Get children with pending specialist requests
@@ -55,10 +71,20 @@ router.post('/accept-child/:childId', protect, authorize('specialist'), async (r
       });
     }
 
+    const before = child.toObject();
     child.assignedSpecialist = req.user.id;
     child.specialistRequestStatus = 'approved';
     await child.save();
 
+    await recordAudit(req, {
+      action: 'child.accept_assignment',
+      targetModel: 'Child',
+      targetId: child._id,
+      child,
+      before,
+      after: child
+    });
+
     // Add child to specialist's assigned children
     await User.findByIdAndUpdate(req.user.id, {
       $addToSet: { assignedChildren: child._id }
@@ -91,9 +117,19 @@ router.post('/reject-child/:childId', protect, authorize('specialist'), async (r
       });
     }
 
+    const before = child.toObject();
     child.specialistRequestStatus = 'rejected';
     await child.save();
 
+    await recordAudit(req, {
+      action: 'child.reject_assignment',
+      targetModel: 'Child',
+      targetId: child._id,
+      child,
+      before,
+      after: child
+    });
+
     res.json({
       success: true,
       message: 'Child assignment rejected',
@@ -123,13 +159,15 @@ router.post('/set-duration/:childId', protect, authorize('specialist'), async (r
       });
     }
 
-    if (!child.assignedSpecialist || child.assignedSpecialist.toString() !== req.user.id) {
+    if (!(await canAccessChild(req.user, ACTIONS.CHILD_UPDATE, child))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
       });
     }
 
+    const before = child.toObject();
+
     if (typeof dailyPlayDuration === 'number') {
       child.dailyPlayDuration = dailyPlayDuration;
     }
@@ -150,6 +188,15 @@ router.post('/set-duration/:childId', protect, authorize('specialist'), async (r
 
     await child.save();
 
+    await recordAudit(req, {
+      action: 'child.update_settings',
+      targetModel: 'Child',
+      targetId: child._id,
+      child,
+      before,
+      after: child
+    });
+
     // 🔔 Create Notification for Parent (if child has parent)
     try {
       if (child.parent) {
@@ -270,6 +317,14 @@ router.post('/link-parent', protect, authorize('specialist'), async (req, res) =
       linkedSpecialist: req.user.id
     });
 
+    await recordAudit(req, {
+      action: 'user.link_parent',
+      targetModel: 'User',
+      targetId: parent._id,
+      before: { linkedSpecialist: parent.linkedSpecialist },
+      after: { linkedSpecialist: req.user._id }
+    });
+
     res.json({
       success: true,
       message: 'Parent linked successfully'
@@ -299,6 +354,14 @@ router.delete('/unlink-parent/:parentId', protect, authorize('specialist'), asyn
       linkedSpecialist: null
     });
 
+    await recordAudit(req, {
+      action: 'user.unlink_parent',
+      targetModel: 'User',
+      targetId: parentId,
+      before: { linkedSpecialist: req.user._id },
+      after: { linkedSpecialist: null }
+    });
+
     res.json({
       success: true,
       message: 'Parent unlinked successfully'
@@ -319,12 +382,17 @@ router.get('/parents', protect, authorize('specialist'), async (req, res) => {
     const specialist = await User.findById(req.user.id)
       .populate({
         path: 'linkedParents',
-        select: '_id name email phone profilePhoto'
+        select: '_id name email phone profilePhoto invitation'
       });
 
+    const parents = (specialist.linkedParents || []).map(parent => {
+      const { invitation, ...rest } = parent.toObject();
+      return { ...rest, invitation: invitationSummary(parent) };
+    });
+
     res.json({
       success: true,
-      parents: specialist.linkedParents || []
+      parents
     });
   } catch (error) {
     res.status(500).json({
@@ -335,17 +403,18 @@ router.get('/parents', protect, authorize('specialist'), async (req, res) => {
 });
 
 // @route   POST /api/specialists/create-parent
-// @desc    Create a new parent account by specialist
+// @desc    Invite a new parent. The parent receives an email invitation and
+//          chooses their own password at POST /api/auth/accept-invite.
 // @access  Private (Specialist)
 router.post('/create-parent', protect, authorize('specialist'), async (req, res) => {
   try {
-    const { name, email, password, phone } = req.body;
+    const { name, email, phone } = req.body;
 
     // Validate required fields
-    if (!name || !email || !password) {
+    if (!name || !email) {
       return res.status(400).json({
         success: false,
-        message: 'Name, email and password are required'
+        message: 'Name and email are required'
       });
     }
 
@@ -358,30 +427,130 @@ router.post('/create-parent', protect, authorize('specialist'), async (req, res)
       });
     }
 
-    // Create the parent account
-    const parent = await User.create({
+    // Create the parent account (unusable until the invitation is accepted)
+    const { user: parent, invitation, emailSent } = await createInvitedUser({
       name,
       email: email.toLowerCase(),
-      password,
       role: 'parent',
       phone,
-      emailVerified: true, // Auto-verify since specialist created it
       linkedSpecialist: req.user.id
-    });
+    }, req.user);
 
     // Add parent to specialist's linkedParents
     await User.findByIdAndUpdate(req.user.id, {
       $addToSet: { linkedParents: parent._id }
     });
 
+    await recordAudit(req, {
+      action: 'user.create_parent',
+      targetModel: 'User',
+      targetId: parent._id,
+      after: parent,
+      metadata: { invitationSent: emailSent }
+    });
+
     res.status(201).json({
       success: true,
+      message: emailSent
+        ? 'Invitation sent to parent'
+        : 'Parent created, but the invitation email could not be sent. Please resend it.',
       parent: {
         id: parent._id,
         name: parent.name,
         email: parent.email,
-        phone: parent.phone
-      }
+        phone: parent.phone,
+        invitation
+      },
+      emailSent
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Load a parent linked to the current specialist, or answer 404
+const findLinkedParent = async (req, res) => {
+  const parent = await User.findOne({
+    _id: req.params.id,
+    role: 'parent',
+    linkedSpecialist: req.user._id
+  });
+
+  if (!parent) {
+    res.status(404).json({
+      success: false,
+      message: 'Parent not found'
+    });
+    return null;
+  }
+  return parent;
+};
+
+// @route   POST /api/specialists/parents/:id/invite/resend
+// @desc    Send a fresh invitation (the previous link stops working)
+// @access  Private (Specialist)
+router.post('/parents/:id/invite/resend', protect, authorize('specialist'), async (req, res) => {
+  try {
+    const parent = await findLinkedParent(req, res);
+    if (!parent) return;
+
+    if (!isAwaitingInvitation(parent)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This parent has already accepted the invitation'
+      });
+    }
+
+    const { invitation, emailSent } = await sendInvitation(parent, req.user);
+
+    await recordAudit(req, {
+      action: 'user.invite_resend',
+      targetModel: 'User',
+      targetId: parent._id,
+      metadata: { emailSent }
+    });
+
+    res.status(emailSent ? 200 : 500).json({
+      success: emailSent,
+      message: emailSent ? 'Invitation sent' : 'Invitation email could not be sent',
+      invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/specialists/parents/:id/invite
+// @desc    Revoke a pending invitation
+// @access  Private (Specialist)
+router.delete('/parents/:id/invite', protect, authorize('specialist'), async (req, res) => {
+  try {
+    const parent = await findLinkedParent(req, res);
+    if (!parent) return;
+
+    if (!(await revokeInvitation(parent))) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending invitation to revoke'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.invite_revoke',
+      targetModel: 'User',
+      targetId: parent._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      invitation: invitationSummary(parent)
     });
   } catch (error) {
     res.status(500).json({
@@ -436,6 +605,14 @@ router.post('/create-child', protect, authorize('specialist'), async (req, res)
       $addToSet: { assignedChildren: child._id }
     });
 
+    await recordAudit(req, {
+      action: 'child.create',
+      targetModel: 'Child',
+      targetId: child._id,
+      child,
+      after: child
+    });
+
     // Create referral record to track this specialist-parent linkage
     const Referral = require('../models/Referral');
     try {
@@ -580,6 +757,15 @@ router.post('/accept-link-request/:requestId', protect, authorize('specialist'),
     request.status = 'accepted';
     await request.save();
 
+    await recordAudit(req, {
+      action: 'link_request.accept',
+      targetModel: 'LinkRequest',
+      targetId: request._id,
+      child: request.child || null,
+      before: { status: 'pending' },
+      after: { status: 'accepted' }
+    });
+
     // Link parent to specialist
     await User.findByIdAndUpdate(req.user.id, {
       $addToSet: { linkedParents: request.from }
@@ -658,6 +844,15 @@ router.post('/reject-link-request/:requestId', protect, authorize('specialist'),
     request.status = 'rejected';
     await request.save();
 
+    await recordAudit(req, {
+      action: 'link_request.reject',
+      targetModel: 'LinkRequest',
+      targetId: request._id,
+      child: request.child || null,
+      before: { status: 'pending' },
+      after: { status: 'rejected' }
+    });
+
     res.json({
       success: true,
       message: 'Link request rejected'
@@ -692,5 +887,102 @@ router.get('/pending-link-requests-count', protect, authorize('specialist'), asy
   }
 });
 
+// @route   GET /api/specialists/alerts?status=open|resolved|all&childId=&limit=
+// @desc    Progress alerts raised for the specialist's children (open by default)
+// @access  Private (Specialist)
+router.get('/alerts', protect, authorize('specialist'), async (req, res) => {
+  try {
+    const status = ['open', 'resolved', 'all'].includes(req.query.status) ? req.query.status : 'open';
+    const rawLimit = parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(rawLimit) ? Math.min(Math.max(rawLimit, 1), 200) : 50;
+
+    const filter = { specialist: req.user._id };
+    if (status === 'open') filter.resolvedAt = null;
+    if (status === 'resolved') filter.resolvedAt = { $ne: null };
+    if (req.query.childId) {
+      if (!mongoose.Types.ObjectId.isValid(String(req.query.childId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid childId'
+        });
+      }
+      filter.child = String(req.query.childId);
+    }
+
+    const alerts = await ProgressAlert.find(filter)
+      .populate('child', 'name childId')
+      .sort('-createdAt')
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      alerts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/specialists/alerts/settings
+// @desc    The specialist's alert thresholds (effective values and defaults)
+// @access  Private (Specialist)
+router.get('/alerts/settings', protect, authorize('specialist'), async (req, res) => {
+  try {
+    const specialist = await User.findById(req.user._id).select('alertSettings').lean();
+
+    res.json({
+      success: true,
+      enabled: specialist?.alertSettings?.enabled !== false,
+      thresholds: thresholdsFor(specialist),
+      defaults: DEFAULT_THRESHOLDS
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/specialists/alerts/settings
+// @desc    Change alert thresholds (null resets one to the default) or turn
+//          alerts off
+// @access  Private (Specialist)
+router.put('/alerts/settings', protect, authorize('specialist'), async (req, res) => {
+  try {
+    const { update, error } = parseAlertSettings(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const $set = {};
+    for (const [key, value] of Object.entries(update)) $set[`alertSettings.${key}`] = value;
+    const specialist = await User.findByIdAndUpdate(req.user._id, { $set }, { new: true })
+      .select('alertSettings')
+      .lean();
+
+    res.json({
+      success: true,
+      message: 'Alert settings updated',
+      enabled: specialist.alertSettings?.enabled !== false,
+      thresholds: thresholdsFor(specialist),
+      defaults: DEFAULT_THRESHOLDS
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
 
@@ -3,8 +3,10 @@ const router = express.Router();
 const Exercise = require('../models/Exercise');
 const Child = require('../models/Child');
 const User = require('../models/User');
-const Progress = require('../models/Progress');
+const Session = require('../models/Session');
 const { protect } = require('../middleware/auth');
+const { ACTIONS, canAccessChild } = require('../services/policy');
+const { recordAudit } = require('../services/auditService');
 const LinkRequest = require('../models/LinkRequest');
 
 async function getOrCreateContentDoc(childId) {
@@ -45,12 +47,7 @@ router.get('/dashboard', protect, async (req, res) => {
         const childIds = (assignedChildrenIds || []).map(c => c._id);
         let sessionsCount = 0;
         if (childIds.length > 0) {
-            const sessionsAgg = await Progress.aggregate([
-                { $match: { child: { $in: childIds } } },
-                { $project: { sessionCount: { $size: { $ifNull: ['$sessions', []] } } } },
-                { $group: { _id: null, total: { $sum: '$sessionCount' } } }
-            ]);
-            sessionsCount = sessionsAgg && sessionsAgg.length > 0 ? sessionsAgg[0].total : 0;
+            sessionsCount = await Session.countDocuments({ child: { $in: childIds } });
         }
 
         // Get recent 5 children
@@ -120,7 +117,7 @@ router.get('/words', protect, async (req, res) => {
         if (childId) {
             // Verify the child is assigned to this specialist
             const child = await Child.findById(childId);
-            if (!child || child.assignedSpecialist.toString() !== req.user.id) {
+            if (!child || !(await canAccessChild(req.user, ACTIONS.CONTENT_READ, child))) {
                 return res.status(403).json({
                     success: false,
                     message: 'Not authorized to access this child'
@@ -207,7 +204,7 @@ router.post('/content/add', protect, async (req, res) => {
 
         // Verify the child is assigned to this specialist
         const child = await Child.findById(childId);
-        if (!child || child.assignedSpecialist.toString() !== req.user.id) {
+        if (!child || !(await canAccessChild(req.user, ACTIONS.CONTENT_WRITE, child))) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to add content for this child'
@@ -257,6 +254,14 @@ router.post('/content/add', protect, async (req, res) => {
         targetArr.push(created);
         await doc.save();
 
+        await recordAudit(req, {
+            action: 'content.add',
+            targetModel: 'Content',
+            targetId: created._id,
+            child,
+            after: { ...created.toObject(), contentType: contentType }
+        });
+
         const content = asLegacyContentItem(created, contentType, childId);
 
         res.status(201).json({
@@ -297,7 +302,7 @@ router.post('/content/delete/:contentId', protect, async (req, res) => {
 
         // Verify the content belongs to a child assigned to this specialist
         const child = await Child.findById(doc.child);
-        if (!child || child.assignedSpecialist.toString() !== req.user.id) {
+        if (!child || !(await canAccessChild(req.user, ACTIONS.CONTENT_WRITE, child))) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to delete this content'
@@ -312,6 +317,14 @@ router.post('/content/delete/:contentId', protect, async (req, res) => {
 
         await doc.save();
 
+        await recordAudit(req, {
+            action: 'content.delete',
+            targetModel: 'Content',
+            targetId: contentId,
+            child,
+            before: { ...(wordItem || letterItem)?.toObject(), contentType: wordItem ? 'word' : 'letter' }
+        });
+
         res.json({
             success: true,
             message: 'Content deleted successfully'
@@ -2,7 +2,17 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Center = require('../models/Center');
+const CatalogItem = require('../models/CatalogItem');
 const { protect, authorize } = require('../middleware/auth');
+const { unlockAccount } = require('../services/loginThrottle');
+const { recordAudit, buildAuditFilter, listAuditLogs } = require('../services/auditService');
+const {
+    invitationSummary,
+    createInvitedUser,
+    sendInvitation,
+    revokeInvitation,
+    isAwaitingInvitation
+} = require('../services/invitationService');
 
 // ========================================
 // CENTER MANAGEMENT
@@ -84,6 +94,14 @@ router.post('/centers', protect, authorize('superadmin'), async (req, res) => {
             createdBy: req.user.id
         });
 
+        await recordAudit(req, {
+            action: 'center.create',
+            targetModel: 'Center',
+            targetId: center._id,
+            center: center._id,
+            after: center
+        });
+
         res.status(201).json({
             success: true,
             message: 'تم إنشاء المركز بنجاح',
@@ -113,6 +131,8 @@ router.put('/centers/:id', protect, authorize('superadmin'), async (req, res) =>
             });
         }
 
+        const before = center.toObject();
+
         if (name) center.name = name;
         if (nameEn !== undefined) center.nameEn = nameEn;
         if (address !== undefined) center.address = address;
@@ -123,6 +143,15 @@ router.put('/centers/:id', protect, authorize('superadmin'), async (req, res) =>
 
         await center.save();
 
+        await recordAudit(req, {
+            action: 'center.update',
+            targetModel: 'Center',
+            targetId: center._id,
+            center: center._id,
+            before,
+            after: center
+        });
+
         res.json({
             success: true,
             message: 'تم تحديث المركز بنجاح',
@@ -159,8 +188,19 @@ router.delete('/centers/:id', protect, authorize('superadmin'), async (req, res)
             await User.findByIdAndUpdate(specialistId, { center: null });
         }
 
+        // The center's catalogue additions and overrides go with it
+        await CatalogItem.deleteMany({ center: center._id });
+
         await Center.findByIdAndDelete(req.params.id);
 
+        await recordAudit(req, {
+            action: 'center.delete',
+            targetModel: 'Center',
+            targetId: center._id,
+            center: center._id,
+            before: center
+        });
+
         res.json({
             success: true,
             message: 'تم حذف المركز بنجاح'
@@ -190,7 +230,7 @@ router.get('/admins', protect, authorize('superadmin'), async (req, res) => {
         res.json({
             success: true,
             count: admins.length,
-            admins
+            admins: admins.map(admin => ({ ...admin.toObject(), invitation: invitationSummary(admin) }))
         });
     } catch (error) {
         res.status(500).json({
@@ -201,16 +241,16 @@ router.get('/admins', protect, authorize('superadmin'), async (req, res) => {
 });
 
 // @route   POST /api/superadmin/create-admin
-// @desc    Create new admin for a center
+// @desc    Invite a new admin for a center (they set their own password)
 // @access  Private (Superadmin)
 router.post('/create-admin', protect, authorize('superadmin'), async (req, res) => {
     try {
-        const { name, email, password, phone, centerId } = req.body;
+        const { name, email, phone, centerId } = req.body;
 
-        if (!name || !email || !password) {
+        if (!name || !email) {
             return res.status(400).json({
                 success: false,
-                message: 'الاسم والبريد الإلكتروني وكلمة المرور مطلوبة'
+                message: 'الاسم والبريد الإلكتروني مطلوبان'
             });
         }
 
@@ -235,17 +275,15 @@ router.post('/create-admin', protect, authorize('superadmin'), async (req, res)
             }
         }
 
-        // Create admin
-        const admin = await User.create({
+        // Create admin (unusable until the invitation is accepted)
+        const { user: admin, invitation, emailSent } = await createInvitedUser({
             name,
             email: email.toLowerCase(),
-            password,
             phone,
             role: 'admin',
             center: centerId || null,
-            createdBy: req.user.id,
-            emailVerified: true
-        });
+            createdBy: req.user.id
+        }, req.user);
 
         // Assign admin to center
         if (center) {
@@ -253,16 +291,29 @@ router.post('/create-admin', protect, authorize('superadmin'), async (req, res)
             await center.save();
         }
 
+        await recordAudit(req, {
+            action: 'user.create_admin',
+            targetModel: 'User',
+            targetId: admin._id,
+            center: center?._id || null,
+            after: admin,
+            metadata: { invitationSent: emailSent }
+        });
+
         res.status(201).json({
             success: true,
-            message: 'تم إنشاء حساب المدير بنجاح',
+            message: emailSent
+                ? 'تم إرسال الدعوة إلى المدير بنجاح'
+                : 'تم إنشاء حساب المدير ولكن تعذر إرسال بريد الدعوة، يرجى إعادة الإرسال',
             admin: {
                 id: admin._id,
                 name: admin.name,
                 email: admin.email,
                 phone: admin.phone,
-                center: center ? { id: center._id, name: center.name } : null
-            }
+                center: center ? { id: center._id, name: center.name } : null,
+                invitation
+            },
+            emailSent
         });
     } catch (error) {
         res.status(500).json({
@@ -288,6 +339,8 @@ router.put('/admins/:id', protect, authorize('superadmin'), async (req, res) =>
             });
         }
 
+        const before = admin.toObject();
+
         if (name) admin.name = name;
         if (phone !== undefined) admin.phone = phone;
 
@@ -316,6 +369,15 @@ router.put('/admins/:id', protect, authorize('superadmin'), async (req, res) =>
 
         await admin.save();
 
+        await recordAudit(req, {
+            action: 'user.update_admin',
+            targetModel: 'User',
+            targetId: admin._id,
+            center: admin.center,
+            before,
+            after: admin
+        });
+
         res.json({
             success: true,
             message: 'تم تحديث المدير بنجاح',
@@ -355,6 +417,14 @@ router.delete('/admins/:id', protect, authorize('superadmin'), async (req, res)
 
         await User.findByIdAndDelete(req.params.id);
 
+        await recordAudit(req, {
+            action: 'user.delete_admin',
+            targetModel: 'User',
+            targetId: admin._id,
+            center: admin.center,
+            before: admin
+        });
+
         res.json({
             success: true,
             message: 'تم حذف المدير بنجاح'
@@ -367,6 +437,158 @@ router.delete('/admins/:id', protect, authorize('superadmin'), async (req, res)
     }
 });
 
+// ========================================
+// ACCOUNT SECURITY
+// ========================================
+
+// Load an admin account, or answer 404
+const findAdmin = async (req, res) => {
+    const admin = await User.findById(req.params.id);
+
+    if (!admin || admin.role !== 'admin') {
+        res.status(404).json({
+            success: false,
+            message: 'المدير غير موجود'
+        });
+        return null;
+    }
+    return admin;
+};
+
+// @route   POST /api/superadmin/admins/:id/invite/resend
+// @desc    Send a fresh invitation to an admin (the previous link stops working)
+// @access  Private (Superadmin)
+router.post('/admins/:id/invite/resend', protect, authorize('superadmin'), async (req, res) => {
+    try {
+        const admin = await findAdmin(req, res);
+        if (!admin) return;
+
+        if (!isAwaitingInvitation(admin)) {
+            return res.status(400).json({
+                success: false,
+                message: 'المدير قبل الدعوة بالفعل'
+            });
+        }
+
+        const { invitation, emailSent } = await sendInvitation(admin, req.user);
+
+        await recordAudit(req, {
+            action: 'user.invite_resend',
+            targetModel: 'User',
+            targetId: admin._id,
+            center: admin.center,
+            metadata: { emailSent }
+        });
+
+        res.status(emailSent ? 200 : 500).json({
+            success: emailSent,
+            message: emailSent ? 'تم إرسال الدعوة بنجاح' : 'تعذر إرسال بريد الدعوة',
+            invitation
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/superadmin/admins/:id/invite
+// @desc    Revoke an admin's pending invitation
+// @access  Private (Superadmin)
+router.delete('/admins/:id/invite', protect, authorize('superadmin'), async (req, res) => {
+    try {
+        const admin = await findAdmin(req, res);
+        if (!admin) return;
+
+        if (!(await revokeInvitation(admin))) {
+            return res.status(400).json({
+                success: false,
+                message: 'لا توجد دعوة معلقة لإلغائها'
+            });
+        }
+
+        await recordAudit(req, {
+            action: 'user.invite_revoke',
+            targetModel: 'User',
+            targetId: admin._id,
+            center: admin.center
+        });
+
+        res.json({
+            success: true,
+            message: 'تم إلغاء الدعوة',
+            invitation: invitationSummary(admin)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/superadmin/users/:id/unlock
+// @desc    Clear login lockout of any account
+// @access  Private (Superadmin)
+router.post('/users/:id/unlock', protect, authorize('superadmin'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'المستخدم غير موجود'
+            });
+        }
+
+        await unlockAccount(user.email);
+
+        await recordAudit(req, {
+            action: 'user.unlock',
+            targetModel: 'User',
+            targetId: user._id,
+            center: user.center
+        });
+
+        res.json({
+            success: true,
+            message: 'تم إلغاء قفل الحساب بنجاح'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ========================================
+// AUDIT LOG
+// ========================================
+
+// @route   GET /api/superadmin/audit
+// @desc    System-wide audit log (filters: actor, child, center, action, targetModel, from, to, page, limit)
+// @access  Private (Superadmin)
+router.get('/audit', protect, authorize('superadmin'), async (req, res) => {
+    try {
+        const filter = buildAuditFilter(req.query);
+        if (req.query.center) filter.center = req.query.center;
+
+        const result = await listAuditLogs(filter, req.query);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // ========================================
 // STATISTICS
 // ========================================
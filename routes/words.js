@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const Exercise = require('../models/Exercise');
-const { protect } = require('../middleware/auth');
+const Child = require('../models/Child');
+const { allowDevice, protect, authorizeChild } = require('../middleware/auth');
+const { ACTIONS, canAccessChild, accessibleChildIds } = require('../services/policy');
+const { recordAudit } = require('../services/auditService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -56,11 +59,20 @@ const upload = multer({
     }
 });
 
+// The child id arrives in the multipart body, so the image is stored before
+// authorizeChild can run; remove it again when the request is refused or fails
+function discardImageOnError(req, res, next) {
+    res.on('finish', () => {
+        if (res.statusCode >= 400 && req.file) fs.unlink(req.file.path, () => {});
+    });
+    next();
+}
+
 // @route   POST /api/words
 // @desc    Create a new word or letter
-// @access  Private
+// @access  Private (Assigned specialist, center admin)
 // دعم ربط كل كلمة/حرف بجلسة خطة (plan session) عبر sessionId اختياري
-router.post('/', protect, upload.single('image'), async (req, res) => {
+router.post('/', protect, discardImageOnError, upload.single('image'), authorizeChild(ACTIONS.CONTENT_WRITE), async (req, res) => {
     try {
         const { text, contentType, difficulty, childId, sessionId } = req.body;
 
@@ -102,6 +114,13 @@ router.post('/', protect, upload.single('image'), async (req, res) => {
                 arr.push({ letter: trimmed, difficulty: difficulty || 'easy', image: imagePath });
             }
             await plan.save();
+            await recordAudit(req, {
+                action: 'exercise.add_item',
+                targetModel: 'Exercise',
+                targetId: plan._id,
+                child: req.child,
+                metadata: { contentType: type, text: trimmed }
+            });
             return res.status(201).json({ success: true });
         }
 
@@ -123,6 +142,14 @@ router.post('/', protect, upload.single('image'), async (req, res) => {
         });
         targetArr.push(created);
         await doc.save();
+
+        await recordAudit(req, {
+            action: 'content.add',
+            targetModel: 'Content',
+            targetId: created._id,
+            child: req.child,
+            after: { ...created.toObject(), contentType: type }
+        });
         const word = asLegacyWordItem(created, type, childId);
         res.status(201).json({ success: true, word });
     } catch (error) {
@@ -133,7 +160,7 @@ router.post('/', protect, upload.single('image'), async (req, res) => {
 
 // @route   DELETE /api/words/:id
 // @desc    Delete a word
-// @access  Private
+// @access  Private (Assigned specialist, center admin)
 router.delete('/:id', protect, async (req, res) => {
     try {
         const contentId = req.params.id;
@@ -152,6 +179,13 @@ router.delete('/:id', protect, async (req, res) => {
             });
         }
 
+        if (!(await canAccessChild(req.user, ACTIONS.CONTENT_WRITE, await Child.findById(doc.child)))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized'
+            });
+        }
+
         const wordItem = doc.contentWords?.id(contentId);
         const letterItem = doc.contentLetters?.id(contentId);
 
@@ -160,6 +194,14 @@ router.delete('/:id', protect, async (req, res) => {
 
         await doc.save();
 
+        await recordAudit(req, {
+            action: 'content.delete',
+            targetModel: 'Content',
+            targetId: contentId,
+            child: doc.child,
+            before: { ...(wordItem || letterItem)?.toObject(), contentType: wordItem ? 'word' : 'letter' }
+        });
+
         res.json({
             success: true,
             message: 'Word deleted',
@@ -176,7 +218,7 @@ router.delete('/:id', protect, async (req, res) => {
 
 // Get words for a specific child
 // دعم جلب محتوى Session محددة (عبر sessionId) أو المحتوى العام فقط
-router.get('/child/:childId', protect, async (req, res) => {
+router.get('/child/:childId', allowDevice, protect, authorizeChild(ACTIONS.CONTENT_READ), async (req, res) => {
     try {
         const { childId } = req.params;
         const { difficulty, contentType, sessionId } = req.query;
@@ -235,7 +277,12 @@ router.get('/child/:childId', protect, async (req, res) => {
 // Get all words (for admin/specialist)
 router.get('/', protect, async (req, res) => {
     try {
-        const docs = await Exercise.find({ kind: 'content' })
+        const docQuery = { kind: 'content' };
+        if (req.user.role !== 'superadmin') {
+            docQuery.child = { $in: await accessibleChildIds(req.user) };
+        }
+
+        const docs = await Exercise.find(docQuery)
             .populate('child', 'name')
             .sort('-updatedAt');
 
@@ -4,6 +4,8 @@ const User = require('./models/User');
 const Child = require('./models/Child');
 const Exercise = require('./models/Exercise');
 const Progress = require('./models/Progress');
+const Session = require('./models/Session');
+const Attempt = require('./models/Attempt');
 const Center = require('./models/Center');
 const Referral = require('./models/Referral');
 
@@ -29,6 +31,8 @@ const seedDatabase = async () => {
       await Child.deleteMany({});
       await Exercise.deleteMany({});
       await Progress.deleteMany({});
+      await Session.deleteMany({});
+      await Attempt.deleteMany({});
       await Center.deleteMany({});
       console.log('🧹 Cleared existing data');
     }
@@ -29,6 +29,9 @@ const superadminRoutes = require('./routes/superadmin');
 const adminRoutes = require('./routes/admin');
 const debugRoutes = require('./routes/debug');
 const { verifyTransporter } = require('./services/emailService');
+const { startJobs } = require('./jobs');
+const { trustProxySetting } = require('./utils/request');
+const { authenticateSocket } = require('./middleware/auth');
 const seedDatabase = require('./seed');
 const User = require('./models/User');
 const Center = require('./models/Center');
@@ -36,6 +39,10 @@ const http = require('http');
 const { Server } = require('socket.io');
 
 const app = express();
+
+// Client IPs (login throttling, sessions, audit) come from req.ip; only the
+// platform's proxy may set X-Forwarded-For
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY, isRailway ? 1 : false));
 const fs = require('fs');
 const path = require('path');
 
@@ -163,6 +170,11 @@ app.use('/api/words', require('./routes/words'));
 app.use('/api/content', require('./routes/content'));
 app.use('/api/specialist', require('./routes/specialistPortal'));
 app.use('/api/upload', require('./routes/upload'));
+app.use('/api/audio', require('./routes/audio'));
+app.use('/api/devices', require('./routes/devices'));
+app.use('/api/plan-templates', require('./routes/planTemplates'));
+app.use('/api/curricula', require('./routes/curricula'));
+app.use('/api/catalog', require('./routes/catalog'));
 
 // ✅ راوت يعمل على المتصفح
 app.get('/', (req, res) => {
@@ -182,7 +194,7 @@ app.get('/health', (req, res) => {
     env: process.env.NODE_ENV || 'unknown',
     jwt: {
       configured: !!process.env.JWT_SECRET,
-      expireConfigured: !!process.env.JWT_EXPIRE,
+      expireConfigured: !!process.env.JWT_ACCESS_EXPIRE,
     },
     db: {
       readyState: mongoose.connection.readyState,
@@ -223,20 +235,13 @@ const io = new Server(server, {
 
 app.set('io', io);
 
-io.on('connection', (socket) => {
+io.on('connection', async (socket) => {
   const clientIp = normalizeIp(socket.handshake.headers['x-forwarded-for'] || socket.handshake.address);
-  const userId = socket.handshake.auth?.userId;
   const origin = socket.handshake.headers?.origin || 'n/a';
   const userAgent = socket.handshake.headers?.['user-agent'] || 'n/a';
   const deviceType = classifyUserAgent(userAgent);
-
-  console.log(
-    `🔌 [New Socket Connection] Type: ${deviceType}, IP: ${clientIp}, Origin: ${origin}, Socket ID: ${socket.id}, UserID: ${userId || 'n/a'}`
-  );
-
-  if (userId) {
-    socket.join(userId.toString());
-  }
+  // Set once the handshake token is verified; a claimed auth.userId is ignored
+  let userId = null;
 
   // Typing indicator relay: sender -> receiver
   socket.on('typing', (data) => {
@@ -250,6 +255,16 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => {
     console.log(`❌ [Socket Disconnected] ID: ${socket.id}`);
   });
+
+  const user = await authenticateSocket(socket);
+  if (user && socket.connected) {
+    userId = user.id;
+    socket.join(userId);
+  }
+
+  console.log(
+    `🔌 [New Socket Connection] Type: ${deviceType}, IP: ${clientIp}, Origin: ${origin}, Socket ID: ${socket.id}, UserID: ${userId || 'n/a'}`
+  );
 });
 
 server.listen(PORT, '0.0.0.0', () => {
@@ -356,6 +371,8 @@ async function connectMongoWithRetry() {
 
     console.log('✅ قاعدة البيانات جاهزة تماماً');
 
+    startJobs({ io });
+
     const forceSeed = String(process.env.FORCE_SEED || '').toLowerCase() === 'true';
     const localDev = !isRailway && process.env.NODE_ENV !== 'production';
     const seedIfMissing =
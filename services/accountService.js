@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Child = require('../models/Child');
+const Progress = require('../models/Progress');
+const Session = require('../models/Session');
+const Attempt = require('../models/Attempt');
+const Exercise = require('../models/Exercise');
+const ExerciseVersion = require('../models/ExerciseVersion');
+const Curriculum = require('../models/Curriculum');
+const Word = require('../models/Word');
+const ClinicalNote = require('../models/ClinicalNote');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const LinkRequest = require('../models/LinkRequest');
+const Referral = require('../models/Referral');
+const DeviceToken = require('../models/DeviceToken');
+const AuthSession = require('../models/AuthSession');
+const Center = require('../models/Center');
+const AuditLog = require('../models/AuditLog');
+const AnonymizedChildStats = require('../models/AnonymizedChildStats');
+const { toCsv } = require('../utils/csv');
+const { recordAudit } = require('./auditService');
+const { removeDevicesForChildren } = require('./deviceService');
+const { deleteProgressForChildren } = require('./progressService');
+
+// ========================================
+// ACCOUNT DATA EXPORT AND DELETION
+// ========================================
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Roles that may delete their own account; admins are removed by a super admin
+const SELF_DELETABLE_ROLES = ['parent', 'specialist'];
+
+const USER_EXPORT_FIELDS = [
+  'name', 'email', 'role', 'phone', 'specialization', 'licenseNumber', 'emailVerified',
+  'profilePhoto', 'bio', 'staffId', 'center', 'linkedSpecialist', 'linkedParents',
+  'assignedChildren', 'deletion', 'createdAt', 'updatedAt'
+].join(' ');
+
+function gracePeriodDays() {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : 14;
+}
+
+// ---------- Export ----------
+
+// Everything stored about the user and the children they are the parent of
+async function collectAccountData(userId) {
+  const user = await User.findById(userId).select(USER_EXPORT_FIELDS).lean();
+  const children = await Child.find({ parent: userId }).lean();
+  const childIds = children.map(c => c._id);
+
+  const [progress, sessions, attempts, exercises, clinicalNotes, messages, notifications, linkRequests] = await Promise.all([
+    Progress.find({ child: { $in: childIds } }).select('-totals').lean(),
+    Session.find({ child: { $in: childIds } }).sort('sessionDate').lean(),
+    Attempt.find({ child: { $in: childIds } }).sort('sessionDate order').lean(),
+    Exercise.find({ child: { $in: childIds } }).lean(),
+    ClinicalNote.find({ child: { $in: childIds } }).populate('author', 'name').sort('createdAt').lean(),
+    Message.find({ $or: [{ sender: userId }, { receiver: userId }] }).sort('createdAt').lean(),
+    Notification.find({ recipient: userId }).sort('createdAt').lean(),
+    LinkRequest.find({ $or: [{ from: userId }, { to: userId }] }).sort('createdAt').lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    user,
+    children,
+    progress,
+    sessions,
+    attempts,
+    exercises,
+    clinicalNotes,
+    messages,
+    notifications,
+    linkRequests
+  };
+}
+
+// One row per session and one per attempt, across all children
+function flattenProgress(children, sessionDocs, attemptDocs) {
+  const childById = new Map(children.map(c => [String(c._id), c]));
+  const sessionById = new Map(sessionDocs.map(s => [String(s._id), s]));
+
+  const sessions = sessionDocs.map(session => ({
+    child: childById.get(String(session.child)) || {},
+    session
+  }));
+  const attempts = attemptDocs.map(attempt => ({
+    child: childById.get(String(attempt.child)) || {},
+    session: sessionById.get(String(attempt.session)) || { _id: attempt.session },
+    attempt
+  }));
+
+  return { sessions, attempts };
+}
+
+function buildCsvFiles(data) {
+  const { sessions, attempts } = flattenProgress(data.children, data.sessions, data.attempts);
+
+  return {
+    'children.csv': toCsv(data.children, [
+      { key: 'childId', header: 'Child ID' },
+      { key: 'name', header: 'Name' },
+      { key: 'age', header: 'Age' },
+      { key: 'gender', header: 'Gender' },
+      { key: 'difficultyLevel', header: 'Difficulty' },
+      { key: 'targetLetters', header: 'Target letters' },
+      { key: 'targetWords', header: 'Target words' },
+      { key: 'dailyPlayDuration', header: 'Daily play (min)' },
+      { key: 'createdAt', header: 'Created at' }
+    ]),
+    'sessions.csv': toCsv(sessions, [
+      { header: 'Child ID', value: r => r.child.childId },
+      { header: 'Child', value: r => r.child.name },
+      { header: 'Session ID', value: r => r.session._id },
+      { header: 'Date', value: r => r.session.sessionDate },
+      { header: 'Duration (min)', value: r => r.session.duration },
+      { header: 'Plan session', value: r => r.session.planSessionName },
+      { header: 'Attempts', value: r => r.session.totalAttempts },
+      { header: 'Successful', value: r => r.session.successfulAttempts },
+      { header: 'Failed', value: r => r.session.failedAttempts },
+      { header: 'Average score', value: r => r.session.averageScore }
+    ]),
+    'attempts.csv': toCsv(attempts, [
+      { header: 'Child ID', value: r => r.child.childId },
+      { header: 'Session ID', value: r => r.session._id },
+      { header: 'Time', value: r => r.attempt.timestamp },
+      { header: 'Letter', value: r => r.attempt.letter },
+      { header: 'Word', value: r => r.attempt.word },
+      { header: 'Vowel', value: r => r.attempt.vowel },
+      { header: 'Reference text', value: r => r.attempt.referenceText },
+      { header: 'Recognized text', value: r => r.attempt.recognizedText },
+      { header: 'Success', value: r => r.attempt.success },
+      { header: 'Score', value: r => r.attempt.score },
+      { header: 'Pronunciation', value: r => r.attempt.pronunciationScore },
+      { header: 'Accuracy', value: r => r.attempt.accuracyScore },
+      { header: 'Fluency', value: r => r.attempt.fluencyScore },
+      { header: 'Completeness', value: r => r.attempt.completenessScore }
+    ]),
+    'clinical_notes.csv': toCsv(data.clinicalNotes, [
+      { key: 'createdAt', header: 'Written at' },
+      { header: 'Child ID', value: n => data.children.find(c => String(c._id) === String(n.child))?.childId },
+      { header: 'Author', value: n => n.author?.name },
+      { key: 'text', header: 'Note' }
+    ]),
+    'messages.csv': toCsv(data.messages, [
+      { key: 'createdAt', header: 'Sent at' },
+      { header: 'Direction', value: m => (String(m.sender) === String(data.user._id) ? 'sent' : 'received') },
+      { key: 'sender', header: 'Sender' },
+      { key: 'receiver', header: 'Receiver' },
+      { key: 'content', header: 'Content' },
+      { key: 'readAt', header: 'Read at' }
+    ]),
+    'notifications.csv': toCsv(data.notifications, [
+      { key: 'createdAt', header: 'Created at' },
+      { key: 'type', header: 'Type' },
+      { key: 'title', header: 'Title' },
+      { key: 'message', header: 'Message' },
+      { key: 'read', header: 'Read' }
+    ]),
+    'link_requests.csv': toCsv(data.linkRequests, [
+      { key: 'createdAt', header: 'Created at' },
+      { key: 'from', header: 'From' },
+      { key: 'to', header: 'To' },
+      { key: 'child', header: 'Child' },
+      { key: 'status', header: 'Status' },
+      { key: 'message', header: 'Message' }
+    ])
+  };
+}
+
+// Zip stream with account.json (complete data) and one CSV per collection.
+// The caller pipes it into the response.
+function createExportArchive(data) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.append(JSON.stringify(data, null, 2), { name: 'account.json' });
+  for (const [name, csv] of Object.entries(buildCsvFiles(data))) {
+    archive.append(csv, { name: `csv/${name}` });
+  }
+  archive.finalize();
+  return archive;
+}
+
+// ---------- Deletion ----------
+
+async function requestAccountDeletion(userId) {
+  const requestedAt = new Date();
+  const scheduledFor = new Date(requestedAt.getTime() + gracePeriodDays() * DAY);
+  await User.findByIdAndUpdate(userId, {
+    deletion: { requestedAt, scheduledFor, completedAt: null }
+  });
+  return scheduledFor;
+}
+
+// Returns false when no deletion was pending
+async function cancelAccountDeletion(userId) {
+  const result = await User.updateOne(
+    { _id: userId, 'deletion.scheduledFor': { $ne: null }, 'deletion.completedAt': null },
+    { $set: { 'deletion.requestedAt': null, 'deletion.scheduledFor': null } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Keep one anonymous stats row per child so center reports stay complete
+async function keepAnonymizedStats(children) {
+  const specialistIds = children.map(c => c.assignedSpecialist).filter(Boolean);
+  const [specialists, progressDocs] = await Promise.all([
+    User.find({ _id: { $in: specialistIds } }).select('center').lean(),
+    Progress.find({ child: { $in: children.map(c => c._id) } }).select('child overallStats').lean()
+  ]);
+
+  const centerOf = new Map(specialists.map(s => [String(s._id), s.center || null]));
+  const statsOf = new Map(progressDocs.map(p => [String(p.child), p.overallStats || {}]));
+  const deletedMonth = new Date().toISOString().slice(0, 7);
+
+  await AnonymizedChildStats.insertMany(children.map(child => {
+    const stats = statsOf.get(String(child._id)) || {};
+    return {
+      center: centerOf.get(String(child.assignedSpecialist)) || null,
+      age: child.age,
+      gender: child.gender,
+      difficultyLevel: child.difficultyLevel,
+      totalSessions: stats.totalSessions || 0,
+      totalPlayTime: stats.totalPlayTime || 0,
+      totalAttempts: stats.totalAttempts || 0,
+      successRate: stats.successRate || 0,
+      averageScore: stats.averageScore || 0,
+      masteredLetters: stats.masteredLetters || [],
+      masteredWords: stats.masteredWords || [],
+      deletedMonth
+    };
+  }));
+}
+
+function removeUploadedFile(filePath) {
+  if (!filePath || !/(^|\/)uploads\//.test(filePath)) return;
+  const absolute = path.join(__dirname, '..', 'uploads', path.basename(filePath));
+  fs.unlink(absolute, () => {});
+}
+
+// Delete children and everything stored about them, keeping one anonymous
+// stats row each. Used by the account purge and by DELETE /api/children/:id.
+async function deleteChildData(children) {
+  const childIds = children.map(c => c._id);
+  if (!childIds.length) return;
+
+  await keepAnonymizedStats(children);
+  await Promise.all([
+    deleteProgressForChildren(childIds),
+    Exercise.deleteMany({ child: { $in: childIds } }),
+    ExerciseVersion.deleteMany({ child: { $in: childIds } }),
+    Curriculum.deleteMany({ child: { $in: childIds } }),
+    Word.deleteMany({ child: { $in: childIds } }),
+    ClinicalNote.deleteMany({ child: { $in: childIds } }),
+    LinkRequest.deleteMany({ child: { $in: childIds } }),
+    removeDevicesForChildren(childIds),
+    User.updateMany(
+      { assignedChildren: { $in: childIds } },
+      { $pull: { assignedChildren: { $in: childIds } } }
+    ),
+    // Audit entries stay (who did what and when), the clinical details don't
+    AuditLog.updateMany({ child: { $in: childIds } }, { $set: { changes: null, metadata: null } })
+  ]);
+  await Child.deleteMany({ _id: { $in: childIds } });
+}
+
+// Delete the user's children and personal data, and anonymise the user
+// document itself so references from other records stay valid.
+async function purgeAccount(userId) {
+  const user = await User.findById(userId);
+  if (!user || user.deletion?.completedAt) return false;
+
+  const center = user.center;
+  const children = await Child.find({ parent: user._id }).lean();
+  const childIds = children.map(c => c._id);
+
+  await deleteChildData(children);
+
+  // A leaving specialist hands their caseload back; other families' data stays
+  if (user.role === 'specialist') {
+    await Child.updateMany(
+      { assignedSpecialist: user._id },
+      { $set: { assignedSpecialist: null, specialistRequestStatus: 'none' } }
+    );
+    await Center.updateMany({ specialists: user._id }, { $pull: { specialists: user._id } });
+  }
+
+  await Promise.all([
+    Message.deleteMany({ $or: [{ sender: user._id }, { receiver: user._id }] }),
+    Notification.deleteMany({ recipient: user._id }),
+    LinkRequest.deleteMany({ $or: [{ from: user._id }, { to: user._id }] }),
+    Referral.deleteMany({ $or: [{ parent: user._id }, { specialist: user._id }] }),
+    DeviceToken.deleteMany({ user: user._id }),
+    AuthSession.deleteMany({ user: user._id }),
+    User.updateMany({ linkedParents: user._id }, { $pull: { linkedParents: user._id } }),
+    User.updateMany({ linkedSpecialist: user._id }, { $set: { linkedSpecialist: null } })
+  ]);
+
+  removeUploadedFile(user.profilePhoto);
+
+  const now = new Date();
+  user.name = 'Deleted user';
+  user.email = `deleted-${user._id}@deleted.invalid`;
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.phone = undefined;
+  user.specialization = undefined;
+  user.licenseNumber = undefined;
+  user.bio = undefined;
+  user.profilePhoto = null;
+  user.emailVerified = false;
+  user.verificationToken = undefined;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  user.resetPasswordAttempts = undefined;
+  user.twoFactor = { enabled: false };
+  user.assignedChildren = [];
+  user.linkedParents = [];
+  user.linkedSpecialist = null;
+  user.center = null;
+  user.tokensValidAfter = now;
+  user.deletion.completedAt = now;
+  await user.save();
+
+  await recordAudit(null, {
+    action: 'user.anonymize',
+    targetModel: 'User',
+    targetId: user._id,
+    center,
+    metadata: { role: user.role, childrenDeleted: childIds.length }
+  });
+
+  return true;
+}
+
+// Run by the scheduler: anonymise every account whose grace period is over
+async function purgeDueAccounts({ batchSize = 50 } = {}) {
+  const due = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    'deletion.completedAt': null
+  }).select('_id').limit(batchSize).lean();
+
+  let purged = 0;
+  for (const { _id } of due) {
+    try {
+      if (await purgeAccount(_id)) purged++;
+    } catch (error) {
+      console.error(`❌ Failed to delete account ${_id}:`, error.message);
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  SELF_DELETABLE_ROLES,
+  gracePeriodDays,
+  collectAccountData,
+  buildCsvFiles,
+  createExportArchive,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  deleteChildData,
+  purgeAccount,
+  purgeDueAccounts
+};
@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const Child = require('../models/Child');
+const Mastery = require('../models/Mastery');
+const Exercise = require('../models/Exercise');
+const { MASTERY_STATUS } = require('./masteryService');
+
+// ========================================
+// ADAPTIVE DIFFICULTY
+// After every sync the recommended difficulty of each letter/word practised
+// since the last evaluation is recomputed from its recent attempts
+// (Mastery.recentScores and recentSuccessRate), one step at a time so a
+// single bad session does not swing it. The child's level follows from
+// those, unless the specialist locked the automation or overrode it.
+// ========================================
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+const DAY = 24 * 60 * 60 * 1000;
+// Practised targets needed before the child's level is changed
+const MIN_TARGETS_FOR_LEVEL = 3;
+// Share (%) of practised targets at a difficulty that sets the level
+const LEVEL_SHARE = 60;
+// Mastered targets come back for review after this many days
+const REVIEW_AFTER_DAYS = 3;
+
+function thresholds() {
+  return {
+    // Recent attempts needed before a target's difficulty moves
+    minAttempts: Number(process.env.ADAPTIVE_MIN_ATTEMPTS || 3),
+    // Average recent score and success rate (%) to move one step up
+    promoteScore: Number(process.env.ADAPTIVE_PROMOTE_SCORE || 80),
+    promoteSuccessRate: Number(process.env.ADAPTIVE_PROMOTE_SUCCESS_RATE || 75),
+    // ... or one step down
+    demoteScore: Number(process.env.ADAPTIVE_DEMOTE_SCORE || 55),
+    demoteSuccessRate: Number(process.env.ADAPTIVE_DEMOTE_SUCCESS_RATE || 50)
+  };
+}
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Pure: next recommended difficulty of one target
+function nextDifficulty(mastery, limits = thresholds()) {
+  const current = DIFFICULTIES.includes(mastery.recommendedDifficulty) ? mastery.recommendedDifficulty : 'easy';
+  const scores = mastery.recentScores || [];
+  if ((mastery.attempts || 0) < limits.minAttempts) return current;
+
+  const score = average(scores);
+  const rate = mastery.recentSuccessRate || 0;
+  const index = DIFFICULTIES.indexOf(current);
+
+  if ((score === null || score >= limits.promoteScore) && rate >= limits.promoteSuccessRate) {
+    return DIFFICULTIES[Math.min(index + 1, DIFFICULTIES.length - 1)];
+  }
+  if ((score !== null && score < limits.demoteScore) || rate < limits.demoteSuccessRate) {
+    return DIFFICULTIES[Math.max(index - 1, 0)];
+  }
+  return current;
+}
+
+// Pure: child level from the difficulties of its practised targets, or null
+// when too few targets were practised to tell
+function levelFor(difficulties) {
+  if (difficulties.length < MIN_TARGETS_FOR_LEVEL) return null;
+  const share = (set) => (difficulties.filter(d => set.includes(d)).length / difficulties.length) * 100;
+  if (share(['hard']) >= LEVEL_SHARE) return 'advanced';
+  if (share(['medium', 'hard']) >= LEVEL_SHARE) return 'intermediate';
+  return 'beginner';
+}
+
+const overrideKey = (targetType, target) => `${targetType}|${target}`;
+
+function itemOverrideMap(child) {
+  return new Map((child.adaptive?.itemOverrides || []).map(o => [overrideKey(o.targetType, o.target), o.difficulty]));
+}
+
+// Recompute target difficulties and the child's level. Best-effort callers
+// (sync) should catch errors themselves.
+async function recomputeAdaptive(childId, { now = new Date() } = {}) {
+  const child = await Child.findById(childId);
+  if (!child) return null;
+
+  const records = await Mastery.find({ child: child._id })
+    .select('targetType target attempts evaluatedAttempts recentScores recentSuccessRate recommendedDifficulty')
+    .lean();
+
+  const limits = thresholds();
+  const operations = [];
+  const difficulties = [];
+  let changedTargets = 0;
+  for (const record of records) {
+    // Nothing new since the last evaluation: moving again would skip the
+    // one-step-per-evaluation hysteresis
+    if ((record.attempts || 0) === (record.evaluatedAttempts || 0)) {
+      difficulties.push(record.recommendedDifficulty || 'easy');
+      continue;
+    }
+
+    const difficulty = nextDifficulty(record, limits);
+    difficulties.push(difficulty);
+    if (difficulty !== record.recommendedDifficulty) changedTargets++;
+    operations.push({
+      updateOne: {
+        filter: { _id: record._id },
+        update: { $set: { recommendedDifficulty: difficulty, evaluatedAttempts: record.attempts || 0 } }
+      }
+    });
+  }
+  if (operations.length) await Mastery.bulkWrite(operations, { ordered: false });
+
+  const recommended = levelFor(difficulties);
+  const adaptive = child.adaptive || {};
+  const update = { 'adaptive.recommendedLevel': recommended, 'adaptive.updatedAt': now };
+
+  let level = child.difficultyLevel;
+  if (adaptive.levelOverride) level = adaptive.levelOverride;
+  else if (!adaptive.locked && recommended) level = recommended;
+  if (level !== child.difficultyLevel) update.difficultyLevel = level;
+
+  await Child.updateOne({ _id: child._id }, { $set: update });
+
+  return {
+    difficultyLevel: level,
+    recommendedLevel: recommended,
+    changedTargets
+  };
+}
+
+// ---------- Settings ----------
+
+// Validate a PUT body: { locked?, levelOverride?, itemOverrides? }.
+// Returns { values } or { errors }.
+function parseAdaptiveSettings(body = {}) {
+  const errors = [];
+  const values = {};
+
+  if (body.locked !== undefined) {
+    if (typeof body.locked !== 'boolean') errors.push({ path: 'locked', message: 'locked must be a boolean' });
+    else values.locked = body.locked;
+  }
+  if (body.levelOverride !== undefined) {
+    if (body.levelOverride !== null && !LEVELS.includes(body.levelOverride)) {
+      errors.push({ path: 'levelOverride', message: `levelOverride must be null or one of: ${LEVELS.join(', ')}` });
+    } else {
+      values.levelOverride = body.levelOverride;
+    }
+  }
+  if (body.itemOverrides !== undefined) {
+    if (!Array.isArray(body.itemOverrides)) {
+      errors.push({ path: 'itemOverrides', message: 'itemOverrides must be an array' });
+    } else {
+      const overrides = new Map();
+      body.itemOverrides.forEach((o, i) => {
+        const target = typeof o?.target === 'string' ? o.target.trim() : '';
+        if (!['letter', 'word'].includes(o?.targetType) || !target || !DIFFICULTIES.includes(o?.difficulty)) {
+          errors.push({
+            path: `itemOverrides.${i}`,
+            message: `Each override needs targetType (letter|word), target and difficulty (${DIFFICULTIES.join(', ')})`
+          });
+          return;
+        }
+        overrides.set(overrideKey(o.targetType, target), { targetType: o.targetType, target, difficulty: o.difficulty });
+      });
+      values.itemOverrides = [...overrides.values()];
+    }
+  }
+
+  if (!errors.length && !Object.keys(values).length) {
+    errors.push({ path: '', message: 'Nothing to update (locked, levelOverride, itemOverrides)' });
+  }
+  return errors.length ? { errors } : { values };
+}
+
+// Settings plus the engine's view of every practised target
+async function adaptiveOverview(child) {
+  const records = await Mastery.find({ child: child._id })
+    .select('targetType target status attempts recentSuccessRate averageScore recommendedDifficulty lastAttemptAt')
+    .sort({ targetType: 1, target: 1 })
+    .lean();
+  const overrides = itemOverrideMap(child);
+
+  return {
+    difficultyLevel: child.difficultyLevel,
+    locked: !!child.adaptive?.locked,
+    levelOverride: child.adaptive?.levelOverride || null,
+    recommendedLevel: child.adaptive?.recommendedLevel || null,
+    updatedAt: child.adaptive?.updatedAt || null,
+    itemOverrides: child.adaptive?.itemOverrides || [],
+    thresholds: thresholds(),
+    targets: records.map(r => ({
+      targetType: r.targetType,
+      target: r.target,
+      status: r.status,
+      attempts: r.attempts,
+      recentSuccessRate: r.recentSuccessRate,
+      averageScore: r.averageScore,
+      recommendedDifficulty: r.recommendedDifficulty,
+      override: overrides.get(overrideKey(r.targetType, r.target)) || null,
+      lastAttemptAt: r.lastAttemptAt
+    }))
+  };
+}
+
+// ---------- Practice queue ----------
+
+// Pure: interleave practice, new and review items (practice, practice, new,
+// review, ...) until `limit`, falling back to whatever is left
+function interleave({ practice, fresh, review }, limit) {
+  const pattern = ['practice', 'practice', 'new', 'review'];
+  const queues = { practice: [...practice], new: [...fresh], review: [...review] };
+  const items = [];
+
+  for (let i = 0; items.length < limit && Object.values(queues).some(q => q.length); i++) {
+    const wanted = pattern[i % pattern.length];
+    const source = queues[wanted].length
+      ? wanted
+      : pattern.find(kind => queues[kind].length);
+    items.push({ ...queues[source].shift(), kind: source });
+  }
+  return items;
+}
+
+// Ordered practice queue for the child game, built from the active plan's
+// letters and words and the child's mastered targets due for review
+async function nextItems(child, { limit = 20, now = new Date() } = {}) {
+  const [plan, records] = await Promise.all([
+    Exercise.findOne({ child: child._id, kind: 'plan', active: true }).sort({ createdAt: -1 }).lean(),
+    Mastery.find({ child: child._id })
+      .select('targetType target status attempts recentSuccessRate recommendedDifficulty lastAttemptAt')
+      .lean()
+  ]);
+
+  const automatic = !child.adaptive?.locked;
+  const overrides = itemOverrideMap(child);
+  const byKey = new Map(records.map(r => [overrideKey(r.targetType, r.target), r]));
+
+  const describe = (targetType, target, planItem = null) => {
+    const record = byKey.get(overrideKey(targetType, target)) || null;
+    const difficulty = overrides.get(overrideKey(targetType, target))
+      || (automatic && record ? record.recommendedDifficulty : null)
+      || planItem?.difficulty
+      || 'easy';
+    const details = {};
+    if (planItem) {
+      for (const field of ['articulationPoint', 'vowels', 'translation', 'category']) {
+        if (planItem[field] !== undefined && planItem[field] !== null) details[field] = planItem[field];
+      }
+    }
+    return {
+      targetType,
+      target,
+      difficulty,
+      status: record?.status || null,
+      recentSuccessRate: record ? record.recentSuccessRate : null,
+      lastAttemptAt: record?.lastAttemptAt || null,
+      ...details,
+      _record: record
+    };
+  };
+
+  const planItems = [
+    ...(plan?.letters || []).filter(l => l.letter).map(l => describe('letter', l.letter, l)),
+    ...(plan?.words || []).filter(w => w.word).map(w => describe('word', w.word, w))
+  ];
+  const planKeys = new Set(planItems.map(i => overrideKey(i.targetType, i.target)));
+
+  // Never practised plan targets
+  const fresh = planItems.filter(i => !i._record);
+  // Plan targets not mastered yet: hardest for the child first
+  const practice = planItems
+    .filter(i => i._record && i._record.status !== MASTERY_STATUS.MASTERED)
+    .sort((a, b) => (a.status === MASTERY_STATUS.CHALLENGING ? 0 : 1) - (b.status === MASTERY_STATUS.CHALLENGING ? 0 : 1)
+      || (a.recentSuccessRate ?? 0) - (b.recentSuccessRate ?? 0));
+  // Mastered targets (in the plan or from earlier plans) not seen recently,
+  // longest unseen first
+  const reviewBefore = now.getTime() - REVIEW_AFTER_DAYS * DAY;
+  const review = [
+    ...planItems.filter(i => i._record?.status === MASTERY_STATUS.MASTERED),
+    ...records
+      .filter(r => r.status === MASTERY_STATUS.MASTERED && !planKeys.has(overrideKey(r.targetType, r.target)))
+      .map(r => describe(r.targetType, r.target))
+  ]
+    .filter(i => !i.lastAttemptAt || new Date(i.lastAttemptAt).getTime() <= reviewBefore)
+    .sort((a, b) => new Date(a.lastAttemptAt || 0) - new Date(b.lastAttemptAt || 0));
+
+  const items = interleave({ practice, fresh, review }, limit).map(({ _record, ...item }) => item);
+
+  return {
+    planId: plan?._id || null,
+    difficultyLevel: child.difficultyLevel,
+    adaptive: automatic,
+    items
+  };
+}
+
+// Run after a sync or a server-side score; never fails the caller
+async function refreshAdaptiveSafely(childId) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(String(childId))) return null;
+    return await recomputeAdaptive(childId);
+  } catch (error) {
+    console.error('❌ Failed to update adaptive difficulty:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  DIFFICULTIES,
+  LEVELS,
+  thresholds,
+  nextDifficulty,
+  levelFor,
+  recomputeAdaptive,
+  refreshAdaptiveSafely,
+  parseAdaptiveSettings,
+  adaptiveOverview,
+  interleave,
+  nextItems
+};
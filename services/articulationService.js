@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Attempt = require('../models/Attempt');
+const { attemptScore } = require('./masteryService');
+const {
+  DEFAULT_LETTERS,
+  VOWELS,
+  REGIONS,
+  articulationPointOf,
+  regionOf,
+  vowelOf,
+  baseLetter
+} = require('../utils/arabicLetters');
+
+// ========================================
+// ARTICULATION ANALYTICS
+// Letter attempts grouped by articulation point (and its coarse region) and by
+// vowel, so patterns across letters show up (e.g. all throat letters).
+// ========================================
+
+const DEFAULT_WINDOW_DAYS = 30;
+
+function emptyBucket() {
+  return { attempts: 0, successes: 0, scoreSum: 0, scored: 0 };
+}
+
+function addTo(bucket, attempt) {
+  bucket.attempts++;
+  if (attempt.success) bucket.successes++;
+  const score = attemptScore(attempt);
+  if (score !== null) {
+    bucket.scoreSum += score;
+    bucket.scored++;
+  }
+}
+
+function finish(bucket) {
+  return {
+    attempts: bucket.attempts,
+    successes: bucket.successes,
+    successRate: bucket.attempts ? (bucket.successes / bucket.attempts) * 100 : 0,
+    averageScore: bucket.scored ? bucket.scoreSum / bucket.scored : null
+  };
+}
+
+// Pure: group attempts by articulation point, region and vowel. Attempts on a
+// letter outside the letter table are counted under `unclassified`.
+function summarizeArticulation(attempts) {
+  const points = new Map(DEFAULT_LETTERS.map(l => [l.articulationPoint, { ...emptyBucket(), letters: new Map() }]));
+  const regions = new Map(Object.keys(REGIONS).map(r => [r, emptyBucket()]));
+  const vowels = new Map(Object.keys(VOWELS).map(v => [v, emptyBucket()]));
+  const unclassified = emptyBucket();
+
+  for (const attempt of attempts) {
+    const letter = baseLetter(attempt.letter) || baseLetter(attempt.vowel);
+    if (!letter) continue;
+
+    const vowel = vowelOf(attempt.vowel);
+    if (vowel) addTo(vowels.get(vowel), attempt);
+
+    const point = articulationPointOf(letter);
+    if (!point) {
+      addTo(unclassified, attempt);
+      continue;
+    }
+
+    const group = points.get(point);
+    addTo(group, attempt);
+    if (!group.letters.has(letter)) group.letters.set(letter, emptyBucket());
+    addTo(group.letters.get(letter), attempt);
+    addTo(regions.get(regionOf(point)), attempt);
+  }
+
+  return {
+    articulationPoints: [...points.entries()].map(([articulationPoint, group]) => ({
+      articulationPoint,
+      region: regionOf(articulationPoint),
+      ...finish(group),
+      letters: [...group.letters.entries()].map(([letter, bucket]) => ({ letter, ...finish(bucket) }))
+    })),
+    regions: [...regions.entries()].map(([region, bucket]) => ({
+      region,
+      label: REGIONS[region],
+      ...finish(bucket)
+    })),
+    vowels: [...vowels.entries()].map(([vowel, bucket]) => ({
+      vowel,
+      mark: VOWELS[vowel],
+      ...finish(bucket)
+    })),
+    unclassified: finish(unclassified)
+  };
+}
+
+// Time window from ?from=&to= (ISO dates); defaults to the last 30 days.
+// Returns { from, to } or { error }.
+function parseWindow(query = {}, now = new Date()) {
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to)) return { error: 'from and to must be ISO dates' };
+  if (from > to) return { error: 'from must be before to' };
+  return { from, to };
+}
+
+async function getArticulationReport(childId, { from, to }) {
+  const attempts = await Attempt.find({
+    child: new mongoose.Types.ObjectId(String(childId)),
+    timestamp: { $gte: from, $lte: to },
+    $or: [{ letter: { $nin: [null, ''] } }, { vowel: { $nin: [null, ''] } }]
+  })
+    .select('letter vowel success score pronunciationScore accuracyScore')
+    .lean();
+
+  return summarizeArticulation(attempts);
+}
+
+module.exports = {
+  summarizeArticulation,
+  parseWindow,
+  getArticulationReport
+};
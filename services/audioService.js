@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const Attempt = require('../models/Attempt');
+const Child = require('../models/Child');
+const Center = require('../models/Center');
+const User = require('../models/User');
+
+// ========================================
+// ATTEMPT AUDIO CLIPS
+// Recordings are private: they live outside uploads/ (which is served
+// statically) in one folder per child and are only streamed through
+// /api/audio after an access check.
+// ========================================
+
+const AUDIO_DIR = process.env.AUDIO_STORAGE_DIR || path.join(__dirname, '..', 'storage', 'audio');
+const MAX_AUDIO_BYTES = Number(process.env.AUDIO_MAX_BYTES || 2 * 1024 * 1024);
+const DAY = 24 * 60 * 60 * 1000;
+
+// Accepted formats: extension -> content type served, client content types
+// accepted, and a check of the file signature
+const AUDIO_FORMATS = {
+  '.wav': {
+    contentType: 'audio/wav',
+    mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+    matches: (head) => head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'WAVE'
+  },
+  '.m4a': {
+    contentType: 'audio/mp4',
+    mimeTypes: ['audio/mp4', 'audio/m4a', 'audio/x-m4a', 'audio/aac'],
+    matches: (head) => head.toString('ascii', 4, 8) === 'ftyp'
+  },
+  '.ogg': {
+    contentType: 'audio/ogg',
+    mimeTypes: ['audio/ogg', 'application/ogg', 'audio/opus'],
+    matches: (head) => head.toString('ascii', 0, 4) === 'OggS'
+  }
+};
+
+function retentionDaysDefault() {
+  const days = parseInt(process.env.AUDIO_RETENTION_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : 90;
+}
+
+function childAudioDir(childId) {
+  return path.join(AUDIO_DIR, String(childId));
+}
+
+// Format of an upload by extension and declared type, or null
+function formatOf(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  const format = AUDIO_FORMATS[ext];
+  if (!format || !format.mimeTypes.includes(String(file.mimetype).toLowerCase())) return null;
+  return { ext, ...format };
+}
+
+function removeFile(filePath) {
+  if (!filePath) return;
+  fs.unlink(filePath, () => {});
+}
+
+function audioPath(attempt) {
+  if (!attempt?.audio?.file) return null;
+  return path.join(childAudioDir(attempt.child), path.basename(attempt.audio.file));
+}
+
+// Format of an uploaded file when its content matches the declared type
+// (extension, content type and file signature), otherwise null
+async function verifiedFormat(file) {
+  const format = formatOf(file);
+  if (!format) return null;
+
+  const head = Buffer.alloc(12);
+  const fd = await fs.promises.open(file.path, 'r');
+  try {
+    await fd.read(head, 0, 12, 0);
+  } finally {
+    await fd.close();
+  }
+  return format.matches(head) ? format : null;
+}
+
+// Link an uploaded file to the attempt, replacing any earlier clip. Throws
+// (and removes the file) when the content is not the declared format.
+async function attachAudio(attempt, file) {
+  const format = await verifiedFormat(file);
+  if (!format) {
+    removeFile(file.path);
+    throw new Error('File content does not match a wav, m4a or ogg recording');
+  }
+
+  const previous = audioPath(attempt);
+  attempt.audio = {
+    file: path.basename(file.path),
+    contentType: format.contentType,
+    size: file.size,
+    uploadedAt: new Date()
+  };
+  await attempt.save();
+  if (previous && previous !== file.path) removeFile(previous);
+  return attempt;
+}
+
+// Delete the clips of these attempts (their records are updated by the caller)
+function removeAudioFiles(attempts) {
+  for (const attempt of attempts) removeFile(audioPath(attempt));
+}
+
+async function deleteAudioForChildren(childIds) {
+  for (const childId of childIds) {
+    await fs.promises.rm(childAudioDir(childId), { recursive: true, force: true });
+  }
+  await Attempt.updateMany(
+    { child: { $in: childIds }, audio: { $ne: null } },
+    { $set: { audio: null } }
+  );
+}
+
+// Delete clips older than the retention period of the child's center (the
+// center of the assigned specialist), or the default one
+async function purgeExpiredAudio(now = new Date()) {
+  const childIds = await Attempt.distinct('child', { audio: { $ne: null } });
+  if (!childIds.length) return 0;
+
+  const children = await Child.find({ _id: { $in: childIds } }).select('assignedSpecialist').lean();
+  const specialists = await User.find({ _id: { $in: children.map(c => c.assignedSpecialist).filter(Boolean) } })
+    .select('center')
+    .lean();
+  const centers = await Center.find({ _id: { $in: specialists.map(s => s.center).filter(Boolean) } })
+    .select('audioRetentionDays')
+    .lean();
+
+  const centerOf = new Map(specialists.map(s => [String(s._id), s.center ? String(s.center) : null]));
+  const daysOf = new Map(centers.map(c => [String(c._id), c.audioRetentionDays]));
+  const retentionFor = (child) => daysOf.get(centerOf.get(String(child.assignedSpecialist))) || retentionDaysDefault();
+
+  // Children without a record anymore lose their clips right away
+  const known = new Set(children.map(c => String(c._id)));
+  const orphans = childIds.filter(id => !known.has(String(id)));
+  if (orphans.length) await deleteAudioForChildren(orphans);
+
+  let removed = 0;
+  for (const child of children) {
+    const cutoff = new Date(now.getTime() - retentionFor(child) * DAY);
+    const expired = await Attempt.find({ child: child._id, 'audio.uploadedAt': { $lt: cutoff } })
+      .select('child audio')
+      .lean();
+    if (!expired.length) continue;
+
+    removeAudioFiles(expired);
+    await Attempt.updateMany({ _id: { $in: expired.map(a => a._id) } }, { $set: { audio: null } });
+    removed += expired.length;
+  }
+
+  return removed;
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  MAX_AUDIO_BYTES,
+  retentionDaysDefault,
+  childAudioDir,
+  formatOf,
+  verifiedFormat,
+  audioPath,
+  attachAudio,
+  removeAudioFiles,
+  deleteAudioForChildren,
+  purgeExpiredAudio
+};
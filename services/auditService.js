@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { getClientIp, getUserAgent } = require('../utils/request');
+
+// Fields never copied into the audit trail
+const IGNORED_FIELDS = new Set([
+  '_id', '__v', 'createdAt', 'updatedAt', 'password', 'verificationToken',
+  'resetPasswordToken', 'resetPasswordExpire', 'resetPasswordAttempts', 'tokensValidAfter', 'twoFactor'
+]);
+
+function toPlain(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+// Shallow diff of two snapshots: { field: { before, after } } for changed fields.
+// Either side may be null (create / delete).
+function diffSnapshots(before, after) {
+  const a = toPlain(before) || {};
+  const b = toPlain(after) || {};
+  const changes = {};
+
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    if (JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+    changes[key] = { before: a[key] ?? null, after: b[key] ?? null };
+  }
+
+  return Object.keys(changes).length ? changes : null;
+}
+
+// The center a child belongs to is the center of its assigned specialist
+async function centerForChild(child) {
+  if (!child?.assignedSpecialist) return null;
+  const specialistId = child.assignedSpecialist._id || child.assignedSpecialist;
+  const specialist = await User.findById(specialistId).select('center').lean();
+  return specialist?.center || null;
+}
+
+// Record an audit entry. Best-effort: failures are logged, never thrown, so an
+// audit problem can't break the action being audited.
+//   recordAudit(req, { action, targetModel, targetId, before, after, child, center, metadata })
+async function recordAudit(req, entry) {
+  try {
+    const { action, targetModel, targetId = null, before = null, after = null, metadata = null } = entry;
+    const child = entry.child || null;
+
+    let center = entry.center || null;
+    if (!center && child && typeof child === 'object') center = await centerForChild(child);
+    if (!center && req?.user?.center) center = req.user.center;
+
+    await AuditLog.create({
+      actor: req?.user?._id || null,
+      actorRole: req?.user?.role || null,
+      action,
+      targetModel,
+      targetId,
+      child: child ? (child._id || child) : null,
+      center: center ? (center._id || center) : null,
+      changes: diffSnapshots(before, after),
+      metadata,
+      ip: req ? getClientIp(req) : '',
+      userAgent: req ? getUserAgent(req) : ''
+    });
+  } catch (error) {
+    console.error('❌ Failed to record audit log:', error.message);
+  }
+}
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(String(value || ''));
+
+// Build a Mongo filter from ?actor=&child=&action=&targetModel=&from=&to= query params
+function buildAuditFilter(query = {}) {
+  const filter = {};
+  if (query.actor && isObjectId(query.actor)) filter.actor = query.actor;
+  if (query.child && isObjectId(query.child)) filter.child = query.child;
+  if (query.targetModel) filter.targetModel = String(query.targetModel);
+  if (query.action) {
+    // 'child' matches every child.* action, 'child.update' matches exactly
+    const action = String(query.action);
+    filter.action = action.includes('.') ? action : { $regex: `^${action.replace(/[^a-zA-Z_]/g, '')}\\.` };
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && !isNaN(from)) || (to && !isNaN(to))) {
+    filter.createdAt = {};
+    if (from && !isNaN(from)) filter.createdAt.$gte = from;
+    if (to && !isNaN(to)) filter.createdAt.$lte = to;
+  }
+
+  return filter;
+}
+
+async function listAuditLogs(filter, { page = 1, limit = 50 } = {}) {
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const safePage = Math.max(parseInt(page, 10) || 1, 1);
+
+  const [total, logs] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter)
+      .populate('actor', 'name email role staffId')
+      .populate('child', 'name childId')
+      .sort('-createdAt')
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean()
+  ]);
+
+  return { total, page: safePage, limit: safeLimit, logs };
+}
+
+module.exports = {
+  recordAudit,
+  diffSnapshots,
+  buildAuditFilter,
+  listAuditLogs
+};
@@ -0,0 +1,354 @@
+const mongoose = require('mongoose');
+const CatalogItem = require('../models/CatalogItem');
+const { DEFAULT_LETTERS } = require('../utils/arabicLetters');
+
+// ========================================
+// LETTER AND WORD CATALOGUE
+// The global catalogue is managed by superadmins; a center extends it with its
+// own entries, overrides a global entry by adding one with the same text, or
+// hides it. Readers always get the merged view.
+// ========================================
+
+const CATALOG_TYPES = ['letter', 'word'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_TEXT_LENGTH = 50;
+const MAX_LIST_ITEMS = 20;
+
+// Seed of the global word catalogue (Libyan dialect)
+const DEFAULT_WORDS = [
+  // Emotions
+  { word: 'فرحان', translation: 'Happy', category: 'emotions' },
+  { word: 'حزين', translation: 'Sad', category: 'emotions' },
+  { word: 'خايف', translation: 'Scared', category: 'emotions' },
+  { word: 'زعلان', translation: 'Upset', category: 'emotions' },
+
+  // Basic needs
+  { word: 'جعان', translation: 'Hungry', category: 'needs' },
+  { word: 'عطشان', translation: 'Thirsty', category: 'needs' },
+  { word: 'نعسان', translation: 'Sleepy', category: 'needs' },
+  { word: 'تعبان', translation: 'Tired', category: 'needs' },
+
+  // Actions
+  { word: 'ماشي', translation: 'Walking', category: 'actions' },
+  { word: 'راكض', translation: 'Running', category: 'actions' },
+  { word: 'قاعد', translation: 'Sitting', category: 'actions' },
+  { word: 'واقف', translation: 'Standing', category: 'actions' },
+
+  // Family
+  { word: 'بابا', translation: 'Dad', category: 'family' },
+  { word: 'ماما', translation: 'Mom', category: 'family' },
+  { word: 'خويا', translation: 'Brother', category: 'family' },
+  { word: 'ختي', translation: 'Sister', category: 'family' }
+];
+
+// Fields a center entry may override on a global entry
+const CONTENT_FIELDS = [
+  'articulationPoint', 'vowels', 'category', 'difficulty', 'dialects',
+  'translations', 'image', 'audio', 'order'
+];
+const EDITABLE_FIELDS = ['type', 'text', 'hidden', 'active', ...CONTENT_FIELDS];
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+const isEmpty = (value) => value === null || value === undefined
+  || (Array.isArray(value) && value.length === 0)
+  || (isPlainObject(value) && Object.keys(value).length === 0);
+
+function seedItems() {
+  return [
+    ...DEFAULT_LETTERS.map((l, index) => ({
+      type: 'letter',
+      text: l.letter,
+      articulationPoint: l.articulationPoint,
+      vowels: l.vowels,
+      order: index
+    })),
+    ...DEFAULT_WORDS.map((w, index) => ({
+      type: 'word',
+      text: w.word,
+      category: w.category,
+      dialects: ['libyan'],
+      translations: { en: w.translation },
+      order: index
+    }))
+  ];
+}
+
+// Fill an empty global catalogue with the built-in letters and words. Only
+// runs while a type has no global entries at all, so deleting or deactivating
+// entries afterwards sticks.
+let seeded = false;
+async function ensureCatalogSeeded() {
+  if (seeded) return;
+
+  for (const type of CATALOG_TYPES) {
+    const exists = await CatalogItem.exists({ type, center: null });
+    if (exists) continue;
+    try {
+      await CatalogItem.insertMany(seedItems().filter(item => item.type === type), { ordered: false });
+    } catch (error) {
+      // Another instance seeded concurrently
+      if (error.code !== 11000 && !error.writeErrors) throw error;
+    }
+  }
+
+  seeded = true;
+}
+
+// ---------- Validation ----------
+
+function validateStringList(value, path, errors) {
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    errors.push({ path, message: `${path} must be an array of strings` });
+    return undefined;
+  }
+  return [...new Set(value.map(v => v.trim()).filter(Boolean))].slice(0, MAX_LIST_ITEMS);
+}
+
+// Validate a catalogue entry body. With `partial`, only the given fields are
+// checked (updates); `existing` is the entry being updated. Returns { values }
+// or { errors }.
+function validateCatalogItem(body, { partial = false, existing = null } = {}) {
+  if (!isPlainObject(body)) return { errors: [{ path: '', message: 'Body must be an object' }] };
+
+  const errors = [];
+  const values = {};
+
+  const unknown = Object.keys(body).filter(k => ![...EDITABLE_FIELDS, 'translation', 'centerId'].includes(k));
+  if (unknown.length) {
+    errors.push({ path: unknown.join(', '), message: `Unknown catalogue fields: ${unknown.join(', ')}` });
+  }
+
+  if (body.type !== undefined || !partial) {
+    if (partial && existing && body.type !== existing.type) {
+      errors.push({ path: 'type', message: 'type cannot be changed' });
+    } else if (!CATALOG_TYPES.includes(body.type)) {
+      errors.push({ path: 'type', message: `type must be one of: ${CATALOG_TYPES.join(', ')}` });
+    } else {
+      values.type = body.type;
+    }
+  }
+  const type = values.type || existing?.type;
+
+  if (body.text !== undefined || !partial) {
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+    if (!text || text.length > MAX_TEXT_LENGTH) {
+      errors.push({ path: 'text', message: `text must be 1-${MAX_TEXT_LENGTH} characters` });
+    } else if (type === 'letter' && [...text].length !== 1) {
+      errors.push({ path: 'text', message: 'A letter entry must be a single character' });
+    } else {
+      values.text = text;
+    }
+  }
+
+  for (const field of ['hidden', 'active']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') errors.push({ path: field, message: `${field} must be true or false` });
+    else values[field] = body[field];
+  }
+
+  for (const field of ['articulationPoint', 'category']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && (typeof body[field] !== 'string' || body[field].length > 100)) {
+      errors.push({ path: field, message: `${field} must be a string of at most 100 characters` });
+    } else {
+      values[field] = body[field] === null ? null : body[field].trim() || null;
+    }
+  }
+
+  if (body.vowels !== undefined) {
+    const vowels = validateStringList(body.vowels, 'vowels', errors);
+    if (vowels) values.vowels = vowels;
+  }
+  if (body.dialects !== undefined) {
+    const dialects = validateStringList(body.dialects, 'dialects', errors);
+    if (dialects) values.dialects = dialects.map(d => d.toLowerCase());
+  }
+
+  if (body.difficulty !== undefined) {
+    if (body.difficulty !== null && !DIFFICULTIES.includes(body.difficulty)) {
+      errors.push({ path: 'difficulty', message: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` });
+    } else {
+      values.difficulty = body.difficulty;
+    }
+  }
+
+  // `translation` is shorthand for the English translation
+  if (body.translations !== undefined || body.translation !== undefined) {
+    const translations = body.translations === undefined
+      ? { ...(existing?.translations instanceof Map ? Object.fromEntries(existing.translations) : existing?.translations || {}) }
+      : body.translations;
+    if (!isPlainObject(translations)
+      || Object.entries(translations).some(([lang, text]) => !/^[a-z]{2}(-[A-Za-z]{2})?$/.test(lang) || typeof text !== 'string' || text.length > 200)) {
+      errors.push({ path: 'translations', message: 'translations must map language codes (e.g. "en") to strings of at most 200 characters' });
+    } else if (body.translation !== undefined && typeof body.translation !== 'string') {
+      errors.push({ path: 'translation', message: 'translation must be a string' });
+    } else {
+      values.translations = { ...translations };
+      if (body.translation !== undefined) values.translations.en = body.translation;
+      for (const [lang, text] of Object.entries(values.translations)) {
+        if (!text.trim()) delete values.translations[lang];
+        else values.translations[lang] = text.trim();
+      }
+    }
+  }
+
+  // Media are uploaded through the image/audio endpoints; here they can only be cleared
+  for (const field of ['image', 'audio']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null) errors.push({ path: field, message: `${field} can only be cleared (null); upload a file instead` });
+    else values[field] = null;
+  }
+
+  if (body.order === null) {
+    values.order = null;
+  } else if (body.order !== undefined) {
+    const order = Number(body.order);
+    if (!Number.isInteger(order) || order < 0 || order > 10000) {
+      errors.push({ path: 'order', message: 'order must be a whole number between 0 and 10000' });
+    } else {
+      values.order = order;
+    }
+  }
+
+  return errors.length ? { errors } : { values };
+}
+
+// ---------- Access ----------
+
+// The center whose entries `user` manages: superadmins edit the global
+// catalogue unless they name a center, admins only their own center.
+function catalogScopeFor(user, centerId) {
+  if (user.role === 'superadmin') {
+    if (!centerId) return { center: null };
+    if (!mongoose.Types.ObjectId.isValid(String(centerId))) return { error: 'Invalid centerId' };
+    return { center: new mongoose.Types.ObjectId(String(centerId)) };
+  }
+  if (user.role === 'admin' && user.center) return { center: user.center };
+  return { error: 'Only superadmins and center admins manage the catalogue' };
+}
+
+function canManageItem(user, item) {
+  if (user.role === 'superadmin') return true;
+  return user.role === 'admin'
+    && !!user.center
+    && !!item.center
+    && String(item.center) === String(user.center);
+}
+
+// ---------- Reading ----------
+
+const plainTranslations = (translations) => (
+  translations instanceof Map ? Object.fromEntries(translations) : { ...(translations || {}) }
+);
+
+// Pure: overlay the center entries on the global ones. A center entry with
+// the text of a global entry overrides the fields it sets (or hides the entry
+// when `hidden`); any other center entry extends the catalogue.
+function mergeCatalog(globalItems, centerItems = []) {
+  const merged = new Map();
+
+  for (const item of globalItems) {
+    if (item.active === false) continue;
+    merged.set(item.text, { ...item, translations: plainTranslations(item.translations), source: 'global' });
+  }
+
+  for (const item of centerItems) {
+    if (item.active === false) continue;
+    const base = merged.get(item.text);
+    if (item.hidden) {
+      merged.delete(item.text);
+      continue;
+    }
+    if (!base) {
+      merged.set(item.text, { ...item, translations: plainTranslations(item.translations), source: 'center' });
+      continue;
+    }
+
+    const overridden = { ...base, source: 'override', overrideId: item._id };
+    for (const field of CONTENT_FIELDS) {
+      if (field === 'translations') {
+        overridden.translations = { ...base.translations, ...plainTranslations(item.translations) };
+      } else if (field === 'order') {
+        if (item.order !== undefined && item.order !== null) overridden.order = item.order;
+      } else if (!isEmpty(item[field])) {
+        overridden[field] = item[field];
+      }
+    }
+    merged.set(item.text, overridden);
+  }
+
+  return [...merged.values()].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+// Shape of an entry in the /letters/default and /words/default responses;
+// the original fields (letter/word, articulationPoint, vowels, translation,
+// category) are kept for existing clients
+function presentItem(item) {
+  const common = {
+    id: item._id,
+    category: item.category || null,
+    difficulty: item.difficulty || null,
+    dialects: item.dialects || [],
+    translations: item.translations || {},
+    image: item.image || null,
+    audio: item.audio || null,
+    source: item.source
+  };
+
+  if (item.type === 'letter') {
+    return {
+      letter: item.text,
+      articulationPoint: item.articulationPoint || null,
+      vowels: item.vowels || [],
+      ...common
+    };
+  }
+  return {
+    word: item.text,
+    translation: item.translations?.en || null,
+    ...common
+  };
+}
+
+// Merged catalogue of one type as seen by `center` (global only without one),
+// optionally filtered by ?category= and ?dialect=
+async function getCatalog(type, { center = null, category, dialect } = {}) {
+  await ensureCatalogSeeded();
+
+  const [globalItems, centerItems] = await Promise.all([
+    CatalogItem.find({ type, center: null }).lean(),
+    center ? CatalogItem.find({ type, center }).lean() : []
+  ]);
+
+  return mergeCatalog(globalItems, centerItems)
+    .filter(item => !category || item.category === String(category).toLowerCase())
+    .filter(item => !dialect || (item.dialects || []).includes(String(dialect).toLowerCase()))
+    .map(presentItem);
+}
+
+// Raw entries for the management screens: ?type=&q=&category=&dialect=&includeInactive=
+async function listCatalogItems(center, query = {}) {
+  await ensureCatalogSeeded();
+
+  const filter = { center };
+  if (CATALOG_TYPES.includes(query.type)) filter.type = query.type;
+  if (query.category) filter.category = String(query.category).toLowerCase();
+  if (query.dialect) filter.dialects = String(query.dialect).toLowerCase();
+  if (query.includeInactive !== 'true') filter.active = true;
+  if (query.q) filter.text = { $regex: String(query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+
+  return CatalogItem.find(filter).sort({ type: 1, order: 1, text: 1 }).lean();
+}
+
+module.exports = {
+  CATALOG_TYPES,
+  DEFAULT_WORDS,
+  ensureCatalogSeeded,
+  validateCatalogItem,
+  catalogScopeFor,
+  canManageItem,
+  mergeCatalog,
+  presentItem,
+  getCatalog,
+  listCatalogItems
+};
@@ -0,0 +1,393 @@
+const mongoose = require('mongoose');
+const Curriculum = require('../models/Curriculum');
+const Exercise = require('../models/Exercise');
+const Child = require('../models/Child');
+const Session = require('../models/Session');
+const Mastery = require('../models/Mastery');
+const PlanTemplate = require('../models/PlanTemplate');
+const { MASTERY_STATUS } = require('./masteryService');
+const { validatePlanUpdate, snapshotOf, createPlan } = require('./planVersionService');
+const { canViewTemplate } = require('./planTemplateService');
+const { notifyUser } = require('./notificationService');
+
+// ========================================
+// CURRICULA: ORDERED PLAN SESSIONS WITH AUTOMATIC PROGRESSION
+// The current step of an active curriculum is the child's active plan. The
+// 'curriculum-progression' job checks each one against its advancement rule,
+// starts the next step's plan and tells the specialist and the parent.
+// ========================================
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_STEPS = 30;
+const ADVANCE_TYPES = ['mastery', 'days', 'mastery_or_days', 'manual'];
+
+function defaultStuckDays() {
+  return Number(process.env.CURRICULUM_STUCK_DAYS || 21);
+}
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+// ---------- Validation ----------
+
+function validateAdvanceRule(raw, path, errors) {
+  if (raw === undefined || raw === null) return { type: 'mastery' };
+  if (!isPlainObject(raw)) {
+    errors.push({ path, message: 'advance must be an object' });
+    return null;
+  }
+
+  const rule = { type: raw.type || 'mastery' };
+  if (!ADVANCE_TYPES.includes(rule.type)) {
+    errors.push({ path: `${path}.type`, message: `advance.type must be one of: ${ADVANCE_TYPES.join(', ')}` });
+    return null;
+  }
+  if (raw.masteryPercent !== undefined) {
+    const percent = Number(raw.masteryPercent);
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      errors.push({ path: `${path}.masteryPercent`, message: 'masteryPercent must be between 1 and 100' });
+    } else {
+      rule.masteryPercent = percent;
+    }
+  }
+  if (raw.minSessions !== undefined) {
+    const sessions = Number(raw.minSessions);
+    if (!Number.isInteger(sessions) || sessions < 0) {
+      errors.push({ path: `${path}.minSessions`, message: 'minSessions must be a non-negative integer' });
+    } else {
+      rule.minSessions = sessions;
+    }
+  }
+  if (raw.days !== undefined && raw.days !== null) {
+    const days = Number(raw.days);
+    if (!Number.isInteger(days) || days < 1) {
+      errors.push({ path: `${path}.days`, message: 'days must be a positive integer' });
+    } else {
+      rule.days = days;
+    }
+  }
+  if (['days', 'mastery_or_days'].includes(rule.type) && !rule.days) {
+    errors.push({ path: `${path}.days`, message: `advance.days is required for ${rule.type}` });
+  }
+  return rule;
+}
+
+// Validate { name, steps: [...] }. A step is either plan content (letters,
+// words, targetDuration, sessionName) or { template: <PlanTemplate id> },
+// plus an optional advance rule and stuckAfterDays. Templates are copied in,
+// later template edits do not change the curriculum.
+// Returns { values } or { errors }.
+async function buildCurriculum(body, user) {
+  if (!isPlainObject(body)) return { errors: [{ path: '', message: 'Body must be an object' }] };
+
+  const errors = [];
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) errors.push({ path: 'name', message: 'name must be 1-100 characters' });
+
+  if (!Array.isArray(body.steps) || !body.steps.length || body.steps.length > MAX_STEPS) {
+    errors.push({ path: 'steps', message: `steps must list 1-${MAX_STEPS} plan sessions` });
+    return { errors };
+  }
+
+  const steps = [];
+  for (const [i, raw] of body.steps.entries()) {
+    const path = `steps.${i}`;
+    if (!isPlainObject(raw)) {
+      errors.push({ path, message: 'Each step must be an object' });
+      continue;
+    }
+
+    const { advance, stuckAfterDays, template, ...content } = raw;
+    let step = {};
+
+    if (template) {
+      const doc = mongoose.Types.ObjectId.isValid(String(template)) ? await PlanTemplate.findById(template).lean() : null;
+      if (!doc || doc.archived || !canViewTemplate(user, doc)) {
+        errors.push({ path: `${path}.template`, message: 'Template not found' });
+        continue;
+      }
+      const snapshot = snapshotOf(doc);
+      step = {
+        sessionName: snapshot.sessionName || doc.name,
+        letters: snapshot.letters,
+        words: snapshot.words,
+        targetDuration: snapshot.targetDuration
+      };
+    }
+
+    if (Object.keys(content).length) {
+      const result = validatePlanUpdate(content);
+      if (result.errors) {
+        errors.push(...result.errors.map(e => ({ ...e, path: `${path}.${e.path}` })));
+        continue;
+      }
+      Object.assign(step, result.changes);
+    }
+
+    if (!step.letters?.length && !step.words?.length) {
+      errors.push({ path, message: 'A step needs letters or words (or a template)' });
+      continue;
+    }
+
+    step.advance = validateAdvanceRule(advance, `${path}.advance`, errors);
+    if (stuckAfterDays !== undefined && stuckAfterDays !== null) {
+      const days = Number(stuckAfterDays);
+      if (!Number.isInteger(days) || days < 1) {
+        errors.push({ path: `${path}.stuckAfterDays`, message: 'stuckAfterDays must be a positive integer' });
+      } else {
+        step.stuckAfterDays = days;
+      }
+    }
+    steps.push(step);
+  }
+
+  return errors.length ? { errors } : { values: { name, steps } };
+}
+
+// ---------- Rules ----------
+
+const targetsOfStep = (step) => [
+  ...(step.letters || []).map(l => ({ targetType: 'letter', target: l.letter })),
+  ...(step.words || []).map(w => ({ targetType: 'word', target: w.word }))
+].filter(t => t.target);
+
+// Pure: should the current step end, and is the child stuck on it?
+//   context: { mastered: Set of 'letter|ر' keys, sessionsOnStep, stepStartedAt }
+function evaluateStep(step, { mastered, sessionsOnStep, stepStartedAt }, now = new Date(), { stuckDays = defaultStuckDays() } = {}) {
+  const rule = step.advance || { type: 'mastery' };
+  const targets = targetsOfStep(step);
+  const masteredCount = targets.filter(t => mastered.has(`${t.targetType}|${t.target}`)).length;
+  const percent = targets.length ? Math.round((masteredCount / targets.length) * 100) : 0;
+  const days = stepStartedAt ? Math.floor((now - new Date(stepStartedAt)) / DAY) : 0;
+
+  const masteryMet = targets.length > 0
+    && percent >= (rule.masteryPercent ?? 100)
+    && sessionsOnStep >= (rule.minSessions ?? 1);
+  const daysMet = !!rule.days && days >= rule.days;
+
+  let advance = null;
+  if (['mastery', 'mastery_or_days'].includes(rule.type) && masteryMet) advance = 'mastery';
+  else if (['days', 'mastery_or_days'].includes(rule.type) && daysMet) advance = 'days';
+
+  const stuckAfter = step.stuckAfterDays || stuckDays;
+  return {
+    advance,
+    stuck: !advance && rule.type !== 'days' && days >= stuckAfter,
+    progress: { mastered: masteredCount, targets: targets.length, percent, sessions: sessionsOnStep, days }
+  };
+}
+
+// ---------- Notifications ----------
+
+async function notifyCurriculum(io, curriculum, child, event) {
+  const step = curriculum.steps[curriculum.currentStep];
+  const stepName = step?.sessionName || `${curriculum.currentStep + 1}`;
+  const messages = {
+    advanced: {
+      type: 'success',
+      title: 'انتقال إلى جلسة جديدة', // Moved on to the next session
+      message: `انتقل ${child.name} إلى «${stepName}» في خطة «${curriculum.name}».`
+    },
+    completed: {
+      type: 'success',
+      title: 'اكتمال الخطة العلاجية', // Curriculum completed
+      message: `أكمل ${child.name} جميع جلسات خطة «${curriculum.name}».`
+    },
+    stuck: {
+      type: 'warning',
+      title: 'تعثّر في الخطة العلاجية', // Stuck on a step
+      message: `لم يتقدم ${child.name} في «${stepName}» من خطة «${curriculum.name}» منذ مدة طويلة.`
+    }
+  };
+  const { type, title, message } = messages[event];
+
+  // The parent only hears about progress; being stuck is for the specialist
+  const recipients = event === 'stuck' ? [child.assignedSpecialist] : [child.assignedSpecialist, child.parent];
+  for (const userId of recipients.filter(Boolean)) {
+    try {
+      await notifyUser(io, userId, {
+        type,
+        title,
+        message,
+        data: { kind: `curriculum_${event}`, curriculumId: curriculum._id, childId: child._id, step: curriculum.currentStep }
+      });
+    } catch (error) {
+      console.error('❌ Failed to send curriculum notification:', error.message);
+    }
+  }
+}
+
+// ---------- Changes ----------
+
+// Make step `index` the child's active plan
+async function startStep(curriculum, child, index, { author, now = new Date() }) {
+  const step = curriculum.steps[index];
+  const exercise = await createPlan(child, {
+    letters: step.letters,
+    words: step.words,
+    targetDuration: step.targetDuration ?? undefined,
+    sessionName: step.sessionName || undefined
+  }, { author });
+
+  curriculum.currentStep = index;
+  curriculum.currentExercise = exercise._id;
+  curriculum.stepStartedAt = now;
+  curriculum.stuckNotifiedAt = null;
+  curriculum.history.push({ step: index, exercise: exercise._id, startedAt: now });
+  return exercise;
+}
+
+// Create a curriculum for the child (cancelling any other open one) and
+// start its first step
+async function startCurriculum(child, values, { author, now = new Date() }) {
+  await Curriculum.updateMany(
+    { child: child._id, status: { $in: ['active', 'paused'] } },
+    { $set: { status: 'cancelled' } }
+  );
+
+  const curriculum = new Curriculum({ ...values, child: child._id, createdBy: author });
+  await curriculum.validate();
+  await startStep(curriculum, child, 0, { author, now });
+  await curriculum.save();
+  return curriculum;
+}
+
+// End the current step and start the next one (or complete the curriculum).
+// `reason` is 'mastery' | 'days' | 'manual'.
+async function advanceCurriculum(curriculum, child, reason, { author = curriculum.createdBy, io = null, now = new Date() } = {}) {
+  const open = curriculum.history[curriculum.history.length - 1];
+  if (open && !open.endedAt) {
+    open.endedAt = now;
+    open.endReason = reason;
+  }
+
+  let event;
+  if (curriculum.currentStep + 1 >= curriculum.steps.length) {
+    // The last plan stays active so the child keeps practising it
+    curriculum.status = 'completed';
+    curriculum.completedAt = now;
+    event = 'completed';
+  } else {
+    await startStep(curriculum, child, curriculum.currentStep + 1, { author, now });
+    event = 'advanced';
+  }
+
+  await curriculum.save();
+  await notifyCurriculum(io, curriculum, child, event);
+  return event;
+}
+
+// Resume a paused curriculum; its step's plan becomes active again
+async function resumeCurriculum(curriculum, child, { author, now = new Date() }) {
+  const plan = curriculum.currentExercise
+    ? await Exercise.findOne({ _id: curriculum.currentExercise, child: child._id, kind: 'plan' })
+    : null;
+
+  if (plan && plan.active) {
+    curriculum.stepStartedAt = curriculum.stepStartedAt || now;
+  } else {
+    // Replaced meanwhile: restart the step from its content
+    const open = curriculum.history[curriculum.history.length - 1];
+    if (open && !open.endedAt) {
+      open.endedAt = now;
+      open.endReason = 'replaced';
+    }
+    await startStep(curriculum, child, curriculum.currentStep, { author, now });
+  }
+
+  curriculum.status = 'active';
+  curriculum.pausedReason = null;
+  await curriculum.save();
+  return curriculum;
+}
+
+// ---------- Job ----------
+
+async function stepContext(curriculum) {
+  const step = curriculum.steps[curriculum.currentStep];
+  const targets = targetsOfStep(step);
+  const [mastered, sessionsOnStep] = await Promise.all([
+    targets.length
+      ? Mastery.find({
+        child: curriculum.child,
+        status: MASTERY_STATUS.MASTERED,
+        $or: targets.map(t => ({ targetType: t.targetType, target: t.target }))
+      }).select('targetType target').lean()
+      : [],
+    // Only sessions played on the step's own plan count toward it
+    Session.countDocuments({
+      child: curriculum.child,
+      planExerciseId: curriculum.currentExercise,
+      sessionDate: { $gte: curriculum.stepStartedAt }
+    })
+  ]);
+
+  return {
+    mastered: new Set(mastered.map(m => `${m.targetType}|${m.target}`)),
+    sessionsOnStep,
+    stepStartedAt: curriculum.stepStartedAt
+  };
+}
+
+// Where a child stands on the current step (for the API)
+async function curriculumStatus(curriculum, now = new Date()) {
+  if (curriculum.status !== 'active' && curriculum.status !== 'paused') return null;
+  return evaluateStep(curriculum.steps[curriculum.currentStep], await stepContext(curriculum), now);
+}
+
+async function checkCurriculum(curriculum, { io, now }) {
+  const child = await Child.findById(curriculum.child);
+  if (!child) {
+    curriculum.status = 'cancelled';
+    await curriculum.save();
+    return null;
+  }
+
+  // A plan created outside the curriculum takes over: stop advancing until
+  // the specialist resumes the curriculum
+  const plan = await Exercise.findById(curriculum.currentExercise).select('active').lean();
+  if (!plan || !plan.active) {
+    curriculum.status = 'paused';
+    curriculum.pausedReason = 'plan_replaced';
+    await curriculum.save();
+    return 'paused';
+  }
+
+  const result = evaluateStep(curriculum.steps[curriculum.currentStep], await stepContext(curriculum), now);
+  if (result.advance) return advanceCurriculum(curriculum, child, result.advance, { io, now });
+
+  if (result.stuck && !curriculum.stuckNotifiedAt) {
+    curriculum.stuckNotifiedAt = now;
+    await curriculum.save();
+    await notifyCurriculum(io, curriculum, child, 'stuck');
+    return 'stuck';
+  }
+  return null;
+}
+
+// Run by the scheduler
+async function runCurriculumProgression({ io = null, now = new Date() } = {}) {
+  const totals = { advanced: 0, completed: 0, stuck: 0, paused: 0 };
+  const curricula = await Curriculum.find({ status: 'active' });
+
+  for (const curriculum of curricula) {
+    try {
+      const event = await checkCurriculum(curriculum, { io, now });
+      if (event) totals[event]++;
+    } catch (error) {
+      console.error(`❌ Curriculum ${curriculum._id} check failed:`, error.message);
+    }
+  }
+
+  return totals;
+}
+
+module.exports = {
+  ADVANCE_TYPES,
+  buildCurriculum,
+  evaluateStep,
+  startCurriculum,
+  advanceCurriculum,
+  resumeCurriculum,
+  curriculumStatus,
+  runCurriculumProgression
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const PairedDevice = require('../models/PairedDevice');
+const { getClientIp } = require('../utils/request');
+
+// ========================================
+// CHILD DEVICE PAIRING
+// A parent generates a short code for one child; the child's device redeems it
+// for a long-lived credential that only works for that child.
+// ========================================
+
+// Device credentials look like `bmod_<deviceId>.<secret>` so `protect` can tell
+// them apart from JWTs and find the device without scanning every hash.
+const DEVICE_TOKEN_PREFIX = 'bmod_';
+// No 0/O or 1/I/L, the code is typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const PAIRING_CODE_TTL_MINUTES = Number(process.env.PAIRING_CODE_TTL_MINUTES || 10);
+// Don't write lastSeenAt on every single request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function generatePairingCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  return code;
+}
+
+const isDeviceToken = (token) => String(token || '').startsWith(DEVICE_TOKEN_PREFIX);
+
+function publicDevice(device) {
+  return {
+    id: device._id,
+    child: device.child,
+    name: device.name,
+    platform: device.platform,
+    status: device.status,
+    pairedAt: device.pairedAt,
+    lastSeenAt: device.lastSeenAt,
+    revokedAt: device.revokedAt,
+    createdAt: device.createdAt
+  };
+}
+
+// Issue a pairing code for a child. Unredeemed codes for the same child are dropped.
+async function createPairingCode(child, parent) {
+  await PairedDevice.deleteMany({ child: child._id, status: 'pending' });
+
+  const code = generatePairingCode();
+  const expiresAt = new Date(Date.now() + PAIRING_CODE_TTL_MINUTES * 60 * 1000);
+  await PairedDevice.create({
+    child: child._id,
+    parent: parent._id,
+    pairingCodeHash: hash(code),
+    pairingCodeExpiresAt: expiresAt
+  });
+
+  return { code, expiresAt };
+}
+
+// Redeem a pairing code. Returns { device, deviceToken } or null if the code is
+// unknown, expired or already redeemed. The code is claimed in a single update
+// so two devices racing with the same code cannot both be paired.
+async function redeemPairingCode(code, { name, platform } = {}, req) {
+  const now = new Date();
+  const device = await PairedDevice.findOneAndUpdate(
+    {
+      pairingCodeHash: hash(normalizeCode(code)),
+      status: 'pending',
+      pairingCodeExpiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        status: 'paired',
+        pairingCodeExpiresAt: null,
+        name: String(name || '').trim().slice(0, 100),
+        ...(['android', 'ios', 'web'].includes(platform) && { platform }),
+        pairedAt: now,
+        lastSeenAt: now,
+        lastIp: req ? getClientIp(req) : ''
+      },
+      $unset: { pairingCodeHash: 1 }
+    },
+    { new: true }
+  );
+  if (!device) return null;
+
+  // The credential names the device, so it can only be stored once the code
+  // is claimed; until then the device has no tokenHash and cannot authenticate
+  const deviceToken = `${DEVICE_TOKEN_PREFIX}${device._id}.${crypto.randomBytes(32).toString('hex')}`;
+  await PairedDevice.updateOne({ _id: device._id }, { tokenHash: hash(deviceToken) });
+
+  return { device, deviceToken };
+}
+
+// Resolve a device credential to its paired device, or null
+async function authenticateDevice(token, req) {
+  const match = String(token || '').match(/^bmod_([a-f0-9]{24})\.([a-f0-9]+)$/i);
+  if (!match) return null;
+
+  const device = await PairedDevice.findById(match[1]).select('+tokenHash');
+  if (!device || device.status !== 'paired' || !device.tokenHash) return null;
+
+  const presented = Buffer.from(hash(token));
+  const stored = Buffer.from(device.tokenHash);
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) return null;
+
+  if (!device.lastSeenAt || Date.now() - device.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await PairedDevice.updateOne(
+      { _id: device._id },
+      { lastSeenAt: new Date(), lastIp: req ? getClientIp(req) : '' }
+    );
+  }
+
+  return device;
+}
+
+async function listDevices(parentId, { childId } = {}) {
+  const filter = { parent: parentId, status: 'paired' };
+  if (childId) filter.child = childId;
+  return PairedDevice.find(filter).populate('child', 'name childId').sort('-pairedAt');
+}
+
+// Returns the revoked device, or null if the parent has no such device
+async function revokeDevice(parentId, deviceId) {
+  return PairedDevice.findOneAndUpdate(
+    { _id: deviceId, parent: parentId, status: { $ne: 'revoked' } },
+    { status: 'revoked', revokedAt: new Date(), $unset: { tokenHash: 1, pairingCodeHash: 1 } },
+    { new: true }
+  );
+}
+
+// Used when a child or an account is deleted
+async function removeDevicesForChildren(childIds) {
+  await PairedDevice.deleteMany({ child: { $in: childIds } });
+}
+
+module.exports = {
+  DEVICE_TOKEN_PREFIX,
+  isDeviceToken,
+  publicDevice,
+  createPairingCode,
+  redeemPairingCode,
+  authenticateDevice,
+  listDevices,
+  revokeDevice,
+  removeDevicesForChildren
+};
@@ -114,9 +114,90 @@ const sendChildCreationEmail = async (parentEmail, childName, specialistName) =>
   await sendWithRetry(mailOptions);
 };
 
+// Send account lockout notification after repeated failed attempts
+const sendAccountLockedEmail = async (email, lockedUntil) => {
+  const until = new Date(lockedUntil).toUTCString();
+  const mailOptions = {
+    from: `"BMO Support" <${process.env.SMTP_USER}>`,
+    to: email,
+    subject: 'Account Temporarily Locked - BMO',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Account Temporarily Locked</h2>
+        <p>We detected several failed attempts to sign in to your BMO account or to use a password reset code.</p>
+        <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p style="margin: 0;">For your protection, the account is locked until <strong>${until}</strong>.</p>
+        </div>
+        <p>If this was you, simply wait and try again. If it wasn't, we recommend resetting your password once the lock expires.</p>
+        <p>You can also ask your center administrator to unlock the account.</p>
+        <p>Best regards,<br>BMO Team</p>
+      </div>
+    `
+  };
+
+  await sendWithRetry(mailOptions);
+};
+
+const INVITE_ROLE_LABELS = {
+  parent: 'parent',
+  specialist: 'specialist',
+  admin: 'center administrator'
+};
+
+const sendInvitationEmail = async (email, { name, role, inviterName, token, link, expiresAt }) => {
+  const until = new Date(expiresAt).toUTCString();
+  const roleLabel = INVITE_ROLE_LABELS[role] || role;
+  const mailOptions = {
+    from: `"BMO Support" <${process.env.SMTP_USER}>`,
+    to: email,
+    subject: 'You are invited to BMO',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Welcome to BMO, ${name}!</h2>
+        <p>${inviterName ? `<strong>${inviterName}</strong> has invited you` : 'You have been invited'} to join BMO as a ${roleLabel}.</p>
+        ${link ? `<p><a href="${link}" style="display: inline-block; background-color: #4CAF50; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Accept invitation</a></p>` : ''}
+        <p>${link ? 'Or enter this invitation code in the app:' : 'Enter this invitation code in the app to choose your password:'}</p>
+        <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0; word-break: break-all; font-family: monospace;">
+          ${token}
+        </div>
+        <p>This invitation expires on <strong>${until}</strong>.</p>
+        <p>If you weren't expecting this invitation, you can ignore this email.</p>
+        <p>Best regards,<br>BMO Team</p>
+      </div>
+    `
+  };
+
+  await sendWithRetry(mailOptions);
+};
+
+const sendAccountDeletionScheduledEmail = async (email, scheduledFor) => {
+  const when = new Date(scheduledFor).toUTCString();
+  const mailOptions = {
+    from: `"BMO Support" <${process.env.SMTP_USER}>`,
+    to: email,
+    subject: 'Account Deletion Scheduled - BMO',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Account Deletion Scheduled</h2>
+        <p>We received a request to delete your BMO account together with your children's profiles and progress.</p>
+        <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p style="margin: 0;">Your data will be permanently deleted on <strong>${when}</strong>.</p>
+        </div>
+        <p>Changed your mind? Sign in before that date and cancel the deletion from your account settings.</p>
+        <p>Best regards,<br>BMO Team</p>
+      </div>
+    `
+  };
+
+  await sendWithRetry(mailOptions);
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendChildCreationEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionScheduledEmail,
+  sendInvitationEmail,
   verifyTransporter
 };
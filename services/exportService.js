@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Child = require('../models/Child');
+const Session = require('../models/Session');
+const Attempt = require('../models/Attempt');
+const { accessibleChildrenFilter } = require('./policy');
+const { toCsvRow } = require('../utils/csv');
+const { createXlsxStream } = require('../utils/xlsx');
+
+// ========================================
+// RESEARCH EXPORT OF SESSIONS AND ATTEMPTS
+// Streams every session and flattened attempt of a set of children as CSV
+// (one file, or a zip with both) or XLSX (one sheet per dataset). Rows are
+// read from database cursors, so the size of an export is not limited by
+// memory.
+// ========================================
+
+const EXPORT_SCOPES = ['child', 'caseload', 'center'];
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_DATASETS = ['sessions', 'attempts', 'all'];
+
+// Pseudonyms are an HMAC of the child (or record) id: stable across exports
+// (so several files can be joined) but not reversible without the server
+// secret.
+function pseudonymSecret() {
+  return process.env.EXPORT_PSEUDONYM_SECRET || `${process.env.JWT_SECRET}:export-pseudonym`;
+}
+
+function pseudonymFor(childId, prefix = 'P') {
+  const digest = crypto.createHmac('sha256', pseudonymSecret()).update(String(childId)).digest('hex');
+  return `${prefix}-${digest.slice(0, 12)}`;
+}
+
+const isTrue = (value) => ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+
+// Validate ?format=&dataset=&from=&to=&pseudonymize=. Both dates are optional;
+// without them the whole history is exported.
+function parseExportOptions(query = {}) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+
+  const dataset = String(query.dataset || 'all').toLowerCase();
+  if (!EXPORT_DATASETS.includes(dataset)) return { error: `dataset must be one of: ${EXPORT_DATASETS.join(', ')}` };
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) return { error: 'from and to must be ISO dates' };
+  if (from && to && from > to) return { error: 'from must be before to' };
+
+  return { format, dataset, from, to, pseudonymize: isTrue(query.pseudonymize) };
+}
+
+// Children filter for a caseload or center export, or { error, status }.
+//   caseload: the user's own assigned children; admins and superadmins may name
+//             another specialist with ?specialistId (admins: same center only)
+//   center:   admins get their center, superadmins name one with ?centerId
+async function resolveScopeFilter(user, scope, query = {}) {
+  if (scope === 'caseload') {
+    const specialistId = query.specialistId || user._id;
+    if (String(specialistId) !== String(user._id)) {
+      if (!['admin', 'superadmin'].includes(user.role)) {
+        return { status: 403, error: 'Only admins can export another specialist\'s caseload' };
+      }
+      if (!mongoose.Types.ObjectId.isValid(String(specialistId))) {
+        return { status: 400, error: 'Invalid specialistId' };
+      }
+      const specialist = await User.findById(specialistId).select('center role').lean();
+      if (!specialist || !['specialist', 'admin'].includes(specialist.role)) {
+        return { status: 404, error: 'Specialist not found' };
+      }
+      if (user.role === 'admin' && String(specialist.center || '') !== String(user.center || '')) {
+        return { status: 403, error: 'Specialist is not in your center' };
+      }
+    }
+    return { filter: { assignedSpecialist: specialistId } };
+  }
+
+  if (scope === 'center') {
+    if (user.role === 'admin') {
+      if (!user.center) return { status: 400, error: 'You are not assigned to a center' };
+      return { filter: await accessibleChildrenFilter(user) };
+    }
+    if (user.role === 'superadmin') {
+      if (!query.centerId) return { filter: {} };
+      if (!mongoose.Types.ObjectId.isValid(String(query.centerId))) {
+        return { status: 400, error: 'Invalid centerId' };
+      }
+      const staff = await User.find({ center: query.centerId }).select('_id').lean();
+      return { filter: { assignedSpecialist: { $in: staff.map(s => s._id) } } };
+    }
+    return { status: 403, error: 'Only admins can export a whole center' };
+  }
+
+  return { status: 400, error: `scope must be one of: ${EXPORT_SCOPES.filter(s => s !== 'child').join(', ')}` };
+}
+
+async function loadChildren(filter) {
+  return Child.find(filter).select('name childId age gender difficultyLevel').sort({ createdAt: 1 }).lean();
+}
+
+function dateFilter({ from, to }) {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+}
+
+// ---------- Columns ----------
+
+// Pseudonymised exports replace the child's name and id with a pseudonym,
+// coarsen every date to its month (rows stay in chronological order) and
+// pseudonymise record ids too, since an ObjectId holds its creation time. Age
+// (whole years) and gender are kept: they are the study's grouping variables
+// and are not identifying on their own, but a recipient who knows a child's
+// center and enrolment month could narrow the pseudonym down with them.
+const monthOf = (date) => (date ? new Date(date).toISOString().slice(0, 7) : '');
+
+function idColumn(header, pick, pseudonymize, prefix) {
+  return {
+    header,
+    value: (r) => {
+      const id = pick(r);
+      if (!id) return '';
+      return pseudonymize ? pseudonymFor(id, prefix) : String(id);
+    }
+  };
+}
+
+function dateColumn(header, pick, pseudonymize) {
+  return { header: pseudonymize ? `${header} (month)` : header, value: r => (pseudonymize ? monthOf(pick(r)) : pick(r)) };
+}
+
+function childColumns(pseudonymize) {
+  if (pseudonymize) {
+    return [{ header: 'Pseudonym', value: r => pseudonymFor(r.child._id) }];
+  }
+  return [
+    { header: 'Child ID', value: r => r.child.childId },
+    { header: 'Child', value: r => r.child.name }
+  ];
+}
+
+function sessionColumns(pseudonymize) {
+  return [
+    ...childColumns(pseudonymize),
+    { header: 'Age', value: r => r.child.age },
+    { header: 'Gender', value: r => r.child.gender },
+    idColumn('Session ID', r => r.session._id, pseudonymize, 'S'),
+    dateColumn('Date', r => r.session.sessionDate, pseudonymize),
+    dateColumn('Synced at', r => r.session.syncedAt, pseudonymize),
+    { header: 'Duration (min)', value: r => r.session.duration },
+    idColumn('Plan exercise ID', r => r.session.planExerciseId, pseudonymize, 'E'),
+    { header: 'Plan session index', value: r => r.session.planSessionIndex },
+    { header: 'Plan session', value: r => r.session.planSessionName },
+    { header: 'Attempts', value: r => r.session.totalAttempts },
+    { header: 'Successful', value: r => r.session.successfulAttempts },
+    { header: 'Failed', value: r => r.session.failedAttempts },
+    { header: 'Average score', value: r => r.session.averageScore },
+    { header: 'Schedule violations', value: r => r.session.scheduleViolations || [] }
+  ];
+}
+
+function attemptColumns(pseudonymize) {
+  return [
+    ...childColumns(pseudonymize),
+    idColumn('Session ID', r => r.attempt.session, pseudonymize, 'S'),
+    idColumn('Attempt ID', r => r.attempt._id, pseudonymize, 'A'),
+    dateColumn('Session date', r => r.attempt.sessionDate, pseudonymize),
+    { header: 'Order', value: r => r.attempt.order },
+    dateColumn('Time', r => r.attempt.timestamp, pseudonymize),
+    { header: 'Letter', value: r => r.attempt.letter },
+    { header: 'Word', value: r => r.attempt.word },
+    { header: 'Vowel', value: r => r.attempt.vowel },
+    { header: 'Reference text', value: r => r.attempt.referenceText },
+    { header: 'Recognized text', value: r => r.attempt.recognizedText },
+    { header: 'Success', value: r => r.attempt.success },
+    { header: 'Score', value: r => r.attempt.score },
+    { header: 'Pronunciation', value: r => r.attempt.pronunciationScore },
+    { header: 'Accuracy', value: r => r.attempt.accuracyScore },
+    { header: 'Fluency', value: r => r.attempt.fluencyScore },
+    { header: 'Completeness', value: r => r.attempt.completenessScore },
+    { header: 'Analysis source', value: r => r.attempt.analysisSource },
+    { header: 'Similarity', value: r => r.attempt.comparison?.similarity },
+    { header: 'Edit distance', value: r => r.attempt.comparison?.distance },
+    { header: 'Substitutions', value: r => r.attempt.comparison?.substitutions },
+    { header: 'Omissions', value: r => r.attempt.comparison?.omissions },
+    { header: 'Additions', value: r => r.attempt.comparison?.additions },
+    { header: 'Has recording', value: r => !!r.attempt.audio?.file },
+    { header: 'Server scoring', value: r => r.attempt.scoring?.status },
+    { header: 'Scoring provider', value: r => r.attempt.scoring?.provider }
+  ];
+}
+
+// ---------- Rows ----------
+
+// Async generators over cursors; each yields { child, session } / { child, attempt }
+function sessionRows(children, window) {
+  return async function* rows() {
+    const byId = new Map(children.map(c => [String(c._id), c]));
+    const filter = { child: { $in: children.map(c => c._id) } };
+    const range = dateFilter(window);
+    if (range) filter.sessionDate = range;
+
+    const cursor = Session.find(filter).select('-robotFeedback').sort({ child: 1, sessionDate: 1 }).lean().cursor();
+    for await (const session of cursor) {
+      yield { child: byId.get(String(session.child)), session };
+    }
+  };
+}
+
+function attemptRows(children, window) {
+  return async function* rows() {
+    const byId = new Map(children.map(c => [String(c._id), c]));
+    const filter = { child: { $in: children.map(c => c._id) } };
+    const range = dateFilter(window);
+    if (range) filter.sessionDate = range;
+
+    const cursor = Attempt.find(filter)
+      .select('-comparison.mismatches')
+      .sort({ child: 1, sessionDate: 1, order: 1 })
+      .lean()
+      .cursor();
+    for await (const attempt of cursor) {
+      yield { child: byId.get(String(attempt.child)), attempt };
+    }
+  };
+}
+
+async function* csvLines(columns, rows) {
+  // Leading BOM so spreadsheet apps read Arabic text as UTF-8
+  yield `\uFEFF${toCsvRow(columns.map(c => c.header))}\r\n`;
+  for await (const row of rows()) {
+    yield `${toCsvRow(columns.map(c => c.value(row)))}\r\n`;
+  }
+}
+
+// ---------- Output ----------
+
+// Returns { stream, contentType, extension }; the caller pipes the stream
+// into the response.
+function createExportStream(children, options) {
+  const { format, dataset, pseudonymize } = options;
+  const datasets = [];
+  if (dataset !== 'attempts') {
+    datasets.push({ name: 'Sessions', file: 'sessions', columns: sessionColumns(pseudonymize), rows: sessionRows(children, options) });
+  }
+  if (dataset !== 'sessions') {
+    datasets.push({ name: 'Attempts', file: 'attempts', columns: attemptColumns(pseudonymize), rows: attemptRows(children, options) });
+  }
+
+  if (format === 'xlsx') {
+    return {
+      stream: createXlsxStream(datasets),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx'
+    };
+  }
+
+  if (datasets.length === 1) {
+    return {
+      stream: Readable.from(csvLines(datasets[0].columns, datasets[0].rows)),
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv'
+    };
+  }
+
+  // Both datasets as CSV: one zip with a file each
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  for (const d of datasets) {
+    archive.append(Readable.from(csvLines(d.columns, d.rows)), { name: `${d.file}.csv` });
+  }
+  archive.finalize();
+  return { stream: archive, contentType: 'application/zip', extension: 'zip' };
+}
+
+module.exports = {
+  EXPORT_SCOPES,
+  EXPORT_FORMATS,
+  EXPORT_DATASETS,
+  pseudonymFor,
+  parseExportOptions,
+  resolveScopeFilter,
+  loadChildren,
+  createExportStream
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { sendInvitationEmail } = require('./emailService');
+
+// ========================================
+// INVITATIONS
+// Staff create accounts without a password; the invitee receives a signed,
+// expiring link and chooses their own password when accepting it.
+// ========================================
+
+const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+};
+
+function inviteTtlDays() {
+  const days = parseInt(process.env.INVITE_TTL_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : 7;
+}
+
+// Signed with a derived secret so an invite can never pass as an access token
+function invitationSecret() {
+  return `${process.env.JWT_SECRET}:invitation`;
+}
+
+const hashNonce = (nonce) => crypto.createHash('sha256').update(String(nonce)).digest('hex');
+
+// Random password nobody knows; the account is unusable until the invite is accepted
+const unusablePassword = () => crypto.randomBytes(32).toString('hex');
+
+function invitationStatus(user) {
+  const invitation = user?.invitation;
+  if (!invitation?.sentAt) return null;
+  if (invitation.acceptedAt) return INVITATION_STATUS.ACCEPTED;
+  if (invitation.revokedAt) return INVITATION_STATUS.REVOKED;
+  if (invitation.expiresAt && invitation.expiresAt <= new Date()) return INVITATION_STATUS.EXPIRED;
+  return INVITATION_STATUS.PENDING;
+}
+
+// Public summary used in listings and API responses
+function invitationSummary(user) {
+  const status = invitationStatus(user);
+  if (!status) return null;
+  const { sentAt, sendCount, expiresAt, acceptedAt, revokedAt } = user.invitation;
+  return { status, sentAt, sendCount, expiresAt, acceptedAt, revokedAt };
+}
+
+function buildInviteLink(token) {
+  const base = String(process.env.APP_URL || '').replace(/\/+$/, '');
+  return base ? `${base}/accept-invite?token=${encodeURIComponent(token)}` : null;
+}
+
+// Issue a fresh invite (invalidating any earlier one) and email it.
+// Returns { invitation, emailSent }.
+async function sendInvitation(user, inviter) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + inviteTtlDays() * 24 * 60 * 60 * 1000);
+  const token = jwt.sign({ id: user._id, nonce }, invitationSecret(), {
+    expiresIn: `${inviteTtlDays()}d`
+  });
+
+  user.invitation.tokenHash = hashNonce(nonce);
+  user.invitation.invitedBy = inviter?._id || user.invitation.invitedBy || null;
+  user.invitation.sentAt = new Date();
+  user.invitation.sendCount = (user.invitation.sendCount || 0) + 1;
+  user.invitation.expiresAt = expiresAt;
+  user.invitation.revokedAt = null;
+  await user.save();
+
+  let emailSent = true;
+  try {
+    await sendInvitationEmail(user.email, {
+      name: user.name,
+      role: user.role,
+      inviterName: inviter?.name,
+      token,
+      link: buildInviteLink(token),
+      expiresAt
+    });
+  } catch (error) {
+    console.error('❌ Failed to send invitation email:', error.message);
+    emailSent = false;
+  }
+
+  return { invitation: invitationSummary(user), emailSent };
+}
+
+// Create an invited account: no usable password until the invite is accepted.
+async function createInvitedUser(fields, inviter) {
+  const user = await User.create({
+    ...fields,
+    password: unusablePassword(),
+    emailVerified: false,
+    createdBy: fields.createdBy || inviter?._id || null
+  });
+  const result = await sendInvitation(user, inviter);
+  return { user, ...result };
+}
+
+// Resolve a token to the invited user, or { error } explaining why it can't be used
+async function findInvitation(token) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), invitationSecret());
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'Invitation has expired' : 'Invalid invitation' };
+  }
+
+  const user = await User.findById(payload.id).select('+invitation.tokenHash');
+  if (!user || user.invitation?.tokenHash !== hashNonce(payload.nonce)) {
+    // Superseded by a resend, or the account is gone
+    return { error: 'Invalid invitation' };
+  }
+
+  const status = invitationStatus(user);
+  if (status === INVITATION_STATUS.ACCEPTED) return { error: 'Invitation has already been accepted' };
+  if (status === INVITATION_STATUS.REVOKED) return { error: 'Invitation has been revoked' };
+  if (status === INVITATION_STATUS.EXPIRED) return { error: 'Invitation has expired' };
+
+  return { user };
+}
+
+async function acceptInvitation(user, password) {
+  user.password = password;
+  user.emailVerified = true;
+  user.invitation.acceptedAt = new Date();
+  user.invitation.tokenHash = undefined;
+  await user.save();
+  return user;
+}
+
+// Returns false when there is no open invitation to revoke
+async function revokeInvitation(user) {
+  const status = invitationStatus(user);
+  if (status !== INVITATION_STATUS.PENDING && status !== INVITATION_STATUS.EXPIRED) return false;
+  user.invitation.revokedAt = new Date();
+  user.invitation.tokenHash = undefined;
+  await user.save();
+  return true;
+}
+
+// Whether the account still waits for its invitation to be accepted
+const isAwaitingInvitation = (user) => {
+  const status = invitationStatus(user);
+  return !!status && status !== INVITATION_STATUS.ACCEPTED;
+};
+
+module.exports = {
+  INVITATION_STATUS,
+  invitationStatus,
+  invitationSummary,
+  isAwaitingInvitation,
+  sendInvitation,
+  createInvitedUser,
+  findInvitation,
+  acceptInvitation,
+  revokeInvitation
+};
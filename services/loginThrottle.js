@@ -0,0 +1,227 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const { sendAccountLockedEmail } = require('./emailService');
+const { getClientIp } = require('../utils/request');
+
+// Failures are forgotten after this long without a new failure
+const WINDOW_MS = Number(process.env.THROTTLE_WINDOW_MINUTES || 60) * 60 * 1000;
+// Failures allowed before delays kick in
+const FREE_ATTEMPTS = Number(process.env.THROTTLE_FREE_ATTEMPTS || 3);
+const MAX_DELAY_MS = 60 * 1000;
+const ACCOUNT_LOCK_THRESHOLD = Number(process.env.ACCOUNT_LOCK_THRESHOLD || 10);
+const IP_LOCK_THRESHOLD = Number(process.env.IP_LOCK_THRESHOLD || 50);
+const LOCK_DURATION_MS = Number(process.env.ACCOUNT_LOCK_MINUTES || 15) * 60 * 1000;
+
+// ========================================
+// STORES
+// Both expose the same async API: get(key), recordFailure(key), lock(key, until), reset(key)
+// ========================================
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async get(key) {
+      return live(key);
+    },
+    async recordFailure(key) {
+      const now = Date.now();
+      const entry = live(key) || { failures: 0, lockedUntil: null };
+      entry.failures += 1;
+      entry.lastFailureAt = new Date(now);
+      entry.expiresAt = Math.max(now + WINDOW_MS, entry.lockedUntil ? entry.lockedUntil.getTime() : 0);
+      entries.set(key, entry);
+      return entry;
+    },
+    async lock(key, until) {
+      const entry = live(key);
+      if (!entry) return;
+      entry.lockedUntil = until;
+      entry.expiresAt = Math.max(entry.expiresAt, until.getTime());
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+function createMongoStore() {
+  return {
+    async get(key) {
+      return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    },
+    async recordFailure(key) {
+      const now = new Date();
+      // Drop a stale counter that the TTL monitor has not removed yet
+      await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+      return LoginAttempt.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now },
+          $max: { expiresAt: new Date(now.getTime() + WINDOW_MS) }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      ).lean();
+    },
+    async lock(key, until) {
+      await LoginAttempt.updateOne(
+        { key },
+        { $set: { lockedUntil: until }, $max: { expiresAt: until } }
+      );
+    },
+    async reset(key) {
+      await LoginAttempt.deleteOne({ key });
+    }
+  };
+}
+
+const storeType = process.env.LOGIN_THROTTLE_STORE
+  || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+
+let store = storeType === 'memory' ? createMemoryStore() : createMongoStore();
+
+function setStore(nextStore) {
+  store = nextStore;
+}
+
+// ========================================
+// THROTTLE LOGIC
+// ========================================
+
+function normalizeAccount(account) {
+  const value = String(account || '').trim().toLowerCase();
+  return value || null;
+}
+
+function keysFor(scope, ip, account) {
+  const keys = [{ key: `${scope}:ip:${ip}`, lockThreshold: IP_LOCK_THRESHOLD }];
+  if (account) keys.push({ key: `${scope}:account:${account}`, lockThreshold: ACCOUNT_LOCK_THRESHOLD, account });
+  return keys;
+}
+
+function delayFor(failures) {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(1000 * Math.pow(2, failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+}
+
+// Returns { allowed, locked, retryAfterSeconds } for the strictest of the keys.
+async function checkKeys(keys) {
+  const now = Date.now();
+  let result = { allowed: true, locked: false, retryAfterSeconds: 0 };
+
+  for (const { key } of keys) {
+    const entry = await store.get(key);
+    if (!entry) continue;
+
+    const lockedUntil = entry.lockedUntil ? new Date(entry.lockedUntil).getTime() : 0;
+    if (lockedUntil > now) {
+      const retryAfterSeconds = Math.ceil((lockedUntil - now) / 1000);
+      if (!result.locked || retryAfterSeconds > result.retryAfterSeconds) {
+        result = { allowed: false, locked: true, retryAfterSeconds };
+      }
+      continue;
+    }
+
+    const retryAt = new Date(entry.lastFailureAt).getTime() + delayFor(entry.failures);
+    if (!result.locked && retryAt > now) {
+      const retryAfterSeconds = Math.ceil((retryAt - now) / 1000);
+      if (retryAfterSeconds > result.retryAfterSeconds) {
+        result = { allowed: false, locked: false, retryAfterSeconds };
+      }
+    }
+  }
+
+  return result;
+}
+
+async function recordFailure(keys) {
+  for (const { key, lockThreshold, account } of keys) {
+    const entry = await store.recordFailure(key);
+    const alreadyLocked = entry.lockedUntil && new Date(entry.lockedUntil).getTime() > Date.now();
+
+    if (!alreadyLocked && entry.failures >= lockThreshold) {
+      const until = new Date(Date.now() + LOCK_DURATION_MS);
+      await store.lock(key, until);
+      console.warn(`🔒 [Throttle] ${key} locked until ${until.toISOString()}`);
+      if (account) notifyLockout(account, until);
+    }
+  }
+}
+
+// Best-effort lockout email; never blocks or fails the request
+function notifyLockout(email, lockedUntil) {
+  setImmediate(async () => {
+    try {
+      const user = await User.findOne({ email }).select('email');
+      if (user) await sendAccountLockedEmail(user.email, lockedUntil);
+    } catch (error) {
+      console.error('❌ Failed to send lockout email:', error.message);
+    }
+  });
+}
+
+// Express middleware. Rejects the request while the caller is delayed or locked,
+// otherwise exposes req.throttle.fail() / req.throttle.succeed() to the route.
+// getAccount(req) returns the account identifier (email) if the request names one.
+function throttle(scope, getAccount = () => null) {
+  return async (req, res, next) => {
+    try {
+      const ip = getClientIp(req);
+      const account = normalizeAccount(getAccount(req));
+      const keys = keysFor(scope, ip, account);
+
+      const status = await checkKeys(keys);
+      if (!status.allowed) {
+        res.set('Retry-After', String(status.retryAfterSeconds));
+        return res.status(status.locked ? 423 : 429).json({
+          success: false,
+          message: status.locked
+            ? 'Too many failed attempts. This account is temporarily locked.'
+            : 'Too many attempts. Please wait before trying again.',
+          retryAfter: status.retryAfterSeconds
+        });
+      }
+
+      req.throttle = {
+        fail: () => recordFailure(keys),
+        // Only the account counter is cleared: a success must not hide an IP spraying other accounts
+        succeed: () => (account ? store.reset(`${scope}:account:${account}`) : Promise.resolve())
+      };
+      next();
+    } catch (error) {
+      // A broken throttle store must not take login down with it
+      console.error('❌ [Throttle] check failed:', error.message);
+      req.throttle = { fail: async () => {}, succeed: async () => {} };
+      next();
+    }
+  };
+}
+
+async function unlockAccount(email, scopes = ['login', 'reset', 'forgot']) {
+  const account = normalizeAccount(email);
+  if (!account) return;
+  for (const scope of scopes) {
+    await store.reset(`${scope}:account:${account}`);
+  }
+}
+
+module.exports = {
+  throttle,
+  unlockAccount,
+  createMemoryStore,
+  createMongoStore,
+  setStore
+};
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const Attempt = require('../models/Attempt');
+const Mastery = require('../models/Mastery');
+const Progress = require('../models/Progress');
+
+// ========================================
+// LETTER AND WORD MASTERY
+// Each letter/word a child practised gets a state recomputed from its attempt
+// history; the mastered and challenging ones are mirrored into
+// Progress.overallStats.
+// ========================================
+
+const MASTERY_STATUS = {
+  LEARNING: 'learning',
+  MASTERED: 'mastered',
+  CHALLENGING: 'challenging'
+};
+
+// Number of latest attempts kept for the recent success rate and the trend
+const RECENT_WINDOW = 10;
+// Change (in score points) between the older and newer half of the recent
+// attempts that counts as a trend
+const TREND_DELTA = 5;
+
+function thresholds() {
+  return {
+    // Consecutive successful attempts scoring at least minScore
+    consecutiveSuccesses: Number(process.env.MASTERY_CONSECUTIVE_SUCCESSES || 3),
+    minScore: Number(process.env.MASTERY_MIN_SCORE || 80),
+    // Consecutive failures that take mastery away again
+    lossFailures: Number(process.env.MASTERY_LOSS_FAILURES || 3),
+    // A target is challenging after this many attempts with a recent success
+    // rate (%) below the maximum
+    challengingMinAttempts: Number(process.env.CHALLENGING_MIN_ATTEMPTS || 5),
+    challengingMaxSuccessRate: Number(process.env.CHALLENGING_MAX_SUCCESS_RATE || 50)
+  };
+}
+
+// Best available score of an attempt (0-100), or null
+function attemptScore(attempt) {
+  for (const field of ['pronunciationScore', 'accuracyScore', 'score']) {
+    if (typeof attempt[field] === 'number' && Number.isFinite(attempt[field])) return attempt[field];
+  }
+  return null;
+}
+
+// Attempts without any score count on `success` alone
+function isSuccessful(attempt, limits) {
+  if (!attempt.success) return false;
+  const score = attemptScore(attempt);
+  return score === null || score >= limits.minScore;
+}
+
+function trendOf(scores) {
+  if (scores.length < 4) return null;
+  const half = Math.floor(scores.length / 2);
+  const mean = (list) => list.reduce((sum, s) => sum + s, 0) / list.length;
+  const delta = mean(scores.slice(-half)) - mean(scores.slice(0, half));
+  if (delta >= TREND_DELTA) return 'improving';
+  if (delta <= -TREND_DELTA) return 'declining';
+  return 'stable';
+}
+
+// Pure: state of one target from its attempts (oldest first)
+function evaluateTarget(attempts, limits = thresholds()) {
+  const state = {
+    status: MASTERY_STATUS.LEARNING,
+    attempts: attempts.length,
+    successes: 0,
+    consecutiveSuccesses: 0,
+    consecutiveFailures: 0,
+    averageScore: null,
+    recentScores: [],
+    recentSuccessRate: 0,
+    trend: null,
+    lastAttemptAt: null,
+    masteredAt: null
+  };
+
+  let scoreSum = 0;
+  let scored = 0;
+  let mastered = false;
+
+  for (const attempt of attempts) {
+    const success = isSuccessful(attempt, limits);
+    const score = attemptScore(attempt);
+
+    if (success) {
+      state.successes++;
+      state.consecutiveSuccesses++;
+      state.consecutiveFailures = 0;
+    } else {
+      state.consecutiveSuccesses = 0;
+      state.consecutiveFailures++;
+    }
+    if (score !== null) {
+      scoreSum += score;
+      scored++;
+    }
+
+    if (!mastered && state.consecutiveSuccesses >= limits.consecutiveSuccesses) {
+      mastered = true;
+      state.masteredAt = attempt.timestamp || null;
+    } else if (mastered && state.consecutiveFailures >= limits.lossFailures) {
+      mastered = false;
+      state.masteredAt = null;
+    }
+    state.lastAttemptAt = attempt.timestamp || state.lastAttemptAt;
+  }
+
+  const recent = attempts.slice(-RECENT_WINDOW);
+  state.recentScores = recent.map(attemptScore).filter(s => s !== null);
+  state.recentSuccessRate = recent.length
+    ? (recent.filter(a => isSuccessful(a, limits)).length / recent.length) * 100
+    : 0;
+  state.averageScore = scored ? scoreSum / scored : null;
+  state.trend = trendOf(state.recentScores);
+
+  if (mastered) {
+    state.status = MASTERY_STATUS.MASTERED;
+  } else if (
+    state.attempts >= limits.challengingMinAttempts
+    && state.recentSuccessRate < limits.challengingMaxSuccessRate
+  ) {
+    state.status = MASTERY_STATUS.CHALLENGING;
+  }
+
+  return state;
+}
+
+// Mirror mastered/challenging targets into Progress.overallStats
+async function syncProgressLists(childId) {
+  const states = await Mastery.find({
+    child: childId,
+    status: { $in: [MASTERY_STATUS.MASTERED, MASTERY_STATUS.CHALLENGING] }
+  })
+    .select('targetType target status')
+    .sort('target')
+    .lean();
+
+  const pick = (type, status) => states
+    .filter(s => s.targetType === type && s.status === status)
+    .map(s => s.target);
+
+  await Progress.updateOne({ child: childId }, {
+    $set: {
+      'overallStats.masteredLetters': pick('letter', MASTERY_STATUS.MASTERED),
+      'overallStats.masteredWords': pick('word', MASTERY_STATUS.MASTERED),
+      'overallStats.challengingLetters': pick('letter', MASTERY_STATUS.CHALLENGING),
+      'overallStats.challengingWords': pick('word', MASTERY_STATUS.CHALLENGING)
+    }
+  });
+}
+
+// Recompute the mastery of the letters and words in `attempts` (all targets
+// the child ever practised when omitted) from the full attempt history.
+async function refreshMastery(childId, attempts = null) {
+  const child = new mongoose.Types.ObjectId(String(childId));
+  const fullRebuild = !attempts;
+
+  const letters = fullRebuild
+    ? await Attempt.distinct('letter', { child })
+    : [...new Set(attempts.map(a => a.letter))];
+  const words = fullRebuild
+    ? await Attempt.distinct('word', { child })
+    : [...new Set(attempts.map(a => a.word))];
+  const targets = {
+    letter: letters.filter(Boolean),
+    word: words.filter(Boolean)
+  };
+
+  if (targets.letter.length || targets.word.length) {
+    const history = await Attempt.find({
+      child,
+      $or: [{ letter: { $in: targets.letter } }, { word: { $in: targets.word } }]
+    })
+      .select('letter word success score pronunciationScore accuracyScore timestamp')
+      .sort({ timestamp: 1, sessionDate: 1, order: 1 })
+      .lean();
+
+    const limits = thresholds();
+    const operations = [];
+    for (const targetType of ['letter', 'word']) {
+      for (const target of targets[targetType]) {
+        const targetAttempts = history.filter(a => a[targetType] === target);
+        if (!targetAttempts.length) {
+          // Its attempts are gone (e.g. a session was re-synced without them)
+          operations.push({ deleteOne: { filter: { child, targetType, target } } });
+          continue;
+        }
+        const state = evaluateTarget(targetAttempts, limits);
+        operations.push({
+          updateOne: {
+            filter: { child, targetType, target },
+            update: { $set: state },
+            upsert: true
+          }
+        });
+      }
+    }
+    await Mastery.bulkWrite(operations, { ordered: false });
+  }
+
+  if (fullRebuild) {
+    // Targets the child has no attempts for anymore
+    await Mastery.deleteMany({
+      child,
+      $or: [
+        { targetType: 'letter', target: { $nin: targets.letter } },
+        { targetType: 'word', target: { $nin: targets.word } }
+      ]
+    });
+  }
+
+  await syncProgressLists(child);
+}
+
+// Mastery of a child as returned by the API
+async function getMastery(childId) {
+  const states = await Mastery.find({ child: childId }).sort('target').lean();
+  const toItem = (s) => ({
+    target: s.target,
+    status: s.status,
+    attempts: s.attempts,
+    successes: s.successes,
+    successRate: s.attempts ? (s.successes / s.attempts) * 100 : 0,
+    recentSuccessRate: s.recentSuccessRate,
+    consecutiveSuccesses: s.consecutiveSuccesses,
+    averageScore: s.averageScore,
+    recentScores: s.recentScores,
+    trend: s.trend,
+    lastAttemptAt: s.lastAttemptAt,
+    masteredAt: s.masteredAt
+  });
+
+  return {
+    letters: states.filter(s => s.targetType === 'letter').map(toItem),
+    words: states.filter(s => s.targetType === 'word').map(toItem)
+  };
+}
+
+module.exports = {
+  MASTERY_STATUS,
+  thresholds,
+  attemptScore,
+  evaluateTarget,
+  refreshMastery,
+  getMastery
+};
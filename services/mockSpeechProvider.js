@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { normalizeArabic } = require('../utils/arabicLetters');
+
+// Deterministic stand-in for a real speech-analysis service, for tests and
+// development: the same recording and reference text always get the same
+// scores, without any network access. It does not recognise speech, so it
+// returns no recognizedText and the client's transcript is kept.
+
+// Score in [min, 100] from one byte of the digest
+const scoreFrom = (byte, min) => min + Math.round((byte / 255) * (100 - min));
+
+module.exports = {
+  name: 'mock',
+
+  async score({ audioPath, referenceText }) {
+    const audio = await fs.promises.readFile(audioPath);
+    const digest = crypto.createHash('sha256')
+      .update(audio)
+      .update('|')
+      .update(normalizeArabic(referenceText))
+      .digest();
+
+    return {
+      pronunciationScore: scoreFrom(digest[0], 40),
+      accuracyScore: scoreFrom(digest[1], 40),
+      fluencyScore: scoreFrom(digest[2], 50),
+      completenessScore: scoreFrom(digest[3], 60)
+    };
+  }
+};
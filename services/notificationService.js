@@ -0,0 +1,48 @@
+const Notification = require('../models/Notification');
+const DeviceToken = require('../models/DeviceToken');
+const { sendToTokens } = require('./pushService');
+
+// Create an in-app notification and deliver it over Socket.IO and push.
+// Delivery is best-effort; only the database write can fail the call.
+//   notifyUser(io, userId, { type, title, message, data })
+async function notifyUser(io, userId, { type = 'info', title, message, data = null }) {
+  const notification = await Notification.create({
+    recipient: userId,
+    type,
+    title,
+    message,
+    data
+  });
+
+  if (io) {
+    io.to(userId.toString()).emit('new_notification', notification);
+  }
+
+  setImmediate(async () => {
+    try {
+      const tokensDocs = await DeviceToken.find({ user: userId }).select('token');
+      const tokens = tokensDocs.map(d => d.token).filter(Boolean);
+      if (!tokens.length) return;
+
+      // FCM data values must be strings
+      const pushData = { type: 'notification', notificationId: notification._id.toString() };
+      for (const [key, value] of Object.entries(data || {})) {
+        if (value !== null && value !== undefined) pushData[key] = String(value);
+      }
+
+      await sendToTokens({
+        tokens,
+        notification: { title, body: message },
+        data: pushData
+      });
+    } catch (pushError) {
+      console.warn('⚠️ Push send failed:', pushError?.message || pushError);
+    }
+  });
+
+  return notification;
+}
+
+module.exports = {
+  notifyUser
+};
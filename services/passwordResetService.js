@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+// ========================================
+// PASSWORD RESET CODES
+// A 6-digit code is only ever checked against the account it was sent to;
+// every wrong guess counts against that account, and the code is invalidated
+// after too many of them.
+// ========================================
+
+const RESET_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_RESET_CODE_ATTEMPTS = Number(process.env.RESET_CODE_MAX_ATTEMPTS || 5);
+
+function generateResetCode() {
+  return String(crypto.randomInt(100000, 1000000));
+}
+
+// Sets a fresh code on the user (not saved) and returns it
+function issueResetCode(user) {
+  const code = generateResetCode();
+  user.resetPasswordToken = code;
+  user.resetPasswordExpire = Date.now() + RESET_CODE_TTL_MS;
+  user.resetPasswordAttempts = 0;
+  return code;
+}
+
+function clearResetCode(user) {
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  user.resetPasswordAttempts = undefined;
+}
+
+function sameCode(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// The user whose pending code `token` is, or null. A miss is recorded on the
+// account atomically, so parallel guesses cannot exceed the limit.
+async function checkResetCode(email, token) {
+  const account = String(email || '').trim().toLowerCase();
+  if (!account || !token) return null;
+
+  const user = await User.findOne({ email: account });
+  if (!user?.resetPasswordToken || !user.resetPasswordExpire || user.resetPasswordExpire <= Date.now()) {
+    return null;
+  }
+  if ((user.resetPasswordAttempts || 0) < MAX_RESET_CODE_ATTEMPTS && sameCode(user.resetPasswordToken, token)) {
+    return user;
+  }
+
+  const pending = { _id: user._id, resetPasswordToken: user.resetPasswordToken };
+  const updated = await User.findOneAndUpdate(pending, { $inc: { resetPasswordAttempts: 1 } }, { new: true })
+    .select('resetPasswordAttempts')
+    .lean();
+  if (updated && updated.resetPasswordAttempts >= MAX_RESET_CODE_ATTEMPTS) {
+    await User.updateOne(pending, {
+      $unset: { resetPasswordToken: 1, resetPasswordExpire: 1, resetPasswordAttempts: 1 }
+    });
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_RESET_CODE_ATTEMPTS,
+  generateResetCode,
+  issueResetCode,
+  clearResetCode,
+  checkResetCode
+};
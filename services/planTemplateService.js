@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const PlanTemplate = require('../models/PlanTemplate');
+const Child = require('../models/Child');
+const { canAccessChild, ACTIONS } = require('./policy');
+const { validatePlanUpdate, snapshotOf, createPlan } = require('./planVersionService');
+
+// ========================================
+// PLAN TEMPLATES AND THE CENTER LIBRARY
+// ========================================
+
+const TEMPLATE_FIELDS = ['name', 'description', 'tags', 'visibility', 'durationDays'];
+const PLAN_FIELDS = ['letters', 'words', 'targetDuration', 'sessionName'];
+const MAX_INSTANTIATE_CHILDREN = 50;
+const MAX_DURATION_DAYS = 365;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validate a template body. With `partial`, only the given fields are checked
+// (updates). Returns { values } or { errors }.
+function validateTemplate(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) return { errors: [{ path: '', message: 'Body must be an object' }] };
+
+  const errors = [];
+  const values = {};
+
+  const unknown = Object.keys(body).filter(k => ![...TEMPLATE_FIELDS, ...PLAN_FIELDS, 'fromExerciseId'].includes(k));
+  if (unknown.length) {
+    errors.push({ path: unknown.join(', '), message: `Unknown template fields: ${unknown.join(', ')}` });
+  }
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) errors.push({ path: 'name', message: 'name must be 1-100 characters' });
+    else values.name = name;
+  }
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > 1000) {
+      errors.push({ path: 'description', message: 'description must be a string of at most 1000 characters' });
+    } else {
+      values.description = body.description.trim();
+    }
+  }
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(t => typeof t !== 'string')) {
+      errors.push({ path: 'tags', message: 'tags must be an array of strings' });
+    } else {
+      values.tags = [...new Set(body.tags.map(t => t.trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+    }
+  }
+  if (body.visibility !== undefined) {
+    if (!['private', 'center'].includes(body.visibility)) {
+      errors.push({ path: 'visibility', message: 'visibility must be private or center' });
+    } else {
+      values.visibility = body.visibility;
+    }
+  }
+  if (body.durationDays !== undefined) {
+    const days = body.durationDays === null ? null : Number(body.durationDays);
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_DURATION_DAYS)) {
+      errors.push({ path: 'durationDays', message: `durationDays must be a whole number between 1 and ${MAX_DURATION_DAYS}` });
+    } else {
+      values.durationDays = days;
+    }
+  }
+
+  // Plan content uses the same rules as editing a plan
+  const content = {};
+  for (const field of PLAN_FIELDS) {
+    if (body[field] !== undefined) content[field] = body[field];
+  }
+  if (Object.keys(content).length) {
+    const result = validatePlanUpdate(content);
+    if (result.errors) errors.push(...result.errors);
+    else Object.assign(values, result.changes);
+  }
+
+  return errors.length ? { errors } : { values };
+}
+
+// ---------- Access ----------
+
+function canViewTemplate(user, template) {
+  if (user.role === 'superadmin') return true;
+  if (String(template.owner?._id || template.owner) === String(user._id)) return true;
+  return template.visibility === 'center'
+    && !!user.center
+    && String(template.center) === String(user.center);
+}
+
+// Owners manage their templates; center admins also manage the library of
+// their center
+function canManageTemplate(user, template) {
+  if (user.role === 'superadmin') return true;
+  if (String(template.owner?._id || template.owner) === String(user._id)) return true;
+  return user.role === 'admin'
+    && template.visibility === 'center'
+    && !!user.center
+    && String(template.center) === String(user.center);
+}
+
+// ---------- Library ----------
+
+// ?q=&tag=&scope=mine|center|all&page=&limit=
+async function searchTemplates(user, query = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const scope = ['mine', 'center', 'all'].includes(query.scope) ? query.scope : 'all';
+
+  const mine = { owner: user._id };
+  const center = user.center ? { center: user.center, visibility: 'center' } : null;
+  let visible;
+  if (scope === 'mine') visible = mine;
+  else if (scope === 'center') visible = center || { _id: null };
+  else if (user.role === 'superadmin') visible = {};
+  else visible = center ? { $or: [mine, center] } : mine;
+
+  const filter = { $and: [visible, { archived: false }] };
+  if (query.q) {
+    const pattern = { $regex: escapeRegex(String(query.q).trim()), $options: 'i' };
+    filter.$and.push({
+      $or: [
+        { name: pattern },
+        { description: pattern },
+        { tags: pattern },
+        { 'letters.letter': pattern },
+        { 'words.word': pattern },
+        { 'words.category': pattern }
+      ]
+    });
+  }
+  if (query.tag) filter.$and.push({ tags: String(query.tag).trim().toLowerCase() });
+
+  const [total, templates] = await Promise.all([
+    PlanTemplate.countDocuments(filter),
+    PlanTemplate.find(filter)
+      .populate('owner', 'name specialization')
+      .sort({ usageCount: -1, updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean()
+  ]);
+
+  return { total, page, limit, templates };
+}
+
+// Template values from an existing plan (Exercise, kind 'plan')
+function fromPlan(exercise) {
+  const snapshot = snapshotOf(exercise);
+  const values = {
+    sessionName: snapshot.sessionName,
+    letters: snapshot.letters,
+    words: snapshot.words,
+    targetDuration: snapshot.targetDuration
+  };
+  if (exercise.startDate && exercise.endDate) {
+    values.durationDays = Math.max(1, Math.round((exercise.endDate - exercise.startDate) / DAY));
+  }
+  return values;
+}
+
+// ---------- Instantiation ----------
+
+// Create a plan from the template for every child the user may plan for.
+// Returns one result per requested child: created | forbidden | not_found.
+async function instantiateTemplate(template, childIds, user, { sessionName = null } = {}) {
+  const ids = [...new Set(childIds.map(String))];
+  const valid = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const children = await Child.find({ _id: { $in: valid } });
+  const byId = new Map(children.map(c => [String(c._id), c]));
+
+  const content = snapshotOf(template);
+  const results = [];
+  for (const id of ids) {
+    const child = byId.get(id);
+    if (!child) {
+      results.push({ childId: id, status: 'not_found' });
+      continue;
+    }
+    if (!(await canAccessChild(user, ACTIONS.PLAN_WRITE, child))) {
+      results.push({ childId: id, status: 'forbidden' });
+      continue;
+    }
+
+    const exercise = await createPlan(child, {
+      letters: content.letters,
+      words: content.words,
+      targetDuration: template.targetDuration,
+      endDate: template.durationDays ? new Date(Date.now() + template.durationDays * DAY) : undefined,
+      sessionName: sessionName || template.sessionName || undefined
+    }, { author: user._id });
+    results.push({ childId: id, status: 'created', child, exercise });
+  }
+
+  const created = results.filter(r => r.status === 'created').length;
+  if (created) await PlanTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: created } });
+
+  return results;
+}
+
+module.exports = {
+  MAX_INSTANTIATE_CHILDREN,
+  validateTemplate,
+  canViewTemplate,
+  canManageTemplate,
+  searchTemplates,
+  fromPlan,
+  instantiateTemplate
+};
@@ -0,0 +1,359 @@
+const Exercise = require('../models/Exercise');
+const ExerciseVersion = require('../models/ExerciseVersion');
+const { articulationPointOf } = require('../utils/arabicLetters');
+
+// ========================================
+// PLAN EDITING AND VERSION HISTORY
+// Every change to a plan (Exercise, kind 'plan') bumps Exercise.version and
+// appends an immutable ExerciseVersion snapshot. Played sessions keep the
+// version number, so old progress always maps to the content that was played.
+// ========================================
+
+const EDITABLE_FIELDS = ['letters', 'words', 'targetDuration', 'endDate', 'sessionName'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_ITEMS = 100;
+const MAX_TARGET_DURATION = 240; // minutes per day
+
+// ---------- Validation ----------
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+function validateItems(raw, { key, fields, errors }) {
+  if (!Array.isArray(raw)) {
+    errors.push({ path: `${key}s`, message: `${key}s must be an array` });
+    return null;
+  }
+  if (raw.length > MAX_ITEMS) {
+    errors.push({ path: `${key}s`, message: `At most ${MAX_ITEMS} ${key}s per plan` });
+    return null;
+  }
+
+  const seen = new Set();
+  const items = [];
+  raw.forEach((entry, i) => {
+    const item = typeof entry === 'string' ? { [key]: entry } : entry;
+    if (!isPlainObject(item)) {
+      errors.push({ path: `${key}s.${i}`, message: `Each ${key} must be a string or an object` });
+      return;
+    }
+
+    const value = text(item[key]);
+    if (!value) {
+      errors.push({ path: `${key}s.${i}.${key}`, message: `${key} is required` });
+      return;
+    }
+    if (seen.has(value)) {
+      errors.push({ path: `${key}s.${i}.${key}`, message: `Duplicate ${key}: ${value}` });
+      return;
+    }
+    seen.add(value);
+
+    if (item.difficulty !== undefined && item.difficulty !== null && !DIFFICULTIES.includes(item.difficulty)) {
+      errors.push({ path: `${key}s.${i}.difficulty`, message: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` });
+      return;
+    }
+
+    const clean = { [key]: value };
+    for (const field of fields) {
+      if (item[field] !== undefined && item[field] !== null) clean[field] = item[field];
+    }
+    items.push(clean);
+  });
+  return items;
+}
+
+// Validate a plan update body. Returns { changes } or { errors }.
+// `exercise` is the stored plan, used for checks against its start date.
+function validatePlanUpdate(body, exercise) {
+  const errors = [];
+  if (!isPlainObject(body)) return { errors: [{ path: '', message: 'Body must be an object' }] };
+
+  const unknown = Object.keys(body).filter(k => !EDITABLE_FIELDS.includes(k));
+  if (unknown.length) {
+    errors.push({ path: unknown.join(', '), message: `Only ${EDITABLE_FIELDS.join(', ')} can be changed` });
+  }
+
+  const changes = {};
+
+  if (body.letters !== undefined) {
+    const letters = validateItems(body.letters, { key: 'letter', fields: ['articulationPoint', 'vowels', 'difficulty'], errors });
+    if (letters) {
+      for (const l of letters) {
+        if (l.vowels !== undefined && (!Array.isArray(l.vowels) || l.vowels.some(v => typeof v !== 'string'))) {
+          errors.push({ path: 'letters', message: `vowels of ${l.letter} must be an array of strings` });
+        }
+        if (!l.articulationPoint) l.articulationPoint = articulationPointOf(l.letter) || undefined;
+      }
+      changes.letters = letters;
+    }
+  }
+
+  if (body.words !== undefined) {
+    const words = validateItems(body.words, { key: 'word', fields: ['translation', 'category', 'difficulty'], errors });
+    if (words) changes.words = words;
+  }
+
+  if (body.targetDuration !== undefined) {
+    const minutes = body.targetDuration === null ? null : Number(body.targetDuration);
+    if (minutes !== null && (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_TARGET_DURATION)) {
+      errors.push({ path: 'targetDuration', message: `targetDuration must be between 1 and ${MAX_TARGET_DURATION} minutes` });
+    } else {
+      changes.targetDuration = minutes;
+    }
+  }
+
+  if (body.endDate !== undefined) {
+    const endDate = body.endDate === null ? null : new Date(body.endDate);
+    if (endDate && isNaN(endDate)) {
+      errors.push({ path: 'endDate', message: 'endDate must be an ISO date' });
+    } else if (endDate && exercise?.startDate && endDate < exercise.startDate) {
+      errors.push({ path: 'endDate', message: 'endDate must be after the plan start date' });
+    } else {
+      changes.endDate = endDate;
+    }
+  }
+
+  if (body.sessionName !== undefined) {
+    const name = text(body.sessionName);
+    if (!name || name.length > 100) {
+      errors.push({ path: 'sessionName', message: 'sessionName must be 1-100 characters' });
+    } else {
+      changes.sessionName = name;
+    }
+  }
+
+  if (!errors.length && !Object.keys(changes).length) {
+    errors.push({ path: '', message: `Nothing to update (allowed: ${EDITABLE_FIELDS.join(', ')})` });
+  }
+
+  return errors.length ? { errors } : { changes };
+}
+
+// ---------- Snapshots ----------
+
+const stripIds = (items) => (items || []).map(item => {
+  const plain = typeof item.toObject === 'function' ? item.toObject() : { ...item };
+  delete plain._id;
+  return plain;
+});
+
+function snapshotOf(plan) {
+  return {
+    sessionIndex: plan.sessionIndex ?? null,
+    sessionName: plan.sessionName ?? null,
+    letters: stripIds(plan.letters),
+    words: stripIds(plan.words),
+    targetDuration: plan.targetDuration ?? null,
+    endDate: plan.endDate ?? null
+  };
+}
+
+async function recordVersion(plan, { version = plan.version || 1, reason, author = null, restoredFrom = null }) {
+  return ExerciseVersion.create({
+    exercise: plan._id,
+    child: plan.child,
+    version,
+    reason,
+    author,
+    restoredFrom,
+    ...snapshotOf(plan)
+  });
+}
+
+// Plans created before versioning have no history yet: keep their current
+// content as the first version before it is changed
+async function ensureBaseline(plan) {
+  const exists = await ExerciseVersion.exists({ exercise: plan._id });
+  if (exists) return;
+  try {
+    await recordVersion(plan, { reason: 'baseline', author: plan.specialist || null });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+}
+
+// Child.targetLetters / targetWords mirror the active plan
+function targetsOf(letters, words) {
+  const pick = (items, key) => (items || [])
+    .map(item => (item && typeof item === 'object') ? item[key] : item)
+    .map(x => String(x || '').trim())
+    .filter(Boolean);
+  return { targetLetters: pick(letters, 'letter'), targetWords: pick(words, 'word') };
+}
+
+// ---------- Changes ----------
+
+// Create the next numbered plan session of a child and make it the active
+// plan (used by POST /api/exercises and by plan templates)
+async function createPlan(child, { letters, words, targetDuration, endDate, sessionName }, { author }) {
+  // Ensure only one active plan at a time (kind: 'plan')
+  await Exercise.updateMany(
+    { child: child._id, kind: 'plan', active: true },
+    { $set: { active: false } }
+  );
+
+  // Auto-increment session index (Session 1, Session 2, ...)
+  const last = await Exercise.findOne({ child: child._id, kind: 'plan' })
+    .sort({ sessionIndex: -1, createdAt: -1 })
+    .select('sessionIndex');
+
+  const nextSessionIndex = (typeof last?.sessionIndex === 'number' ? last.sessionIndex : 0) + 1;
+
+  const exercise = await Exercise.create({
+    child: child._id,
+    specialist: author,
+    kind: 'plan',
+    sessionIndex: nextSessionIndex,
+    sessionName: sessionName || `Session ${nextSessionIndex}`,
+    letters,
+    words,
+    targetDuration,
+    endDate
+  });
+
+  await recordVersion(exercise, { reason: 'create', author });
+
+  // Update child's targets (store just the text for quick reference)
+  const targets = targetsOf(letters, words);
+  if (Array.isArray(letters)) child.targetLetters = targets.targetLetters;
+  if (Array.isArray(words)) child.targetWords = targets.targetWords;
+  await child.save();
+
+  return exercise;
+}
+
+// Apply validated changes as a new version. The update only goes through if
+// nobody else changed the plan meanwhile; returns { conflict: true } if so.
+async function applyPlanChange(plan, changes, {
+  author, reason = 'update', restoredFrom = null, child = null, expectedVersion = null
+}) {
+  const current = plan.version || 1;
+  // The client edited an older version than the one loaded
+  if (expectedVersion !== null && expectedVersion !== current) return { conflict: true };
+
+  await ensureBaseline(plan);
+
+  // Plans created before versioning have no stored version: they are version 1
+  const updated = await Exercise.findOneAndUpdate(
+    { _id: plan._id, version: current === 1 ? { $in: [1, null] } : current },
+    { $set: { ...changes, version: current + 1 } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) return { conflict: true };
+
+  const version = await recordVersion(updated, { reason, author, restoredFrom });
+
+  if (child && updated.active && (changes.letters || changes.words)) {
+    const targets = targetsOf(updated.letters, updated.words);
+    if (changes.letters) child.targetLetters = targets.targetLetters;
+    if (changes.words) child.targetWords = targets.targetWords;
+    await child.save();
+  }
+
+  return { exercise: updated, version };
+}
+
+// Make an old version current again (as a new version)
+async function restoreVersion(plan, versionNumber, { author, child = null, expectedVersion = null }) {
+  const old = await ExerciseVersion.findOne({ exercise: plan._id, version: versionNumber }).lean();
+  if (!old) return { notFound: true };
+
+  const changes = {
+    sessionName: old.sessionName,
+    letters: old.letters,
+    words: old.words,
+    targetDuration: old.targetDuration,
+    endDate: old.endDate
+  };
+  return applyPlanChange(plan, changes, {
+    author, reason: 'restore', restoredFrom: old.version, child, expectedVersion
+  });
+}
+
+// ---------- Reads ----------
+
+async function listVersions(planId) {
+  return ExerciseVersion.find({ exercise: planId })
+    .populate('author', 'name role')
+    .sort({ version: -1 })
+    .lean();
+}
+
+// Version `n` of a plan; the live plan stands in for its current version when
+// no snapshot was recorded yet (plans older than versioning)
+async function getVersion(plan, versionNumber) {
+  const version = await ExerciseVersion.findOne({ exercise: plan._id, version: versionNumber }).lean();
+  if (version) return version;
+  if (versionNumber === (plan.version || 1)) return { version: versionNumber, ...snapshotOf(plan) };
+  return null;
+}
+
+const keyed = (items, key) => new Map((items || []).map(item => [item[key], item]));
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function diffItems(before, after, key) {
+  const a = keyed(before, key);
+  const b = keyed(after, key);
+  const diff = {
+    added: [...b.keys()].filter(k => !a.has(k)),
+    removed: [...a.keys()].filter(k => !b.has(k)),
+    changed: [...b.keys()]
+      .filter(k => a.has(k) && !same(a.get(k), b.get(k)))
+      .map(k => ({ [key]: k, before: a.get(k), after: b.get(k) }))
+  };
+  const reordered = !diff.added.length && !diff.removed.length
+    && !same([...a.keys()], [...b.keys()]);
+  if (reordered) diff.reordered = true;
+  return diff.added.length || diff.removed.length || diff.changed.length || reordered ? diff : null;
+}
+
+// Field-by-field differences between two snapshots
+function diffVersions(from, to) {
+  const changes = {};
+  for (const field of ['sessionName', 'targetDuration']) {
+    if (!same(from[field], to[field])) changes[field] = { before: from[field] ?? null, after: to[field] ?? null };
+  }
+  const endBefore = from.endDate ? new Date(from.endDate).toISOString() : null;
+  const endAfter = to.endDate ? new Date(to.endDate).toISOString() : null;
+  if (endBefore !== endAfter) changes.endDate = { before: endBefore, after: endAfter };
+
+  const letters = diffItems(from.letters, to.letters, 'letter');
+  if (letters) changes.letters = letters;
+  const words = diffItems(from.words, to.words, 'word');
+  if (words) changes.words = words;
+
+  return changes;
+}
+
+// Sessions synced without a plan version get the version that was current
+// when they were played (offline sessions may be synced after later edits).
+// Before the first recorded version the plan was at version 1: either never
+// edited, or the baseline snapshotted on its first edit.
+async function stampPlanVersion(session) {
+  if (!session.planExerciseId || typeof session.planVersion === 'number') return;
+  const plan = await Exercise.findOne({ _id: session.planExerciseId, child: session.child }).select('_id').lean();
+  if (!plan) return;
+
+  const playedAt = session.sessionDate ? new Date(session.sessionDate) : new Date();
+  const version = await ExerciseVersion.findOne({ exercise: plan._id, createdAt: { $lte: playedAt } })
+    .select('version')
+    .sort({ version: -1 })
+    .lean();
+  session.planVersion = version?.version || 1;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  validatePlanUpdate,
+  snapshotOf,
+  recordVersion,
+  targetsOf,
+  createPlan,
+  applyPlanChange,
+  restoreVersion,
+  listVersions,
+  getVersion,
+  diffVersions,
+  stampPlanVersion
+};
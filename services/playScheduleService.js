@@ -0,0 +1,237 @@
+const User = require('../models/User');
+
+// ========================================
+// PLAY SCHEDULE AND DAILY LIMIT
+// Child.playSchedule windows are local times ('HH:mm') in the family's time
+// zone (the parent's User.timezone). Windows are same-day: start < end.
+// Child.dailyPlayDuration always has a value (default 60), so it only limits
+// play once the parent has turned the schedule on.
+// ========================================
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Tripoli';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MINUTES = 24 * 60;
+
+const VIOLATIONS = {
+  OUTSIDE_SCHEDULE: 'outside_schedule',
+  DAILY_LIMIT_REACHED: 'daily_limit_reached'
+};
+
+const formatters = new Map();
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE);
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock view of an instant in a time zone
+function localParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) parts[type] = value;
+  const hour = Number(parts.hour) % 24;
+  const minute = Number(parts.minute);
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    minutes: hour * 60 + minute,
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = localParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes);
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+// Instant at which the wall clock in `timeZone` shows the given local date/time
+function zonedTimeToUtc(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const first = offsetMs(new Date(guess), timeZone);
+  const second = offsetMs(new Date(guess - first), timeZone);
+  return new Date(guess - second);
+}
+
+function parseTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes >= 0 && minutes <= DAY_MINUTES ? minutes : null;
+}
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Valid windows of a schedule as [{ start, end }] in minutes, sorted. No
+// windows means the whole day.
+function windowsOf(schedule) {
+  const windows = (schedule?.windows || [])
+    .map(w => ({ start: parseTime(w.start), end: parseTime(w.end) }))
+    .filter(w => w.start !== null && w.end !== null && w.start < w.end)
+    .sort((a, b) => a.start - b.start);
+  return windows.length ? windows : [{ start: 0, end: DAY_MINUTES }];
+}
+
+function isDayAllowed(schedule, dayOfWeek) {
+  const days = schedule?.allowedDays || [];
+  return days.length === 0 || days.includes(dayOfWeek);
+}
+
+// The window containing the local time, or null
+function windowAt(schedule, local) {
+  if (!isDayAllowed(schedule, local.dayOfWeek)) return null;
+  return windowsOf(schedule).find(w => local.minutes >= w.start && local.minutes < w.end) || null;
+}
+
+const isScheduleActive = (child) => !!child.playSchedule?.enabled;
+// Enforced schedules reject sessions; non-enforced ones only flag them
+const isEnforced = (child) => isScheduleActive(child) && child.playSchedule.enforce !== false;
+
+function dailyLimit(child) {
+  if (!isScheduleActive(child)) return null;
+  const limit = Number(child.dailyPlayDuration);
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+}
+
+function describeWindow(local, window, timeZone, dayOffset) {
+  const base = new Date(Date.UTC(local.year, local.month - 1, local.day + dayOffset));
+  const [y, m, d] = [base.getUTCFullYear(), base.getUTCMonth() + 1, base.getUTCDate()];
+  return {
+    dayOfWeek: base.getUTCDay(),
+    start: formatTime(window.start),
+    end: formatTime(window.end),
+    startsAt: zonedTimeToUtc(y, m, d, window.start, timeZone),
+    endsAt: zonedTimeToUtc(y, m, d, window.end, timeZone)
+  };
+}
+
+// Next time play becomes allowed after `now`. With `skipToday` (daily limit
+// used up) only later days count.
+function nextAllowedWindow(child, now, timeZone, { skipToday = false } = {}) {
+  const local = localParts(now, timeZone);
+  const schedule = isScheduleActive(child) ? child.playSchedule : null;
+
+  for (let offset = skipToday ? 1 : 0; offset <= 7; offset++) {
+    const dayOfWeek = (local.dayOfWeek + offset) % 7;
+    if (schedule && !isDayAllowed(schedule, dayOfWeek)) continue;
+
+    for (const window of windowsOf(schedule)) {
+      if (offset === 0 && window.start <= local.minutes) continue;
+      return describeWindow(local, window, timeZone, offset);
+    }
+  }
+  return null;
+}
+
+// Minutes played on a local date, from sessions with { sessionDate, duration }
+function minutesPlayedOn(sessions, dateKey, timeZone) {
+  return (sessions || []).reduce((sum, s) => {
+    if (!s.sessionDate) return sum;
+    return localParts(new Date(s.sessionDate), timeZone).dateKey === dateKey
+      ? sum + (Number(s.duration) || 0)
+      : sum;
+  }, 0);
+}
+
+// Whether the child may play at `now`, how much is left and when play is next
+// allowed. `sessions` are the child's recent sessions.
+function getPlayStatus(child, { timeZone, sessions = [], now = new Date() } = {}) {
+  const tz = resolveTimeZone(timeZone);
+  const local = localParts(now, tz);
+  const scheduleActive = isScheduleActive(child);
+  const currentWindow = scheduleActive ? windowAt(child.playSchedule, local) : { start: 0, end: DAY_MINUTES };
+  const withinSchedule = !!currentWindow;
+
+  const limit = dailyLimit(child);
+  const minutesPlayedToday = minutesPlayedOn(sessions, local.dateKey, tz);
+  const remainingMinutes = limit === null ? null : Math.max(0, limit - minutesPlayedToday);
+  const limitReached = remainingMinutes === 0;
+
+  let reason = null;
+  if (!withinSchedule) reason = VIOLATIONS.OUTSIDE_SCHEDULE;
+  else if (limitReached) reason = VIOLATIONS.DAILY_LIMIT_REACHED;
+
+  return {
+    allowed: !reason,
+    reason,
+    enforced: isEnforced(child),
+    timeZone: tz,
+    localTime: `${local.dateKey}T${formatTime(local.minutes)}`,
+    dailyLimitMinutes: limit,
+    minutesPlayedToday,
+    remainingMinutes,
+    currentWindow: scheduleActive && currentWindow ? describeWindow(local, currentWindow, tz, 0) : null,
+    nextWindow: reason ? nextAllowedWindow(child, now, tz, { skipToday: limitReached && withinSchedule }) : null
+  };
+}
+
+// Violations of a session that started at session.sessionDate, given the
+// sessions already recorded (including earlier ones from the same batch, but
+// not the session itself). The session's own duration counts towards the
+// daily limit.
+function checkSession(child, session, { timeZone, sessions = [] } = {}) {
+  const tz = resolveTimeZone(timeZone);
+  const startedAt = session.sessionDate ? new Date(session.sessionDate) : new Date();
+  if (isNaN(startedAt)) return [];
+
+  const local = localParts(startedAt, tz);
+  const violations = [];
+
+  if (isScheduleActive(child) && !windowAt(child.playSchedule, local)) {
+    violations.push(VIOLATIONS.OUTSIDE_SCHEDULE);
+  }
+
+  const limit = dailyLimit(child);
+  const played = minutesPlayedOn(sessions, local.dateKey, tz);
+  if (limit !== null && (played >= limit || played + (Number(session.duration) || 0) > limit)) {
+    violations.push(VIOLATIONS.DAILY_LIMIT_REACHED);
+  }
+
+  return violations;
+}
+
+// Time zone of the child's family (their parent's setting)
+async function familyTimeZone(child) {
+  const parent = await User.findById(child.parent._id || child.parent).select('timezone').lean();
+  return resolveTimeZone(parent?.timezone);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  VIOLATIONS,
+  isValidTimeZone,
+  resolveTimeZone,
+  localParts,
+  zonedTimeToUtc,
+  isEnforced,
+  nextAllowedWindow,
+  minutesPlayedOn,
+  getPlayStatus,
+  checkSession,
+  familyTimeZone
+};
@@ -0,0 +1,154 @@
+const User = require('../models/User');
+const Child = require('../models/Child');
+
+// ========================================
+// ACCESS POLICY FOR CHILD DATA
+// Every route that reads or changes a child's profile, progress, content or
+// plan asks this module instead of comparing ids by hand.
+// ========================================
+
+const ACTIONS = {
+  CHILD_READ: 'child:read',
+  CHILD_UPDATE: 'child:update',
+  CHILD_DELETE: 'child:delete',
+  PROGRESS_READ: 'progress:read',
+  PROGRESS_WRITE: 'progress:write',
+  CONTENT_READ: 'content:read',
+  CONTENT_WRITE: 'content:write',
+  PLAN_READ: 'plan:read',
+  PLAN_WRITE: 'plan:write',
+  DEVICE_MANAGE: 'device:manage',
+  AUDIO_LISTEN: 'audio:listen'
+};
+
+// How a user relates to a child
+const RELATIONS = {
+  PARENT: 'parent',
+  SPECIALIST: 'assignedSpecialist',
+  CENTER_ADMIN: 'centerAdmin',
+  SUPERADMIN: 'superadmin'
+};
+
+const { PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN } = RELATIONS;
+
+// The policy matrix: action -> relations that are allowed to perform it
+const POLICY = {
+  [ACTIONS.CHILD_READ]: [PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.CHILD_UPDATE]: [PARENT, SPECIALIST, SUPERADMIN],
+  [ACTIONS.CHILD_DELETE]: [PARENT, SUPERADMIN],
+  [ACTIONS.PROGRESS_READ]: [PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  // Progress is posted by the child app, which runs on the parent's account
+  [ACTIONS.PROGRESS_WRITE]: [PARENT],
+  [ACTIONS.CONTENT_READ]: [PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.CONTENT_WRITE]: [SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.PLAN_READ]: [PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.PLAN_WRITE]: [SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  // Pairing and revoking the child's game devices
+  [ACTIONS.DEVICE_MANAGE]: [PARENT],
+  // Attempt recordings are for the family and the treating specialist only
+  [ACTIONS.AUDIO_LISTEN]: [PARENT, SPECIALIST]
+};
+
+// What a paired child device may do, and only for its own child
+const DEVICE_ACTIONS = [
+  ACTIONS.CHILD_READ,
+  ACTIONS.PLAN_READ,
+  ACTIONS.CONTENT_READ,
+  ACTIONS.PROGRESS_WRITE
+];
+
+const idOf = (value) => {
+  if (!value) return null;
+  return String(value._id || value);
+};
+
+// Pure: which relations does `user` have with `child`?
+// `specialistCenter` is the center id of the child's assigned specialist (only
+// needed to recognise the center admin).
+function relationsFor(user, child, { specialistCenter = null } = {}) {
+  const relations = new Set();
+  if (!user || !child) return relations;
+
+  const userId = idOf(user);
+
+  if (user.role === 'superadmin') relations.add(SUPERADMIN);
+  if (idOf(child.parent) === userId) relations.add(PARENT);
+  // Admins can take children themselves, so this is not limited to specialists
+  if (idOf(child.assignedSpecialist) === userId) relations.add(SPECIALIST);
+  if (
+    user.role === 'admin'
+    && user.center
+    && specialistCenter
+    && idOf(user.center) === idOf(specialistCenter)
+  ) {
+    relations.add(CENTER_ADMIN);
+  }
+
+  return relations;
+}
+
+// Pure: may a user with these relations perform `action`?
+function isAllowed(relations, action) {
+  const allowed = POLICY[action];
+  if (!allowed) throw new Error(`Unknown policy action: ${action}`);
+  return allowed.some(r => relations.has(r));
+}
+
+// Pure: convenience for callers that already know the specialist's center
+function can(user, action, child, context = {}) {
+  return isAllowed(relationsFor(user, child, context), action);
+}
+
+// Async: resolves the context the pure check needs, then decides
+async function canAccessChild(user, action, child) {
+  let specialistCenter = null;
+
+  if (user?.role === 'admin' && child?.assignedSpecialist) {
+    const assigned = child.assignedSpecialist;
+    if (assigned.center !== undefined) {
+      specialistCenter = assigned.center;
+    } else {
+      const specialist = await User.findById(idOf(assigned)).select('center').lean();
+      specialistCenter = specialist?.center || null;
+    }
+  }
+
+  return can(user, action, child, { specialistCenter });
+}
+
+// Mongo filter for the children a user may see at all (used by list endpoints)
+async function accessibleChildrenFilter(user) {
+  switch (user.role) {
+    case 'superadmin':
+      return {};
+    case 'parent':
+      return { parent: user._id };
+    case 'specialist':
+      return { assignedSpecialist: user._id };
+    case 'admin': {
+      if (!user.center) return { assignedSpecialist: user._id };
+      const staff = await User.find({ center: user.center }).select('_id').lean();
+      return { assignedSpecialist: { $in: [user._id, ...staff.map(s => s._id)] } };
+    }
+    default:
+      return { _id: null };
+  }
+}
+
+async function accessibleChildIds(user) {
+  const children = await Child.find(await accessibleChildrenFilter(user)).select('_id').lean();
+  return children.map(c => c._id);
+}
+
+module.exports = {
+  ACTIONS,
+  RELATIONS,
+  POLICY,
+  DEVICE_ACTIONS,
+  relationsFor,
+  isAllowed,
+  can,
+  canAccessChild,
+  accessibleChildrenFilter,
+  accessibleChildIds
+};
@@ -0,0 +1,273 @@
+const Child = require('../models/Child');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Attempt = require('../models/Attempt');
+const ProgressAlert = require('../models/ProgressAlert');
+const { notifyUser } = require('./notificationService');
+
+// ========================================
+// PROGRESS ALERTS FOR SPECIALISTS
+// A scheduled job compares each child's latest window of play with the one
+// before it and tells the assigned specialist about regressions, inactivity
+// and repeated failures. An alert stays open (and is not repeated) until its
+// condition clears.
+// ========================================
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ALERT_TYPES = {
+  SCORE_REGRESSION: 'score_regression',
+  SUCCESS_RATE_DROP: 'success_rate_drop',
+  INACTIVITY: 'inactivity',
+  REPEATED_FAILURES: 'repeated_failures'
+};
+
+const DEFAULT_THRESHOLDS = {
+  // Fall of the average session score (points) against the previous window
+  scoreDrop: 15,
+  // Fall of the success rate (percentage points) against the previous window
+  successRateDrop: 20,
+  // Days without a session, for a child who has played before
+  inactivityDays: 7,
+  // Consecutive failed attempts on the same letter or word
+  repeatedFailures: 5,
+  // Length of the compared windows
+  windowDays: 7
+};
+
+// Allowed range of each threshold
+const THRESHOLD_LIMITS = {
+  scoreDrop: [1, 100],
+  successRateDrop: [1, 100],
+  inactivityDays: [1, 365],
+  repeatedFailures: [2, 50],
+  windowDays: [1, 90]
+};
+
+// Effective thresholds of a specialist (their overrides over the defaults)
+function thresholdsFor(specialist) {
+  const settings = specialist?.alertSettings || {};
+  const limits = {};
+  for (const [key, value] of Object.entries(DEFAULT_THRESHOLDS)) {
+    limits[key] = typeof settings[key] === 'number' ? settings[key] : value;
+  }
+  return limits;
+}
+
+// Validate a settings update. Returns { update } or { error }.
+function parseAlertSettings(body = {}) {
+  const update = {};
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    update.enabled = body.enabled;
+  }
+  for (const [key, [min, max]] of Object.entries(THRESHOLD_LIMITS)) {
+    if (body[key] === undefined) continue;
+    // null goes back to the default
+    if (body[key] !== null && !(Number.isInteger(body[key]) && body[key] >= min && body[key] <= max)) {
+      return { error: `${key} must be a whole number between ${min} and ${max}, or null` };
+    }
+    update[key] = body[key];
+  }
+  return { update };
+}
+
+const round = (n) => Math.round(n * 10) / 10;
+
+function averageScore(sessions) {
+  if (!sessions.length) return null;
+  return sessions.reduce((sum, s) => sum + (s.averageScore || 0), 0) / sessions.length;
+}
+
+function successRate(sessions) {
+  const total = sessions.reduce((sum, s) => sum + (s.totalAttempts || 0), 0);
+  if (!total) return null;
+  return (sessions.reduce((sum, s) => sum + (s.successfulAttempts || 0), 0) / total) * 100;
+}
+
+// Pure: alerts for one child. `sessions` cover the last two windows,
+// `attempts` the last window (oldest first).
+function detectAlerts({ sessions = [], attempts = [], lastSessionAt = null }, limits, now = new Date()) {
+  const windowStart = now.getTime() - limits.windowDays * DAY;
+  const previousStart = windowStart - limits.windowDays * DAY;
+  const timeOf = (s) => new Date(s.sessionDate).getTime();
+  const recent = sessions.filter(s => timeOf(s) >= windowStart);
+  const previous = sessions.filter(s => timeOf(s) >= previousStart && timeOf(s) < windowStart);
+  const alerts = [];
+
+  if (recent.length && previous.length >= 2) {
+    const before = averageScore(previous);
+    const after = averageScore(recent);
+    if (before - after >= limits.scoreDrop) {
+      alerts.push({
+        type: ALERT_TYPES.SCORE_REGRESSION,
+        details: { previousAverage: round(before), recentAverage: round(after), windowDays: limits.windowDays }
+      });
+    }
+
+    const rateBefore = successRate(previous);
+    const rateAfter = successRate(recent);
+    if (rateBefore !== null && rateAfter !== null && rateBefore - rateAfter >= limits.successRateDrop) {
+      alerts.push({
+        type: ALERT_TYPES.SUCCESS_RATE_DROP,
+        details: { previousRate: round(rateBefore), recentRate: round(rateAfter), windowDays: limits.windowDays }
+      });
+    }
+  }
+
+  if (lastSessionAt) {
+    const daysInactive = Math.floor((now.getTime() - new Date(lastSessionAt).getTime()) / DAY);
+    if (daysInactive >= limits.inactivityDays) {
+      alerts.push({ type: ALERT_TYPES.INACTIVITY, details: { daysInactive, lastSessionAt } });
+    }
+  }
+
+  // Trailing run of failures per target
+  const streaks = new Map();
+  for (const attempt of attempts) {
+    const target = attempt.word || attempt.letter;
+    if (!target) continue;
+    streaks.set(target, attempt.success ? 0 : (streaks.get(target) || 0) + 1);
+  }
+  for (const [target, failures] of streaks) {
+    if (failures >= limits.repeatedFailures) {
+      alerts.push({ type: ALERT_TYPES.REPEATED_FAILURES, target, details: { consecutiveFailures: failures } });
+    }
+  }
+
+  return alerts;
+}
+
+function describeAlert(alert, child) {
+  const d = alert.details;
+  switch (alert.type) {
+    case ALERT_TYPES.SCORE_REGRESSION:
+      return {
+        title: 'تراجع في الدرجات', // Score regression
+        message: `انخفض متوسط درجات ${child.name} من ${d.previousAverage} إلى ${d.recentAverage} خلال آخر ${d.windowDays} أيام.`
+      };
+    case ALERT_TYPES.SUCCESS_RATE_DROP:
+      return {
+        title: 'انخفاض نسبة النجاح', // Success rate dropped
+        message: `انخفضت نسبة نجاح ${child.name} من ${d.previousRate}% إلى ${d.recentRate}% خلال آخر ${d.windowDays} أيام.`
+      };
+    case ALERT_TYPES.INACTIVITY:
+      return {
+        title: 'انقطاع عن التدريب', // Stopped playing
+        message: `لم يلعب ${child.name} أي جلسة منذ ${d.daysInactive} يوماً.`
+      };
+    default:
+      return {
+        title: 'إخفاق متكرر', // Repeated failures
+        message: `أخفق ${child.name} في «${alert.target}» ${d.consecutiveFailures} مرات متتالية.`
+      };
+  }
+}
+
+async function loadChildActivity(childId, limits, now) {
+  const windowStart = new Date(now.getTime() - limits.windowDays * DAY);
+  const previousStart = new Date(windowStart.getTime() - limits.windowDays * DAY);
+
+  const [sessions, last, attempts] = await Promise.all([
+    Session.find({ child: childId, sessionDate: { $gte: previousStart, $lte: now } })
+      .select('sessionDate averageScore totalAttempts successfulAttempts')
+      .lean(),
+    Session.findOne({ child: childId }).sort({ sessionDate: -1 }).select('sessionDate').lean(),
+    Attempt.find({ child: childId, timestamp: { $gte: windowStart, $lte: now } })
+      .select('letter word success timestamp')
+      .sort({ timestamp: 1, order: 1 })
+      .lean()
+  ]);
+
+  return { sessions, attempts, lastSessionAt: last?.sessionDate || null };
+}
+
+const keyOf = (alert) => `${alert.type}|${alert.target || ''}`;
+
+// Open, refresh and resolve the alerts of one child
+async function updateChildAlerts(io, child, specialistId, detected, now) {
+  const open = await ProgressAlert.find({ child: child._id, specialist: specialistId, resolvedAt: null });
+  const openByKey = new Map(open.map(a => [keyOf(a), a]));
+  const detectedKeys = new Set(detected.map(keyOf));
+  let created = 0;
+  let resolved = 0;
+
+  for (const alert of detected) {
+    const existing = openByKey.get(keyOf(alert));
+    if (existing) {
+      existing.details = alert.details;
+      existing.lastDetectedAt = now;
+      await existing.save();
+      continue;
+    }
+
+    const record = await ProgressAlert.create({
+      specialist: specialistId,
+      child: child._id,
+      type: alert.type,
+      target: alert.target || null,
+      details: alert.details,
+      lastDetectedAt: now
+    });
+    try {
+      const notification = await notifyUser(io, specialistId, {
+        type: 'warning',
+        ...describeAlert(alert, child),
+        data: { kind: 'progress_alert', alertType: alert.type, alertId: record._id, childId: child._id }
+      });
+      record.notification = notification._id;
+      await record.save();
+    } catch (error) {
+      console.error('❌ Failed to notify specialist about progress alert:', error.message);
+    }
+    created++;
+  }
+
+  for (const alert of open) {
+    if (detectedKeys.has(keyOf(alert))) continue;
+    alert.resolvedAt = now;
+    await alert.save();
+    resolved++;
+  }
+
+  return { created, resolved };
+}
+
+// Run the analysis for every child with an assigned specialist
+async function runProgressAlerts({ io = null, now = new Date() } = {}) {
+  const children = await Child.find({ assignedSpecialist: { $ne: null } }).select('name assignedSpecialist').lean();
+  const specialists = await User.find({ _id: { $in: [...new Set(children.map(c => String(c.assignedSpecialist)))] } })
+    .select('alertSettings')
+    .lean();
+  const specialistById = new Map(specialists.map(s => [String(s._id), s]));
+  const totals = { created: 0, resolved: 0 };
+
+  for (const child of children) {
+    const specialist = specialistById.get(String(child.assignedSpecialist));
+    if (!specialist) continue;
+
+    // Alerts raised for a previous specialist of the child
+    await ProgressAlert.updateMany(
+      { child: child._id, specialist: { $ne: specialist._id }, resolvedAt: null },
+      { $set: { resolvedAt: now } }
+    );
+    if (specialist.alertSettings?.enabled === false) continue;
+
+    const limits = thresholdsFor(specialist);
+    const detected = detectAlerts(await loadChildActivity(child._id, limits, now), limits, now);
+    const { created, resolved } = await updateChildAlerts(io, child, specialist._id, detected, now);
+    totals.created += created;
+    totals.resolved += resolved;
+  }
+
+  return totals;
+}
+
+module.exports = {
+  ALERT_TYPES,
+  DEFAULT_THRESHOLDS,
+  thresholdsFor,
+  parseAlertSettings,
+  detectAlerts,
+  runProgressAlerts
+};
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Attempt = require('../models/Attempt');
+
+// ========================================
+// PROGRESS QUERIES FOR THE PORTAL
+// Filtered, cursor-paginated reads of sessions and attempts, and daily /
+// weekly buckets aggregated in the database so charts can cover any period
+// without downloading the history.
+// ========================================
+
+const DEFAULT_PAGE_SIZE = { sessions: 30, attempts: 50 };
+const MAX_PAGE_SIZE = 200;
+const BUCKET_INTERVALS = ['day', 'week'];
+const WEEK_STARTS = ['saturday', 'sunday', 'monday'];
+
+const toObjectId = (value) => new mongoose.Types.ObjectId(String(value));
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(String(value || ''));
+
+// ---------- Cursors ----------
+
+// Opaque keyset cursor: the sort date and _id of the last item of a page
+function encodeCursor(date, id) {
+  return Buffer.from(JSON.stringify({ d: new Date(date).toISOString(), id: String(id) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(d);
+    if (isNaN(date) || !isObjectId(id)) return null;
+    return { date, id: toObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Items strictly after the cursor in the given direction
+function afterCursor(field, order, cursor) {
+  const op = order === 'asc' ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: cursor.date } },
+      { [field]: cursor.date, _id: { [op]: cursor.id } }
+    ]
+  };
+}
+
+// ---------- Query parsing ----------
+
+// Validate the shared filters:
+//   from, to                       ISO dates
+//   planExerciseId, planSessionIndex
+//   target (+ targetType letter|word|vowel)
+//   success                        true|false
+//   limit, order (asc|desc), cursor
+// Returns the parsed options or { error }.
+function parseProgressQuery(query = {}, { kind = 'sessions' } = {}) {
+  const options = {};
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) return { error: 'from and to must be ISO dates' };
+  if (from && to && from > to) return { error: 'from must be before to' };
+  options.from = from;
+  options.to = to;
+
+  if (query.planExerciseId) {
+    if (!isObjectId(query.planExerciseId)) return { error: 'Invalid planExerciseId' };
+    options.planExerciseId = toObjectId(query.planExerciseId);
+  }
+  if (query.planSessionIndex !== undefined && query.planSessionIndex !== '') {
+    const index = Number(query.planSessionIndex);
+    if (!Number.isInteger(index) || index < 0) return { error: 'planSessionIndex must be a non-negative integer' };
+    options.planSessionIndex = index;
+  }
+
+  if (query.target) options.target = String(query.target).trim();
+  if (query.targetType) {
+    if (!['letter', 'word', 'vowel'].includes(query.targetType)) return { error: 'targetType must be letter, word or vowel' };
+    if (!options.target) return { error: 'targetType requires target' };
+    options.targetType = query.targetType;
+  }
+
+  if (query.success !== undefined && query.success !== '') {
+    if (!['true', 'false'].includes(String(query.success))) return { error: 'success must be true or false' };
+    options.success = String(query.success) === 'true';
+  }
+
+  const rawLimit = parseInt(query.limit, 10);
+  options.limit = Number.isFinite(rawLimit)
+    ? Math.min(Math.max(rawLimit, 1), MAX_PAGE_SIZE)
+    : DEFAULT_PAGE_SIZE[kind] || DEFAULT_PAGE_SIZE.sessions;
+
+  options.order = String(query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(options.order)) return { error: 'order must be asc or desc' };
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) return { error: 'Invalid cursor' };
+  }
+
+  return options;
+}
+
+// ---------- Filters ----------
+
+function dateRange({ from, to }) {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+}
+
+const hasPlanFilter = (options) => options.planExerciseId !== undefined || options.planSessionIndex !== undefined;
+const hasAttemptFilter = (options) => options.target !== undefined || options.success !== undefined;
+
+function planConditions(options) {
+  const conditions = {};
+  if (options.planExerciseId !== undefined) conditions.planExerciseId = options.planExerciseId;
+  if (options.planSessionIndex !== undefined) conditions.planSessionIndex = options.planSessionIndex;
+  return conditions;
+}
+
+function attemptConditions(options) {
+  const conditions = {};
+  if (options.target !== undefined) {
+    if (options.targetType) {
+      conditions[options.targetType] = options.target;
+    } else {
+      conditions.$or = [{ letter: options.target }, { word: options.target }, { vowel: options.target }];
+    }
+  }
+  if (options.success !== undefined) {
+    conditions.success = options.success ? true : { $ne: true };
+  }
+  return conditions;
+}
+
+// Sessions matching the plan filters and, when target/success are given,
+// containing at least one matching attempt
+async function sessionFilter(childId, options) {
+  const filter = { child: toObjectId(childId), ...planConditions(options) };
+  const range = dateRange(options);
+  if (range) filter.sessionDate = range;
+
+  if (hasAttemptFilter(options)) {
+    const attemptFilter = { child: filter.child, ...attemptConditions(options) };
+    if (range) attemptFilter.sessionDate = range;
+    filter._id = { $in: await Attempt.distinct('session', attemptFilter) };
+  }
+
+  return filter;
+}
+
+// Attempts use their own timestamp for from/to; plan filters go through the
+// sessions, which carry the plan fields
+async function attemptFilter(childId, options) {
+  const filter = { child: toObjectId(childId), ...attemptConditions(options) };
+  const range = dateRange(options);
+  if (range) filter.timestamp = range;
+
+  if (hasPlanFilter(options)) {
+    const sessionIds = await Session.distinct('_id', { child: filter.child, ...planConditions(options) });
+    filter.session = { $in: sessionIds };
+  }
+
+  return filter;
+}
+
+// ---------- Pages ----------
+
+async function page(Model, filter, field, options) {
+  const query = options.cursor ? { $and: [filter, afterCursor(field, options.order, options.cursor)] } : filter;
+  const direction = options.order === 'asc' ? 1 : -1;
+
+  const docs = await Model.find(query)
+    .sort({ [field]: direction, _id: direction })
+    .limit(options.limit + 1)
+    .lean();
+
+  const hasMore = docs.length > options.limit;
+  const items = hasMore ? docs.slice(0, options.limit) : docs;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      limit: options.limit,
+      order: options.order,
+      hasMore,
+      nextCursor: hasMore && last ? encodeCursor(last[field], last._id) : null
+    }
+  };
+}
+
+async function pageSessions(childId, options) {
+  return page(Session, await sessionFilter(childId, options), 'sessionDate', options);
+}
+
+async function pageAttempts(childId, options) {
+  return page(Attempt, await attemptFilter(childId, options), 'timestamp', options);
+}
+
+// ---------- Buckets ----------
+
+// Per day or week (in the family's time zone): sessions and play time from
+// the matching sessions, attempt counts, success rate and average score from
+// the matching attempts. Empty buckets are left out.
+async function progressBuckets(childId, options, { interval = 'day', timeZone = 'UTC', weekStart = 'sunday' } = {}) {
+  const bucketOf = (field) => ({
+    $dateTrunc: {
+      date: `$${field}`,
+      unit: interval,
+      timezone: timeZone,
+      ...(interval === 'week' ? { startOfWeek: weekStart } : {})
+    }
+  });
+
+  const [sessionBuckets, attemptBuckets] = await Promise.all([
+    Session.aggregate([
+      { $match: await sessionFilter(childId, options) },
+      {
+        $group: {
+          _id: bucketOf('sessionDate'),
+          sessions: { $sum: 1 },
+          playTime: { $sum: { $ifNull: ['$duration', 0] } }
+        }
+      }
+    ]),
+    Attempt.aggregate([
+      { $match: await attemptFilter(childId, options) },
+      { $addFields: { _score: { $ifNull: ['$pronunciationScore', '$accuracyScore', '$score'] } } },
+      {
+        $group: {
+          _id: bucketOf('timestamp'),
+          attempts: { $sum: 1 },
+          successfulAttempts: { $sum: { $cond: [{ $eq: ['$success', true] }, 1, 0] } },
+          averageScore: { $avg: '$_score' }
+        }
+      }
+    ])
+  ]);
+
+  const buckets = new Map();
+  const bucket = (start) => {
+    const key = new Date(start).toISOString();
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        start: new Date(start),
+        sessions: 0,
+        playTime: 0,
+        attempts: 0,
+        successfulAttempts: 0,
+        successRate: 0,
+        averageScore: null
+      });
+    }
+    return buckets.get(key);
+  };
+
+  for (const s of sessionBuckets) {
+    Object.assign(bucket(s._id), { sessions: s.sessions, playTime: s.playTime });
+  }
+  for (const a of attemptBuckets) {
+    Object.assign(bucket(a._id), {
+      attempts: a.attempts,
+      successfulAttempts: a.successfulAttempts,
+      successRate: a.attempts ? Math.round((a.successfulAttempts / a.attempts) * 1000) / 10 : 0,
+      averageScore: typeof a.averageScore === 'number' ? Math.round(a.averageScore * 10) / 10 : null
+    });
+  }
+
+  return [...buckets.values()].sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  BUCKET_INTERVALS,
+  WEEK_STARTS,
+  encodeCursor,
+  decodeCursor,
+  parseProgressQuery,
+  sessionFilter,
+  attemptFilter,
+  pageSessions,
+  pageAttempts,
+  progressBuckets
+};
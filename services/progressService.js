@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const Progress = require('../models/Progress');
+const Session = require('../models/Session');
+const Attempt = require('../models/Attempt');
+const Mastery = require('../models/Mastery');
+const ProgressAlert = require('../models/ProgressAlert');
+const ScoringJob = require('../models/ScoringJob');
+const { refreshMastery } = require('./masteryService');
+const { compareTexts } = require('./textComparisonService');
+const { removeAudioFiles, deleteAudioForChildren } = require('./audioService');
+const { stampPlanVersion } = require('./planVersionService');
+
+// ========================================
+// PROGRESS STORAGE
+// Sessions and attempts have their own collections; Progress keeps the
+// per-child summary, updated incrementally whenever a session is written.
+// ========================================
+
+// Fields a client may not set on a session
+const SERVER_FIELDS = ['_id', 'child', 'syncedAt', 'scheduleViolations', 'createdAt', 'updatedAt', '__v'];
+const ATTEMPT_SERVER_FIELDS = ['_id', 'child', 'session', 'sessionDate', 'order', 'comparison', 'audio', 'scoring', '__v'];
+
+const clamp01 = (n) => {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return 0;
+  return Math.max(0, Math.min(100, x));
+};
+
+const omit = (obj, fields) => {
+  const copy = { ...obj };
+  for (const field of fields) delete copy[field];
+  return copy;
+};
+
+async function getOrCreateProgress(childId) {
+  try {
+    return await Progress.findOneAndUpdate(
+      { child: childId },
+      { $setOnInsert: { child: childId } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two requests created it at the same time
+    if (error?.code === 11000) return Progress.findOne({ child: childId });
+    throw error;
+  }
+}
+
+// ---------- Validation ----------
+
+function errorsOf(validation, prefix = '') {
+  return Object.values(validation.errors).map(e => ({ path: `${prefix}${e.path}`, message: e.message }));
+}
+
+// Build (unsaved) documents from a client payload, validated against the
+// Session and Attempt schemas. Returns { session, attempts } or { errors }.
+function buildSessionDocs(childId, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { errors: [{ path: '', message: 'Session must be an object' }] };
+  }
+  if (payload.attempts !== undefined && !Array.isArray(payload.attempts)) {
+    return { errors: [{ path: 'attempts', message: 'attempts must be an array' }] };
+  }
+
+  const errors = [];
+  let session;
+  try {
+    session = new Session({ ...omit(payload, [...SERVER_FIELDS, 'attempts']), child: childId });
+    const validation = session.validateSync();
+    if (validation) errors.push(...errorsOf(validation));
+  } catch (error) {
+    errors.push({ path: error.path || '', message: error.message });
+  }
+
+  const attempts = [];
+  (payload.attempts || []).forEach((raw, i) => {
+    if (!raw || typeof raw !== 'object') {
+      errors.push({ path: `attempts.${i}`, message: 'Attempt must be an object' });
+      return;
+    }
+    try {
+      const attempt = new Attempt({
+        ...omit(raw, ATTEMPT_SERVER_FIELDS),
+        child: childId,
+        session: session?._id,
+        sessionDate: session?.sessionDate,
+        order: i
+      });
+      attempt.comparison = compareTexts(attempt.referenceText, attempt.recognizedText);
+      const validation = attempt.validateSync();
+      if (validation) errors.push(...errorsOf(validation, `attempts.${i}.`));
+      attempts.push(attempt);
+    } catch (error) {
+      errors.push({ path: `attempts.${i}.${error.path || ''}`, message: error.message });
+    }
+  });
+
+  return errors.length ? { errors } : { session, attempts };
+}
+
+// ---------- Summary ----------
+
+// What one session adds to the summary
+function contributionOf(session) {
+  return {
+    sessions: 1,
+    playTime: Number(session.duration) || 0,
+    attempts: Number(session.totalAttempts) || 0,
+    successful: Number(session.successfulAttempts) || 0,
+    scoreSum: Number(session.averageScore) || 0
+  };
+}
+
+function subtract(a, b) {
+  const delta = {};
+  for (const key of Object.keys(a)) delta[key] = a[key] - (b[key] || 0);
+  return delta;
+}
+
+// Increment the running totals, then recompute the rates derived from them
+async function applyStatsDelta(childId, delta, { lastSyncDate = null } = {}) {
+  await getOrCreateProgress(childId);
+
+  const update = {
+    $inc: {
+      'overallStats.totalSessions': delta.sessions,
+      'overallStats.totalPlayTime': delta.playTime,
+      'overallStats.totalAttempts': delta.attempts,
+      'totals.successfulAttempts': delta.successful,
+      'totals.averageScoreSum': delta.scoreSum
+    }
+  };
+  if (lastSyncDate) update.$set = { lastSyncDate };
+
+  const progress = await Progress.findOneAndUpdate({ child: childId }, update, { new: true });
+  const stats = progress.overallStats;
+  const successRate = stats.totalAttempts > 0
+    ? clamp01((progress.totals.successfulAttempts / stats.totalAttempts) * 100)
+    : 0;
+  const averageScore = stats.totalSessions > 0
+    ? clamp01(progress.totals.averageScoreSum / stats.totalSessions)
+    : 0;
+
+  if (stats.successRate !== successRate || stats.averageScore !== averageScore) {
+    await Progress.updateOne(
+      { _id: progress._id },
+      { $set: { 'overallStats.successRate': successRate, 'overallStats.averageScore': averageScore } }
+    );
+    stats.successRate = successRate;
+    stats.averageScore = averageScore;
+  }
+
+  return progress;
+}
+
+// Rebuild the summary of a child from its sessions (used by the migration and
+// to repair drift)
+async function rebuildStats(childId) {
+  const [totals] = await Session.aggregate([
+    { $match: { child: new mongoose.Types.ObjectId(String(childId)) } },
+    {
+      $group: {
+        _id: null,
+        sessions: { $sum: 1 },
+        playTime: { $sum: { $ifNull: ['$duration', 0] } },
+        attempts: { $sum: { $ifNull: ['$totalAttempts', 0] } },
+        successful: { $sum: { $ifNull: ['$successfulAttempts', 0] } },
+        scoreSum: { $sum: { $ifNull: ['$averageScore', 0] } }
+      }
+    }
+  ]);
+
+  await getOrCreateProgress(childId);
+  await Progress.updateOne({ child: childId }, {
+    $set: {
+      'overallStats.totalSessions': 0,
+      'overallStats.totalPlayTime': 0,
+      'overallStats.totalAttempts': 0,
+      'totals.successfulAttempts': 0,
+      'totals.averageScoreSum': 0
+    }
+  });
+  return applyStatsDelta(childId, totals || { sessions: 0, playTime: 0, attempts: 0, successful: 0, scoreSum: 0 });
+}
+
+// ---------- Writes ----------
+
+// Mastery is derived data and can be rebuilt, so a failure here must not
+// fail the write that triggered it
+async function updateMastery(childId, attempts) {
+  if (!attempts.length) return;
+  try {
+    await refreshMastery(childId, attempts);
+  } catch (error) {
+    console.error('❌ Failed to update mastery:', error.message);
+  }
+}
+
+// Store a validated session and its attempts, and count it in the summary
+async function saveNewSession({ session, attempts }, { syncedAt = null, scheduleViolations = [] } = {}) {
+  session.syncedAt = syncedAt;
+  session.scheduleViolations = scheduleViolations;
+  await stampPlanVersion(session);
+  await session.save();
+  if (attempts.length) await Attempt.insertMany(attempts);
+  await applyStatsDelta(session.child, contributionOf(session), { lastSyncDate: syncedAt || new Date() });
+  await updateMastery(session.child, attempts);
+  return session;
+}
+
+// Overwrite a stored session with a newer version of it (last write wins)
+async function replaceSession(existing, { session, attempts }, { syncedAt = null, scheduleViolations = [] } = {}) {
+  const before = contributionOf(existing);
+  const fields = omit(session.toObject(), ['_id', 'child', 'scheduleViolations', 'createdAt', 'updatedAt']);
+  // The stored session already knows which plan version it was played on
+  if (typeof fields.planVersion !== 'number' && String(fields.planExerciseId || '') === String(existing.planExerciseId || '')) {
+    fields.planVersion = existing.planVersion;
+  }
+
+  existing.set({ ...fields, syncedAt, scheduleViolations });
+  await stampPlanVersion(existing);
+  await existing.save();
+
+  // Attempts keep their id (and recording) by position in the session
+  const previousAttempts = await Attempt.find({ session: existing._id })
+    .select('child letter word order audio scoring')
+    .sort({ order: 1 })
+    .lean();
+  await Attempt.deleteMany({ session: existing._id });
+  if (attempts.length) {
+    await Attempt.insertMany(attempts.map((a, i) => {
+      const previous = previousAttempts[i];
+      if (previous) {
+        a._id = previous._id;
+        a.audio = previous.audio || null;
+        a.scoring = previous.scoring || null;
+      }
+      a.session = existing._id;
+      a.sessionDate = existing.sessionDate;
+      return a;
+    }));
+  }
+  removeAudioFiles(previousAttempts.slice(attempts.length));
+
+  const delta = { ...subtract(contributionOf(existing), before), sessions: 0 };
+  await applyStatsDelta(existing.child, delta, { lastSyncDate: syncedAt || new Date() });
+  await updateMastery(existing.child, [...previousAttempts, ...attempts]);
+  return existing;
+}
+
+// ---------- Reads ----------
+
+// Sessions in the legacy embedded shape: each with its `attempts` array
+async function findSessionsWithAttempts(filter, { sort = { sessionDate: 1, _id: 1 }, limit = 0 } = {}) {
+  let query = Session.find(filter).sort(sort);
+  if (limit) query = query.limit(limit);
+  const sessions = await query.lean();
+  if (!sessions.length) return [];
+
+  const attempts = await Attempt.find({ session: { $in: sessions.map(s => s._id) } })
+    .sort({ order: 1 })
+    .lean();
+
+  const bySession = new Map();
+  for (const attempt of attempts) {
+    const key = attempt.session.toString();
+    if (!bySession.has(key)) bySession.set(key, []);
+    bySession.get(key).push(omit(attempt, ['child', 'session', 'sessionDate', 'order', '__v']));
+  }
+
+  return sessions.map(s => ({ ...omit(s, ['child', '__v']), attempts: bySession.get(s._id.toString()) || [] }));
+}
+
+// Sessions (sessionDate + duration) since a date, for play-time accounting
+async function recentSessions(childId, since) {
+  return Session.find({ child: childId, sessionDate: { $gte: since } })
+    .select('sessionDate duration')
+    .lean();
+}
+
+// Remove every progress record of the given children
+async function deleteProgressForChildren(childIds) {
+  await deleteAudioForChildren(childIds);
+  await Promise.all([
+    Attempt.deleteMany({ child: { $in: childIds } }),
+    Mastery.deleteMany({ child: { $in: childIds } }),
+    ProgressAlert.deleteMany({ child: { $in: childIds } }),
+    ScoringJob.deleteMany({ child: { $in: childIds } }),
+    Session.deleteMany({ child: { $in: childIds } }),
+    Progress.deleteMany({ child: { $in: childIds } })
+  ]);
+}
+
+module.exports = {
+  clamp01,
+  getOrCreateProgress,
+  buildSessionDocs,
+  applyStatsDelta,
+  rebuildStats,
+  saveNewSession,
+  replaceSession,
+  findSessionsWithAttempts,
+  recentSessions,
+  deleteProgressForChildren
+};
@@ -0,0 +1,291 @@
+const Session = require('../models/Session');
+const Attempt = require('../models/Attempt');
+const { checkSession } = require('./playScheduleService');
+const {
+  buildSessionDocs,
+  saveNewSession,
+  replaceSession,
+  findSessionsWithAttempts
+} = require('./progressService');
+const { encodeCursor, decodeCursor } = require('./progressQueryService');
+
+// ========================================
+// OFFLINE PROGRESS SYNC
+// Sessions carry a client-generated `clientSessionId`; re-sending a session
+// updates it instead of adding a duplicate. Each item is validated and
+// acknowledged on its own so one bad session doesn't fail the batch.
+// ========================================
+
+const SYNC_STATUS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  UNCHANGED: 'unchanged',
+  INVALID: 'invalid',
+  REJECTED: 'rejected'
+};
+
+const MAX_BATCH_SIZE = 200;
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+// Written by the server only
+const SERVER_FIELDS = ['_id', 'child', 'syncedAt', 'scheduleViolations'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pulls only return sessions stamped at least this long ago: a session's
+// syncedAt is taken just before it is written, so anything older has been
+// committed (with its attempts) and can safely be left behind the cursor
+const SETTLE_MS = Number(process.env.SYNC_SETTLE_SECONDS || 15) * 1000;
+const DEFAULT_PULL_LIMIT = 50;
+const MAX_PULL_LIMIT = 200;
+// Cursor id that sorts before every real id: "from this instant on"
+const START_ID = '000000000000000000000000';
+
+// Validate a payload against the Session and Attempt schemas.
+// Returns { session, attempts } or { errors: [{ path, message }] }.
+function buildSession(childId, session) {
+  if (!session || typeof session !== 'object' || Array.isArray(session)) {
+    return { errors: [{ path: '', message: 'Session must be an object' }] };
+  }
+
+  const errors = [];
+  const { clientSessionId } = session;
+  if (clientSessionId !== undefined && clientSessionId !== null
+    && !CLIENT_ID_PATTERN.test(String(clientSessionId))) {
+    errors.push({ path: 'clientSessionId', message: 'clientSessionId must be 1-100 letters, digits or _.:-' });
+  }
+  if (session.duration !== undefined && !(Number(session.duration) >= 0)) {
+    errors.push({ path: 'duration', message: 'duration must be a non-negative number of minutes' });
+  }
+  if (errors.length) return { errors };
+
+  return buildSessionDocs(childId, session);
+}
+
+// Whether re-sent `payload` matches what is stored. Only fields the client
+// sent are compared, so server-side defaults (e.g. attempt timestamps) don't
+// turn a plain retry into an update.
+function matchesStored(existing, storedAttempts, built, payload) {
+  const stored = existing.toObject({ depopulate: true });
+  const incoming = built.session.toObject({ depopulate: true });
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  return Object.keys(payload).every(key => {
+    if (SERVER_FIELDS.includes(key)) return true;
+    if (key !== 'attempts') return same(stored[key], incoming[key]);
+
+    const attempts = payload.attempts || [];
+    if (storedAttempts.length !== attempts.length) return false;
+    return attempts.every((attempt, i) => {
+      const incomingAttempt = built.attempts[i].toObject({ depopulate: true });
+      return Object.keys(attempt || {}).every(field =>
+        field === '_id' || same(storedAttempts[i][field], incomingAttempt[field])
+      );
+    });
+  });
+}
+
+// Stored sessions of the batch (by clientSessionId) with their attempts
+async function loadExisting(childId, clientIds) {
+  const byClientId = new Map();
+  if (!clientIds.length) return byClientId;
+
+  const sessions = await Session.find({ child: childId, clientSessionId: { $in: clientIds } });
+  const attempts = await Attempt.find({ session: { $in: sessions.map(s => s._id) } })
+    .sort({ order: 1 })
+    .lean();
+
+  for (const session of sessions) {
+    byClientId.set(session.clientSessionId, {
+      session,
+      attempts: attempts.filter(a => a.session.equals(session._id))
+    });
+  }
+  return byClientId;
+}
+
+// Sessions played around the batch's dates, for the daily limit check
+async function loadPlayed(childId, builtSessions) {
+  const times = builtSessions.map(s => new Date(s.sessionDate).getTime()).filter(t => !isNaN(t));
+  if (!times.length) return [];
+
+  return Session.find({
+    child: childId,
+    sessionDate: {
+      $gte: new Date(Math.min(...times) - DAY_MS),
+      $lte: new Date(Math.max(...times) + DAY_MS)
+    }
+  })
+    .select('_id sessionDate duration')
+    .lean();
+}
+
+// Apply a batch of client sessions for a child. Returns
+// { results, created, updated, flagged, rejected } where results holds one
+// acknowledgement per input item, in order.
+async function applySyncBatch(child, sessions, { timeZone, enforced, now = new Date() }) {
+  const built = sessions.map(session => buildSession(child._id, session));
+  const clientIdOf = (session) => (session?.clientSessionId ? String(session.clientSessionId) : null);
+
+  const byClientId = await loadExisting(child._id, [...new Set(sessions.map(clientIdOf).filter(Boolean))]);
+  const played = await loadPlayed(child._id, built.filter(b => b.session).map(b => b.session));
+
+  const summary = { results: [], created: 0, updated: 0, flagged: 0, rejected: 0 };
+
+  for (const [index, session] of sessions.entries()) {
+    const clientSessionId = clientIdOf(session);
+    const ack = { index, clientSessionId };
+    const docs = built[index];
+
+    if (docs.errors) {
+      summary.results.push({ ...ack, status: SYNC_STATUS.INVALID, errors: docs.errors });
+      continue;
+    }
+
+    const existing = clientSessionId ? byClientId.get(clientSessionId) : null;
+
+    if (existing) {
+      if (matchesStored(existing.session, existing.attempts, docs, session)) {
+        summary.results.push({
+          ...ack,
+          status: SYNC_STATUS.UNCHANGED,
+          sessionId: existing.session._id,
+          attemptIds: existing.attempts.map(a => a._id)
+        });
+        continue;
+      }
+      // Last write wins, but the new version is checked against the schedule
+      // like a new session (a longer duration may break the daily limit)
+      const others = played.filter(p => !existing.session._id.equals(p._id));
+      const changedViolations = checkSession(child, docs.session, { timeZone, sessions: others });
+      if (changedViolations.length && enforced) {
+        summary.rejected++;
+        summary.results.push({ ...ack, status: SYNC_STATUS.REJECTED, violations: changedViolations, sessionId: existing.session._id });
+        continue;
+      }
+      if (changedViolations.length) summary.flagged++;
+
+      await replaceSession(existing.session, docs, { syncedAt: new Date(), scheduleViolations: changedViolations });
+      played.splice(0, played.length, ...others, {
+        _id: existing.session._id,
+        sessionDate: docs.session.sessionDate,
+        duration: docs.session.duration
+      });
+      existing.attempts = docs.attempts.map(a => a.toObject({ depopulate: true }));
+      summary.updated++;
+      summary.results.push({
+        ...ack,
+        status: SYNC_STATUS.UPDATED,
+        sessionId: existing.session._id,
+        attemptIds: existing.attempts.map(a => a._id),
+        ...(changedViolations.length ? { violations: changedViolations } : {})
+      });
+      continue;
+    }
+
+    const violations = checkSession(child, docs.session, { timeZone, sessions: played });
+    if (violations.length && enforced) {
+      summary.rejected++;
+      summary.results.push({ ...ack, status: SYNC_STATUS.REJECTED, violations });
+      continue;
+    }
+    if (violations.length) summary.flagged++;
+
+    try {
+      await saveNewSession(docs, { syncedAt: new Date(), scheduleViolations: violations });
+    } catch (error) {
+      // A concurrent sync stored the same session first
+      if (error?.code !== 11000 || !clientSessionId) throw error;
+      const stored = await Session.findOne({ child: child._id, clientSessionId }).select('_id').lean();
+      summary.results.push({ ...ack, status: SYNC_STATUS.UNCHANGED, sessionId: stored?._id || null });
+      continue;
+    }
+
+    played.push({ _id: docs.session._id, sessionDate: docs.session.sessionDate, duration: docs.session.duration });
+    if (clientSessionId) {
+      byClientId.set(clientSessionId, {
+        session: docs.session,
+        attempts: docs.attempts.map(a => a.toObject({ depopulate: true }))
+      });
+    }
+    summary.created++;
+    summary.results.push({
+      ...ack,
+      status: SYNC_STATUS.CREATED,
+      sessionId: docs.session._id,
+      attemptIds: docs.attempts.map(a => a._id),
+      ...(violations.length ? { violations } : {})
+    });
+  }
+
+  return summary;
+}
+
+// Cursor that picks up everything stamped after `now` minus the settle time
+function settledCursor(now = new Date()) {
+  return encodeCursor(new Date(now.getTime() - SETTLE_MS), START_ID);
+}
+
+// A cursor from a previous pull or sync; plain ISO dates (older clients) are
+// read as "from this instant on". Returns undefined when malformed.
+function parseSyncCursor(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const cursor = decodeCursor(value);
+  if (cursor) return cursor;
+  const date = new Date(String(value));
+  return isNaN(date) ? undefined : decodeCursor(encodeCursor(date, START_ID));
+}
+
+function parsePullLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) return DEFAULT_PULL_LIMIT;
+  return Math.min(limit, MAX_PULL_LIMIT);
+}
+
+// Sessions written after `cursor` (all sessions without one), oldest write
+// first, in pages of `limit`. Sessions stored before writes were stamped
+// (syncedAt null) come first in a full read.
+async function sessionsSince(childId, cursor, { limit = DEFAULT_PULL_LIMIT, now = new Date() } = {}) {
+  const settledBefore = new Date(now.getTime() - SETTLE_MS);
+  const settled = { syncedAt: { $ne: null, $lt: settledBefore } };
+
+  let range;
+  if (!cursor) {
+    range = { $or: [{ syncedAt: null }, settled] };
+  } else if (cursor.date.getTime() === 0) {
+    // Still inside the unsynced sessions of a full read
+    range = { $or: [{ syncedAt: null, _id: { $gt: cursor.id } }, settled] };
+  } else {
+    range = {
+      $and: [
+        settled,
+        { $or: [{ syncedAt: { $gt: cursor.date } }, { syncedAt: cursor.date, _id: { $gt: cursor.id } }] }
+      ]
+    };
+  }
+
+  const sessions = await findSessionsWithAttempts({ child: childId, ...range }, {
+    sort: { syncedAt: 1, _id: 1 },
+    limit: limit + 1
+  });
+  const hasMore = sessions.length > limit;
+  if (hasMore) sessions.length = limit;
+
+  const last = sessions[sessions.length - 1];
+  return {
+    sessions,
+    hasMore,
+    // Past the last page the cursor moves up to the settled instant, so the
+    // next pull starts there
+    cursor: hasMore ? encodeCursor(last.syncedAt || 0, last._id) : encodeCursor(settledBefore, START_ID)
+  };
+}
+
+module.exports = {
+  SYNC_STATUS,
+  MAX_BATCH_SIZE,
+  MAX_PULL_LIMIT,
+  applySyncBatch,
+  settledCursor,
+  parseSyncCursor,
+  parsePullLimit,
+  sessionsSince
+};
@@ -0,0 +1,461 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const User = require('../models/User');
+const Mastery = require('../models/Mastery');
+const Session = require('../models/Session');
+const Exercise = require('../models/Exercise');
+const ClinicalNote = require('../models/ClinicalNote');
+const { familyTimeZone, localParts } = require('./playScheduleService');
+const { MASTERY_STATUS } = require('./masteryService');
+
+// ========================================
+// CLINICAL PROGRESS REPORT
+// Bilingual (English / Arabic) report of one child over a period, rendered
+// as self-contained HTML (inline SVG charts) or as a PDF with pdfkit. Nothing
+// is fetched from outside the server.
+// ========================================
+
+const ARABIC_FONT_DIR = path.dirname(require.resolve('@fontsource/noto-sans-arabic/package.json'));
+const ARABIC_FONT = path.join(ARABIC_FONT_DIR, 'files', 'noto-sans-arabic-arabic-400-normal.woff');
+const ARABIC_FONT_BOLD = path.join(ARABIC_FONT_DIR, 'files', 'noto-sans-arabic-arabic-700-normal.woff');
+
+const ARABIC_PATTERN = /[؀-ۿ]/;
+
+const clamp01 = (n) => Math.max(0, Math.min(100, Number(n) || 0));
+const round = (n) => Math.round(n * 10) / 10;
+
+// ---------- Data ----------
+
+// Per local day of the family: sessions, play time, success rate, score
+function dailySeries(sessions, timeZone) {
+  const days = new Map();
+  for (const s of sessions) {
+    const key = localParts(new Date(s.sessionDate), timeZone).dateKey;
+    if (!days.has(key)) days.set(key, { date: key, sessions: 0, playTime: 0, attempts: 0, successes: 0, scoreSum: 0 });
+    const day = days.get(key);
+    day.sessions++;
+    day.playTime += s.duration || 0;
+    day.attempts += s.totalAttempts || 0;
+    day.successes += s.successfulAttempts || 0;
+    day.scoreSum += s.averageScore || 0;
+  }
+
+  return [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(d => ({
+      date: d.date,
+      sessions: d.sessions,
+      playTime: d.playTime,
+      successRate: d.attempts ? round(clamp01((d.successes / d.attempts) * 100)) : 0,
+      averageScore: round(clamp01(d.scoreSum / d.sessions))
+    }));
+}
+
+function totalsOf(sessions) {
+  const attempts = sessions.reduce((sum, s) => sum + (s.totalAttempts || 0), 0);
+  const successes = sessions.reduce((sum, s) => sum + (s.successfulAttempts || 0), 0);
+  return {
+    sessions: sessions.length,
+    playTime: sessions.reduce((sum, s) => sum + (s.duration || 0), 0),
+    attempts,
+    successRate: attempts ? round(clamp01((successes / attempts) * 100)) : 0,
+    averageScore: sessions.length
+      ? round(clamp01(sessions.reduce((sum, s) => sum + (s.averageScore || 0), 0) / sessions.length))
+      : 0
+  };
+}
+
+// Mastered and challenging targets read from the Mastery collection, so the
+// report uses the same status as GET /api/progress/mastery. Lists targets
+// mastered by the end of the period and targets still challenging that were
+// practised during it.
+async function masteryTargets(childId, { from, to }) {
+  const states = await Mastery.find({
+    child: childId,
+    $or: [
+      { status: MASTERY_STATUS.MASTERED, masteredAt: { $lte: to } },
+      { status: MASTERY_STATUS.CHALLENGING, lastAttemptAt: { $gte: from, $lte: to } }
+    ]
+  })
+    .select('targetType target status')
+    .sort('target')
+    .lean();
+  const pick = (status, targetType) =>
+    states.filter(s => s.status === status && s.targetType === targetType).map(s => s.target);
+
+  return {
+    masteredLetters: pick(MASTERY_STATUS.MASTERED, 'letter'),
+    masteredWords: pick(MASTERY_STATUS.MASTERED, 'word'),
+    challengingLetters: pick(MASTERY_STATUS.CHALLENGING, 'letter'),
+    challengingWords: pick(MASTERY_STATUS.CHALLENGING, 'word')
+  };
+}
+
+async function buildReportData(child, { from, to }) {
+  const timeZone = await familyTimeZone(child);
+  const [specialist, targets, sessions, plan, notes] = await Promise.all([
+    child.assignedSpecialist ? User.findById(child.assignedSpecialist).select('name specialization').lean() : null,
+    masteryTargets(child._id, { from, to }),
+    Session.find({ child: child._id, sessionDate: { $gte: from, $lte: to } })
+      .select('sessionDate duration totalAttempts successfulAttempts averageScore')
+      .sort({ sessionDate: 1 })
+      .lean(),
+    Exercise.find({ child: child._id, kind: 'plan', active: true })
+      .sort({ sessionIndex: 1, createdAt: 1 })
+      .lean(),
+    ClinicalNote.find({ child: child._id, createdAt: { $lte: to } })
+      .populate('author', 'name')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean()
+  ]);
+
+  return {
+    generatedAt: new Date(),
+    from,
+    to,
+    timeZone,
+    child: {
+      name: child.name,
+      childId: child.childId,
+      age: child.age,
+      gender: child.gender,
+      difficultyLevel: child.difficultyLevel,
+      targetLetters: child.targetLetters || [],
+      targetWords: child.targetWords || []
+    },
+    specialist: specialist ? { name: specialist.name, specialization: specialist.specialization || '' } : null,
+    totals: totalsOf(sessions),
+    daily: dailySeries(sessions, timeZone),
+    targets,
+    plan: plan.map(p => ({
+      sessionIndex: p.sessionIndex,
+      sessionName: p.sessionName,
+      letters: (p.letters || []).map(l => l.letter).filter(Boolean),
+      words: (p.words || []).map(w => w.word).filter(Boolean),
+      targetDuration: p.targetDuration || null,
+      startDate: p.startDate || null,
+      endDate: p.endDate || null
+    })),
+    notes: notes.map(n => ({ text: n.text, author: n.author?.name || '', createdAt: n.createdAt }))
+  };
+}
+
+// ---------- Labels ----------
+
+const LABELS = {
+  title: ['Clinical Progress Report', 'تقرير التقدم العلاجي'],
+  period: ['Period', 'الفترة'],
+  child: ['Child', 'بيانات الطفل'],
+  name: ['Name', 'الاسم'],
+  childId: ['Child ID', 'رقم الطفل'],
+  age: ['Age', 'العمر'],
+  gender: ['Gender', 'الجنس'],
+  level: ['Level', 'المستوى'],
+  targetLetters: ['Target letters', 'الحروف المستهدفة'],
+  targetWords: ['Target words', 'الكلمات المستهدفة'],
+  specialist: ['Specialist', 'الأخصائي'],
+  summary: ['Summary', 'ملخص الجلسات'],
+  sessions: ['Sessions', 'الجلسات'],
+  playTime: ['Play time (min)', 'مدة اللعب بالدقائق'],
+  attempts: ['Attempts', 'المحاولات'],
+  successRate: ['Success rate (%)', 'نسبة النجاح'],
+  averageScore: ['Average score', 'متوسط الدرجات'],
+  charts: ['Daily progress', 'التقدم اليومي'],
+  targets: ['Targets', 'الأهداف'],
+  masteredLetters: ['Mastered letters', 'حروف متقنة'],
+  masteredWords: ['Mastered words', 'كلمات متقنة'],
+  challengingLetters: ['Challenging letters', 'حروف صعبة'],
+  challengingWords: ['Challenging words', 'كلمات صعبة'],
+  plan: ['Active plan', 'الخطة العلاجية الحالية'],
+  letters: ['Letters', 'الحروف'],
+  words: ['Words', 'الكلمات'],
+  notes: ['Specialist notes', 'ملاحظات الأخصائي'],
+  none: ['None', 'لا يوجد'],
+  noSessions: ['No sessions in this period', 'لا توجد جلسات في هذه الفترة']
+};
+
+const VALUES = {
+  male: ['Male', 'ذكر'],
+  female: ['Female', 'أنثى'],
+  beginner: ['Beginner', 'مبتدئ'],
+  intermediate: ['Intermediate', 'متوسط'],
+  advanced: ['Advanced', 'متقدم']
+};
+
+const dateOnly = (d) => (d ? new Date(d).toISOString().slice(0, 10) : '');
+const listOrNone = (items) => (items.length ? items.join('، ') : null);
+
+// ---------- HTML ----------
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const dirOf = (text) => (ARABIC_PATTERN.test(String(text || '')) ? 'rtl' : 'ltr');
+const heading = ([en, ar]) => `<h2><span lang="en">${en}</span><span lang="ar" dir="rtl">${ar}</span></h2>`;
+const label = ([en, ar]) => `<span lang="en">${en}</span> <span class="ar" lang="ar" dir="rtl">${ar}</span>`;
+const cell = (text) => `<td dir="${dirOf(text)}">${escapeHtml(text)}</td>`;
+
+function svgChart(points, field, color) {
+  const width = 640;
+  const height = 180;
+  const pad = 30;
+  if (!points.length) return '';
+
+  const x = (i) => pad + (points.length === 1 ? (width - 2 * pad) / 2 : (i * (width - 2 * pad)) / (points.length - 1));
+  const y = (v) => height - pad - (clamp01(v) / 100) * (height - 2 * pad);
+  const line = points.map((p, i) => `${x(i).toFixed(1)},${y(p[field]).toFixed(1)}`).join(' ');
+  const grid = [0, 50, 100].map(v =>
+    `<line x1="${pad}" x2="${width - pad}" y1="${y(v)}" y2="${y(v)}" stroke="#ddd"/>`
+    + `<text x="${pad - 6}" y="${y(v) + 4}" text-anchor="end" font-size="10">${v}</text>`
+  ).join('');
+  const dots = points.map((p, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(p[field]).toFixed(1)}" r="3" fill="${color}"/>`).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">${grid}`
+    + `<polyline points="${line}" fill="none" stroke="${color}" stroke-width="2"/>${dots}`
+    + `<text x="${pad}" y="${height - 8}" font-size="10">${points[0].date}</text>`
+    + `<text x="${width - pad}" y="${height - 8}" font-size="10" text-anchor="end">${points[points.length - 1].date}</text>`
+    + '</svg>';
+}
+
+function renderReportHtml(data) {
+  const { child, totals } = data;
+  const value = (key) => VALUES[key] ? `${VALUES[key][0]} / ${VALUES[key][1]}` : (key ?? '');
+  const row = (labels, text) => `<tr><th>${label(labels)}</th>${cell(text)}</tr>`;
+  const targetRow = (key) => row(LABELS[key], listOrNone(data.targets[key]) || `${LABELS.none[0]} / ${LABELS.none[1]}`);
+
+  const charts = data.daily.length
+    ? `<h3>${label(LABELS.successRate)}</h3>${svgChart(data.daily, 'successRate', '#2e7d32')}`
+      + `<h3>${label(LABELS.averageScore)}</h3>${svgChart(data.daily, 'averageScore', '#1565c0')}`
+    : `<p>${label(LABELS.noSessions)}</p>`;
+
+  const plan = data.plan.length
+    ? data.plan.map(p => `<div class="plan"><h3 dir="${dirOf(p.sessionName)}">${escapeHtml(p.sessionName || `#${p.sessionIndex ?? ''}`)}</h3><table>`
+      + row(LABELS.letters, listOrNone(p.letters) || '-')
+      + row(LABELS.words, listOrNone(p.words) || '-')
+      + '</table></div>').join('')
+    : `<p>${label(LABELS.none)}</p>`;
+
+  const notes = data.notes.length
+    ? data.notes.map(n => `<div class="note"><div class="meta">${dateOnly(n.createdAt)} · ${escapeHtml(n.author)}</div>`
+      + `<p dir="${dirOf(n.text)}">${escapeHtml(n.text)}</p></div>`).join('')
+    : `<p>${label(LABELS.none)}</p>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(LABELS.title[0])} - ${escapeHtml(child.name)}</title>
+<style>
+  body { font-family: "Noto Sans Arabic", "Segoe UI", Tahoma, Arial, sans-serif; color: #222; margin: 32px; }
+  h1, h2 { display: flex; justify-content: space-between; border-bottom: 2px solid #1565c0; padding-bottom: 4px; }
+  h2 { font-size: 18px; border-bottom-width: 1px; margin-top: 28px; }
+  h3 { font-size: 14px; margin: 16px 0 4px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: start; padding: 6px 8px; border-bottom: 1px solid #eee; font-size: 13px; }
+  th { width: 40%; font-weight: 600; }
+  .ar { color: #555; }
+  .period { color: #555; }
+  .note { border-inline-start: 3px solid #1565c0; padding: 4px 12px; margin: 8px 0; }
+  .note .meta { font-size: 11px; color: #777; }
+  @media print { body { margin: 0; } .plan, .note, svg { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1><span lang="en">${LABELS.title[0]}</span><span lang="ar" dir="rtl">${LABELS.title[1]}</span></h1>
+<p class="period">${label(LABELS.period)}: ${dateOnly(data.from)} → ${dateOnly(data.to)}</p>
+${heading(LABELS.child)}
+<table>
+${row(LABELS.name, child.name)}
+${row(LABELS.childId, child.childId)}
+${row(LABELS.age, child.age)}
+${row(LABELS.gender, value(child.gender))}
+${row(LABELS.level, value(child.difficultyLevel))}
+${row(LABELS.targetLetters, listOrNone(child.targetLetters) || '-')}
+${row(LABELS.targetWords, listOrNone(child.targetWords) || '-')}
+${row(LABELS.specialist, data.specialist?.name || '-')}
+</table>
+${heading(LABELS.summary)}
+<table>
+${row(LABELS.sessions, totals.sessions)}
+${row(LABELS.playTime, totals.playTime)}
+${row(LABELS.attempts, totals.attempts)}
+${row(LABELS.successRate, totals.successRate)}
+${row(LABELS.averageScore, totals.averageScore)}
+</table>
+${heading(LABELS.charts)}
+${charts}
+${heading(LABELS.targets)}
+<table>
+${targetRow('masteredLetters')}
+${targetRow('masteredWords')}
+${targetRow('challengingLetters')}
+${targetRow('challengingWords')}
+</table>
+${heading(LABELS.plan)}
+${plan}
+${heading(LABELS.notes)}
+${notes}
+</body>
+</html>
+`;
+}
+
+// ---------- PDF ----------
+
+// Arabic text is drawn with the bundled Arabic font (shaped right-to-left by
+// fontkit); everything else with Helvetica. The Arabic font has no Latin
+// digits, so digits inside Arabic text are written as Arabic-Indic digits.
+function pdfText(doc, text, x, y, { width, align = 'left', size = 10, bold = false } = {}) {
+  let value = String(text ?? '');
+  const arabic = ARABIC_PATTERN.test(value);
+  if (arabic) value = value.replace(/[0-9]/g, d => String.fromCharCode(0x0660 + Number(d)));
+  doc.font(arabic ? (bold ? 'ArabicBold' : 'Arabic') : (bold ? 'Helvetica-Bold' : 'Helvetica'))
+    .fontSize(size)
+    .text(value, x, y, { width, align: arabic && align === 'left' ? 'right' : align });
+  return doc.y;
+}
+
+function renderReportPdf(data, output) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${LABELS.title[0]} - ${data.child.name}` } });
+  doc.registerFont('Arabic', ARABIC_FONT);
+  doc.registerFont('ArabicBold', ARABIC_FONT_BOLD);
+  doc.pipe(output);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  let y = doc.page.margins.top;
+
+  const ensureSpace = (height) => {
+    if (y + height > bottom()) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+  };
+
+  const sectionHeading = ([en, ar]) => {
+    ensureSpace(40);
+    y += 12;
+    pdfText(doc, en, left, y, { width: width / 2, size: 13, bold: true });
+    pdfText(doc, ar, left + width / 2, y, { width: width / 2, align: 'right', size: 13, bold: true });
+    y += 20;
+    doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#1565c0').lineWidth(1).stroke();
+    y += 6;
+  };
+
+  // English label | value | Arabic label
+  const row = ([en, ar], value) => {
+    ensureSpace(18);
+    const third = width / 3;
+    pdfText(doc, en, left, y, { width: third });
+    const end = pdfText(doc, value === null || value === undefined || value === '' ? '-' : value, left + third, y, { width: third, align: 'center' });
+    pdfText(doc, ar, left + 2 * third, y, { width: third, align: 'right' });
+    y = Math.max(y + 16, end + 2);
+  };
+
+  const chart = (labels, field, color) => {
+    const height = 120;
+    ensureSpace(height + 40);
+    pdfText(doc, labels[0], left, y, { width: width / 2, bold: true });
+    pdfText(doc, labels[1], left + width / 2, y, { width: width / 2, align: 'right', bold: true });
+    y += 16;
+
+    const pad = 24;
+    const x0 = left + pad;
+    const plotWidth = width - 2 * pad;
+    const yOf = (v) => y + height - (clamp01(v) / 100) * height;
+    doc.lineWidth(0.5).strokeColor('#dddddd');
+    for (const v of [0, 50, 100]) {
+      doc.moveTo(x0, yOf(v)).lineTo(x0 + plotWidth, yOf(v)).stroke();
+      doc.font('Helvetica').fontSize(7).fillColor('#555555').text(String(v), left, yOf(v) - 3, { width: pad - 4, align: 'right' });
+    }
+
+    const points = data.daily.map((d, i) => ({
+      x: x0 + (data.daily.length === 1 ? plotWidth / 2 : (i * plotWidth) / (data.daily.length - 1)),
+      y: yOf(d[field])
+    }));
+    doc.lineWidth(1.5).strokeColor(color);
+    points.forEach((p, i) => (i ? doc.lineTo(p.x, p.y) : doc.moveTo(p.x, p.y)));
+    doc.stroke();
+    for (const p of points) doc.circle(p.x, p.y, 2).fill(color);
+
+    doc.fillColor('#555555').font('Helvetica').fontSize(7);
+    doc.text(data.daily[0].date, x0, y + height + 4, { lineBreak: false });
+    doc.text(data.daily[data.daily.length - 1].date, x0 + plotWidth - 60, y + height + 4, { width: 60, align: 'right' });
+    doc.fillColor('black');
+    y += height + 20;
+  };
+
+  // Title
+  pdfText(doc, LABELS.title[0], left, y, { width: width / 2, size: 18, bold: true });
+  pdfText(doc, LABELS.title[1], left + width / 2, y, { width: width / 2, align: 'right', size: 18, bold: true });
+  y += 30;
+  row(LABELS.period, `${dateOnly(data.from)} - ${dateOnly(data.to)}`);
+
+  const { child, totals } = data;
+  const value = (key) => (VALUES[key] ? VALUES[key][0] : key);
+  sectionHeading(LABELS.child);
+  row(LABELS.name, child.name);
+  row(LABELS.childId, child.childId);
+  row(LABELS.age, child.age);
+  row(LABELS.gender, value(child.gender));
+  row(LABELS.level, value(child.difficultyLevel));
+  row(LABELS.targetLetters, listOrNone(child.targetLetters));
+  row(LABELS.targetWords, listOrNone(child.targetWords));
+  row(LABELS.specialist, data.specialist?.name);
+
+  sectionHeading(LABELS.summary);
+  row(LABELS.sessions, totals.sessions);
+  row(LABELS.playTime, totals.playTime);
+  row(LABELS.attempts, totals.attempts);
+  row(LABELS.successRate, totals.successRate);
+  row(LABELS.averageScore, totals.averageScore);
+
+  sectionHeading(LABELS.charts);
+  if (data.daily.length) {
+    chart(LABELS.successRate, 'successRate', '#2e7d32');
+    chart(LABELS.averageScore, 'averageScore', '#1565c0');
+  } else {
+    row(LABELS.noSessions, '');
+  }
+
+  sectionHeading(LABELS.targets);
+  for (const key of ['masteredLetters', 'masteredWords', 'challengingLetters', 'challengingWords']) {
+    row(LABELS[key], listOrNone(data.targets[key]));
+  }
+
+  sectionHeading(LABELS.plan);
+  if (!data.plan.length) row(LABELS.none, '');
+  for (const p of data.plan) {
+    ensureSpace(50);
+    y = pdfText(doc, p.sessionName || `#${p.sessionIndex ?? ''}`, left, y, { width, bold: true }) + 2;
+    row(LABELS.letters, listOrNone(p.letters));
+    row(LABELS.words, listOrNone(p.words));
+  }
+
+  sectionHeading(LABELS.notes);
+  if (!data.notes.length) row(LABELS.none, '');
+  for (const note of data.notes) {
+    ensureSpace(40);
+    y = pdfText(doc, dateOnly(note.createdAt), left, y, { width, size: 8 }) + 1;
+    if (note.author) y = pdfText(doc, note.author, left, y, { width, size: 8 }) + 1;
+    y = pdfText(doc, note.text, left, y, { width }) + 8;
+  }
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  masteryTargets,
+  buildReportData,
+  renderReportHtml,
+  renderReportPdf
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const User = require('../models/User');
+const { needsTwoFactorSetup } = require('./twoFactorService');
+const { getClientIp, getUserAgent } = require('../utils/request');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function refreshExpiryDate() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Refresh tokens look like `<sessionId>.<secret>` so the session can be found
+// without scanning every hash.
+function buildRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return `${sessionId}.${secret}`;
+}
+
+function parseRefreshToken(token) {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId };
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+}
+
+function tokenResponse(session, refreshToken) {
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+    sessionId: session._id,
+    twoFactorSetupRequired: !!session.twoFactorSetupRequired
+  };
+}
+
+// Start a new device session for a user and return the token pair. Whether
+// the session is limited to 2FA enrollment follows from the user and their
+// center's policy, so no caller can leave it out.
+async function createSession(user, req) {
+  const account = user?.role ? user : await User.findById(user._id || user).select('role center twoFactor.enabled');
+  const twoFactorSetupRequired = await needsTwoFactorSetup(account);
+
+  const session = new AuthSession({
+    user: user._id || user,
+    refreshTokenHash: 'pending',
+    userAgent: getUserAgent(req),
+    ip: getClientIp(req),
+    expiresAt: refreshExpiryDate(),
+    twoFactorSetupRequired
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return tokenResponse(session, refreshToken);
+}
+
+// Exchange a refresh token for a new token pair. The presented token is
+// invalidated; replaying an already-rotated token revokes the session.
+async function rotateRefreshToken(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await AuthSession.findById(parsed.sessionId)
+    .select('+refreshTokenHash +previousTokenHash');
+
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.previousTokenHash && session.previousTokenHash === presentedHash) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'refresh_token_reuse';
+    await session.save();
+    console.warn(`⚠️ Refresh token reuse detected, session ${session._id} revoked`);
+    return null;
+  }
+
+  if (session.refreshTokenHash !== presentedHash) return null;
+
+  const nextToken = buildRefreshToken(session._id);
+  session.previousTokenHash = presentedHash;
+  session.refreshTokenHash = hashToken(nextToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiryDate();
+  session.ip = getClientIp(req);
+  session.userAgent = getUserAgent(req) || session.userAgent;
+  await session.save();
+
+  return tokenResponse(session, nextToken);
+}
+
+async function findActiveSession(sessionId) {
+  const session = await AuthSession.findById(sessionId);
+  return session && session.isActive() ? session : null;
+}
+
+async function listActiveSessions(userId) {
+  return AuthSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort('-lastUsedAt');
+}
+
+async function revokeSession(userId, sessionId, reason = 'logout') {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revoke every active session of a user, optionally keeping one (the caller's).
+async function revokeAllSessions(userId, { except = null, reason = 'logout_all' } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await AuthSession.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+}
+
+// Flag or clear the "must enroll in 2FA" restriction on a user's active sessions
+async function setTwoFactorSetupRequired(userId, required) {
+  await AuthSession.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { twoFactorSetupRequired: required } }
+  );
+}
+
+module.exports = {
+  createSession,
+  setTwoFactorSetupRequired,
+  rotateRefreshToken,
+  findActiveSession,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  signAccessToken
+};
@@ -0,0 +1,196 @@
+const Attempt = require('../models/Attempt');
+const Child = require('../models/Child');
+const ScoringJob = require('../models/ScoringJob');
+const { audioPath } = require('./audioService');
+const { compareTexts } = require('./textComparisonService');
+const { refreshMastery } = require('./masteryService');
+const { refreshAdaptiveSafely } = require('./adaptiveService');
+
+// ========================================
+// SERVER-SIDE SPEECH SCORING
+// A provider scores an attempt recording against its reference text:
+//
+//   { name: 'azure', async score({ audioPath, contentType, referenceText }) }
+//     -> { pronunciationScore, accuracyScore, fluencyScore, completenessScore,
+//          recognizedText? }   (scores 0-100)
+//
+// SPEECH_PROVIDER picks the provider. The mock provider is only used without
+// it in development and tests; with no provider configured, jobs stay queued
+// until one is. Uploads enqueue a ScoringJob; the 'speech-scoring' background
+// job runs the queue, writes the scores to the attempt and tells the parent
+// and specialist over Socket.IO.
+// ========================================
+
+const SCORE_FIELDS = ['pronunciationScore', 'accuracyScore', 'fluencyScore', 'completenessScore'];
+const MAX_TRIES = Number(process.env.SPEECH_SCORING_MAX_TRIES || 3);
+const RETRY_DELAY_MS = 30 * 1000;
+// A job left 'processing' this long belonged to a worker that died
+const STALE_AFTER_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 10;
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.score !== 'function') {
+    throw new Error('A speech provider needs a name and a score() function');
+  }
+  providers.set(provider.name, provider);
+}
+
+registerProvider(require('./mockSpeechProvider'));
+
+const MOCK_ENVIRONMENTS = ['development', 'test'];
+
+// The configured provider, or null when scoring is not set up
+function activeProvider() {
+  const name = process.env.SPEECH_PROVIDER
+    || (MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV) ? 'mock' : null);
+  if (!name) return null;
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown speech provider: ${name}`);
+  return provider;
+}
+
+// Queue scoring of an attempt's recording (replacing a job not started yet).
+// Without a provider the job waits for one to be configured.
+async function enqueueScoring(attempt) {
+  const provider = activeProvider();
+  const providerName = provider ? provider.name : null;
+  await ScoringJob.deleteMany({ attempt: attempt._id, status: 'queued' });
+  const job = await ScoringJob.create({ attempt: attempt._id, child: attempt.child, provider: providerName });
+
+  attempt.scoring = { status: 'queued', provider: providerName, requestedAt: new Date() };
+  await Attempt.updateOne({ _id: attempt._id }, { $set: { scoring: attempt.scoring } });
+  return job;
+}
+
+function clampScore(value) {
+  const x = Number(value);
+  if (!Number.isFinite(x)) return undefined;
+  return Math.max(0, Math.min(100, x));
+}
+
+async function applyResult(attempt, provider, result) {
+  for (const field of SCORE_FIELDS) {
+    const score = clampScore(result[field]);
+    if (score !== undefined) attempt[field] = score;
+  }
+  // `score` is what older clients read
+  if (attempt.pronunciationScore !== undefined) attempt.score = attempt.pronunciationScore;
+  if (typeof result.recognizedText === 'string') {
+    attempt.recognizedText = result.recognizedText;
+    attempt.comparison = compareTexts(attempt.referenceText, attempt.recognizedText);
+  }
+  attempt.analysisSource = provider.name;
+  attempt.scoring = {
+    status: 'completed',
+    provider: provider.name,
+    requestedAt: attempt.scoring?.requestedAt || null,
+    scoredAt: new Date()
+  };
+  await attempt.save();
+
+  try {
+    await refreshMastery(attempt.child, [attempt]);
+  } catch (error) {
+    console.error('❌ Failed to update mastery:', error.message);
+  }
+  await refreshAdaptiveSafely(attempt.child);
+}
+
+// Push the new scores to the child's parent and specialist
+async function notifyScored(io, attempt) {
+  if (!io) return;
+  const child = await Child.findById(attempt.child).select('parent assignedSpecialist').lean();
+  if (!child) return;
+
+  const payload = {
+    childId: attempt.child,
+    attemptId: attempt._id,
+    sessionId: attempt.session,
+    analysisSource: attempt.analysisSource,
+    recognizedText: attempt.recognizedText,
+    comparison: attempt.comparison || null,
+    scoredAt: attempt.scoring.scoredAt
+  };
+  for (const field of SCORE_FIELDS) payload[field] = attempt[field];
+
+  for (const userId of [child.parent, child.assignedSpecialist].filter(Boolean)) {
+    io.to(userId.toString()).emit('attempt_scored', payload);
+  }
+}
+
+async function finishJob(job, status, error = null) {
+  job.status = status;
+  job.completedAt = new Date();
+  job.lastError = error;
+  await job.save();
+}
+
+async function runJob(job, { io, provider: fallback }) {
+  const attempt = await Attempt.findById(job.attempt);
+  const filePath = attempt ? audioPath(attempt) : null;
+  if (!attempt || !filePath) {
+    await finishJob(job, 'failed', 'Recording no longer exists');
+    return;
+  }
+
+  try {
+    const provider = providers.get(job.provider) || fallback;
+    const result = await provider.score({
+      audioPath: filePath,
+      contentType: attempt.audio.contentType,
+      referenceText: attempt.referenceText || attempt.word || attempt.letter || ''
+    });
+
+    await applyResult(attempt, provider, result || {});
+    await finishJob(job, 'completed');
+    await notifyScored(io, attempt);
+  } catch (error) {
+    if (job.tries < MAX_TRIES) {
+      job.status = 'queued';
+      job.lastError = error.message;
+      job.runAfter = new Date(Date.now() + RETRY_DELAY_MS * 2 ** (job.tries - 1));
+      await job.save();
+      return;
+    }
+
+    await finishJob(job, 'failed', error.message);
+    await Attempt.updateOne({ _id: attempt._id }, {
+      $set: { 'scoring.status': 'failed', 'scoring.error': error.message }
+    });
+  }
+}
+
+// Run due jobs one at a time; returns how many were processed
+async function processScoringQueue({ io = null, limit = BATCH_SIZE } = {}) {
+  const provider = activeProvider();
+  if (!provider) return 0;
+
+  await ScoringJob.updateMany(
+    { status: 'processing', startedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } },
+    { $set: { status: 'queued' } }
+  );
+
+  let processed = 0;
+  while (processed < limit) {
+    const job = await ScoringJob.findOneAndUpdate(
+      { status: 'queued', runAfter: { $lte: new Date() } },
+      { $set: { status: 'processing', startedAt: new Date() }, $inc: { tries: 1 } },
+      { sort: { runAfter: 1 }, new: true }
+    );
+    if (!job) break;
+
+    await runJob(job, { io, provider });
+    processed++;
+  }
+  return processed;
+}
+
+module.exports = {
+  registerProvider,
+  activeProvider,
+  enqueueScoring,
+  applyResult,
+  processScoringQueue
+};
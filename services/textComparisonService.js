@@ -0,0 +1,99 @@
+const { normalizeArabic } = require('../utils/arabicLetters');
+
+// ========================================
+// RECOGNIZED VS REFERENCE TEXT
+// Character-level alignment of what the child said (speech recognition
+// output) against what they were asked to say, after Arabic normalisation.
+// ========================================
+
+const ERROR_TYPES = {
+  SUBSTITUTION: 'substitution', // a different sound was said
+  OMISSION: 'omission', // a sound of the reference was left out
+  ADDITION: 'addition' // an extra sound was said
+};
+
+// Longest text (in characters, after normalisation) that is aligned. The
+// alignment is O(n*m) in time and memory and runs inside the sync request.
+const MAX_COMPARE_LENGTH = 200;
+
+// Pure: edit operations turning `reference` into `recognized` (Levenshtein with
+// backtrace). Ties prefer substitution, then omission, then addition, so the
+// result is deterministic.
+function alignCharacters(reference, recognized) {
+  const ref = [...reference];
+  const rec = [...recognized];
+  const rows = ref.length + 1;
+  const cols = rec.length + 1;
+  const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 0; i < rows; i++) cost[i][0] = i;
+  for (let j = 0; j < cols; j++) cost[0][j] = j;
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + (ref[i - 1] === rec[j - 1] ? 0 : 1),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  const operations = [];
+  let i = ref.length;
+  let j = rec.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (ref[i - 1] === rec[j - 1] ? 0 : 1)) {
+      operations.push(ref[i - 1] === rec[j - 1]
+        ? { type: 'match', position: i - 1, expected: ref[i - 1], actual: rec[j - 1] }
+        : { type: ERROR_TYPES.SUBSTITUTION, position: i - 1, expected: ref[i - 1], actual: rec[j - 1] });
+      i--;
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      operations.push({ type: ERROR_TYPES.OMISSION, position: i - 1, expected: ref[i - 1], actual: null });
+      i--;
+    } else {
+      // Position of an addition is where it was inserted in the reference
+      operations.push({ type: ERROR_TYPES.ADDITION, position: i, expected: null, actual: rec[j - 1] });
+      j--;
+    }
+  }
+
+  return { distance: cost[ref.length][rec.length], operations: operations.reverse() };
+}
+
+// Compare an attempt's texts. Returns null when either text is missing or
+// longer than MAX_COMPARE_LENGTH.
+function compareTexts(referenceText, recognizedText) {
+  if (!referenceText || recognizedText === undefined || recognizedText === null) return null;
+
+  const normalizedReference = normalizeArabic(referenceText);
+  const normalizedRecognized = normalizeArabic(recognizedText);
+  if (!normalizedReference) return null;
+  if ([...normalizedReference].length > MAX_COMPARE_LENGTH || [...normalizedRecognized].length > MAX_COMPARE_LENGTH) {
+    return null;
+  }
+
+  const { distance, operations } = alignCharacters(normalizedReference, normalizedRecognized);
+  const length = Math.max([...normalizedReference].length, [...normalizedRecognized].length);
+  // Word boundaries are not sounds
+  const mismatches = operations.filter(op => op.type !== 'match' && op.expected !== ' ' && op.actual !== ' ');
+
+  return {
+    normalizedReference,
+    normalizedRecognized,
+    distance,
+    similarity: length ? Math.round((1 - distance / length) * 1000) / 10 : 100,
+    mismatches,
+    substitutions: mismatches.filter(m => m.type === ERROR_TYPES.SUBSTITUTION).length,
+    omissions: mismatches.filter(m => m.type === ERROR_TYPES.OMISSION).length,
+    additions: mismatches.filter(m => m.type === ERROR_TYPES.ADDITION).length,
+    comparedAt: new Date()
+  };
+}
+
+module.exports = {
+  ERROR_TYPES,
+  MAX_COMPARE_LENGTH,
+  alignCharacters,
+  compareTexts
+};
@@ -0,0 +1,49 @@
+const jwt = require('jsonwebtoken');
+const Center = require('../models/Center');
+
+// Roles that may enroll in two-factor authentication
+const TWO_FACTOR_ROLES = ['specialist', 'admin', 'superadmin'];
+const CHALLENGE_EXPIRE = '5m';
+
+// Challenge tokens are signed with a derived secret so they can never be
+// accepted by `protect` as access tokens.
+function challengeSecret() {
+  return `${process.env.JWT_SECRET}:two-factor-challenge`;
+}
+
+// Issued after a correct password when the account has 2FA enabled;
+// exchanged for a session at POST /api/auth/login/2fa.
+function signChallengeToken(user) {
+  return jwt.sign({ id: user._id, email: user.email }, challengeSecret(), {
+    expiresIn: CHALLENGE_EXPIRE
+  });
+}
+
+function verifyChallengeToken(token) {
+  try {
+    return jwt.verify(String(token || ''), challengeSecret());
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether the user's center policy forces 2FA on them
+async function isTwoFactorRequired(user) {
+  if (user.role !== 'specialist' || !user.center) return false;
+  const center = await Center.findById(user.center).select('requireTwoFactor');
+  return !!center?.requireTwoFactor;
+}
+
+// Whether the user must enroll before using anything but /api/auth
+async function needsTwoFactorSetup(user) {
+  if (!user || user.twoFactor?.enabled) return false;
+  return isTwoFactorRequired(user);
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  signChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired,
+  needsTwoFactorSetup
+};
@@ -0,0 +1,90 @@
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = JSON.parse(req.headers['x-test-user']);
+    req.user.id = req.user._id;
+    req.sessionId = req.headers['x-test-session'];
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+jest.mock('../services/auditService', () => ({ recordAudit: jest.fn(async () => {}) }));
+jest.mock('../services/emailService', () => ({
+  sendVerificationEmail: jest.fn(async () => {}),
+  sendPasswordResetEmail: jest.fn(async () => {}),
+  sendAccountDeletionScheduledEmail: jest.fn(async () => {})
+}));
+jest.mock('../services/accountService', () => ({
+  ...jest.requireActual('../services/accountService'),
+  requestAccountDeletion: jest.fn(async () => new Date('2026-11-02T00:00:00Z')),
+  purgeAccount: jest.fn(async () => {})
+}));
+jest.mock('../services/sessionService', () => ({
+  ...jest.requireActual('../services/sessionService'),
+  revokeAllSessions: jest.fn(async () => {}),
+  createSession: jest.fn(async () => ({ token: 'new-session-token', refreshToken: 'new-refresh-token' }))
+}));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { revokeAllSessions, createSession } = require('../services/sessionService');
+const authRoutes = require('../routes/auth');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const USER_ID = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const as = (sessionId) => ({
+  'x-test-user': JSON.stringify({ _id: USER_ID, role: 'parent' }),
+  ...(sessionId ? { 'x-test-session': sessionId } : {})
+});
+
+describe('DELETE /api/auth/account', () => {
+  let update;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: async () => ({ _id: USER_ID, email: 'parent@example.com', comparePassword: async () => true })
+    });
+    update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('cuts off previously issued tokens and re-issues one for this device', async () => {
+    const res = await request(app)
+      .delete('/api/auth/account')
+      .set(as('session1'))
+      .send({ password: 'secret' });
+
+    expect(res.status).toBe(200);
+    expect(revokeAllSessions).toHaveBeenCalledWith(USER_ID, { except: 'session1', reason: 'account_deletion_requested' });
+    expect(update).toHaveBeenCalledWith(USER_ID, { tokensValidAfter: expect.any(Date) });
+
+    // The fresh token keeps this device's session and passes the cut-off
+    const validAfter = update.mock.calls[0][1].tokensValidAfter;
+    const decoded = jwt.verify(res.body.token, process.env.JWT_SECRET);
+    expect(decoded).toMatchObject({ id: USER_ID, sid: 'session1' });
+    expect(decoded.iat * 1000).toBeGreaterThanOrEqual(validAfter.getTime());
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  test('opens a session for a device signed in with a legacy token', async () => {
+    const res = await request(app)
+      .delete('/api/auth/account')
+      .set(as())
+      .send({ password: 'secret' });
+
+    expect(res.status).toBe(200);
+    expect(update).toHaveBeenCalledWith(USER_ID, { tokensValidAfter: expect.any(Date) });
+    expect(createSession).toHaveBeenCalled();
+    expect(res.body).toMatchObject({ token: 'new-session-token', refreshToken: 'new-refresh-token' });
+  });
+});
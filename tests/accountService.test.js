@@ -0,0 +1,87 @@
+jest.mock('../services/auditService', () => ({ recordAudit: jest.fn(async () => {}) }));
+jest.mock('../services/deviceService', () => ({ removeDevicesForChildren: jest.fn(async () => {}) }));
+jest.mock('../services/progressService', () => ({ deleteProgressForChildren: jest.fn(async () => {}) }));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Child = require('../models/Child');
+const ClinicalNote = require('../models/ClinicalNote');
+const AnonymizedChildStats = require('../models/AnonymizedChildStats');
+const { deleteProgressForChildren } = require('../services/progressService');
+const { collectAccountData, buildCsvFiles, deleteChildData, purgeAccount } = require('../services/accountService');
+
+const PARENT_ID = new mongoose.Types.ObjectId();
+const CHILD_ID = new mongoose.Types.ObjectId();
+const child = { _id: CHILD_ID, childId: 'C-7', name: 'Layla', age: 5, gender: 'female', parent: PARENT_ID };
+const note = { _id: new mongoose.Types.ObjectId(), child: CHILD_ID, author: { name: 'Dr. Sara' }, text: 'Fronts /k/ to /t/', createdAt: new Date('2026-02-01T10:00:00Z') };
+
+// Chainable stand-in for a mongoose query resolving to `result`
+function query(result) {
+  const q = {
+    select: () => q,
+    sort: () => q,
+    populate: () => q,
+    limit: () => q,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return q;
+}
+
+describe('accountService', () => {
+  let deleted;
+
+  beforeEach(() => {
+    deleted = {};
+    for (const model of Object.values(mongoose.models)) {
+      jest.spyOn(model, 'find').mockImplementation(() => query([]));
+      jest.spyOn(model, 'deleteMany').mockImplementation(async (filter) => {
+        deleted[model.modelName] = filter;
+        return { deletedCount: 0 };
+      });
+      jest.spyOn(model, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(model, 'insertMany').mockResolvedValue([]);
+    }
+    jest.spyOn(Child, 'find').mockImplementation((filter) => query(filter.parent ? [child] : []));
+    jest.spyOn(ClinicalNote, 'find').mockImplementation(() => query([note]));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the data export includes clinical notes about the children', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(query({ _id: PARENT_ID, name: 'Parent' }));
+
+    const data = await collectAccountData(PARENT_ID);
+
+    expect(ClinicalNote.find).toHaveBeenCalledWith({ child: { $in: [CHILD_ID] } });
+    expect(data.clinicalNotes).toEqual([note]);
+    expect(buildCsvFiles(data)['clinical_notes.csv']).toContain('C-7,Dr. Sara,Fronts /k/ to /t/');
+  });
+
+  test('deleting a child removes its data and keeps anonymous stats', async () => {
+    await deleteChildData([child]);
+
+    expect(deleteProgressForChildren).toHaveBeenCalledWith([CHILD_ID]);
+    for (const model of ['Exercise', 'ExerciseVersion', 'Curriculum', 'Word', 'ClinicalNote', 'LinkRequest']) {
+      expect(deleted[model]).toEqual({ child: { $in: [CHILD_ID] } });
+    }
+    expect(deleted.Child).toEqual({ _id: { $in: [CHILD_ID] } });
+    expect(AnonymizedChildStats.insertMany).toHaveBeenCalledWith([expect.objectContaining({ age: 5, gender: 'female' })]);
+  });
+
+  test('purging an account deletes everything stored about its children', async () => {
+    const user = new User({ _id: PARENT_ID, name: 'Parent', email: 'p@example.com', password: 'secret123', role: 'parent' });
+    user.deletion = { requestedAt: new Date(), scheduledFor: new Date() };
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    await expect(purgeAccount(PARENT_ID)).resolves.toBe(true);
+
+    expect(deleteProgressForChildren).toHaveBeenCalledWith([CHILD_ID]);
+    for (const model of ['Exercise', 'ExerciseVersion', 'Curriculum', 'Word', 'ClinicalNote']) {
+      expect(deleted[model]).toEqual({ child: { $in: [CHILD_ID] } });
+    }
+    expect(deleted.Child).toEqual({ _id: { $in: [CHILD_ID] } });
+    expect(user.name).toBe('Deleted user');
+  });
+});
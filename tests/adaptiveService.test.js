@@ -0,0 +1,104 @@
+const Child = require('../models/Child');
+const Mastery = require('../models/Mastery');
+const { nextDifficulty, levelFor, interleave, recomputeAdaptive } = require('../services/adaptiveService');
+
+const limits = {
+  minAttempts: 3,
+  promoteScore: 80,
+  promoteSuccessRate: 75,
+  demoteScore: 55,
+  demoteSuccessRate: 50
+};
+
+describe('adaptiveService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('nextDifficulty', () => {
+    test.each([
+      ['too few attempts', { attempts: 2, recentScores: [100, 100], recentSuccessRate: 100 }, 'easy'],
+      ['strong results move up one step', { attempts: 5, recentScores: [90, 85], recentSuccessRate: 80 }, 'medium'],
+      ['no scores, high success rate', { attempts: 5, recentScores: [], recentSuccessRate: 90 }, 'medium'],
+      ['weak scores move down one step', { recommendedDifficulty: 'hard', attempts: 5, recentScores: [40, 50], recentSuccessRate: 80 }, 'medium'],
+      ['low success rate moves down', { recommendedDifficulty: 'medium', attempts: 5, recentScores: [70], recentSuccessRate: 40 }, 'easy'],
+      ['in between stays', { recommendedDifficulty: 'medium', attempts: 5, recentScores: [70], recentSuccessRate: 60 }, 'medium'],
+      ['never above hard', { recommendedDifficulty: 'hard', attempts: 5, recentScores: [100], recentSuccessRate: 100 }, 'hard'],
+      ['never below easy', { recommendedDifficulty: 'easy', attempts: 5, recentScores: [0], recentSuccessRate: 0 }, 'easy'],
+      ['unknown difficulty counts as easy', { recommendedDifficulty: 'x', attempts: 1 }, 'easy']
+    ])('%s', (name, mastery, expected) => {
+      expect(nextDifficulty(mastery, limits)).toBe(expected);
+    });
+  });
+
+  describe('levelFor', () => {
+    test.each([
+      [['hard', 'hard'], null],
+      [['easy', 'easy', 'medium'], 'beginner'],
+      [['medium', 'medium', 'easy'], 'intermediate'],
+      [['hard', 'medium', 'easy'], 'intermediate'],
+      [['hard', 'hard', 'medium'], 'advanced'],
+      [['hard', 'hard', 'easy', 'easy', 'easy'], 'beginner']
+    ])('%j -> %p', (difficulties, expected) => {
+      expect(levelFor(difficulties)).toBe(expected);
+    });
+  });
+
+  describe('interleave', () => {
+    const items = (prefix, n) => Array.from({ length: n }, (_, i) => ({ target: `${prefix}${i + 1}` }));
+
+    test('follows practice, practice, new, review', () => {
+      const queue = interleave({ practice: items('p', 4), fresh: items('n', 2), review: items('r', 2) }, 8);
+      expect(queue.map(i => i.target)).toEqual(['p1', 'p2', 'n1', 'r1', 'p3', 'p4', 'n2', 'r2']);
+      expect(queue.map(i => i.kind)).toEqual(['practice', 'practice', 'new', 'review', 'practice', 'practice', 'new', 'review']);
+    });
+
+    test('falls back to what is left and stops at the limit', () => {
+      const queue = interleave({ practice: [], fresh: items('n', 5), review: items('r', 1) }, 4);
+      expect(queue.map(i => i.target)).toEqual(['n1', 'n2', 'n3', 'r1']);
+    });
+
+    test('stops when every queue is empty', () => {
+      expect(interleave({ practice: items('p', 1), fresh: [], review: [] }, 10)).toHaveLength(1);
+    });
+  });
+
+  describe('recomputeAdaptive', () => {
+    let records;
+    let writes;
+
+    beforeEach(() => {
+      writes = [];
+      jest.spyOn(Child, 'findById').mockResolvedValue({ _id: 'c1', difficultyLevel: 'beginner', adaptive: {} });
+      jest.spyOn(Child, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Mastery, 'find').mockImplementation(() => ({ select: () => ({ lean: async () => records }) }));
+      jest.spyOn(Mastery, 'bulkWrite').mockImplementation(async (operations) => {
+        writes.push(...operations);
+        for (const { updateOne } of operations) {
+          Object.assign(records.find(r => r._id === updateOne.filter._id), updateOne.update.$set);
+        }
+      });
+    });
+
+    test('moves a target only once per batch of new attempts', async () => {
+      records = [{ _id: 'm1', attempts: 5, evaluatedAttempts: 0, recentScores: [95], recentSuccessRate: 100, recommendedDifficulty: 'easy' }];
+
+      await recomputeAdaptive('c1');
+      await recomputeAdaptive('c1');
+      expect(records[0]).toMatchObject({ recommendedDifficulty: 'medium', evaluatedAttempts: 5 });
+      expect(writes).toHaveLength(1);
+
+      records[0].attempts = 6;
+      await recomputeAdaptive('c1');
+      expect(records[0].recommendedDifficulty).toBe('hard');
+    });
+
+    test('still counts unchanged targets for the level', async () => {
+      records = ['a', 'b', 'c'].map(id => ({
+        _id: id, attempts: 4, evaluatedAttempts: 4, recommendedDifficulty: 'hard', recentScores: [0], recentSuccessRate: 0
+      }));
+
+      const result = await recomputeAdaptive('c1');
+      expect(writes).toHaveLength(0);
+      expect(result).toMatchObject({ recommendedLevel: 'advanced', difficultyLevel: 'advanced', changedTargets: 0 });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { summarizeArticulation, parseWindow } = require('../services/articulationService');
+const { articulationPointOf, regionOf, vowelOf, baseLetter } = require('../utils/arabicLetters');
+
+const LIPS = 'الشفتان';
+const MID_THROAT = 'وسط الحلق';
+
+describe('arabicLetters', () => {
+  test.each([
+    ['ب', LIPS, 'lips'],
+    ['ف', 'الشفة السفلى مع الثنايا العليا', 'lips'],
+    ['ع', MID_THROAT, 'throat'],
+    ['ه', 'أقصى الحلق', 'throat'],
+    ['ق', 'أقصى اللسان مع الحنك الرخو', 'tongue'],
+    ['س', 'طرف اللسان مع اللثة العليا', 'tongue']
+  ])('%s is articulated at %s (%s)', (letter, point, region) => {
+    expect(articulationPointOf(letter)).toBe(point);
+    expect(regionOf(point)).toBe(region);
+  });
+
+  test('letters outside the table have no articulation point', () => {
+    expect(articulationPointOf('x')).toBeNull();
+    expect(regionOf(null)).toBeNull();
+  });
+
+  test.each([
+    ['fatha', 'fatha'],
+    ['Kasra', 'kasra'],
+    ['\u064F', 'damma'],
+    ['بْ', 'sukun'],
+    ['ب', null],
+    ['', null]
+  ])('vowel of %p is %p', (value, expected) => {
+    expect(vowelOf(value)).toBe(expected);
+  });
+
+  test('strips the vowel from a voweled letter', () => {
+    expect(baseLetter('بَ')).toBe('ب');
+    expect(baseLetter(' ع ')).toBe('ع');
+    expect(baseLetter('\u064E')).toBeNull();
+  });
+});
+
+describe('articulationService', () => {
+  describe('summarizeArticulation', () => {
+    const summary = summarizeArticulation([
+      { letter: 'ب', vowel: 'بَ', success: true, pronunciationScore: 90 },
+      { letter: 'م', vowel: 'مِ', success: false, pronunciationScore: 50 },
+      { letter: 'م', success: true },
+      { vowel: 'عُ', success: true, score: 70 },
+      { letter: 'x', success: false },
+      { word: 'بيت', success: true }
+    ]);
+    const point = (name) => summary.articulationPoints.find(p => p.articulationPoint === name);
+    const region = (name) => summary.regions.find(r => r.region === name);
+    const vowel = (name) => summary.vowels.find(v => v.vowel === name);
+
+    test('groups letters by articulation point with per-letter results', () => {
+      expect(point(LIPS)).toMatchObject({ region: 'lips', attempts: 3, successes: 2, averageScore: 70 });
+      expect(point(LIPS).letters).toEqual([
+        { letter: 'ب', attempts: 1, successes: 1, successRate: 100, averageScore: 90 },
+        { letter: 'م', attempts: 2, successes: 1, successRate: 50, averageScore: 50 }
+      ]);
+      // A voweled letter sent only as `vowel` counts toward its letter
+      expect(point(MID_THROAT)).toMatchObject({ attempts: 1, successes: 1, averageScore: 70 });
+    });
+
+    test('lists every articulation point, region and vowel, practised or not', () => {
+      expect(new Set(summary.articulationPoints.map(p => p.articulationPoint)).size).toBe(summary.articulationPoints.length);
+      expect(point('أقصى الحلق')).toMatchObject({ attempts: 0, successRate: 0, averageScore: null, letters: [] });
+      expect(summary.regions.map(r => r.region)).toEqual(['throat', 'tongue', 'lips']);
+      expect(summary.vowels.map(v => v.vowel)).toEqual(['fatha', 'kasra', 'damma', 'sukun']);
+    });
+
+    test('rolls articulation points up into regions', () => {
+      expect(region('lips')).toMatchObject({ label: LIPS, attempts: 3, successes: 2 });
+      expect(region('throat')).toMatchObject({ attempts: 1, successes: 1 });
+      expect(region('tongue').attempts).toBe(0);
+    });
+
+    test('groups voweled attempts by vowel', () => {
+      expect(vowel('fatha')).toMatchObject({ mark: '\u064E', attempts: 1, successes: 1 });
+      expect(vowel('kasra')).toMatchObject({ attempts: 1, successes: 0, successRate: 0 });
+      expect(vowel('damma')).toMatchObject({ attempts: 1, averageScore: 70 });
+      expect(vowel('sukun').attempts).toBe(0);
+    });
+
+    test('counts letters outside the table as unclassified and skips word attempts', () => {
+      expect(summary.unclassified).toEqual({ attempts: 1, successes: 0, successRate: 0, averageScore: null });
+      const total = summary.regions.reduce((sum, r) => sum + r.attempts, 0) + summary.unclassified.attempts;
+      expect(total).toBe(5);
+    });
+  });
+
+  describe('parseWindow', () => {
+    const now = new Date('2026-03-31T00:00:00.000Z');
+
+    test('defaults to the 30 days before now', () => {
+      expect(parseWindow({}, now)).toEqual({ from: new Date('2026-03-01T00:00:00.000Z'), to: now });
+    });
+
+    test('defaults from to 30 days before the given to', () => {
+      expect(parseWindow({ to: '2026-02-28T00:00:00.000Z' }, now).from).toEqual(new Date('2026-01-29T00:00:00.000Z'));
+    });
+
+    test.each([
+      [{ from: 'last month' }, 'from and to must be ISO dates'],
+      [{ to: 'today' }, 'from and to must be ISO dates'],
+      [{ from: '2026-03-02', to: '2026-03-01' }, 'from must be before to']
+    ])('%j is rejected', (query, error) => {
+      expect(parseWindow(query, now)).toEqual({ error });
+    });
+  });
+});
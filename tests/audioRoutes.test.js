@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bmo-audio-'));
+process.env.AUDIO_STORAGE_DIR = storageDir;
+
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    allowDevice: pass,
+    protect: (req, res, next) => {
+      req.user = { _id: 'parent1', role: 'parent' };
+      next();
+    },
+    authorizeChild: () => pass
+  };
+});
+jest.mock('../services/speechScoringService', () => ({ enqueueScoring: jest.fn(async () => {}) }));
+jest.mock('../jobs/scheduler', () => ({ runJobNow: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Attempt = require('../models/Attempt');
+const { verifiedFormat } = require('../services/audioService');
+const audioRoutes = require('../routes/audio');
+
+const ATTEMPT_ID = '64e000000000000000000001';
+const CHILD_ID = '64b000000000000000000001';
+const childDir = path.join(storageDir, CHILD_ID);
+
+const app = express();
+app.use('/api/audio', audioRoutes);
+
+// 44-byte header plus 16 bytes of samples
+const wav = () => {
+  const data = Buffer.alloc(60);
+  data.write('RIFF', 0, 'ascii');
+  data.write('WAVE', 8, 'ascii');
+  for (let i = 44; i < 60; i++) data[i] = i;
+  return data;
+};
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('attempt audio', () => {
+  let attempt;
+
+  beforeEach(() => {
+    fs.rmSync(childDir, { recursive: true, force: true });
+    attempt = { _id: ATTEMPT_ID, child: CHILD_ID, audio: null, save: jest.fn(async () => {}) };
+    jest.spyOn(Attempt, 'findById').mockResolvedValue(attempt);
+  });
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+  const storedFiles = () => (fs.existsSync(childDir) ? fs.readdirSync(childDir) : []);
+
+  describe('upload', () => {
+    test('stores a recording in the child\'s private folder', async () => {
+      const res = await request(app)
+        .post(`/api/audio/attempts/${ATTEMPT_ID}`)
+        .attach('audio', wav(), { filename: 'clip.wav', contentType: 'audio/wav' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ audioUrl: `/api/audio/attempts/${ATTEMPT_ID}`, size: 60, contentType: 'audio/wav' });
+      expect(storedFiles()).toEqual([attempt.audio.file]);
+      expect(attempt.save).toHaveBeenCalled();
+    });
+
+    test('refuses and deletes a file whose content is not the declared format', async () => {
+      const res = await request(app)
+        .post(`/api/audio/attempts/${ATTEMPT_ID}`)
+        .attach('audio', Buffer.from('#!/bin/sh\necho not audio\n'), { filename: 'clip.wav', contentType: 'audio/wav' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('File content does not match a wav, m4a or ogg recording');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(storedFiles()).toEqual([]);
+      expect(attempt.save).not.toHaveBeenCalled();
+    });
+
+    test('refuses other formats before storing them', async () => {
+      const res = await request(app)
+        .post(`/api/audio/attempts/${ATTEMPT_ID}`)
+        .attach('audio', wav(), { filename: 'clip.mp3', contentType: 'audio/mpeg' });
+
+      expect(res.status).toBe(400);
+      expect(storedFiles()).toEqual([]);
+    });
+  });
+
+  describe('streaming', () => {
+    beforeEach(() => {
+      fs.mkdirSync(childDir, { recursive: true });
+      fs.writeFileSync(path.join(childDir, 'clip.wav'), wav());
+      attempt.audio = { file: 'clip.wav', contentType: 'audio/wav', size: 60 };
+    });
+
+    test('streams the whole recording privately', async () => {
+      const res = await request(app).get(`/api/audio/attempts/${ATTEMPT_ID}`).buffer(true).parse(binaryParser);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('audio/wav');
+      expect(res.headers['accept-ranges']).toBe('bytes');
+      expect(res.headers['cache-control']).toBe('private, no-store');
+      expect(res.body).toEqual(wav());
+    });
+
+    test('answers a range request with partial content', async () => {
+      const res = await request(app)
+        .get(`/api/audio/attempts/${ATTEMPT_ID}`)
+        .set('Range', 'bytes=44-51')
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(res.status).toBe(206);
+      expect(res.headers['content-range']).toBe('bytes 44-51/60');
+      expect(res.body).toEqual(wav().subarray(44, 52));
+    });
+
+    test('refuses a range past the end of the file', async () => {
+      const res = await request(app).get(`/api/audio/attempts/${ATTEMPT_ID}`).set('Range', 'bytes=100-200');
+
+      expect(res.status).toBe(416);
+      expect(res.body.message).toBe('Requested range is not satisfiable');
+    });
+
+    test('404s when the attempt has no recording or the file is gone', async () => {
+      attempt.audio = null;
+      expect((await request(app).get(`/api/audio/attempts/${ATTEMPT_ID}`)).status).toBe(404);
+
+      attempt.audio = { file: 'gone.wav', contentType: 'audio/wav' };
+      const res = await request(app).get(`/api/audio/attempts/${ATTEMPT_ID}`);
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Recording not found');
+    });
+  });
+
+  describe('verifiedFormat', () => {
+    const upload = (name, mimetype, content) => {
+      const filePath = path.join(storageDir, name);
+      fs.writeFileSync(filePath, content);
+      return { originalname: name, mimetype, path: filePath };
+    };
+
+    test.each([
+      ['clip.wav', 'audio/wav', wav(), 'audio/wav'],
+      ['clip.m4a', 'audio/mp4', Buffer.from('\0\0\0\x20ftypM4A \0\0\0\0', 'latin1'), 'audio/mp4'],
+      ['clip.ogg', 'audio/ogg', Buffer.from('OggS\0\x02\0\0\0\0\0\0', 'latin1'), 'audio/ogg'],
+      ['clip.ogg', 'audio/ogg', wav(), null],
+      ['clip.m4a', 'audio/wav', Buffer.from('\0\0\0\x20ftypM4A \0\0\0\0', 'latin1'), null],
+      ['clip.wav', 'audio/wav', Buffer.from('RIFF'), null]
+    ])('%s sent as %s', async (name, mimetype, content, expected) => {
+      const format = await verifiedFormat(upload(name, mimetype, content));
+      expect(format ? format.contentType : null).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = JSON.parse(req.headers['x-test-user']);
+    req.user.id = req.user._id;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Center = require('../models/Center');
+const User = require('../models/User');
+const { recordAudit, diffSnapshots, buildAuditFilter } = require('../services/auditService');
+const adminRoutes = require('../routes/admin');
+
+const CENTER_A = '64c00000000000000000000a';
+const CENTER_B = '64c00000000000000000000b';
+const ADMIN_ID = '64a000000000000000000001';
+
+describe('auditService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('diffSnapshots', () => {
+    test('keeps only changed fields', () => {
+      expect(diffSnapshots({ name: 'Layla', age: 5 }, { name: 'Layla', age: 6 })).toEqual({ age: { before: 5, after: 6 } });
+      expect(diffSnapshots({ name: 'Layla' }, { name: 'Layla' })).toBeNull();
+    });
+
+    test('strips credentials and secrets on both sides', () => {
+      const before = {
+        name: 'Sara',
+        password: '$2a$10$old',
+        verificationToken: 'v1',
+        resetPasswordToken: 'r1',
+        resetPasswordExpire: '2026-01-01',
+        resetPasswordAttempts: 1,
+        tokensValidAfter: '2026-01-01',
+        twoFactor: { enabled: false, secret: 'OLD' },
+        updatedAt: '2026-01-01'
+      };
+      const after = {
+        name: 'Sara K.',
+        password: '$2a$10$new',
+        verificationToken: 'v2',
+        resetPasswordToken: null,
+        resetPasswordExpire: null,
+        resetPasswordAttempts: 0,
+        tokensValidAfter: '2026-02-01',
+        twoFactor: { enabled: true, secret: 'NEW' },
+        updatedAt: '2026-02-01'
+      };
+
+      expect(diffSnapshots(before, after)).toEqual({ name: { before: 'Sara', after: 'Sara K.' } });
+      expect(diffSnapshots(null, after)).toEqual({ name: { before: null, after: 'Sara K.' } });
+      expect(diffSnapshots(before, null)).toEqual({ name: { before: 'Sara', after: null } });
+    });
+
+    test('records nothing when only secrets changed', () => {
+      expect(diffSnapshots({ password: 'a' }, { password: 'b', twoFactor: { secret: 'x' } })).toBeNull();
+    });
+
+    test('reads mongoose documents', () => {
+      const doc = { toObject: () => ({ name: 'Omar', password: 'hash' }) };
+      expect(diffSnapshots(doc, { name: 'Omar A.' })).toEqual({ name: { before: 'Omar', after: 'Omar A.' } });
+    });
+  });
+
+  describe('recordAudit', () => {
+    let create;
+    const req = (user) => ({ user, headers: { 'user-agent': 'jest' }, ip: '10.0.0.1' });
+
+    beforeEach(() => {
+      create = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    });
+
+    test('files the entry under the center of the child\'s specialist', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: async () => ({ center: CENTER_B }) }) });
+
+      await recordAudit(req({ _id: ADMIN_ID, role: 'superadmin' }), {
+        action: 'child.update',
+        targetModel: 'Child',
+        targetId: 'child1',
+        child: { _id: 'child1', assignedSpecialist: 'spec1' }
+      });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        actor: ADMIN_ID,
+        actorRole: 'superadmin',
+        child: 'child1',
+        center: CENTER_B,
+        ip: '10.0.0.1',
+        userAgent: 'jest'
+      }));
+    });
+
+    test('falls back to the actor\'s center', async () => {
+      await recordAudit(req({ _id: ADMIN_ID, role: 'admin', center: CENTER_A }), { action: 'user.update', targetModel: 'User' });
+      expect(create.mock.calls[0][0].center).toBe(CENTER_A);
+    });
+
+    test('an explicit center wins', async () => {
+      await recordAudit(req({ _id: ADMIN_ID, role: 'admin', center: CENTER_A }), { action: 'center.update', targetModel: 'Center', center: { _id: CENTER_B } });
+      expect(create.mock.calls[0][0].center).toBe(CENTER_B);
+    });
+
+    test('never throws', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      create.mockRejectedValue(new Error('db down'));
+      await expect(recordAudit(req(null), { action: 'x.y', targetModel: 'User' })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('buildAuditFilter', () => {
+    test('drops invalid ids and dates and ignores a center in the query', () => {
+      expect(buildAuditFilter({ actor: 'nope', child: 'nope', from: 'never', center: CENTER_B })).toEqual({});
+    });
+
+    test('matches an action family or an exact action', () => {
+      expect(buildAuditFilter({ action: 'child' })).toEqual({ action: { $regex: '^child\\.' } });
+      expect(buildAuditFilter({ action: 'child.update' })).toEqual({ action: 'child.update' });
+      expect(buildAuditFilter({ action: 'chi(ld' })).toEqual({ action: { $regex: '^child\\.' } });
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+
+    const as = (user) => ({ 'x-test-user': JSON.stringify(user) });
+    const admin = { _id: ADMIN_ID, role: 'admin', center: CENTER_A };
+    let find;
+
+    beforeEach(() => {
+      jest.spyOn(Center, 'findById').mockResolvedValue({ _id: new mongoose.Types.ObjectId(CENTER_A), admin: ADMIN_ID });
+      jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(0);
+      const query = { populate: () => query, sort: () => query, skip: () => query, limit: () => query, lean: async () => [] };
+      find = jest.spyOn(AuditLog, 'find').mockReturnValue(query);
+    });
+
+    test('only lists entries of the admin\'s own center', async () => {
+      const res = await request(app)
+        .get('/api/admin/audit')
+        .query({ center: CENTER_B, action: 'child' })
+        .set(as(admin));
+
+      expect(res.status).toBe(200);
+      const filter = find.mock.calls[0][0];
+      expect(String(filter.center)).toBe(CENTER_A);
+      expect(filter.action).toEqual({ $regex: '^child\\.' });
+    });
+
+    test('refuses an admin who does not run the center', async () => {
+      const res = await request(app)
+        .get('/api/admin/audit')
+        .set(as({ ...admin, _id: '64a000000000000000000002' }));
+
+      expect(res.status).toBe(403);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    test('refuses an admin without a center', async () => {
+      const res = await request(app).get('/api/admin/audit').set(as({ _id: ADMIN_ID, role: 'admin' }));
+
+      expect(res.status).toBe(403);
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { mergeCatalog, canManageItem } = require('../services/catalogService');
+
+const globalItem = (text, fields = {}) => ({ _id: `g-${text}`, type: 'word', text, order: 1, ...fields });
+const centerItem = (text, fields = {}) => ({ _id: `c-${text}`, type: 'word', text, center: 'centerA', ...fields });
+
+describe('mergeCatalog', () => {
+  test('global entries only', () => {
+    const merged = mergeCatalog([globalItem('بابا', { translations: new Map([['en', 'Dad']]) })]);
+    expect(merged).toEqual([expect.objectContaining({ text: 'بابا', source: 'global', translations: { en: 'Dad' } })]);
+  });
+
+  test('a center entry with new text extends the catalogue', () => {
+    const merged = mergeCatalog([globalItem('بابا')], [centerItem('قطوس', { order: 2 })]);
+    expect(merged.map(i => [i.text, i.source])).toEqual([['بابا', 'global'], ['قطوس', 'center']]);
+  });
+
+  test('a center entry with the same text overrides the fields it sets', () => {
+    const [item] = mergeCatalog(
+      [globalItem('ماما', { category: 'family', difficulty: 'easy', dialects: ['libyan'], translations: { en: 'Mom' } })],
+      [centerItem('ماما', { difficulty: 'medium', dialects: [], translations: { fr: 'Maman' }, category: null })]
+    );
+    expect(item).toMatchObject({
+      _id: 'g-ماما',
+      source: 'override',
+      overrideId: 'c-ماما',
+      category: 'family',
+      difficulty: 'medium',
+      dialects: ['libyan'],
+      translations: { en: 'Mom', fr: 'Maman' },
+      order: 1
+    });
+  });
+
+  test('a hidden center entry removes the global entry', () => {
+    const merged = mergeCatalog([globalItem('بابا'), globalItem('ماما')], [centerItem('بابا', { hidden: true })]);
+    expect(merged.map(i => i.text)).toEqual(['ماما']);
+  });
+
+  test('inactive entries are ignored on both sides', () => {
+    const merged = mergeCatalog(
+      [globalItem('بابا', { active: false }), globalItem('ماما')],
+      [centerItem('ماما', { active: false, hidden: true }), centerItem('خويا', { active: false })]
+    );
+    expect(merged.map(i => [i.text, i.source])).toEqual([['ماما', 'global']]);
+  });
+
+  test('sorts by order', () => {
+    const merged = mergeCatalog(
+      [globalItem('a', { order: 3 }), globalItem('b', { order: 1 })],
+      [centerItem('c', { order: 2 }), centerItem('a', { order: 0 })]
+    );
+    expect(merged.map(i => i.text)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('an override without an order keeps the global position', () => {
+    const merged = mergeCatalog(
+      [globalItem('a', { order: 3 }), globalItem('b', { order: 1 })],
+      [centerItem('a', { order: null, difficulty: 'hard' })]
+    );
+    expect(merged.map(i => [i.text, i.order])).toEqual([['b', 1], ['a', 3]]);
+  });
+});
+
+describe('canManageItem', () => {
+  test.each([
+    [{ role: 'superadmin' }, { center: null }, true],
+    [{ role: 'superadmin' }, { center: 'centerA' }, true],
+    [{ role: 'admin', center: 'centerA' }, { center: 'centerA' }, true],
+    [{ role: 'admin', center: 'centerA' }, { center: 'centerB' }, false],
+    [{ role: 'admin', center: 'centerA' }, { center: null }, false],
+    [{ role: 'admin' }, { center: 'centerA' }, false],
+    [{ role: 'specialist', center: 'centerA' }, { center: 'centerA' }, false]
+  ])('%p on %p -> %p', (user, item, expected) => {
+    expect(canManageItem(user, item)).toBe(expected);
+  });
+});
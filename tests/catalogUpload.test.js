@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { uploadCatalogMedia } = require('../middleware/catalogUpload');
+
+const uploadDir = path.join(__dirname, '..', 'uploads');
+const catalogFiles = () => (fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir).filter(f => f.startsWith('catalog-')) : []);
+
+const app = express();
+app.post('/audio', uploadCatalogMedia('audio'), (req, res) => res.json({ success: true, file: req.file.filename }));
+
+const wav = () => {
+  const head = Buffer.alloc(44);
+  head.write('RIFF', 0, 'ascii');
+  head.write('WAVE', 8, 'ascii');
+  return head;
+};
+
+describe('uploadCatalogMedia', () => {
+  let before;
+
+  beforeEach(() => {
+    before = catalogFiles();
+  });
+
+  afterEach(() => {
+    for (const file of catalogFiles()) {
+      if (!before.includes(file)) fs.unlinkSync(path.join(uploadDir, file));
+    }
+  });
+
+  test('keeps a recording whose content matches its type', async () => {
+    const res = await request(app)
+      .post('/audio')
+      .attach('audio', wav(), { filename: 'baba.wav', contentType: 'audio/wav' });
+
+    expect(res.status).toBe(200);
+    expect(catalogFiles()).toContain(res.body.file);
+  });
+
+  test('refuses and removes a file that only claims to be a recording', async () => {
+    const res = await request(app)
+      .post('/audio')
+      .attach('audio', Buffer.from('<html>not audio</html>'), { filename: 'baba.wav', contentType: 'audio/wav' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('File content does not match a wav, m4a or ogg recording');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(catalogFiles()).toEqual(before);
+  });
+
+  test('refuses an unsupported type before storing it', async () => {
+    const res = await request(app)
+      .post('/audio')
+      .attach('audio', wav(), { filename: 'baba.mp3', contentType: 'audio/mpeg' });
+
+    expect(res.status).toBe(400);
+    expect(catalogFiles()).toEqual(before);
+  });
+});
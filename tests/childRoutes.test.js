@@ -0,0 +1,135 @@
+jest.mock('../middleware/auth', () => ({
+  allowDevice: (req, res, next) => next(),
+  protect: (req, res, next) => {
+    req.user = JSON.parse(req.headers['x-test-user']);
+    req.user.id = req.user._id;
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+  authorizeChild: () => async (req, res, next) => {
+    if (req.headers['x-test-deny']) {
+      return res.status(403).json({ success: false, message: 'Not authorized to access this child' });
+    }
+    req.child = new (require('../models/Child'))({ _id: '64b000000000000000000001', name: 'Layla', age: 5, gender: 'female', parent: 'aaaaaaaaaaaaaaaaaaaaaaaa' });
+    next();
+  }
+}));
+jest.mock('../services/auditService', () => ({ recordAudit: jest.fn(async () => {}) }));
+jest.mock('../services/accountService', () => ({ deleteChildData: jest.fn(async () => {}) }));
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const Child = require('../models/Child');
+const User = require('../models/User');
+const { deleteChildData } = require('../services/accountService');
+const childRoutes = require('../routes/child');
+const wordRoutes = require('../routes/words');
+
+const app = express();
+app.use(express.json());
+app.use('/api/children', childRoutes);
+app.use('/api/words', wordRoutes);
+
+const as = (user) => ({ 'x-test-user': JSON.stringify(user) });
+const query = (result) => {
+  const q = { populate: () => q, select: () => q, lean: async () => result, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  return q;
+};
+
+describe('child routes', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('PUT /api/children/:id', () => {
+    test('only changes profile fields', async () => {
+      const update = jest.spyOn(Child, 'findByIdAndUpdate').mockImplementation(async (id, changes) => ({ _id: id, ...changes }));
+
+      const res = await request(app)
+        .put('/api/children/64b000000000000000000001')
+        .set(as({ _id: 'aaaaaaaaaaaaaaaaaaaaaaaa', role: 'parent' }))
+        .send({
+          name: 'Layla B.',
+          playSchedule: { enabled: true },
+          parent: 'bbbbbbbbbbbbbbbbbbbbbbbb',
+          assignedSpecialist: 'cccccccccccccccccccccccc',
+          difficultyLevel: 'advanced',
+          specialistRequestStatus: 'approved',
+          adaptive: { locked: true },
+          childId: 'CH-9999'
+        });
+
+      expect(res.status).toBe(200);
+      expect(update.mock.calls[0][1]).toEqual({ name: 'Layla B.', playSchedule: { enabled: true } });
+    });
+  });
+
+  describe('DELETE /api/children/:id', () => {
+    test('removes everything stored about the child', async () => {
+      const res = await request(app)
+        .delete('/api/children/64b000000000000000000001')
+        .set(as({ _id: 'aaaaaaaaaaaaaaaaaaaaaaaa', role: 'parent' }));
+
+      expect(res.status).toBe(200);
+      expect(deleteChildData).toHaveBeenCalledTimes(1);
+      expect(String(deleteChildData.mock.calls[0][0][0]._id)).toBe('64b000000000000000000001');
+    });
+  });
+
+  describe('GET /api/children', () => {
+    let filter;
+
+    beforeEach(() => {
+      jest.spyOn(Child, 'find').mockImplementation((f) => {
+        filter = f;
+        return query([{ _id: 'child1' }]);
+      });
+      jest.spyOn(User, 'find').mockReturnValue(query([{ _id: 'spec1' }]));
+    });
+
+    test.each([
+      ['superadmin', { _id: 'super1', role: 'superadmin' }, {}],
+      ['admin', { _id: 'admin1', role: 'admin', center: 'centerA' }, { assignedSpecialist: { $in: ['admin1', 'spec1'] } }],
+      ['parent', { _id: 'parent1', role: 'parent' }, { parent: 'parent1' }],
+      ['specialist', { _id: 'spec1', role: 'specialist' }, { assignedSpecialist: 'spec1' }]
+    ])('lists the children a %s may access', async (name, user, expected) => {
+      const res = await request(app).get('/api/children').set(as(user));
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(filter).toEqual(expected);
+    });
+  });
+});
+
+describe('POST /api/words', () => {
+  const uploadDir = path.join(__dirname, '..', 'uploads');
+  const wordFiles = () => fs.readdirSync(uploadDir).filter(f => f.startsWith('word-'));
+  let before;
+
+  beforeEach(() => {
+    before = wordFiles();
+  });
+
+  afterEach(() => {
+    for (const file of wordFiles()) {
+      if (!before.includes(file)) fs.unlinkSync(path.join(uploadDir, file));
+    }
+  });
+
+  test('does not keep the image of a refused request', async () => {
+    const res = await request(app)
+      .post('/api/words')
+      .set(as({ _id: 'parent2', role: 'parent' }))
+      .set('x-test-deny', '1')
+      .field('text', 'باب')
+      .field('childId', '64b000000000000000000001')
+      .attach('image', Buffer.from([0xff, 0xd8, 0xff, 0xe0]), { filename: 'door.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(403);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(wordFiles()).toEqual(before);
+  });
+});
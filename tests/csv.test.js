@@ -0,0 +1,40 @@
+const { escapeCell, toCsvRow, toCsv } = require('../utils/csv');
+
+describe('escapeCell', () => {
+  test.each([
+    [null, ''],
+    [undefined, ''],
+    ['باب', 'باب'],
+    [42, '42'],
+    [-3.5, '-3.5'],
+    [new Date('2024-05-01T10:00:00Z'), '2024-05-01T10:00:00.000Z'],
+    [['a', 'b'], 'a; b'],
+    ['say "hi", ok', '"say ""hi"", ok"'],
+    ['two\nlines', '"two\nlines"']
+  ])('%p -> %p', (value, expected) => {
+    expect(escapeCell(value)).toBe(expected);
+  });
+
+  test.each([
+    ['=HYPERLINK("http://x")', '"\'=HYPERLINK(""http://x"")"'],
+    ['+1+2', "'+1+2"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\tcmd', "'\tcmd"],
+    ['\rcmd', '"\'\rcmd"'],
+    [['=1', 'x'], "'=1; x"]
+  ])('neutralizes formula %p', (value, expected) => {
+    expect(escapeCell(value)).toBe(expected);
+  });
+});
+
+describe('toCsv', () => {
+  test('writes a BOM, header and CRLF rows', () => {
+    const csv = toCsv([{ name: '=cmd', score: 5 }], [{ key: 'name', header: 'Name' }, { header: 'Score', value: r => r.score * 2 }]);
+    expect(csv).toBe("\uFEFFName,Score\r\n'=cmd,10\r\n");
+  });
+
+  test('toCsvRow joins escaped cells', () => {
+    expect(toCsvRow(['a', 'b,c', null])).toBe('a,"b,c",');
+  });
+});
@@ -0,0 +1,84 @@
+const Mastery = require('../models/Mastery');
+const Session = require('../models/Session');
+const { evaluateStep, curriculumStatus } = require('../services/curriculumService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2024-05-20T12:00:00Z');
+const startedDaysAgo = (days) => new Date(now.getTime() - days * DAY);
+
+const targets = {
+  letters: [{ letter: 'ر' }, { letter: 'س' }],
+  words: [{ word: 'شمس' }, { word: 'قمر' }]
+};
+const masteredOf = (...keys) => new Set(keys);
+const ALL = masteredOf('letter|ر', 'letter|س', 'word|شمس', 'word|قمر');
+const HALF = masteredOf('letter|ر', 'word|قمر');
+
+describe('evaluateStep', () => {
+  test.each([
+    // [advance rule, mastered, sessions on step, days on step, advance, stuck]
+    [undefined, ALL, 1, 1, 'mastery', false],
+    [undefined, HALF, 3, 1, null, false],
+    [{ type: 'mastery' }, ALL, 0, 1, null, false],
+    [{ type: 'mastery', minSessions: 3 }, ALL, 2, 1, null, false],
+    [{ type: 'mastery', minSessions: 3 }, ALL, 3, 1, 'mastery', false],
+    [{ type: 'mastery', masteryPercent: 50 }, HALF, 1, 1, 'mastery', false],
+    [{ type: 'mastery', masteryPercent: 75 }, HALF, 1, 1, null, false],
+    [{ type: 'days', days: 7 }, ALL, 5, 6, null, false],
+    [{ type: 'days', days: 7 }, masteredOf(), 0, 7, 'days', false],
+    [{ type: 'mastery_or_days', days: 7 }, ALL, 1, 2, 'mastery', false],
+    [{ type: 'mastery_or_days', days: 7 }, HALF, 1, 8, 'days', false],
+    [{ type: 'mastery_or_days', days: 30 }, HALF, 1, 8, null, false],
+    [{ type: 'manual' }, ALL, 10, 30, null, true],
+    [{ type: 'manual' }, ALL, 10, 20, null, false],
+    [undefined, HALF, 10, 21, null, true],
+    // A days rule always ends on its own
+    [{ type: 'days', days: 60 }, HALF, 10, 40, null, false]
+  ])('%p with %p mastered after %i sessions and %i days', (advance, mastered, sessionsOnStep, days, expectedAdvance, stuck) => {
+    const result = evaluateStep({ ...targets, advance }, { mastered, sessionsOnStep, stepStartedAt: startedDaysAgo(days) }, now, { stuckDays: 21 });
+    expect(result.advance).toBe(expectedAdvance);
+    expect(result.stuck).toBe(stuck);
+  });
+
+  test('reports progress on the step', () => {
+    const result = evaluateStep(targets, { mastered: HALF, sessionsOnStep: 4, stepStartedAt: startedDaysAgo(3.5) }, now);
+    expect(result.progress).toEqual({ mastered: 2, targets: 4, percent: 50, sessions: 4, days: 3 });
+  });
+
+  test('a step without targets never advances on mastery', () => {
+    const result = evaluateStep({ letters: [], words: [] }, { mastered: ALL, sessionsOnStep: 5, stepStartedAt: now }, now);
+    expect(result).toMatchObject({ advance: null, stuck: false, progress: { percent: 0, targets: 0 } });
+  });
+
+  test('the step\'s own stuck threshold wins over the default', () => {
+    const context = { mastered: HALF, sessionsOnStep: 2, stepStartedAt: startedDaysAgo(5) };
+    expect(evaluateStep({ ...targets, stuckAfterDays: 5 }, context, now, { stuckDays: 21 }).stuck).toBe(true);
+    expect(evaluateStep(targets, context, now, { stuckDays: 21 }).stuck).toBe(false);
+  });
+});
+
+describe('curriculumStatus', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('counts only the sessions played on the step\'s plan', async () => {
+    jest.spyOn(Mastery, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    const count = jest.spyOn(Session, 'countDocuments').mockResolvedValue(2);
+    const curriculum = {
+      child: 'child1',
+      status: 'active',
+      steps: [targets],
+      currentStep: 0,
+      currentExercise: 'plan1',
+      stepStartedAt: startedDaysAgo(1)
+    };
+
+    const result = await curriculumStatus(curriculum, now);
+
+    expect(count).toHaveBeenCalledWith({
+      child: 'child1',
+      planExerciseId: 'plan1',
+      sessionDate: { $gte: curriculum.stepStartedAt }
+    });
+    expect(result.progress.sessions).toBe(2);
+  });
+});
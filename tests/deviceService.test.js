@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PairedDevice = require('../models/PairedDevice');
+const User = require('../models/User');
+const Child = require('../models/Child');
+const { protect, authorizeChild } = require('../middleware/auth');
+const { ACTIONS, DEVICE_ACTIONS } = require('../services/policy');
+const {
+  isDeviceToken,
+  createPairingCode,
+  redeemPairingCode,
+  authenticateDevice
+} = require('../services/deviceService');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const CHILD_ID = '64b000000000000000000001';
+const OTHER_CHILD_ID = '64b000000000000000000002';
+const PARENT_ID = '64a000000000000000000001';
+
+function response() {
+  return {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+describe('deviceService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('pairing', () => {
+    let rows;
+
+    // One pending pairing row; findOneAndUpdate applies the update the way
+    // MongoDB does, one document at a time
+    beforeEach(() => {
+      rows = [];
+      jest.spyOn(PairedDevice, 'deleteMany').mockImplementation(async () => {
+        rows = rows.filter(r => r.status !== 'pending');
+      });
+      jest.spyOn(PairedDevice, 'create').mockImplementation(async (fields) => {
+        const row = { _id: new mongoose.Types.ObjectId(), status: 'pending', ...fields };
+        rows.push(row);
+        return row;
+      });
+      jest.spyOn(PairedDevice, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const row = rows.find(r => r.pairingCodeHash === filter.pairingCodeHash
+          && r.status === filter.status
+          && r.pairingCodeExpiresAt > filter.pairingCodeExpiresAt.$gt);
+        if (!row) return null;
+        Object.assign(row, update.$set);
+        for (const key of Object.keys(update.$unset)) delete row[key];
+        return { ...row };
+      });
+      jest.spyOn(PairedDevice, 'updateOne').mockImplementation(async (filter, update) => {
+        Object.assign(rows.find(r => String(r._id) === String(filter._id)), update);
+      });
+    });
+
+    test('issues a readable code that replaces the pending one', async () => {
+      await createPairingCode({ _id: CHILD_ID }, { _id: PARENT_ID });
+      const { code, expiresAt } = await createPairingCode({ _id: CHILD_ID }, { _id: PARENT_ID });
+
+      expect(code).toMatch(/^[ABCDEFGHJKMNPQRSTUVWXYZ23456789]{8}$/);
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(rows).toHaveLength(1);
+      expect(rows[0].pairingCodeHash).toBe(sha256(code));
+    });
+
+    test('redeems a code once for a device credential', async () => {
+      const { code } = await createPairingCode({ _id: CHILD_ID }, { _id: PARENT_ID });
+
+      const typed = `${code.slice(0, 4).toLowerCase()}-${code.slice(4)}`;
+      const result = await redeemPairingCode(typed, { name: ' Tablet ', platform: 'android' }, { ip: '::ffff:10.0.0.5' });
+
+      expect(result.deviceToken).toMatch(new RegExp(`^bmod_${rows[0]._id}\\.[a-f0-9]{64}$`));
+      expect(result.device).toMatchObject({ status: 'paired', name: 'Tablet', platform: 'android', lastIp: '10.0.0.5' });
+      expect(rows[0].pairingCodeHash).toBeUndefined();
+      expect(rows[0].tokenHash).toBe(sha256(result.deviceToken));
+    });
+
+    test('only one of two concurrent redemptions pairs a device', async () => {
+      const { code } = await createPairingCode({ _id: CHILD_ID }, { _id: PARENT_ID });
+
+      const results = await Promise.all([redeemPairingCode(code), redeemPairingCode(code)]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(PairedDevice.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses unknown and expired codes', async () => {
+      const { code } = await createPairingCode({ _id: CHILD_ID }, { _id: PARENT_ID });
+      expect(await redeemPairingCode('ZZZZZZZZ')).toBeNull();
+
+      rows[0].pairingCodeExpiresAt = new Date(Date.now() - 1000);
+      expect(await redeemPairingCode(code)).toBeNull();
+      expect(rows[0].status).toBe('pending');
+    });
+  });
+
+  describe('device credentials', () => {
+    const deviceId = '64d000000000000000000001';
+    const token = `bmod_${deviceId}.${'ab'.repeat(32)}`;
+
+    const stubDevice = (fields = {}) => jest.spyOn(PairedDevice, 'findById').mockReturnValue({
+      select: async () => ({
+        _id: deviceId,
+        child: CHILD_ID,
+        status: 'paired',
+        tokenHash: sha256(token),
+        lastSeenAt: new Date(),
+        ...fields
+      })
+    });
+
+    test.each([
+      ['a JWT', 'eyJhbGciOiJIUzI1NiJ9.e30.sig', false],
+      ['an empty value', undefined, false],
+      ['a device credential', token, true]
+    ])('recognises %s', (name, value, expected) => {
+      expect(isDeviceToken(value)).toBe(expected);
+    });
+
+    test.each([
+      ['no secret', `bmod_${deviceId}`],
+      ['a malformed device id', `bmod_123.${'ab'.repeat(32)}`],
+      ['a non-hex secret', `bmod_${deviceId}.secret`]
+    ])('rejects a credential with %s without a lookup', async (name, value) => {
+      const find = jest.spyOn(PairedDevice, 'findById');
+      expect(await authenticateDevice(value)).toBeNull();
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    test('resolves a paired device and refuses a wrong secret', async () => {
+      stubDevice();
+      expect(await authenticateDevice(token)).toMatchObject({ _id: deviceId });
+      expect(await authenticateDevice(`bmod_${deviceId}.${'cd'.repeat(32)}`)).toBeNull();
+    });
+
+    test('refuses revoked devices', async () => {
+      stubDevice({ status: 'revoked', tokenHash: undefined });
+      expect(await authenticateDevice(token)).toBeNull();
+    });
+
+    test('records when the device was last seen, at most every few minutes', async () => {
+      const update = jest.spyOn(PairedDevice, 'updateOne').mockResolvedValue({});
+
+      stubDevice();
+      await authenticateDevice(token, { ip: '10.0.0.5' });
+      expect(update).not.toHaveBeenCalled();
+
+      stubDevice({ lastSeenAt: new Date(Date.now() - 10 * 60 * 1000) });
+      await authenticateDevice(token, { ip: '10.0.0.5' });
+      expect(update).toHaveBeenCalledWith({ _id: deviceId }, { lastSeenAt: expect.any(Date), lastIp: '10.0.0.5' });
+    });
+  });
+
+  describe('device restrictions', () => {
+    const device = { id: 'd1', child: new mongoose.Types.ObjectId(CHILD_ID) };
+    const parent = { _id: PARENT_ID, id: PARENT_ID, role: 'parent' };
+
+    async function runAuthorizeChild(action, childId) {
+      jest.spyOn(Child, 'findById').mockResolvedValue({ _id: childId, parent: PARENT_ID });
+      const req = { params: { childId }, user: parent, device };
+      const res = response();
+      let passed = false;
+      await authorizeChild(action)(req, res, () => { passed = true; });
+      return { passed, res };
+    }
+
+    test('device credentials only work on routes that allow devices', async () => {
+      const find = jest.spyOn(PairedDevice, 'findById');
+      const req = { method: 'GET', path: '/', headers: { authorization: `Bearer bmod_${CHILD_ID}.ab` } };
+      const res = response();
+
+      await protect(req, res, () => {});
+
+      expect(res.statusCode).toBe(403);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    test('a paired device acts for the parent who paired it', async () => {
+      const token = `bmod_64d000000000000000000001.${'ab'.repeat(32)}`;
+      jest.spyOn(PairedDevice, 'findById').mockReturnValue({
+        select: async () => ({ ...device, parent: PARENT_ID, status: 'paired', tokenHash: sha256(token), lastSeenAt: new Date() })
+      });
+      jest.spyOn(User, 'findById').mockResolvedValue(parent);
+      const req = { method: 'GET', path: '/', allowDevice: true, headers: { authorization: `Bearer ${token}` } };
+      let passed = false;
+
+      await protect(req, response(), () => { passed = true; });
+
+      expect(passed).toBe(true);
+      expect(req.user).toBe(parent);
+      expect(req.device).toMatchObject({ child: device.child });
+    });
+
+    test.each(DEVICE_ACTIONS)('allows %s on its own child', async (action) => {
+      const { passed } = await runAuthorizeChild(action, CHILD_ID);
+      expect(passed).toBe(true);
+    });
+
+    test.each(Object.values(ACTIONS).filter(a => !DEVICE_ACTIONS.includes(a)))('refuses %s', async (action) => {
+      const { passed, res } = await runAuthorizeChild(action, CHILD_ID);
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(403);
+    });
+
+    test('refuses another child of the same parent', async () => {
+      const { passed, res } = await runAuthorizeChild(ACTIONS.CHILD_READ, OTHER_CHILD_ID);
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
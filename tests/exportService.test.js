@@ -0,0 +1,84 @@
+const Session = require('../models/Session');
+const Attempt = require('../models/Attempt');
+const { createExportStream, pseudonymFor } = require('../services/exportService');
+
+const child = { _id: '64b000000000000000000001', childId: 'C-7', name: 'Layla', age: 5, gender: 'female' };
+const session = {
+  _id: '64b0000000000000000000aa',
+  child: child._id,
+  sessionDate: new Date('2024-05-14T09:30:00Z'),
+  syncedAt: new Date('2024-05-14T09:45:00Z'),
+  duration: 12,
+  planExerciseId: '64b0000000000000000000ee',
+  planSessionName: '=HYPERLINK("http://evil")',
+  totalAttempts: 4
+};
+
+async function exportCsv(options) {
+  const { stream } = createExportStream([child], { format: 'csv', dataset: 'sessions', ...options });
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text.replace(/^\uFEFF/, '').trim().split('\r\n');
+}
+
+describe('exportService sessions CSV', () => {
+  beforeEach(() => {
+    jest.spyOn(Session, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: () => ({ cursor: async function* cursor() { yield session; } }) }) })
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('identifies the child and keeps exact dates', async () => {
+    const [header, row] = await exportCsv({ pseudonymize: false });
+    expect(header).toMatch(/^Child ID,Child,Age,Gender,Session ID,Date,Synced at,/);
+    expect(row).toContain('C-7,Layla,5,female');
+    expect(row).toContain('2024-05-14T09:30:00.000Z');
+  });
+
+  test('pseudonymises the child and coarsens dates to the month', async () => {
+    const [header, row] = await exportCsv({ pseudonymize: true });
+    expect(header).toMatch(/^Pseudonym,Age,Gender,Session ID,Date \(month\),Synced at \(month\),/);
+    expect(row).toContain(`${pseudonymFor(child._id)},5,female,${pseudonymFor(session._id, 'S')},2024-05,2024-05,12`);
+    expect(row).toContain(pseudonymFor(session.planExerciseId, 'E'));
+    expect(row).not.toContain('Layla');
+    expect(row).not.toContain('2024-05-14');
+  });
+
+  test('leaves no ObjectId (which holds its creation time) in pseudonymised rows', async () => {
+    const [, row] = await exportCsv({ pseudonymize: true });
+    expect(row).not.toMatch(/[0-9a-f]{24}/i);
+  });
+
+  test('neutralizes formulas in free text', async () => {
+    const [, row] = await exportCsv({ pseudonymize: false });
+    expect(row).toContain('"\'=HYPERLINK(""http://evil"")"');
+  });
+});
+
+describe('exportService attempts CSV', () => {
+  beforeEach(() => {
+    const attempt = {
+      _id: '64b0000000000000000000bb',
+      child: child._id,
+      session: '64b0000000000000000000aa',
+      sessionDate: new Date('2024-05-14T09:30:00Z'),
+      timestamp: new Date('2024-05-14T09:31:00Z'),
+      letter: 'ب',
+      success: true,
+      score: 90
+    };
+    jest.spyOn(Attempt, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: () => ({ cursor: async function* cursor() { yield attempt; } }) }) })
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('leaves no ObjectId in pseudonymised rows', async () => {
+    const [, row] = await exportCsv({ pseudonymize: true, dataset: 'attempts' });
+    expect(row).toContain(`${pseudonymFor('64b0000000000000000000aa', 'S')},${pseudonymFor('64b0000000000000000000bb', 'A')},2024-05`);
+    expect(row).not.toMatch(/[0-9a-f]{24}/i);
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../services/emailService', () => ({ sendInvitationEmail: jest.fn(async () => {}) }));
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { sendInvitationEmail } = require('../services/emailService');
+const {
+  INVITATION_STATUS,
+  invitationStatus,
+  isAwaitingInvitation,
+  sendInvitation,
+  findInvitation,
+  acceptInvitation,
+  revokeInvitation
+} = require('../services/invitationService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = new Date('2026-03-01T09:00:00.000Z');
+
+const invitee = () => ({
+  _id: '64a000000000000000000009',
+  name: 'Nour',
+  email: 'nour@example.com',
+  role: 'specialist',
+  invitation: {},
+  save: jest.fn(async () => {})
+});
+const inviter = { _id: '64a000000000000000000001', name: 'Center Admin' };
+
+describe('invitationService', () => {
+  let user;
+  const lastToken = () => sendInvitationEmail.mock.calls[sendInvitationEmail.mock.calls.length - 1][1].token;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    user = invitee();
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    sendInvitationEmail.mockClear();
+    delete process.env.APP_URL;
+  });
+
+  test('sends a pending invitation with a link', async () => {
+    process.env.APP_URL = 'https://portal.example.com/';
+
+    const result = await sendInvitation(user, inviter);
+
+    expect(result).toEqual({
+      emailSent: true,
+      invitation: expect.objectContaining({ status: INVITATION_STATUS.PENDING, sendCount: 1, expiresAt: new Date(START.getTime() + 7 * DAY) })
+    });
+    const { token, link } = sendInvitationEmail.mock.calls[0][1];
+    expect(link).toBe(`https://portal.example.com/accept-invite?token=${encodeURIComponent(token)}`);
+    expect(user.invitation.invitedBy).toBe(inviter._id);
+    expect(isAwaitingInvitation(user)).toBe(true);
+  });
+
+  test('still issues the invitation when the email fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sendInvitationEmail.mockRejectedValueOnce(new Error('smtp down'));
+
+    const result = await sendInvitation(user, inviter);
+
+    expect(result.emailSent).toBe(false);
+    expect(invitationStatus(user)).toBe(INVITATION_STATUS.PENDING);
+  });
+
+  test('accepting sets the password and uses up the token', async () => {
+    await sendInvitation(user, inviter);
+    const token = lastToken();
+
+    const found = await findInvitation(token);
+    expect(found).toEqual({ user });
+
+    await acceptInvitation(found.user, 'a-new-password');
+    expect(user).toMatchObject({ password: 'a-new-password', emailVerified: true });
+    expect(invitationStatus(user)).toBe(INVITATION_STATUS.ACCEPTED);
+    expect(isAwaitingInvitation(user)).toBe(false);
+
+    expect(await findInvitation(token)).toEqual({ error: 'Invalid invitation' });
+  });
+
+  test('a resend supersedes the earlier link', async () => {
+    await sendInvitation(user, inviter);
+    const first = lastToken();
+    jest.setSystemTime(new Date(START.getTime() + DAY));
+    await sendInvitation(user, null);
+    const second = lastToken();
+
+    expect(user.invitation.sendCount).toBe(2);
+    expect(user.invitation.invitedBy).toBe(inviter._id);
+    expect(user.invitation.expiresAt).toEqual(new Date(START.getTime() + 8 * DAY));
+    expect(await findInvitation(first)).toEqual({ error: 'Invalid invitation' });
+    expect(await findInvitation(second)).toEqual({ user });
+  });
+
+  test('a revoked invitation cannot be used', async () => {
+    await sendInvitation(user, inviter);
+    const token = lastToken();
+
+    expect(await revokeInvitation(user)).toBe(true);
+    expect(invitationStatus(user)).toBe(INVITATION_STATUS.REVOKED);
+    expect(await findInvitation(token)).toEqual({ error: 'Invalid invitation' });
+    expect(await revokeInvitation(user)).toBe(false);
+  });
+
+  test('a resend reopens a revoked invitation', async () => {
+    await sendInvitation(user, inviter);
+    await revokeInvitation(user);
+    await sendInvitation(user, inviter);
+
+    expect(invitationStatus(user)).toBe(INVITATION_STATUS.PENDING);
+    expect(await findInvitation(lastToken())).toEqual({ user });
+  });
+
+  test('an invitation expires after the configured days', async () => {
+    await sendInvitation(user, inviter);
+    const token = lastToken();
+
+    jest.setSystemTime(new Date(START.getTime() + 7 * DAY + 1000));
+
+    expect(invitationStatus(user)).toBe(INVITATION_STATUS.EXPIRED);
+    expect(await findInvitation(token)).toEqual({ error: 'Invitation has expired' });
+    // Expired invitations can still be revoked so the account can be cleaned up
+    expect(await revokeInvitation(user)).toBe(true);
+  });
+
+  test('the stored expiry is enforced even while the token is still valid', async () => {
+    await sendInvitation(user, inviter);
+    user.invitation.expiresAt = new Date(START.getTime() - 1000);
+
+    expect(await findInvitation(lastToken())).toEqual({ error: 'Invitation has expired' });
+  });
+
+  test('accepted invitations cannot be revoked', async () => {
+    await sendInvitation(user, inviter);
+    await acceptInvitation(user, 'a-new-password');
+
+    expect(await revokeInvitation(user)).toBe(false);
+  });
+
+  test.each([
+    ['garbage', 'not-a-token'],
+    ['an access token', () => jwt.sign({ id: '64a000000000000000000009', nonce: 'x' }, process.env.JWT_SECRET)],
+    ['a missing token', undefined]
+  ])('%s is not an invitation', async (name, token) => {
+    await sendInvitation(user, inviter);
+    expect(await findInvitation(typeof token === 'function' ? token() : token)).toEqual({ error: 'Invalid invitation' });
+  });
+
+  test('accounts created without an invitation have no invitation status', () => {
+    expect(invitationStatus({ invitation: {} })).toBeNull();
+    expect(isAwaitingInvitation({})).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+const User = require('../models/User');
+const { throttle, unlockAccount, createMemoryStore, setStore } = require('../services/loginThrottle');
+
+// Runs the middleware for one request and reports what it did
+async function hit(scope, { ip = '10.0.0.1', email = 'parent@example.com' } = {}) {
+  const req = { ip, headers: {}, body: { email } };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await throttle(scope, r => r.body.email)(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+async function failTimes(n, options) {
+  for (let i = 0; i < n; i++) {
+    const { req, passed } = await hit('login', options);
+    if (!passed) throw new Error(`request ${i + 1} was throttled`);
+    await req.throttle.fail();
+    jest.advanceTimersByTime(61 * 1000);
+  }
+}
+
+describe('loginThrottle (memory store)', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+    setStore(createMemoryStore());
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: async () => null });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('lets the first attempts through without delay', async () => {
+    for (let i = 0; i < 2; i++) {
+      const { req, passed } = await hit('login');
+      expect(passed).toBe(true);
+      await req.throttle.fail();
+    }
+    expect((await hit('login')).passed).toBe(true);
+  });
+
+  test('delays with 429 and Retry-After once the free attempts are used', async () => {
+    for (let i = 0; i < 3; i++) {
+      const { req } = await hit('login');
+      await req.throttle.fail();
+    }
+
+    const { res, passed } = await hit('login');
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+
+    jest.advanceTimersByTime(2000);
+    expect((await hit('login')).passed).toBe(true);
+  });
+
+  test('locks the account after repeated failures, from any IP', async () => {
+    await failTimes(10, { ip: '10.0.0.1' });
+
+    const sameIp = await hit('login', { ip: '10.0.0.1' });
+    const otherIp = await hit('login', { ip: '10.9.9.9' });
+    expect(sameIp.res.statusCode).toBe(423);
+    expect(otherIp.res.statusCode).toBe(423);
+    expect(otherIp.res.body.retryAfter).toBeGreaterThan(0);
+  });
+
+  test('counts the account case-insensitively', async () => {
+    await failTimes(10, { email: 'Parent@Example.com' });
+    expect((await hit('login', { email: 'parent@example.com ' })).res.statusCode).toBe(423);
+  });
+
+  test('unlockAccount clears the account lock', async () => {
+    await failTimes(10, { ip: '10.0.0.1' });
+    await unlockAccount('parent@example.com');
+    expect((await hit('login', { ip: '10.0.0.2' })).passed).toBe(true);
+  });
+
+  test('success clears the account counter but not the IP counter', async () => {
+    await failTimes(9, { ip: '10.0.0.1' });
+    const { req } = await hit('login', { ip: '10.0.0.1' });
+    await req.throttle.succeed();
+
+    // One more failure would have locked the account without the reset
+    await failTimes(1, { ip: '10.0.0.3' });
+    expect((await hit('login', { ip: '10.0.0.3' })).passed).toBe(true);
+  });
+
+  test('forgets failures after the window', async () => {
+    for (let i = 0; i < 3; i++) {
+      const { req } = await hit('login');
+      await req.throttle.fail();
+    }
+    jest.advanceTimersByTime(61 * 60 * 1000);
+    expect((await hit('login')).passed).toBe(true);
+  });
+
+  test('keeps scopes apart', async () => {
+    await failTimes(10);
+    expect((await hit('reset')).passed).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+const { MASTERY_STATUS, attemptScore, evaluateTarget } = require('../services/masteryService');
+
+const limits = {
+  consecutiveSuccesses: 3,
+  minScore: 80,
+  lossFailures: 3,
+  challengingMinAttempts: 5,
+  challengingMaxSuccessRate: 50
+};
+
+// S = success at the minimum score, F = failure, s = success without a score
+const attemptsOf = (pattern) => [...pattern].map((c, i) => ({
+  timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)),
+  ...(c === 'S' && { success: true, pronunciationScore: 80 }),
+  ...(c === 's' && { success: true }),
+  ...(c === 'F' && { success: false, pronunciationScore: 30 })
+}));
+
+describe('masteryService', () => {
+  describe('evaluateTarget', () => {
+    test.each([
+      ['no attempts', '', MASTERY_STATUS.LEARNING],
+      ['one success short of mastery', 'SS', MASTERY_STATUS.LEARNING],
+      ['consecutive successes at the minimum score', 'SSS', MASTERY_STATUS.MASTERED],
+      ['unscored successes count', 'sss', MASTERY_STATUS.MASTERED],
+      ['a failure resets the streak', 'SSFSS', MASTERY_STATUS.LEARNING],
+      ['one failure short of losing mastery', 'SSSFF', MASTERY_STATUS.MASTERED],
+      ['enough failures lose mastery', 'SSSFFF', MASTERY_STATUS.LEARNING],
+      ['too few attempts to be challenging', 'FSFF', MASTERY_STATUS.LEARNING],
+      ['low success rate after enough attempts', 'FSFSF', MASTERY_STATUS.CHALLENGING],
+      ['success rate at the maximum is not challenging', 'SFSFSF', MASTERY_STATUS.LEARNING],
+      ['lost mastery and below the rate', 'SSSFFFF', MASTERY_STATUS.CHALLENGING]
+    ])('%s (%s)', (name, pattern, expected) => {
+      expect(evaluateTarget(attemptsOf(pattern), limits).status).toBe(expected);
+    });
+
+    test('a success below the minimum score does not count', () => {
+      const attempts = attemptsOf('SSS');
+      attempts[2].pronunciationScore = 79;
+
+      const state = evaluateTarget(attempts, limits);
+      expect(state.status).toBe(MASTERY_STATUS.LEARNING);
+      expect(state.successes).toBe(2);
+      expect(state.consecutiveFailures).toBe(1);
+    });
+
+    test('records when mastery was reached and clears it when lost', () => {
+      const attempts = attemptsOf('FSSSS');
+      expect(evaluateTarget(attempts, limits).masteredAt).toEqual(attempts[3].timestamp);
+      expect(evaluateTarget(attemptsOf('SSSFFF'), limits).masteredAt).toBeNull();
+    });
+
+    test('only the latest attempts count toward the recent success rate', () => {
+      // Two old failures fall out of the window of ten
+      const state = evaluateTarget(attemptsOf('FFSFSFSFSFSF'), limits);
+      expect(state.recentSuccessRate).toBe(50);
+      expect(state.status).toBe(MASTERY_STATUS.LEARNING);
+    });
+
+    test.each([
+      [[60, 60], null],
+      [[60, 60, 65, 65], 'improving'],
+      [[80, 80, 76, 76], 'stable'],
+      [[80, 80, 75, 75], 'declining']
+    ])('trend of %j is %p', (scores, expected) => {
+      const attempts = scores.map(score => ({ success: false, accuracyScore: score }));
+      expect(evaluateTarget(attempts, limits).trend).toBe(expected);
+    });
+
+    test('averages only scored attempts', () => {
+      const state = evaluateTarget([{ success: true }, { success: true, score: 90 }, { success: false, score: 40 }], limits);
+      expect(state.averageScore).toBe(65);
+      expect(state.recentScores).toEqual([90, 40]);
+    });
+  });
+
+  describe('attemptScore', () => {
+    test.each([
+      [{ pronunciationScore: 70, accuracyScore: 60, score: 50 }, 70],
+      [{ accuracyScore: 60, score: 50 }, 60],
+      [{ score: 0 }, 0],
+      [{ pronunciationScore: NaN, score: 50 }, 50],
+      [{}, null]
+    ])('%j -> %p', (attempt, expected) => {
+      expect(attemptScore(attempt)).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const User = require('../models/User');
+const {
+  MAX_RESET_CODE_ATTEMPTS,
+  generateResetCode,
+  issueResetCode,
+  clearResetCode,
+  checkResetCode
+} = require('../services/passwordResetService');
+
+// In-memory stand-in for the user collection (one account)
+function stubAccount(fields) {
+  const account = { _id: 'u1', email: 'parent@example.com', ...fields };
+  const matches = (filter) => Object.entries(filter).every(([k, v]) => account[k] === v);
+
+  jest.spyOn(User, 'findOne').mockImplementation(async (filter) => (matches(filter) ? account : null));
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    if (matches(filter)) account.resetPasswordAttempts = (account.resetPasswordAttempts || 0) + update.$inc.resetPasswordAttempts;
+    const result = matches(filter) ? { resetPasswordAttempts: account.resetPasswordAttempts } : null;
+    return { select: () => ({ lean: async () => result }) };
+  });
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return;
+    for (const key of Object.keys(update.$unset)) delete account[key];
+  });
+
+  return account;
+}
+
+describe('passwordResetService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('generates 6-digit codes', () => {
+    for (let i = 0; i < 50; i++) expect(generateResetCode()).toMatch(/^[1-9]\d{5}$/);
+  });
+
+  test('issueResetCode and clearResetCode manage the pending code', () => {
+    const user = {};
+    const code = issueResetCode(user);
+    expect(user.resetPasswordToken).toBe(code);
+    expect(user.resetPasswordExpire).toBeGreaterThan(Date.now());
+    expect(user.resetPasswordAttempts).toBe(0);
+
+    clearResetCode(user);
+    expect(user.resetPasswordToken).toBeUndefined();
+  });
+
+  test('accepts the code only for the account it was sent to', async () => {
+    const account = stubAccount({ resetPasswordToken: '123456', resetPasswordExpire: Date.now() + 60000 });
+
+    await expect(checkResetCode('Parent@Example.com', '123456')).resolves.toBe(account);
+    await expect(checkResetCode('other@example.com', '123456')).resolves.toBeNull();
+    await expect(checkResetCode('', '123456')).resolves.toBeNull();
+  });
+
+  test('rejects expired codes', async () => {
+    stubAccount({ resetPasswordToken: '123456', resetPasswordExpire: Date.now() - 1 });
+    await expect(checkResetCode('parent@example.com', '123456')).resolves.toBeNull();
+  });
+
+  test('invalidates the code after too many wrong guesses', async () => {
+    const account = stubAccount({ resetPasswordToken: '123456', resetPasswordExpire: Date.now() + 60000 });
+
+    for (let i = 0; i < MAX_RESET_CODE_ATTEMPTS; i++) {
+      await expect(checkResetCode('parent@example.com', String(200000 + i))).resolves.toBeNull();
+    }
+
+    expect(account.resetPasswordToken).toBeUndefined();
+    await expect(checkResetCode('parent@example.com', '123456')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,193 @@
+jest.mock('../services/planVersionService', () => ({
+  ...jest.requireActual('../services/planVersionService'),
+  createPlan: jest.fn(async (child) => ({ _id: `plan-${child._id}`, child: child._id }))
+}));
+
+const Child = require('../models/Child');
+const PlanTemplate = require('../models/PlanTemplate');
+const { createPlan } = require('../services/planVersionService');
+const {
+  validateTemplate,
+  canViewTemplate,
+  canManageTemplate,
+  instantiateTemplate
+} = require('../services/planTemplateService');
+
+const OWN_CHILD = '64b000000000000000000001';
+const COLLEAGUE_CHILD = '64b000000000000000000002';
+const OTHER_CENTER_CHILD = '64b000000000000000000003';
+const MISSING_CHILD = '64b000000000000000000004';
+
+const specialist = { _id: 'spec1', role: 'specialist', center: 'centerA' };
+const colleague = { _id: 'spec2', role: 'specialist', center: 'centerA' };
+const outsider = { _id: 'spec3', role: 'specialist', center: 'centerB' };
+const centerAdmin = { _id: 'admin1', role: 'admin', center: 'centerA' };
+const superadmin = { _id: 'root', role: 'superadmin' };
+
+const template = (fields = {}) => ({
+  _id: 'tpl1',
+  owner: 'spec1',
+  center: 'centerA',
+  visibility: 'center',
+  letters: [{ _id: 'l1', letter: 'ب' }],
+  words: [{ _id: 'w1', word: 'باب' }],
+  targetDuration: 15,
+  sessionName: 'Lips',
+  durationDays: null,
+  ...fields
+});
+
+describe('planTemplateService', () => {
+  describe('validateTemplate', () => {
+    test('accepts a complete template and normalises it', () => {
+      const { values } = validateTemplate({
+        name: '  Lip letters ',
+        description: 'ب and م',
+        tags: ['Lips', 'lips', ' starter ', ''],
+        visibility: 'center',
+        durationDays: '14',
+        letters: ['ب'],
+        words: [{ word: 'باب', category: 'home' }],
+        targetDuration: 10
+      });
+
+      expect(values).toEqual({
+        name: 'Lip letters',
+        description: 'ب and م',
+        tags: ['lips', 'starter'],
+        visibility: 'center',
+        durationDays: 14,
+        letters: [{ letter: 'ب', articulationPoint: 'الشفتان' }],
+        words: [{ word: 'باب', category: 'home' }],
+        targetDuration: 10
+      });
+    });
+
+    test('requires a name unless updating', () => {
+      expect(validateTemplate({}).errors).toEqual([{ path: 'name', message: 'name must be 1-100 characters' }]);
+      expect(validateTemplate({ description: 'x' }, { partial: true })).toEqual({ values: { description: 'x' } });
+    });
+
+    test.each([
+      [{ name: 'x', owner: 'someone' }, 'owner'],
+      [{ name: 'x', tags: 'lips' }, 'tags'],
+      [{ name: 'x', visibility: 'public' }, 'visibility'],
+      [{ name: 'x', durationDays: 0 }, 'durationDays'],
+      [{ name: 'x', durationDays: 366 }, 'durationDays'],
+      [{ name: 'x', durationDays: 1.5 }, 'durationDays'],
+      [{ name: 'x', targetDuration: -1 }, 'targetDuration'],
+      [{ name: 'x', letters: ['ب', 'ب'] }, 'letters.1.letter']
+    ])('%j is rejected at %s', (body, path) => {
+      expect(validateTemplate(body).errors.map(e => e.path)).toContain(path);
+    });
+
+    test('durationDays can be cleared', () => {
+      expect(validateTemplate({ durationDays: null }, { partial: true })).toEqual({ values: { durationDays: null } });
+    });
+  });
+
+  describe('access', () => {
+    test.each([
+      ['the owner', specialist, template({ visibility: 'private' }), true],
+      ['the owner (populated)', specialist, template({ owner: { _id: 'spec1' }, visibility: 'private' }), true],
+      ['a colleague, shared with the center', colleague, template(), true],
+      ['a colleague, private', colleague, template({ visibility: 'private' }), false],
+      ['another center', outsider, template(), false],
+      ['a user without a center', { _id: 'spec4', role: 'specialist' }, template({ center: null }), false],
+      ['a superadmin', superadmin, template({ visibility: 'private' }), true]
+    ])('%s may view: %p', (name, user, tpl, expected) => {
+      expect(canViewTemplate(user, tpl)).toBe(expected);
+    });
+
+    test.each([
+      ['the owner', specialist, template({ visibility: 'private' }), true],
+      ['a colleague', colleague, template(), false],
+      ['the center admin, shared with the center', centerAdmin, template(), true],
+      ['the center admin, private', centerAdmin, template({ visibility: 'private' }), false],
+      ['another center\'s admin', { ...centerAdmin, center: 'centerB' }, template(), false],
+      ['a superadmin', superadmin, template({ visibility: 'private' }), true]
+    ])('%s may manage: %p', (name, user, tpl, expected) => {
+      expect(canManageTemplate(user, tpl)).toBe(expected);
+    });
+  });
+
+  describe('instantiateTemplate', () => {
+    let find;
+    let usage;
+
+    beforeEach(() => {
+      const children = [
+        { _id: OWN_CHILD, parent: 'parent1', assignedSpecialist: { _id: 'spec1', center: 'centerA' } },
+        { _id: COLLEAGUE_CHILD, parent: 'parent2', assignedSpecialist: { _id: 'spec2', center: 'centerA' } },
+        { _id: OTHER_CENTER_CHILD, parent: 'parent3', assignedSpecialist: { _id: 'spec3', center: 'centerB' } }
+      ];
+      find = jest.spyOn(Child, 'find').mockImplementation(async ({ _id }) => children.filter(c => _id.$in.includes(c._id)));
+      usage = jest.spyOn(PlanTemplate, 'updateOne').mockResolvedValue({});
+    });
+    afterEach(() => {
+      jest.restoreAllMocks();
+      createPlan.mockClear();
+    });
+
+    const statuses = (results) => results.map(r => [r.childId, r.status]);
+
+    test('creates plans only for the children the user may plan for', async () => {
+      const results = await instantiateTemplate(
+        template(),
+        [OWN_CHILD, COLLEAGUE_CHILD, OTHER_CENTER_CHILD, MISSING_CHILD, 'nope', OWN_CHILD],
+        specialist
+      );
+
+      expect(statuses(results)).toEqual([
+        [OWN_CHILD, 'created'],
+        [COLLEAGUE_CHILD, 'forbidden'],
+        [OTHER_CENTER_CHILD, 'forbidden'],
+        [MISSING_CHILD, 'not_found'],
+        ['nope', 'not_found']
+      ]);
+      expect(find.mock.calls[0][0]._id.$in).not.toContain('nope');
+      expect(results[0].exercise).toEqual({ _id: `plan-${OWN_CHILD}`, child: OWN_CHILD });
+      expect(usage).toHaveBeenCalledWith({ _id: 'tpl1' }, { $inc: { usageCount: 1 } });
+    });
+
+    test('lets a center admin plan for children of the center\'s specialists', async () => {
+      const results = await instantiateTemplate(template(), [OWN_CHILD, COLLEAGUE_CHILD, OTHER_CENTER_CHILD], centerAdmin);
+
+      expect(statuses(results)).toEqual([
+        [OWN_CHILD, 'created'],
+        [COLLEAGUE_CHILD, 'created'],
+        [OTHER_CENTER_CHILD, 'forbidden']
+      ]);
+      expect(usage).toHaveBeenCalledWith({ _id: 'tpl1' }, { $inc: { usageCount: 2 } });
+    });
+
+    test('copies the template content into the plan', async () => {
+      jest.useFakeTimers({ now: new Date('2026-03-01T00:00:00Z') });
+      try {
+        await instantiateTemplate(template({ durationDays: 14 }), [OWN_CHILD], specialist, { sessionName: 'Week 1' });
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(createPlan).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: OWN_CHILD }),
+        {
+          letters: [{ letter: 'ب' }],
+          words: [{ word: 'باب' }],
+          targetDuration: 15,
+          endDate: new Date('2026-03-15T00:00:00Z'),
+          sessionName: 'Week 1'
+        },
+        { author: 'spec1' }
+      );
+    });
+
+    test('leaves the usage count alone when nothing was created', async () => {
+      const results = await instantiateTemplate(template(), [OTHER_CENTER_CHILD, MISSING_CHILD], specialist);
+
+      expect(statuses(results)).toEqual([[OTHER_CENTER_CHILD, 'forbidden'], [MISSING_CHILD, 'not_found']]);
+      expect(createPlan).not.toHaveBeenCalled();
+      expect(usage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const Exercise = require('../models/Exercise');
+const ExerciseVersion = require('../models/ExerciseVersion');
+const { applyPlanChange, diffVersions, validatePlanUpdate, stampPlanVersion } = require('../services/planVersionService');
+
+describe('planVersionService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('applyPlanChange', () => {
+    let update;
+
+    beforeEach(() => {
+      jest.spyOn(ExerciseVersion, 'exists').mockResolvedValue({ _id: 'v1' });
+      jest.spyOn(ExerciseVersion, 'create').mockImplementation(async (fields) => fields);
+      update = jest.spyOn(Exercise, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => ({
+        _id: filter._id, child: 'c1', active: false, ...$set
+      }));
+    });
+
+    test('matches plans stored before versioning (no version field) as version 1', async () => {
+      const result = await applyPlanChange({ _id: 'p1' }, { sessionName: 'B' }, { author: 'u1', expectedVersion: 1 });
+
+      expect(update.mock.calls[0][0]).toEqual({ _id: 'p1', version: { $in: [1, null] } });
+      expect(result.exercise.version).toBe(2);
+      expect(result.version).toMatchObject({ version: 2, reason: 'update', author: 'u1' });
+    });
+
+    test('matches the exact current version later on', async () => {
+      await applyPlanChange({ _id: 'p1', version: 4 }, { sessionName: 'B' }, { author: 'u1', expectedVersion: 4 });
+      expect(update.mock.calls[0][0]).toEqual({ _id: 'p1', version: 4 });
+    });
+
+    test('conflicts when the client edited an older version', async () => {
+      const result = await applyPlanChange({ _id: 'p1', version: 4 }, { sessionName: 'B' }, { author: 'u1', expectedVersion: 3 });
+      expect(result).toEqual({ conflict: true });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    test('conflicts when another write won the race', async () => {
+      update.mockResolvedValue(null);
+      const result = await applyPlanChange({ _id: 'p1', version: 2 }, { sessionName: 'B' }, { author: 'u1', expectedVersion: 2 });
+      expect(result).toEqual({ conflict: true });
+    });
+  });
+
+  describe('validatePlanUpdate', () => {
+    test('rejects unknown fields and duplicate items', () => {
+      const { errors } = validatePlanUpdate({ letters: ['ب', 'ب'], child: 'x' });
+      expect(errors.map(e => e.path)).toEqual(['child', 'letters.1.letter']);
+    });
+
+    test('fills the articulation point of letters', () => {
+      const { changes } = validatePlanUpdate({ letters: ['ب'] });
+      expect(changes.letters).toEqual([{ letter: 'ب', articulationPoint: 'الشفتان' }]);
+    });
+  });
+
+  describe('diffVersions', () => {
+    const base = {
+      sessionName: 'A',
+      targetDuration: 15,
+      endDate: null,
+      letters: [{ letter: 'ب' }, { letter: 'ت', difficulty: 'easy' }],
+      words: [{ word: 'بابا' }]
+    };
+
+    test('is empty for identical snapshots', () => {
+      expect(diffVersions(base, { ...base })).toEqual({});
+    });
+
+    test('reports scalar and date changes', () => {
+      const changes = diffVersions(base, { ...base, sessionName: 'B', endDate: '2026-02-01T00:00:00.000Z' });
+      expect(changes).toEqual({
+        sessionName: { before: 'A', after: 'B' },
+        endDate: { before: null, after: '2026-02-01T00:00:00.000Z' }
+      });
+    });
+
+    test('reports added, removed and changed items', () => {
+      const changes = diffVersions(base, {
+        ...base,
+        letters: [{ letter: 'ت', difficulty: 'hard' }, { letter: 'ث' }]
+      });
+      expect(changes.letters).toEqual({
+        added: ['ث'],
+        removed: ['ب'],
+        changed: [{ letter: 'ت', before: { letter: 'ت', difficulty: 'easy' }, after: { letter: 'ت', difficulty: 'hard' } }]
+      });
+      expect(changes.words).toBeUndefined();
+    });
+
+    test('notices a pure reordering', () => {
+      const changes = diffVersions(base, { ...base, letters: [...base.letters].reverse() });
+      expect(changes.letters).toEqual({ added: [], removed: [], changed: [], reordered: true });
+    });
+  });
+
+  describe('stampPlanVersion', () => {
+    const versions = [
+      { version: 1, createdAt: new Date('2026-03-01T08:00:00Z') },
+      { version: 2, createdAt: new Date('2026-03-05T08:00:00Z') },
+      { version: 3, createdAt: new Date('2026-03-09T08:00:00Z') }
+    ];
+    let versionQuery;
+
+    beforeEach(() => {
+      jest.spyOn(Exercise, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ _id: 'p1' }) }) });
+      jest.spyOn(ExerciseVersion, 'findOne').mockImplementation((filter) => {
+        versionQuery = filter;
+        const found = versions.filter(v => v.createdAt <= filter.createdAt.$lte).pop() || null;
+        return { select: () => ({ sort: () => ({ lean: async () => found }) }) };
+      });
+    });
+
+    test.each([
+      ['before the first recorded version', '2026-02-20T10:00:00Z', 1],
+      ['on version 2', '2026-03-06T10:00:00Z', 2],
+      ['just before an edit', '2026-03-09T07:59:59Z', 2],
+      ['after the latest edit', '2026-03-10T10:00:00Z', 3]
+    ])('a session played %s gets the version current then', async (name, sessionDate, expected) => {
+      const session = { child: 'c1', planExerciseId: 'p1', planVersion: null, sessionDate: new Date(sessionDate) };
+      await stampPlanVersion(session);
+
+      expect(session.planVersion).toBe(expected);
+      expect(versionQuery).toEqual({ exercise: 'p1', createdAt: { $lte: new Date(sessionDate) } });
+    });
+
+    test('keeps a version sent by the client', async () => {
+      const session = { child: 'c1', planExerciseId: 'p1', planVersion: 1, sessionDate: new Date('2026-03-10T10:00:00Z') };
+      await stampPlanVersion(session);
+      expect(session.planVersion).toBe(1);
+      expect(Exercise.findOne).not.toHaveBeenCalled();
+    });
+
+    test('ignores plans of another child', async () => {
+      Exercise.findOne.mockReturnValue({ select: () => ({ lean: async () => null }) });
+      const session = { child: 'c2', planExerciseId: 'p1', planVersion: null, sessionDate: new Date() };
+      await stampPlanVersion(session);
+      expect(session.planVersion).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { VIOLATIONS, getPlayStatus, checkSession } = require('../services/playScheduleService');
+
+const timeZone = 'UTC';
+// A Monday
+const now = new Date('2024-05-13T10:00:00Z');
+const playedToday = [{ sessionDate: new Date('2024-05-13T08:00:00Z'), duration: 60 }];
+
+const childWith = (playSchedule, dailyPlayDuration = 60) => ({ dailyPlayDuration, playSchedule });
+
+describe('play schedule', () => {
+  test('without a schedule the default daily duration does not limit play', () => {
+    const child = childWith({ enabled: false });
+
+    expect(checkSession(child, { sessionDate: now }, { timeZone, sessions: playedToday })).toEqual([]);
+    expect(getPlayStatus(child, { timeZone, sessions: playedToday, now })).toMatchObject({
+      allowed: true,
+      reason: null,
+      dailyLimitMinutes: null,
+      remainingMinutes: null,
+      minutesPlayedToday: 60
+    });
+  });
+
+  test('an enabled schedule applies the daily limit', () => {
+    const child = childWith({ enabled: true, windows: [] });
+
+    expect(checkSession(child, { sessionDate: now }, { timeZone, sessions: playedToday }))
+      .toEqual([VIOLATIONS.DAILY_LIMIT_REACHED]);
+    expect(getPlayStatus(child, { timeZone, sessions: playedToday, now })).toMatchObject({
+      allowed: false,
+      reason: VIOLATIONS.DAILY_LIMIT_REACHED,
+      dailyLimitMinutes: 60,
+      remainingMinutes: 0
+    });
+  });
+
+  test('the session\'s own duration counts towards the limit', () => {
+    const child = childWith({ enabled: true });
+    const played = [{ sessionDate: new Date('2024-05-13T08:00:00Z'), duration: 50 }];
+
+    expect(checkSession(child, { sessionDate: now, duration: 10 }, { timeZone, sessions: played })).toEqual([]);
+    expect(checkSession(child, { sessionDate: now, duration: 120 }, { timeZone, sessions: played }))
+      .toEqual([VIOLATIONS.DAILY_LIMIT_REACHED]);
+    expect(checkSession(child, { sessionDate: now, duration: 120 }, { timeZone, sessions: [] }))
+      .toEqual([VIOLATIONS.DAILY_LIMIT_REACHED]);
+  });
+
+  test('the limit counts only the family\'s local day', () => {
+    const child = childWith({ enabled: true }, 30);
+    const yesterday = [{ sessionDate: new Date('2024-05-12T20:00:00Z'), duration: 60 }];
+
+    expect(checkSession(child, { sessionDate: now }, { timeZone, sessions: yesterday })).toEqual([]);
+    expect(checkSession(child, { sessionDate: now }, { timeZone: 'Asia/Tokyo', sessions: yesterday }))
+      .toEqual([VIOLATIONS.DAILY_LIMIT_REACHED]);
+  });
+
+  test('flags sessions outside the allowed windows and days', () => {
+    const child = childWith({ enabled: true, allowedDays: [1], windows: [{ start: '16:00', end: '18:00' }] });
+
+    expect(checkSession(child, { sessionDate: now }, { timeZone })).toEqual([VIOLATIONS.OUTSIDE_SCHEDULE]);
+    expect(checkSession(child, { sessionDate: new Date('2024-05-13T16:30:00Z') }, { timeZone })).toEqual([]);
+    expect(checkSession(child, { sessionDate: new Date('2024-05-14T16:30:00Z') }, { timeZone }))
+      .toEqual([VIOLATIONS.OUTSIDE_SCHEDULE]);
+
+    const status = getPlayStatus(child, { timeZone, now });
+    expect(status.reason).toBe(VIOLATIONS.OUTSIDE_SCHEDULE);
+    expect(status.nextWindow).toMatchObject({ start: '16:00', startsAt: new Date('2024-05-13T16:00:00Z') });
+  });
+});
@@ -0,0 +1,161 @@
+const User = require('../models/User');
+const Child = require('../models/Child');
+const {
+  ACTIONS,
+  RELATIONS,
+  POLICY,
+  DEVICE_ACTIONS,
+  relationsFor,
+  isAllowed,
+  canAccessChild,
+  accessibleChildrenFilter,
+  accessibleChildIds
+} = require('../services/policy');
+
+const { PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN } = RELATIONS;
+const ALL_ACTIONS = Object.values(ACTIONS);
+
+// The matrix the product asks for, written out independently of POLICY
+const EXPECTED = {
+  [ACTIONS.CHILD_READ]: [PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.CHILD_UPDATE]: [PARENT, SPECIALIST, SUPERADMIN],
+  [ACTIONS.CHILD_DELETE]: [PARENT, SUPERADMIN],
+  [ACTIONS.PROGRESS_READ]: [PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.PROGRESS_WRITE]: [PARENT],
+  [ACTIONS.CONTENT_READ]: [PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.CONTENT_WRITE]: [SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.PLAN_READ]: [PARENT, SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.PLAN_WRITE]: [SPECIALIST, CENTER_ADMIN, SUPERADMIN],
+  [ACTIONS.DEVICE_MANAGE]: [PARENT],
+  [ACTIONS.AUDIO_LISTEN]: [PARENT, SPECIALIST]
+};
+
+const PARENT_ID = 'parent1';
+const SPECIALIST_ID = 'spec1';
+const child = { _id: 'child1', parent: PARENT_ID, assignedSpecialist: SPECIALIST_ID };
+
+// One user per (role, relation to `child`)
+const USERS = {
+  'parent (own child)': { user: { _id: PARENT_ID, role: 'parent' }, relation: PARENT },
+  'parent (other child)': { user: { _id: 'parent2', role: 'parent' }, relation: null },
+  'specialist (assigned)': { user: { _id: SPECIALIST_ID, role: 'specialist', center: 'centerA' }, relation: SPECIALIST },
+  'specialist (same center, not assigned)': { user: { _id: 'spec2', role: 'specialist', center: 'centerA' }, relation: null },
+  'admin (specialist\'s center)': { user: { _id: 'admin1', role: 'admin', center: 'centerA' }, relation: CENTER_ADMIN },
+  'admin (other center)': { user: { _id: 'admin2', role: 'admin', center: 'centerB' }, relation: null },
+  'admin (no center)': { user: { _id: 'admin3', role: 'admin' }, relation: null },
+  superadmin: { user: { _id: 'super1', role: 'superadmin' }, relation: SUPERADMIN }
+};
+
+const cases = [];
+for (const [name, { user, relation }] of Object.entries(USERS)) {
+  for (const action of ALL_ACTIONS) {
+    cases.push([name, action, !!relation && EXPECTED[action].includes(relation), user, relation]);
+  }
+}
+
+describe('policy', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('covers every action', () => {
+    expect(Object.keys(POLICY).sort()).toEqual(ALL_ACTIONS.sort());
+    expect(POLICY).toEqual(EXPECTED);
+  });
+
+  test('devices may only read and post progress for their child', () => {
+    expect(DEVICE_ACTIONS.sort()).toEqual([
+      ACTIONS.CHILD_READ, ACTIONS.CONTENT_READ, ACTIONS.PLAN_READ, ACTIONS.PROGRESS_WRITE
+    ].sort());
+  });
+
+  describe('relationsFor', () => {
+    test.each(Object.entries(USERS))('%s', (name, { user, relation }) => {
+      const relations = relationsFor(user, child, { specialistCenter: 'centerA' });
+      expect([...relations]).toEqual(relation ? [relation] : []);
+    });
+
+    test('an admin assigned to the child is both specialist and center admin', () => {
+      const admin = { _id: 'admin1', role: 'admin', center: 'centerA' };
+      const relations = relationsFor(admin, { ...child, assignedSpecialist: 'admin1' }, { specialistCenter: 'centerA' });
+      expect([...relations].sort()).toEqual([CENTER_ADMIN, SPECIALIST].sort());
+    });
+
+    test('a child without a specialist has no center admin', () => {
+      const admin = USERS["admin (specialist's center)"].user;
+      expect(relationsFor(admin, { ...child, assignedSpecialist: null }).size).toBe(0);
+    });
+
+    test('accepts populated references', () => {
+      const populated = { parent: { _id: PARENT_ID }, assignedSpecialist: { _id: SPECIALIST_ID } };
+      expect(relationsFor({ _id: PARENT_ID, role: 'parent' }, populated).has(PARENT)).toBe(true);
+    });
+
+    test('is empty without a user or child', () => {
+      expect(relationsFor(null, child).size).toBe(0);
+      expect(relationsFor({ _id: 'x', role: 'superadmin' }, null).size).toBe(0);
+    });
+  });
+
+  describe('isAllowed', () => {
+    test.each(
+      Object.values(RELATIONS).flatMap(relation => ALL_ACTIONS.map(action => [relation, action, EXPECTED[action].includes(relation)]))
+    )('%s / %s -> %p', (relation, action, allowed) => {
+      expect(isAllowed(new Set([relation]), action)).toBe(allowed);
+    });
+
+    test('nobody without a relation', () => {
+      for (const action of ALL_ACTIONS) expect(isAllowed(new Set(), action)).toBe(false);
+    });
+
+    test('throws on unknown actions', () => {
+      expect(() => isAllowed(new Set([SUPERADMIN]), 'child:fly')).toThrow('Unknown policy action');
+    });
+  });
+
+  describe('canAccessChild', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: () => ({ lean: async () => ({ _id: SPECIALIST_ID, center: 'centerA' }) })
+      });
+    });
+
+    test.each(cases)('%s / %s -> %p', async (name, action, allowed, user) => {
+      await expect(canAccessChild(user, action, child)).resolves.toBe(allowed);
+    });
+
+    test('uses the populated specialist center without a lookup', async () => {
+      const admin = USERS["admin (specialist's center)"].user;
+      const populated = { ...child, assignedSpecialist: { _id: SPECIALIST_ID, center: 'centerA' } };
+
+      await expect(canAccessChild(admin, ACTIONS.PLAN_WRITE, populated)).resolves.toBe(true);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('accessibleChildIds', () => {
+    let filters;
+
+    beforeEach(() => {
+      filters = [];
+      jest.spyOn(Child, 'find').mockImplementation((filter) => {
+        filters.push(filter);
+        return { select: () => ({ lean: async () => [{ _id: 'child1' }] }) };
+      });
+      jest.spyOn(User, 'find').mockReturnValue({
+        select: () => ({ lean: async () => [{ _id: 'spec1' }, { _id: 'spec2' }] })
+      });
+    });
+
+    test.each([
+      ['superadmin', { _id: 'super1', role: 'superadmin' }, {}],
+      ['parent', { _id: 'parent1', role: 'parent' }, { parent: 'parent1' }],
+      ['specialist', { _id: 'spec1', role: 'specialist' }, { assignedSpecialist: 'spec1' }],
+      ['admin with center', { _id: 'admin1', role: 'admin', center: 'centerA' }, { assignedSpecialist: { $in: ['admin1', 'spec1', 'spec2'] } }],
+      ['admin without center', { _id: 'admin3', role: 'admin' }, { assignedSpecialist: 'admin3' }],
+      ['unknown role', { _id: 'x', role: 'robot' }, { _id: null }]
+    ])('%s', async (name, user, expected) => {
+      await expect(accessibleChildrenFilter(user)).resolves.toEqual(expected);
+      await expect(accessibleChildIds(user)).resolves.toEqual(['child1']);
+      expect(filters[0]).toEqual(expected);
+    });
+  });
+});
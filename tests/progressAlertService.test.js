@@ -0,0 +1,95 @@
+const {
+  ALERT_TYPES,
+  DEFAULT_THRESHOLDS,
+  thresholdsFor,
+  parseAlertSettings,
+  detectAlerts
+} = require('../services/progressAlertService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2024-05-20T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * DAY);
+const session = (days, averageScore, totalAttempts = 10, successfulAttempts = 8) =>
+  ({ sessionDate: daysAgo(days), averageScore, totalAttempts, successfulAttempts });
+const typesOf = (alerts) => alerts.map(a => a.type);
+
+describe('detectAlerts', () => {
+  const limits = { ...DEFAULT_THRESHOLDS };
+
+  test('nothing for steady progress', () => {
+    const sessions = [session(10, 80), session(9, 82), session(2, 81)];
+    expect(detectAlerts({ sessions, lastSessionAt: daysAgo(2) }, limits, now)).toEqual([]);
+  });
+
+  test('score regression against the previous window', () => {
+    const sessions = [session(10, 80), session(9, 80), session(2, 60)];
+    const alerts = detectAlerts({ sessions }, limits, now);
+    expect(alerts).toContainEqual({
+      type: ALERT_TYPES.SCORE_REGRESSION,
+      details: { previousAverage: 80, recentAverage: 60, windowDays: 7 }
+    });
+  });
+
+  test('success rate drop against the previous window', () => {
+    const sessions = [session(10, 80, 10, 9), session(9, 80, 10, 9), session(2, 80, 10, 5)];
+    expect(detectAlerts({ sessions }, limits, now)).toEqual([{
+      type: ALERT_TYPES.SUCCESS_RATE_DROP,
+      details: { previousRate: 90, recentRate: 50, windowDays: 7 }
+    }]);
+  });
+
+  test('needs two earlier sessions and a recent one to compare', () => {
+    expect(detectAlerts({ sessions: [session(10, 90), session(2, 10)] }, limits, now)).toEqual([]);
+    expect(detectAlerts({ sessions: [session(10, 90), session(9, 90)] }, limits, now)).toEqual([]);
+    // Older than two windows
+    expect(detectAlerts({ sessions: [session(20, 90), session(19, 90), session(2, 10)] }, limits, now)).toEqual([]);
+  });
+
+  test.each([
+    [6, []],
+    [7, [ALERT_TYPES.INACTIVITY]],
+    [30, [ALERT_TYPES.INACTIVITY]]
+  ])('inactivity after %i days -> %p', (days, expected) => {
+    expect(typesOf(detectAlerts({ lastSessionAt: daysAgo(days) }, limits, now))).toEqual(expected);
+  });
+
+  test('no inactivity alert for a child who never played', () => {
+    expect(detectAlerts({ lastSessionAt: null }, limits, now)).toEqual([]);
+  });
+
+  test('repeated failures count the trailing run per target', () => {
+    const fail = (letter) => ({ letter, success: false });
+    const attempts = [
+      ...Array(5).fill(fail('ر')),
+      ...Array(4).fill(fail('س')), { letter: 'س', success: true }, fail('س'),
+      { letter: 'ش', word: 'شمس', success: false }, ...Array(4).fill({ word: 'شمس', success: false })
+    ];
+    expect(detectAlerts({ attempts }, limits, now)).toEqual([
+      { type: ALERT_TYPES.REPEATED_FAILURES, target: 'ر', details: { consecutiveFailures: 5 } },
+      { type: ALERT_TYPES.REPEATED_FAILURES, target: 'شمس', details: { consecutiveFailures: 5 } }
+    ]);
+  });
+
+  test('uses the given thresholds', () => {
+    const sessions = [session(4, 80), session(3, 80), session(0.5, 75)];
+    expect(detectAlerts({ sessions }, { ...limits, windowDays: 2, scoreDrop: 5 }, now).map(a => a.type))
+      .toEqual([ALERT_TYPES.SCORE_REGRESSION]);
+  });
+});
+
+describe('alert settings', () => {
+  test('overrides only the configured thresholds', () => {
+    expect(thresholdsFor({ alertSettings: { scoreDrop: 5, windowDays: null } }))
+      .toEqual({ ...DEFAULT_THRESHOLDS, scoreDrop: 5 });
+    expect(thresholdsFor(null)).toEqual(DEFAULT_THRESHOLDS);
+  });
+
+  test.each([
+    [{ enabled: false, scoreDrop: 10, windowDays: null }, { update: { enabled: false, scoreDrop: 10, windowDays: null } }],
+    [{ enabled: 'no' }, { error: 'enabled must be true or false' }],
+    [{ repeatedFailures: 1 }, { error: 'repeatedFailures must be a whole number between 2 and 50, or null' }],
+    [{ inactivityDays: 2.5 }, { error: 'inactivityDays must be a whole number between 1 and 365, or null' }]
+  ])('parseAlertSettings(%p)', (body, expected) => {
+    expect(parseAlertSettings(body)).toEqual(expected);
+  });
+});
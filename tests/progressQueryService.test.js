@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parseProgressQuery
+} = require('../services/progressQueryService');
+
+const ID = '64b000000000000000000001';
+
+describe('progressQueryService', () => {
+  describe('parseProgressQuery', () => {
+    test('defaults to the newest page first at the default size', () => {
+      expect(parseProgressQuery({})).toEqual({ from: null, to: null, limit: DEFAULT_PAGE_SIZE.sessions, order: 'desc' });
+      expect(parseProgressQuery({}, { kind: 'attempts' }).limit).toBe(DEFAULT_PAGE_SIZE.attempts);
+    });
+
+    test('parses every filter', () => {
+      const options = parseProgressQuery({
+        from: '2026-03-01',
+        to: '2026-03-31',
+        planExerciseId: ID,
+        planSessionIndex: '0',
+        target: ' ب ',
+        targetType: 'letter',
+        success: 'false',
+        limit: '10',
+        order: 'ASC'
+      });
+
+      expect(options).toMatchObject({
+        from: new Date('2026-03-01'),
+        to: new Date('2026-03-31'),
+        planSessionIndex: 0,
+        target: 'ب',
+        targetType: 'letter',
+        success: false,
+        limit: 10,
+        order: 'asc'
+      });
+      expect(options.planExerciseId).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(String(options.planExerciseId)).toBe(ID);
+    });
+
+    test.each([
+      ['0', 1],
+      ['-5', 1],
+      ['1000', MAX_PAGE_SIZE],
+      ['abc', DEFAULT_PAGE_SIZE.sessions]
+    ])('limit %p -> %p', (limit, expected) => {
+      expect(parseProgressQuery({ limit }).limit).toBe(expected);
+    });
+
+    test.each([
+      [{ from: 'yesterday' }, 'from and to must be ISO dates'],
+      [{ from: '2026-03-02', to: '2026-03-01' }, 'from must be before to'],
+      [{ planExerciseId: 'nope' }, 'Invalid planExerciseId'],
+      [{ planSessionIndex: '-1' }, 'planSessionIndex must be a non-negative integer'],
+      [{ planSessionIndex: '1.5' }, 'planSessionIndex must be a non-negative integer'],
+      [{ target: 'ب', targetType: 'sentence' }, 'targetType must be letter, word or vowel'],
+      [{ targetType: 'letter' }, 'targetType requires target'],
+      [{ success: 'yes' }, 'success must be true or false'],
+      [{ order: 'newest' }, 'order must be asc or desc'],
+      [{ cursor: 'garbage' }, 'Invalid cursor']
+    ])('%j is rejected', (query, error) => {
+      expect(parseProgressQuery(query)).toEqual({ error });
+    });
+  });
+
+  describe('cursors', () => {
+    test('round-trip the date and id', () => {
+      const date = new Date('2026-03-01T12:00:00.000Z');
+      const cursor = encodeCursor(date, ID);
+
+      expect(cursor).not.toMatch(/[+/=]/);
+      const decoded = decodeCursor(cursor);
+      expect(decoded.date).toEqual(date);
+      expect(String(decoded.id)).toBe(ID);
+      expect(parseProgressQuery({ cursor }).cursor).toEqual(decoded);
+    });
+
+    test.each([
+      ['not base64 json', 'garbage'],
+      ['bad date', Buffer.from(JSON.stringify({ d: 'never', id: ID })).toString('base64url')],
+      ['bad id', Buffer.from(JSON.stringify({ d: '2026-03-01T12:00:00.000Z', id: 'x' })).toString('base64url')]
+    ])('%s decodes to null', (name, cursor) => {
+      expect(decodeCursor(cursor)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    allowDevice: pass,
+    protect: (req, res, next) => {
+      req.user = { _id: 'parent1', role: 'parent' };
+      next();
+    },
+    authorize: () => pass,
+    authorizeChild: () => (req, res, next) => {
+      req.child = { _id: '64b000000000000000000001', parent: 'parent1', name: 'Layla', playSchedule: { enabled: false } };
+      next();
+    }
+  };
+});
+
+jest.mock('../services/progressService', () => ({
+  ...jest.requireActual('../services/progressService'),
+  saveNewSession: jest.fn(async ({ session }, options) => Object.assign(session, options)),
+  recentSessions: jest.fn(async () => []),
+  findSessionsWithAttempts: jest.fn()
+}));
+
+jest.mock('../services/playScheduleService', () => ({
+  ...jest.requireActual('../services/playScheduleService'),
+  familyTimeZone: jest.fn(async () => 'UTC')
+}));
+
+jest.mock('../services/adaptiveService', () => ({
+  refreshAdaptiveSafely: jest.fn(async () => {})
+}));
+
+const mongoose = require('mongoose');
+const express = require('express');
+const request = require('supertest');
+const Progress = require('../models/Progress');
+const Session = require('../models/Session');
+const { saveNewSession, findSessionsWithAttempts } = require('../services/progressService');
+const { settledCursor } = require('../services/progressSyncService');
+const progressRoutes = require('../routes/progress');
+
+const CHILD_ID = '64b000000000000000000001';
+const START = new Date('2026-03-01T12:00:00.000Z');
+
+// Just enough of a MongoDB filter to run the pull queries against rows
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(f => matches(doc, f));
+    if (key === '$or') return condition.some(f => matches(doc, f));
+    const value = doc[key] ?? null;
+    const comparable = (v) => (v instanceof Date ? v.getTime() : v === null ? null : String(v));
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && Object.keys(condition).some(k => k.startsWith('$'))) {
+      return Object.entries(condition).every(([op, operand]) => {
+        if (op === '$ne') return comparable(value) !== comparable(operand);
+        if (value === null) return false;
+        if (op === '$gt') return comparable(value) > comparable(operand);
+        if (op === '$lt') return comparable(value) < comparable(operand);
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    }
+    return comparable(value) === comparable(condition);
+  });
+}
+
+describe('progress routes', () => {
+  let app;
+  let stored;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Progress, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }), then: (resolve) => resolve(null) });
+
+    stored = [];
+    saveNewSession.mockImplementation(async ({ session }, options) => {
+      Object.assign(session, options);
+      stored.push(session.toObject());
+      return session;
+    });
+    findSessionsWithAttempts.mockImplementation(async (filter) => stored.filter(s => matches(s, filter)));
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/progress', progressRoutes);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('a session added with POST /session reaches devices pulling with a cursor', async () => {
+    // Another device synced earlier and holds this cursor
+    const cursor = settledCursor(START);
+
+    jest.setSystemTime(new Date(START.getTime() + 60 * 1000));
+    const added = await request(app)
+      .post('/api/progress/session')
+      .send({ childId: CHILD_ID, sessionData: { sessionDate: new Date(START.getTime() + 30 * 1000), duration: 5, attempts: [] } });
+    expect(added.status).toBe(200);
+    expect(saveNewSession.mock.calls[0][1].syncedAt).toEqual(new Date(START.getTime() + 60 * 1000));
+
+    jest.setSystemTime(new Date(START.getTime() + 5 * 60 * 1000));
+    const pulled = await request(app).get(`/api/progress/sync/${CHILD_ID}`).query({ since: cursor });
+
+    expect(pulled.status).toBe(200);
+    expect(pulled.body.sessions.map(s => String(s._id))).toEqual([String(added.body.sessionId)]);
+  });
+
+  describe('GET /sessions/:childId paging', () => {
+    // Three sessions share each of the first two dates; ids are not in date order
+    const at = (minutes) => new Date(START.getTime() + minutes * 60 * 1000);
+    const rows = [
+      ['64c000000000000000000005', at(0)],
+      ['64c000000000000000000002', at(0)],
+      ['64c000000000000000000007', at(0)],
+      ['64c000000000000000000001', at(10)],
+      ['64c000000000000000000006', at(10)],
+      ['64c000000000000000000003', at(10)],
+      ['64c000000000000000000004', at(20)]
+    ].map(([id, sessionDate]) => ({ _id: new mongoose.Types.ObjectId(id), child: CHILD_ID, sessionDate, duration: 60 }));
+
+    const chronological = [...rows]
+      .sort((a, b) => a.sessionDate - b.sessionDate || String(a._id).localeCompare(String(b._id)))
+      .map(s => String(s._id));
+
+    beforeEach(() => {
+      jest.spyOn(Session, 'find').mockImplementation((filter) => {
+        let sortSpec = {};
+        let limit = Infinity;
+        const compare = (a, b) => {
+          for (const [field, direction] of Object.entries(sortSpec)) {
+            const x = a[field] instanceof Date ? a[field].getTime() : String(a[field]);
+            const y = b[field] instanceof Date ? b[field].getTime() : String(b[field]);
+            if (x !== y) return (x < y ? -1 : 1) * direction;
+          }
+          return 0;
+        };
+        const query = {
+          sort: (spec) => { sortSpec = spec; return query; },
+          limit: (n) => { limit = n; return query; },
+          lean: async () => rows.filter(r => matches(r, filter)).sort(compare).slice(0, limit)
+        };
+        return query;
+      });
+    });
+
+    async function pages(order) {
+      const result = [];
+      let cursor;
+      do {
+        const res = await request(app)
+          .get(`/api/progress/sessions/${CHILD_ID}`)
+          .query({ order, limit: 2, ...(cursor && { cursor }) });
+        expect(res.status).toBe(200);
+        result.push(res.body.sessions.map(s => s.sessionId));
+        cursor = res.body.pagination.nextCursor;
+      } while (cursor && result.length <= rows.length);
+      return result;
+    }
+
+    test('newest-first pages are each returned oldest first', async () => {
+      const result = await pages('desc');
+
+      expect(result).toEqual([
+        chronological.slice(5, 7),
+        chronological.slice(3, 5),
+        chronological.slice(1, 3),
+        chronological.slice(0, 1)
+      ]);
+    });
+
+    test.each(['asc', 'desc'])('%s paging over equal dates neither skips nor repeats', async (order) => {
+      const result = await pages(order);
+      const seen = (order === 'desc' ? [...result].reverse() : result).flat();
+
+      expect(seen).toEqual(chronological);
+    });
+  });
+});
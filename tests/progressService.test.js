@@ -0,0 +1,79 @@
+jest.mock('../services/masteryService', () => ({ refreshMastery: jest.fn(async () => {}) }));
+jest.mock('../services/audioService', () => ({
+  removeAudioFiles: jest.fn(),
+  deleteAudioForChildren: jest.fn(async () => {})
+}));
+
+const mongoose = require('mongoose');
+const Progress = require('../models/Progress');
+const Session = require('../models/Session');
+const Attempt = require('../models/Attempt');
+const Exercise = require('../models/Exercise');
+const ExerciseVersion = require('../models/ExerciseVersion');
+const { deleteAudioForChildren } = require('../services/audioService');
+const { buildSessionDocs, replaceSession, deleteProgressForChildren } = require('../services/progressService');
+
+const CHILD_ID = new mongoose.Types.ObjectId();
+const PLAN_ID = new mongoose.Types.ObjectId();
+
+describe('replaceSession', () => {
+  beforeEach(() => {
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function () { return this; });
+    jest.spyOn(Attempt, 'find').mockReturnValue({ select: () => ({ sort: () => ({ lean: async () => [] }) }) });
+    jest.spyOn(Attempt, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Attempt, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(Progress, 'findOneAndUpdate').mockResolvedValue({
+      _id: 'progress1',
+      overallStats: { totalSessions: 1, totalAttempts: 0, successRate: 0, averageScore: 0 },
+      totals: { successfulAttempts: 0, averageScoreSum: 0 }
+    });
+    // The plan has been edited to version 3 since the session was played
+    jest.spyOn(Exercise, 'findOne').mockReturnValue({ select: () => ({ lean: async () => ({ _id: PLAN_ID, version: 3 }) }) });
+    jest.spyOn(ExerciseVersion, 'findOne').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: async () => ({ version: 3 }) }) })
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a re-synced session keeps the plan version it was played on', async () => {
+    const payload = { sessionDate: new Date('2026-03-02T10:00:00Z'), duration: 10, planExerciseId: PLAN_ID, attempts: [] };
+    const existing = new Session({ ...payload, child: CHILD_ID, planVersion: 2 });
+    const docs = buildSessionDocs(CHILD_ID, { ...payload, duration: 12 });
+
+    await replaceSession(existing, docs, { syncedAt: new Date() });
+
+    expect(existing.duration).toBe(12);
+    expect(existing.planVersion).toBe(2);
+    expect(ExerciseVersion.findOne).not.toHaveBeenCalled();
+  });
+
+  test('a session moved to another plan is stamped again', async () => {
+    const existing = new Session({ sessionDate: new Date('2026-03-02T10:00:00Z'), child: CHILD_ID, planVersion: 2 });
+    const docs = buildSessionDocs(CHILD_ID, { sessionDate: existing.sessionDate, planExerciseId: PLAN_ID, attempts: [] });
+
+    await replaceSession(existing, docs, { syncedAt: new Date() });
+
+    expect(existing.planVersion).toBe(3);
+  });
+});
+
+describe('deleteProgressForChildren', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('removes recordings and every progress record of the children', async () => {
+    const deleted = [];
+    for (const name of ['Attempt', 'Mastery', 'ProgressAlert', 'ScoringJob', 'Session', 'Progress']) {
+      jest.spyOn(mongoose.model(name), 'deleteMany').mockImplementation(async (filter) => {
+        deleted.push([name, filter]);
+        return {};
+      });
+    }
+
+    await deleteProgressForChildren([CHILD_ID]);
+
+    expect(deleteAudioForChildren).toHaveBeenCalledWith([CHILD_ID]);
+    expect(deleted.map(([name]) => name).sort()).toEqual(['Attempt', 'Mastery', 'Progress', 'ProgressAlert', 'ScoringJob', 'Session']);
+    for (const [, filter] of deleted) expect(filter).toEqual({ child: { $in: [CHILD_ID] } });
+  });
+});
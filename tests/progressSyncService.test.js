@@ -0,0 +1,154 @@
+jest.mock('../services/progressService', () => ({
+  buildSessionDocs: jest.fn(),
+  saveNewSession: jest.fn(),
+  replaceSession: jest.fn(),
+  findSessionsWithAttempts: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Attempt = require('../models/Attempt');
+const { buildSessionDocs, saveNewSession, replaceSession, findSessionsWithAttempts } = require('../services/progressService');
+const { decodeCursor, encodeCursor } = require('../services/progressQueryService');
+const {
+  SYNC_STATUS,
+  applySyncBatch,
+  settledCursor,
+  parseSyncCursor,
+  parsePullLimit,
+  sessionsSince
+} = require('../services/progressSyncService');
+
+const NOW = new Date('2026-03-01T12:00:00.000Z');
+const SETTLED = new Date(NOW.getTime() - 15 * 1000);
+
+const id = () => new mongoose.Types.ObjectId();
+const session = (syncedAt) => ({ _id: id(), syncedAt: syncedAt && new Date(syncedAt), attempts: [] });
+
+describe('progressSyncService pulls', () => {
+  afterEach(() => findSessionsWithAttempts.mockReset());
+
+  describe('cursors', () => {
+    test('reads cursors and legacy ISO dates', () => {
+      const cursor = encodeCursor('2026-03-01T10:00:00Z', id());
+      expect(parseSyncCursor(cursor)).toEqual(decodeCursor(cursor));
+
+      const legacy = parseSyncCursor('2026-03-01T10:00:00Z');
+      expect(legacy.date.toISOString()).toBe('2026-03-01T10:00:00.000Z');
+      expect(String(legacy.id)).toBe('000000000000000000000000');
+
+      expect(parseSyncCursor(undefined)).toBeNull();
+      expect(parseSyncCursor('not a cursor')).toBeUndefined();
+    });
+
+    test('a sync hands out a cursor before the settle time', () => {
+      expect(decodeCursor(settledCursor(NOW)).date).toEqual(SETTLED);
+    });
+
+    test('clamps the page size', () => {
+      expect(parsePullLimit(undefined)).toBe(50);
+      expect(parsePullLimit('0')).toBe(50);
+      expect(parsePullLimit('20')).toBe(20);
+      expect(parsePullLimit('5000')).toBe(200);
+    });
+  });
+
+  describe('sessionsSince', () => {
+    test('only returns settled writes and pages by (syncedAt, _id)', async () => {
+      const rows = [session('2026-03-01T11:00:00Z'), session('2026-03-01T11:00:00Z'), session('2026-03-01T11:30:00Z')];
+      findSessionsWithAttempts.mockResolvedValue(rows.slice());
+      const since = parseSyncCursor('2026-03-01T10:00:00Z');
+
+      const page = await sessionsSince('c1', since, { limit: 2, now: NOW });
+
+      const [filter, options] = findSessionsWithAttempts.mock.calls[0];
+      expect(options).toEqual({ sort: { syncedAt: 1, _id: 1 }, limit: 3 });
+      expect(filter.$and[0]).toEqual({ syncedAt: { $ne: null, $lt: SETTLED } });
+      expect(filter.$and[1].$or[0]).toEqual({ syncedAt: { $gt: since.date } });
+
+      expect(page.sessions).toEqual(rows.slice(0, 2));
+      expect(page.hasMore).toBe(true);
+      expect(decodeCursor(page.cursor)).toEqual({ date: rows[1].syncedAt, id: rows[1]._id });
+    });
+
+    test('moves the cursor to the settled instant after the last page', async () => {
+      findSessionsWithAttempts.mockResolvedValue([session('2026-03-01T11:00:00Z')]);
+
+      const page = await sessionsSince('c1', null, { limit: 2, now: NOW });
+
+      expect(page.hasMore).toBe(false);
+      expect(decodeCursor(page.cursor).date).toEqual(SETTLED);
+      // A full read also covers sessions that were never synced
+      expect(findSessionsWithAttempts.mock.calls[0][0].$or[0]).toEqual({ syncedAt: null });
+    });
+
+    test('pages through legacy sessions without syncedAt in a full read', async () => {
+      const rows = [session(null), session(null)];
+      findSessionsWithAttempts.mockResolvedValue(rows.slice());
+
+      const first = await sessionsSince('c1', null, { limit: 1, now: NOW });
+      const cursor = parseSyncCursor(first.cursor);
+      expect(cursor.date.getTime()).toBe(0);
+
+      findSessionsWithAttempts.mockResolvedValue([]);
+      await sessionsSince('c1', cursor, { limit: 1, now: NOW });
+      expect(findSessionsWithAttempts.mock.calls[1][0].$or[0]).toEqual({ syncedAt: null, _id: { $gt: rows[0]._id } });
+    });
+  });
+});
+
+describe('progressSyncService re-sent sessions', () => {
+  const child = { _id: new mongoose.Types.ObjectId(), playSchedule: { enabled: true }, dailyPlayDuration: 60 };
+  const sessionDate = new Date('2026-03-01T10:00:00Z');
+  let stored;
+  let earlier;
+
+  beforeEach(() => {
+    buildSessionDocs.mockImplementation(jest.requireActual('../services/progressService').buildSessionDocs);
+    replaceSession.mockImplementation(async (existing, docs, { scheduleViolations }) => {
+      existing.set({ duration: docs.session.duration, scheduleViolations });
+      return existing;
+    });
+
+    stored = new Session({ child: child._id, clientSessionId: 'a', sessionDate, duration: 10 });
+    earlier = { _id: new mongoose.Types.ObjectId(), sessionDate: new Date('2026-03-01T08:00:00Z'), duration: 40 };
+    jest.spyOn(Session, 'find').mockImplementation((filter) => (filter.clientSessionId
+      ? Promise.resolve([stored])
+      : { select: () => ({ lean: async () => [earlier, { _id: stored._id, sessionDate, duration: stored.duration }] }) }));
+    jest.spyOn(Attempt, 'find').mockReturnValue({ sort: () => ({ lean: async () => [] }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    buildSessionDocs.mockReset();
+    replaceSession.mockReset();
+    saveNewSession.mockReset();
+  });
+
+  const resend = (duration, enforced) => applySyncBatch(
+    child,
+    [{ clientSessionId: 'a', sessionDate, duration, attempts: [] }],
+    { timeZone: 'UTC', enforced }
+  );
+
+  test('an update within the daily limit is applied', async () => {
+    const summary = await resend(15, true);
+    expect(summary.results[0].status).toBe(SYNC_STATUS.UPDATED);
+    // The stored version of the same session does not count against itself
+    expect(replaceSession.mock.calls[0][2].scheduleViolations).toEqual([]);
+  });
+
+  test('an update past an enforced daily limit is rejected', async () => {
+    const summary = await resend(120, true);
+    expect(summary.results[0]).toMatchObject({ status: SYNC_STATUS.REJECTED, violations: ['daily_limit_reached'] });
+    expect(summary.rejected).toBe(1);
+    expect(replaceSession).not.toHaveBeenCalled();
+  });
+
+  test('an update past a non-enforced daily limit is stored and flagged', async () => {
+    const summary = await resend(120, false);
+    expect(summary.results[0]).toMatchObject({ status: SYNC_STATUS.UPDATED, violations: ['daily_limit_reached'] });
+    expect(summary.flagged).toBe(1);
+    expect(stored.scheduleViolations).toEqual(['daily_limit_reached']);
+  });
+});
@@ -0,0 +1,48 @@
+const Mastery = require('../models/Mastery');
+const { masteryTargets } = require('../services/reportService');
+
+describe('masteryTargets', () => {
+  const from = new Date('2024-05-01T00:00:00Z');
+  const to = new Date('2024-05-31T23:59:59Z');
+  let query;
+
+  beforeEach(() => {
+    jest.spyOn(Mastery, 'find').mockImplementation((filter) => {
+      query = filter;
+      return {
+        select: () => ({
+          sort: () => ({
+            lean: async () => [
+              { targetType: 'letter', target: 'ب', status: 'mastered' },
+              { targetType: 'letter', target: 'ر', status: 'challenging' },
+              { targetType: 'word', target: 'باب', status: 'mastered' },
+              { targetType: 'word', target: 'شمس', status: 'challenging' }
+            ]
+          })
+        })
+      };
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('lists targets by their Mastery status', async () => {
+    await expect(masteryTargets('child1', { from, to })).resolves.toEqual({
+      masteredLetters: ['ب'],
+      masteredWords: ['باب'],
+      challengingLetters: ['ر'],
+      challengingWords: ['شمس']
+    });
+  });
+
+  test('limits targets to the report period', async () => {
+    await masteryTargets('child1', { from, to });
+    expect(query).toEqual({
+      child: 'child1',
+      $or: [
+        { status: 'mastered', masteredAt: { $lte: to } },
+        { status: 'challenging', lastAttemptAt: { $gte: from, $lte: to } }
+      ]
+    });
+  });
+});
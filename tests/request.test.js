@@ -0,0 +1,41 @@
+const express = require('express');
+const request = require('supertest');
+const { getClientIp, trustProxySetting } = require('../utils/request');
+
+function appTrusting(setting) {
+  const app = express();
+  app.set('trust proxy', setting);
+  app.get('/ip', (req, res) => res.json({ ip: getClientIp(req) }));
+  return app;
+}
+
+describe('trustProxySetting', () => {
+  test.each([
+    [undefined, false],
+    ['', false],
+    ['false', false],
+    ['0', false],
+    ['2', 2],
+    ['true', 1],
+    ['10.0.0.0/8, 127.0.0.1', ['10.0.0.0/8', '127.0.0.1']]
+  ])('%p -> %p', (value, expected) => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(trustProxySetting(value)).toEqual(expected);
+  });
+
+  test('uses the fallback when unset', () => {
+    expect(trustProxySetting(undefined, 1)).toBe(1);
+  });
+});
+
+describe('getClientIp', () => {
+  test('ignores X-Forwarded-For when no proxy is trusted', async () => {
+    const res = await request(appTrusting(false)).get('/ip').set('X-Forwarded-For', '6.6.6.6');
+    expect(res.body.ip).toBe('127.0.0.1');
+  });
+
+  test('takes only the address added by the trusted proxy', async () => {
+    const res = await request(appTrusting(1)).get('/ip').set('X-Forwarded-For', '6.6.6.6, 203.0.113.7');
+    expect(res.body.ip).toBe('203.0.113.7');
+  });
+});
@@ -0,0 +1,163 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { protect } = require('../middleware/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  findActiveSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const req = { headers: { 'user-agent': 'jest' }, ip: '10.0.0.1' };
+const parent = () => ({ _id: new mongoose.Types.ObjectId(), role: 'parent', twoFactor: { enabled: false } });
+
+// AuthSession documents kept in memory instead of MongoDB
+let sessions;
+
+function stubSessions() {
+  sessions = new Map();
+  jest.spyOn(AuthSession.prototype, 'save').mockImplementation(async function () {
+    sessions.set(String(this._id), this);
+    return this;
+  });
+  jest.spyOn(AuthSession, 'findById').mockImplementation((id) => {
+    const found = Promise.resolve(sessions.get(String(id)) || null);
+    found.select = () => found;
+    return found;
+  });
+  jest.spyOn(AuthSession, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    const session = sessions.get(String(filter._id));
+    if (!session || String(session.user) !== String(filter.user) || session.revokedAt) return { modifiedCount: 0 };
+    Object.assign(session, $set);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(AuthSession, 'updateMany').mockImplementation(async (filter, { $set }) => {
+    let modifiedCount = 0;
+    for (const session of sessions.values()) {
+      if (String(session.user) !== String(filter.user) || session.revokedAt) continue;
+      if (filter._id && String(session._id) === String(filter._id.$ne)) continue;
+      Object.assign(session, $set);
+      modifiedCount++;
+    }
+    return { modifiedCount };
+  });
+}
+
+describe('sessionService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    stubSessions();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('issues an access token bound to a new session', async () => {
+    const user = parent();
+    const tokens = await createSession(user, req);
+
+    const decoded = jwt.verify(tokens.token, process.env.JWT_SECRET);
+    expect(decoded).toMatchObject({ id: String(user._id), sid: String(tokens.sessionId) });
+    expect(tokens.refreshToken.startsWith(`${tokens.sessionId}.`)).toBe(true);
+    // Only the hash is stored
+    expect(sessions.get(String(tokens.sessionId)).refreshTokenHash).not.toContain(tokens.refreshToken.split('.')[1]);
+  });
+
+  test('rotates a refresh token once', async () => {
+    const first = await createSession(parent(), req);
+
+    const second = await rotateRefreshToken(first.refreshToken, req);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(String(second.sessionId)).toBe(String(first.sessionId));
+    expect(await rotateRefreshToken(second.refreshToken, req)).not.toBeNull();
+  });
+
+  test('replaying a rotated token revokes the session and every token of it', async () => {
+    const first = await createSession(parent(), req);
+    const second = await rotateRefreshToken(first.refreshToken, req);
+
+    await expect(rotateRefreshToken(first.refreshToken, req)).resolves.toBeNull();
+
+    const session = sessions.get(String(first.sessionId));
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+    // The legitimate holder's newer token is dead too
+    await expect(rotateRefreshToken(second.refreshToken, req)).resolves.toBeNull();
+    await expect(findActiveSession(first.sessionId)).resolves.toBeNull();
+  });
+
+  test.each([
+    ['malformed', () => 'not-a-token'],
+    ['unknown session', () => `${new mongoose.Types.ObjectId()}.abc`],
+    ['wrong secret', (tokens) => `${tokens.sessionId}.abc`]
+  ])('rejects a %s refresh token', async (name, tokenOf) => {
+    const tokens = await createSession(parent(), req);
+    await expect(rotateRefreshToken(tokenOf(tokens), req)).resolves.toBeNull();
+    expect(sessions.get(String(tokens.sessionId)).revokedAt).toBeFalsy();
+  });
+
+  test('rejects refresh tokens of revoked and expired sessions', async () => {
+    const user = parent();
+    const revoked = await createSession(user, req);
+    await expect(revokeSession(user._id, revoked.sessionId)).resolves.toBe(true);
+    await expect(rotateRefreshToken(revoked.refreshToken, req)).resolves.toBeNull();
+
+    const expired = await createSession(user, req);
+    sessions.get(String(expired.sessionId)).expiresAt = new Date(Date.now() - 1000);
+    await expect(rotateRefreshToken(expired.refreshToken, req)).resolves.toBeNull();
+  });
+
+  test('log out everywhere keeps only the current session', async () => {
+    const user = parent();
+    const current = await createSession(user, req);
+    const other = await createSession(user, req);
+
+    await expect(revokeAllSessions(user._id, { except: current.sessionId })).resolves.toBe(1);
+    await expect(findActiveSession(current.sessionId)).resolves.not.toBeNull();
+    await expect(findActiveSession(other.sessionId)).resolves.toBeNull();
+  });
+
+  describe('access tokens', () => {
+    async function runProtect(token) {
+      const request = { method: 'GET', path: '/', baseUrl: '/api/children', headers: { authorization: `Bearer ${token}` } };
+      const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+      };
+      let passed = false;
+      await protect(request, res, () => { passed = true; });
+      return { passed, res };
+    }
+
+    let user;
+
+    beforeEach(() => {
+      user = new User({ name: 'Parent', email: 'p@example.com', role: 'parent' });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+    });
+
+    test('are refused once their session is revoked', async () => {
+      const tokens = await createSession(user, req);
+      expect((await runProtect(tokens.token)).passed).toBe(true);
+
+      await revokeSession(user._id, tokens.sessionId);
+      const { passed, res } = await runProtect(tokens.token);
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(401);
+    });
+
+    test('issued before tokensValidAfter are refused, newer ones accepted', async () => {
+      const legacy = jwt.sign({ id: user.id, iat: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+      user.tokensValidAfter = new Date(Date.now() - 30 * 1000);
+
+      expect((await runProtect(legacy)).res.statusCode).toBe(401);
+      const fresh = jwt.sign({ id: user.id }, process.env.JWT_SECRET);
+      expect((await runProtect(fresh)).passed).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../services/sessionService', () => ({ findActiveSession: jest.fn() }));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { findActiveSession } = require('../services/sessionService');
+const { authenticateSocket } = require('../middleware/auth');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const USER_ID = new mongoose.Types.ObjectId();
+const socketWith = (auth = {}, headers = {}) => ({ handshake: { auth, headers } });
+const tokenFor = (payload = {}) => jwt.sign({ id: USER_ID.toString(), ...payload }, process.env.JWT_SECRET);
+
+describe('authenticateSocket', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ _id: USER_ID, name: 'Parent', email: 'p@example.com', role: 'parent' });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    findActiveSession.mockResolvedValue({ id: 's1', user: USER_ID });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    findActiveSession.mockReset();
+  });
+
+  test('ignores a claimed userId without a token', async () => {
+    await expect(authenticateSocket(socketWith({ userId: USER_ID.toString() }))).resolves.toBeNull();
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  test('accepts a valid access token from auth or the Authorization header', async () => {
+    await expect(authenticateSocket(socketWith({ token: tokenFor({ sid: 's1' }) }))).resolves.toBe(user);
+    await expect(authenticateSocket(socketWith({}, { authorization: `Bearer ${tokenFor()}` }))).resolves.toBe(user);
+  });
+
+  test.each([
+    ['a forged token', () => jwt.sign({ id: USER_ID.toString() }, 'someone-else')],
+    ['a device credential', () => 'bmod_abc.def'],
+    ['garbage', () => 'not-a-jwt']
+  ])('rejects %s', async (name, token) => {
+    await expect(authenticateSocket(socketWith({ token: token() }))).resolves.toBeNull();
+  });
+
+  test('rejects tokens of revoked sessions', async () => {
+    findActiveSession.mockResolvedValue(null);
+    await expect(authenticateSocket(socketWith({ token: tokenFor({ sid: 's1' }) }))).resolves.toBeNull();
+  });
+
+  test('rejects tokens issued before tokensValidAfter', async () => {
+    user.tokensValidAfter = new Date(Date.now() + 60 * 1000);
+    await expect(authenticateSocket(socketWith({ token: tokenFor() }))).resolves.toBeNull();
+  });
+
+  test('rejects deleted accounts', async () => {
+    user.deletion = { completedAt: new Date() };
+    await expect(authenticateSocket(socketWith({ token: tokenFor() }))).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: 'aaaaaaaaaaaaaaaaaaaaaaaa', role: 'specialist' };
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const ProgressAlert = require('../models/ProgressAlert');
+const specialistRoutes = require('../routes/specialist');
+
+const app = express();
+app.use(express.json());
+app.use('/api/specialists', specialistRoutes);
+
+describe('specialist routes', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('GET /api/specialists/alerts', () => {
+    let find;
+
+    beforeEach(() => {
+      const query = { populate: () => query, sort: () => query, limit: () => query, lean: async () => [] };
+      find = jest.spyOn(ProgressAlert, 'find').mockReturnValue(query);
+    });
+
+    test('filters by a valid child id', async () => {
+      const res = await request(app).get('/api/specialists/alerts').query({ childId: '64b000000000000000000001' });
+
+      expect(res.status).toBe(200);
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({ child: '64b000000000000000000001' }));
+    });
+
+    test('rejects an invalid child id', async () => {
+      const res = await request(app).get('/api/specialists/alerts').query({ childId: 'not-an-id' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ success: false, message: 'Invalid childId' });
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../services/masteryService', () => ({ refreshMastery: jest.fn(async () => {}) }));
+jest.mock('../services/adaptiveService', () => ({ refreshAdaptiveSafely: jest.fn(async () => {}) }));
+
+const Attempt = require('../models/Attempt');
+const Child = require('../models/Child');
+const ScoringJob = require('../models/ScoringJob');
+const mockProvider = require('../services/mockSpeechProvider');
+const { refreshMastery } = require('../services/masteryService');
+const {
+  registerProvider,
+  activeProvider,
+  enqueueScoring,
+  applyResult,
+  processScoringQueue
+} = require('../services/speechScoringService');
+
+// In-memory ScoringJob collection
+function stubJobs() {
+  const jobs = [];
+  const withSave = (job) => Object.assign(job, { save: jest.fn(async () => job) });
+
+  jest.spyOn(ScoringJob, 'deleteMany').mockImplementation(async ({ attempt, status }) => {
+    for (let i = jobs.length - 1; i >= 0; i--) {
+      if (jobs[i].attempt === attempt && jobs[i].status === status) jobs.splice(i, 1);
+    }
+  });
+  jest.spyOn(ScoringJob, 'create').mockImplementation(async (fields) => {
+    const job = withSave({ status: 'queued', tries: 0, runAfter: new Date(), ...fields });
+    jobs.push(job);
+    return job;
+  });
+  jest.spyOn(ScoringJob, 'updateMany').mockImplementation(async () => {});
+  jest.spyOn(ScoringJob, 'findOneAndUpdate').mockImplementation(async () => {
+    const job = jobs
+      .filter(j => j.status === 'queued' && j.runAfter <= new Date())
+      .sort((a, b) => a.runAfter - b.runAfter)[0];
+    if (!job) return null;
+    job.status = 'processing';
+    job.startedAt = new Date();
+    job.tries += 1;
+    return job;
+  });
+
+  return jobs;
+}
+
+function fakeAttempt(fields = {}) {
+  const attempt = {
+    _id: 'a1',
+    child: 'c1',
+    session: 's1',
+    referenceText: 'بابا',
+    recognizedText: 'بابا',
+    score: 70,
+    analysisSource: 'client',
+    audio: { file: 'a1.wav', contentType: 'audio/wav' },
+    scoring: null,
+    ...fields
+  };
+  attempt.save = jest.fn(async () => attempt);
+  return attempt;
+}
+
+const ORIGINAL_ENV = { ...process.env };
+
+describe('speechScoringService', () => {
+  let attempt;
+
+  beforeEach(() => {
+    attempt = fakeAttempt();
+    jest.spyOn(Attempt, 'findById').mockImplementation(async () => attempt);
+    jest.spyOn(Attempt, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      for (const [key, value] of Object.entries($set)) {
+        if (key.startsWith('scoring.')) attempt.scoring[key.slice(8)] = value;
+        else attempt[key] = value;
+      }
+    });
+    jest.spyOn(Child, 'findById').mockReturnValue({ select: () => ({ lean: async () => null }) });
+  });
+
+  afterEach(() => {
+    process.env = { ...ORIGINAL_ENV };
+    jest.restoreAllMocks();
+    refreshMastery.mockClear();
+  });
+
+  describe('activeProvider', () => {
+    test('uses the mock without configuration only in development and tests', () => {
+      delete process.env.SPEECH_PROVIDER;
+      process.env.NODE_ENV = 'test';
+      expect(activeProvider().name).toBe('mock');
+
+      process.env.NODE_ENV = 'production';
+      expect(activeProvider()).toBeNull();
+    });
+
+    test('uses the configured provider', () => {
+      registerProvider({ name: 'configured', score: async () => ({}) });
+      process.env.SPEECH_PROVIDER = 'configured';
+      process.env.NODE_ENV = 'production';
+      expect(activeProvider().name).toBe('configured');
+    });
+
+    test('rejects an unknown provider', () => {
+      process.env.SPEECH_PROVIDER = 'nope';
+      expect(() => activeProvider()).toThrow('Unknown speech provider');
+    });
+  });
+
+  describe('queue', () => {
+    test('replaces a queued job of the same attempt', async () => {
+      const jobs = stubJobs();
+      process.env.SPEECH_PROVIDER = 'mock';
+
+      await enqueueScoring(attempt);
+      await enqueueScoring(attempt);
+
+      expect(jobs).toHaveLength(1);
+      expect(attempt.scoring).toMatchObject({ status: 'queued', provider: 'mock' });
+    });
+
+    test('leaves jobs queued while no provider is configured', async () => {
+      const jobs = stubJobs();
+      delete process.env.SPEECH_PROVIDER;
+      process.env.NODE_ENV = 'production';
+
+      await enqueueScoring(attempt);
+      expect(jobs[0].provider).toBeNull();
+      await expect(processScoringQueue()).resolves.toBe(0);
+      expect(jobs[0].status).toBe('queued');
+    });
+
+    test('scores queued jobs with the configured provider', async () => {
+      const jobs = stubJobs();
+      const score = jest.fn(async () => ({ pronunciationScore: 91, accuracyScore: 88 }));
+      registerProvider({ name: 'scores', score });
+      process.env.SPEECH_PROVIDER = 'scores';
+
+      await enqueueScoring(attempt);
+      await expect(processScoringQueue()).resolves.toBe(1);
+
+      expect(score).toHaveBeenCalledWith(expect.objectContaining({ referenceText: 'بابا', contentType: 'audio/wav' }));
+      expect(jobs[0].status).toBe('completed');
+      expect(attempt.pronunciationScore).toBe(91);
+      expect(attempt.scoring.status).toBe('completed');
+    });
+
+    test('retries with backoff, then fails the job and the attempt', async () => {
+      const jobs = stubJobs();
+      registerProvider({ name: 'broken', score: async () => { throw new Error('provider down'); } });
+      process.env.SPEECH_PROVIDER = 'broken';
+      jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+
+      try {
+        await enqueueScoring(attempt);
+
+        await processScoringQueue();
+        expect(jobs[0]).toMatchObject({ status: 'queued', tries: 1, lastError: 'provider down' });
+        expect(jobs[0].runAfter.getTime()).toBe(Date.now() + 30 * 1000);
+
+        // Not due yet
+        await expect(processScoringQueue()).resolves.toBe(0);
+
+        jest.advanceTimersByTime(30 * 1000);
+        await processScoringQueue();
+        expect(jobs[0].runAfter.getTime()).toBe(Date.now() + 60 * 1000);
+
+        jest.advanceTimersByTime(60 * 1000);
+        await processScoringQueue();
+        expect(jobs[0]).toMatchObject({ status: 'failed', tries: 3, lastError: 'provider down' });
+        expect(attempt.scoring).toMatchObject({ status: 'failed', error: 'provider down' });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('fails the job when the recording is gone', async () => {
+      const jobs = stubJobs();
+      process.env.SPEECH_PROVIDER = 'mock';
+      await enqueueScoring(attempt);
+      attempt.audio = null;
+
+      await processScoringQueue();
+      expect(jobs[0]).toMatchObject({ status: 'failed', lastError: 'Recording no longer exists' });
+    });
+  });
+
+  describe('applyResult', () => {
+    const provider = { name: 'real' };
+
+    test('writes clamped scores and mirrors the pronunciation score', async () => {
+      await applyResult(attempt, provider, { pronunciationScore: 120, accuracyScore: -5, fluencyScore: 'x' });
+
+      expect(attempt.pronunciationScore).toBe(100);
+      expect(attempt.accuracyScore).toBe(0);
+      expect(attempt.fluencyScore).toBeUndefined();
+      expect(attempt.score).toBe(100);
+      expect(attempt.analysisSource).toBe('real');
+      expect(attempt.scoring.status).toBe('completed');
+      expect(attempt.save).toHaveBeenCalled();
+      expect(refreshMastery).toHaveBeenCalledWith('c1', [attempt]);
+    });
+
+    test('keeps the client transcript when the provider recognises nothing', async () => {
+      attempt.recognizedText = 'ماما';
+      await applyResult(attempt, provider, { pronunciationScore: 60 });
+
+      expect(attempt.recognizedText).toBe('ماما');
+      expect(attempt.comparison).toBeUndefined();
+    });
+
+    test('compares a recognised transcript with the reference', async () => {
+      await applyResult(attempt, provider, { recognizedText: 'ماما' });
+
+      expect(attempt.recognizedText).toBe('ماما');
+      expect(attempt.comparison).toBeTruthy();
+      expect(attempt.comparison.similarity).toBeLessThan(100);
+    });
+  });
+
+  describe('mock provider', () => {
+    test('is deterministic and does not claim to recognise speech', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bmo-')), 'clip.wav');
+      fs.writeFileSync(file, Buffer.from('RIFF....WAVEfmt '));
+
+      const first = await mockProvider.score({ audioPath: file, referenceText: 'بابا' });
+      const second = await mockProvider.score({ audioPath: file, referenceText: 'بابا' });
+
+      expect(first).toEqual(second);
+      expect(first).not.toHaveProperty('recognizedText');
+      expect(first.pronunciationScore).toBeGreaterThanOrEqual(40);
+      fs.rmSync(path.dirname(file), { recursive: true });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { buildSessionDocs } = require('../services/progressService');
+const {
+  ERROR_TYPES,
+  MAX_COMPARE_LENGTH,
+  alignCharacters,
+  compareTexts
+} = require('../services/textComparisonService');
+
+const errorsOf = ({ operations }) => operations.filter(op => op.type !== 'match');
+
+describe('alignCharacters', () => {
+  test.each([
+    ['identical', 'باب', 'باب', 0, []],
+    ['substitution', 'باب', 'تاب', 1, [{ type: ERROR_TYPES.SUBSTITUTION, position: 0, expected: 'ب', actual: 'ت' }]],
+    ['omission', 'باب', 'اب', 1, [{ type: ERROR_TYPES.OMISSION, position: 0, expected: 'ب', actual: null }]],
+    ['addition', 'باب', 'بابا', 1, [{ type: ERROR_TYPES.ADDITION, position: 3, expected: null, actual: 'ا' }]],
+    ['empty recognized', 'با', '', 2, [
+      { type: ERROR_TYPES.OMISSION, position: 0, expected: 'ب', actual: null },
+      { type: ERROR_TYPES.OMISSION, position: 1, expected: 'ا', actual: null }
+    ]]
+  ])('%s', (name, reference, recognized, distance, errors) => {
+    const result = alignCharacters(reference, recognized);
+    expect(result.distance).toBe(distance);
+    expect(errorsOf(result)).toEqual(errors);
+  });
+
+  test('prefers substitution on ties', () => {
+    expect(errorsOf(alignCharacters('ab', 'ba')).map(op => op.type))
+      .toEqual([ERROR_TYPES.SUBSTITUTION, ERROR_TYPES.SUBSTITUTION]);
+  });
+
+  test('covers every reference character once', () => {
+    const { operations } = alignCharacters('كتاب', 'كتب');
+    const positions = operations.filter(op => op.type !== ERROR_TYPES.ADDITION).map(op => op.position);
+    expect(positions).toEqual([0, 1, 2, 3]);
+  });
+});
+
+describe('compareTexts', () => {
+  test('ignores diacritics and word boundaries', () => {
+    const result = compareTexts('بَابٌ كَبِيرٌ', 'باب كبير');
+    expect(result).toMatchObject({ distance: 0, similarity: 100, mismatches: [] });
+  });
+
+  test('counts error types', () => {
+    const result = compareTexts('باب', 'تا');
+    expect(result).toMatchObject({ substitutions: 1, omissions: 1, additions: 0, similarity: 33.3 });
+  });
+
+  test('returns null when a text is missing', () => {
+    expect(compareTexts('', 'باب')).toBeNull();
+    expect(compareTexts('باب', undefined)).toBeNull();
+    expect(compareTexts('باب', null)).toBeNull();
+    expect(compareTexts('باب', '')).toMatchObject({ omissions: 3 });
+  });
+
+  test('skips texts longer than the cap', () => {
+    const long = 'ب'.repeat(MAX_COMPARE_LENGTH + 1);
+    expect(compareTexts(long, 'باب')).toBeNull();
+    expect(compareTexts('باب', long)).toBeNull();
+    expect(compareTexts('ب'.repeat(MAX_COMPARE_LENGTH), 'باب')).not.toBeNull();
+  });
+});
+
+describe('sessions with long transcripts', () => {
+  test('are stored without a comparison', () => {
+    const transcript = 'ب'.repeat(300);
+    const docs = buildSessionDocs('64b000000000000000000001', {
+      sessionDate: new Date('2026-03-01T10:00:00Z'),
+      attempts: [
+        { letter: 'ب', referenceText: 'باب', recognizedText: transcript },
+        { letter: 'ب', referenceText: 'باب', recognizedText: 'باب' }
+      ]
+    });
+
+    expect(docs.errors).toBeUndefined();
+    expect(docs.attempts[0].recognizedText).toBe(transcript);
+    expect(docs.attempts[0].comparison).toBeNull();
+    expect(docs.attempts[1].comparison.similarity).toBe(100);
+  });
+});
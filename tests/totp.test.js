@@ -0,0 +1,57 @@
+const totp = require('../services/totp');
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 vector at T=%i', (seconds, code) => {
+    expect(totp.generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+  });
+
+  test('generates 32-character base32 secrets', () => {
+    expect(totp.generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  test('accepts the current code and its neighbours, returning the step', () => {
+    jest.useFakeTimers({ now: 1111111109 * 1000 });
+    const step = Math.floor(1111111109 / 30);
+
+    expect(totp.verifyCode(RFC_SECRET, '081804')).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  test('ignores spaces and rejects malformed codes', () => {
+    jest.useFakeTimers({ now: 1111111109 * 1000 });
+    expect(totp.verifyCode(RFC_SECRET, '081 804')).not.toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '81804')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+
+  test('rejects a replayed step', () => {
+    jest.useFakeTimers({ now: 1111111109 * 1000 });
+    const step = totp.verifyCode(RFC_SECRET, '081804');
+    expect(totp.verifyCode(RFC_SECRET, '081804', { afterStep: step })).toBeNull();
+  });
+
+  test('builds an otpauth URI', () => {
+    const uri = totp.buildOtpauthUri(RFC_SECRET, 'staff@example.com');
+    expect(uri).toMatch(/^otpauth:\/\/totp\/BMO%3Astaff%40example\.com\?/);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain('period=30');
+  });
+
+  test('hashes recovery codes deterministically', () => {
+    const codes = totp.generateRecoveryCodes(5);
+    expect(new Set(codes).size).toBe(5);
+    expect(totp.hashRecoveryCode(codes[0])).toBe(totp.hashRecoveryCode(codes[0]));
+    expect(totp.hashRecoveryCode(codes[0])).not.toBe(codes[0]);
+  });
+});
@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Center = require('../models/Center');
+const AuthSession = require('../models/AuthSession');
+const { protect } = require('../middleware/auth');
+const { createSession } = require('../services/sessionService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const specialist = (fields = {}) => ({
+  _id: 'u1',
+  id: 'u1',
+  name: 'Specialist',
+  role: 'specialist',
+  center: 'center1',
+  twoFactor: { enabled: false },
+  ...fields
+});
+
+function stubCenter(requireTwoFactor) {
+  jest.spyOn(Center, 'findById').mockReturnValue({ select: async () => ({ requireTwoFactor }) });
+}
+
+async function runProtect(token, baseUrl = '/api/children') {
+  const req = { method: 'GET', path: '/', baseUrl, headers: { authorization: `Bearer ${token}` } };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await protect(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+describe('two-factor enrollment enforcement', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('createSession', () => {
+    let saved;
+
+    beforeEach(() => {
+      jest.spyOn(AuthSession.prototype, 'save').mockImplementation(async function () {
+        saved = this;
+        return this;
+      });
+    });
+
+    test('restricts sessions of staff whose center requires 2FA', async () => {
+      stubCenter(true);
+      const tokens = await createSession(specialist(), { headers: {} });
+      expect(saved.twoFactorSetupRequired).toBe(true);
+      expect(tokens.twoFactorSetupRequired).toBe(true);
+    });
+
+    test('does not restrict enrolled staff or centers without the policy', async () => {
+      stubCenter(true);
+      await createSession(specialist({ twoFactor: { enabled: true } }), { headers: {} });
+      expect(saved.twoFactorSetupRequired).toBe(false);
+
+      stubCenter(false);
+      await createSession(specialist(), { headers: {} });
+      expect(saved.twoFactorSetupRequired).toBe(false);
+    });
+
+    test('loads the account when only an id is given', async () => {
+      stubCenter(true);
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => specialist() });
+      await createSession('u1', { headers: {} });
+      expect(saved.twoFactorSetupRequired).toBe(true);
+    });
+  });
+
+  describe('protect', () => {
+    test('blocks legacy tokens without a session until enrollment', async () => {
+      stubCenter(true);
+      jest.spyOn(User, 'findById').mockResolvedValue(specialist());
+      const token = jwt.sign({ id: 'u1' }, process.env.JWT_SECRET);
+
+      const blocked = await runProtect(token);
+      expect(blocked.passed).toBe(false);
+      expect(blocked.res.statusCode).toBe(403);
+      expect(blocked.res.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+
+      // The auth endpoints stay reachable to enroll
+      expect((await runProtect(token, '/api/auth')).passed).toBe(true);
+    });
+
+    test('lets legacy tokens of enrolled staff through', async () => {
+      stubCenter(true);
+      jest.spyOn(User, 'findById').mockResolvedValue(specialist({ twoFactor: { enabled: true } }));
+      expect((await runProtect(jwt.sign({ id: 'u1' }, process.env.JWT_SECRET))).passed).toBe(true);
+    });
+
+    test('uses the flag of the session for session tokens', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(specialist());
+      jest.spyOn(AuthSession, 'findById').mockResolvedValue({
+        id: 's1',
+        user: 'u1',
+        twoFactorSetupRequired: true,
+        isActive: () => true
+      });
+
+      const { res } = await runProtect(jwt.sign({ id: 'u1', sid: 's1' }, process.env.JWT_SECRET));
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
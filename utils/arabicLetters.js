@@ -0,0 +1,117 @@
+// Arabic letters with their articulation points (مخارج الحروف), the short
+// vowels (الحركات) used by the letter exercises, and text normalisation.
+
+const DEFAULT_LETTERS = [
+  { letter: 'ب', articulationPoint: 'الشفتان', vowels: ['بَ', 'بِ', 'بُ', 'بْ'] },
+  { letter: 'ت', articulationPoint: 'طرف اللسان مع أصول الثنايا العليا', vowels: ['تَ', 'تِ', 'تُ', 'تْ'] },
+  { letter: 'ث', articulationPoint: 'طرف اللسان مع أطراف الثنايا العليا', vowels: ['ثَ', 'ثِ', 'ثُ', 'ثْ'] },
+  { letter: 'ج', articulationPoint: 'وسط اللسان مع الحنك الصلب', vowels: ['جَ', 'جِ', 'جُ', 'جْ'] },
+  { letter: 'ح', articulationPoint: 'وسط الحلق', vowels: ['حَ', 'حِ', 'حُ', 'حْ'] },
+  { letter: 'خ', articulationPoint: 'أدنى الحلق', vowels: ['خَ', 'خِ', 'خُ', 'خْ'] },
+  { letter: 'د', articulationPoint: 'طرف اللسان مع أصول الثنايا العليا', vowels: ['دَ', 'دِ', 'دُ', 'دْ'] },
+  { letter: 'ذ', articulationPoint: 'طرف اللسان مع أطراف الثنايا العليا', vowels: ['ذَ', 'ذِ', 'ذُ', 'ذْ'] },
+  { letter: 'ر', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['رَ', 'رِ', 'رُ', 'رْ'] },
+  { letter: 'ز', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['زَ', 'زِ', 'زُ', 'زْ'] },
+  { letter: 'س', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['سَ', 'سِ', 'سُ', 'سْ'] },
+  { letter: 'ش', articulationPoint: 'وسط اللسان مع الحنك الصلب', vowels: ['شَ', 'شِ', 'شُ', 'شْ'] },
+  { letter: 'ص', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['صَ', 'صِ', 'صُ', 'صْ'] },
+  { letter: 'ض', articulationPoint: 'حافة اللسان مع الأضراس العليا', vowels: ['ضَ', 'ضِ', 'ضُ', 'ضْ'] },
+  { letter: 'ط', articulationPoint: 'طرف اللسان مع أصول الثنايا العليا', vowels: ['طَ', 'طِ', 'طُ', 'طْ'] },
+  { letter: 'ظ', articulationPoint: 'طرف اللسان مع أطراف الثنايا العليا', vowels: ['ظَ', 'ظِ', 'ظُ', 'ظْ'] },
+  { letter: 'ع', articulationPoint: 'وسط الحلق', vowels: ['عَ', 'عِ', 'عُ', 'عْ'] },
+  { letter: 'غ', articulationPoint: 'أدنى الحلق', vowels: ['غَ', 'غِ', 'غُ', 'غْ'] },
+  { letter: 'ف', articulationPoint: 'الشفة السفلى مع الثنايا العليا', vowels: ['فَ', 'فِ', 'فُ', 'فْ'] },
+  { letter: 'ق', articulationPoint: 'أقصى اللسان مع الحنك الرخو', vowels: ['قَ', 'قِ', 'قُ', 'قْ'] },
+  { letter: 'ك', articulationPoint: 'أقصى اللسان مع الحنك الرخو', vowels: ['كَ', 'كِ', 'كُ', 'كْ'] },
+  { letter: 'ل', articulationPoint: 'حافة اللسان مع اللثة العليا', vowels: ['لَ', 'لِ', 'لُ', 'لْ'] },
+  { letter: 'م', articulationPoint: 'الشفتان', vowels: ['مَ', 'مِ', 'مُ', 'مْ'] },
+  { letter: 'ن', articulationPoint: 'طرف اللسان مع اللثة العليا', vowels: ['نَ', 'نِ', 'نُ', 'نْ'] },
+  { letter: 'ه', articulationPoint: 'أقصى الحلق', vowels: ['هَ', 'هِ', 'هُ', 'هْ'] },
+  { letter: 'و', articulationPoint: 'الشفتان', vowels: ['وَ', 'وِ', 'وُ', 'وْ'] },
+  { letter: 'ي', articulationPoint: 'وسط اللسان مع الحنك الصلب', vowels: ['يَ', 'يِ', 'يُ', 'يْ'] }
+];
+
+// Diacritics of the four vowel forms practised per letter
+const VOWELS = {
+  fatha: '\u064E',
+  kasra: '\u0650',
+  damma: '\u064F',
+  sukun: '\u0652'
+};
+
+// Coarse region of an articulation point
+const REGIONS = {
+  throat: 'الحلق',
+  tongue: 'اللسان',
+  lips: 'الشفتان'
+};
+
+const DIACRITICS = /[\u064B-\u0652\u0670]/g;
+
+const letterIndex = new Map(DEFAULT_LETTERS.map(l => [l.letter, l]));
+
+function articulationPointOf(letter) {
+  return letterIndex.get(letter)?.articulationPoint || null;
+}
+
+function regionOf(articulationPoint) {
+  if (!articulationPoint) return null;
+  if (articulationPoint.includes(REGIONS.throat)) return 'throat';
+  if (articulationPoint.includes('الشف')) return 'lips';
+  return 'tongue';
+}
+
+// Vowel name of an attempt's `vowel`, which the game sends either as the name
+// ('fatha'), the diacritic alone or the voweled letter ('بَ')
+function vowelOf(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (VOWELS[text.toLowerCase()]) return text.toLowerCase();
+  for (const [name, mark] of Object.entries(VOWELS)) {
+    if (text.includes(mark)) return name;
+  }
+  return null;
+}
+
+// The bare letter of a possibly voweled letter ('بَ' -> 'ب')
+function baseLetter(value) {
+  if (!value) return null;
+  const text = String(value).replace(DIACRITICS, '').trim();
+  return text ? text[0] : null;
+}
+
+// Spelling variants folded together before comparing texts
+const LETTER_VARIANTS = [
+  [/[أإآٱ]/g, 'ا'],
+  [/ؤ/g, 'و'],
+  [/ئ/g, 'ي'],
+  [/ى/g, 'ي'],
+  [/ة/g, 'ه']
+];
+
+// Normalise Arabic text for comparison: no diacritics or tatweel, one form of
+// alef, hamza carriers, taa marbuta and alef maqsura, no punctuation, single
+// spaces
+function normalizeArabic(text) {
+  let result = String(text || '')
+    .replace(/[\u064B-\u065F\u0670]/g, '')
+    .replace(/\u0640/g, '');
+  for (const [pattern, replacement] of LETTER_VARIANTS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  DEFAULT_LETTERS,
+  VOWELS,
+  REGIONS,
+  articulationPointOf,
+  regionOf,
+  vowelOf,
+  baseLetter,
+  normalizeArabic
+};
@@ -0,0 +1,42 @@
+// Minimal RFC 4180 CSV writer.
+//   toCsv(rows, [{ key: 'name', header: 'Name' }, { header: 'Score', value: r => r.score }])
+
+// Text a spreadsheet would evaluate as a formula (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote so spreadsheet apps show user-entered text as text, not a formula.
+// Numbers are left alone so negative values stay numeric.
+function neutralizeFormula(text) {
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'number') text = String(value);
+  else if (Array.isArray(value)) text = neutralizeFormula(value.join('; '));
+  else text = neutralizeFormula(String(value));
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+function toCsvRow(cells) {
+  return cells.map(escapeCell).join(',');
+}
+
+function toCsv(rows, columns) {
+  const lines = [toCsvRow(columns.map(c => c.header || c.key))];
+  for (const row of rows) {
+    lines.push(toCsvRow(columns.map(c => (c.value ? c.value(row) : row[c.key]))));
+  }
+  // Leading BOM so spreadsheet apps read Arabic text as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  neutralizeFormula,
+  escapeCell,
+  toCsvRow,
+  toCsv
+};
@@ -0,0 +1,36 @@
+// Small helpers for reading client details from an incoming request.
+
+// req.ip honours X-Forwarded-For only for the proxies the app trusts (see
+// trustProxySetting), so a client cannot pick its own address
+function getClientIp(req) {
+  const raw = req.ip || req.socket?.remoteAddress || req.connection?.remoteAddress;
+  if (!raw) return 'unknown';
+  const ip = String(raw).trim();
+  // handle ipv6-mapped ipv4
+  return ip.startsWith('::ffff:') ? ip.replace('::ffff:', '') : ip;
+}
+
+// Value for app.set('trust proxy'). TRUST_PROXY is the number of proxy hops in
+// front of the app or a comma-separated list of proxy addresses/subnets;
+// trusting every hop ('true') would let clients spoof their IP again.
+function trustProxySetting(value = process.env.TRUST_PROXY, fallback = false) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return fallback;
+  if (raw === 'false') return false;
+  if (raw === 'true') {
+    console.warn('⚠️ TRUST_PROXY=true trusts client-supplied X-Forwarded-For; using 1 hop instead');
+    return 1;
+  }
+  if (/^\d+$/.test(raw)) return Number(raw) || false;
+  return raw.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function getUserAgent(req) {
+  return String(req.headers?.['user-agent'] || '').slice(0, 500);
+}
+
+module.exports = {
+  getClientIp,
+  trustProxySetting,
+  getUserAgent,
+};
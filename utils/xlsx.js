@@ -0,0 +1,109 @@
+const { Readable } = require('stream');
+const archiver = require('archiver');
+
+// Minimal streaming XLSX writer: one worksheet per sheet, cells written as
+// inline strings / numbers, no styles. Rows are pulled from (async) iterables
+// while the zip is being written, so large exports never sit in memory.
+//   createXlsxStream([{ name: 'Sessions', columns: [{ header, value }], rows }])
+// `rows` may also be a function returning the iterable, so a database cursor
+// is only opened once its sheet is reached.
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function escapeXml(text) {
+  return String(text)
+    // Characters XML 1.0 does not allow at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A1-style column letters: 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cellXml(value, ref) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join('; ');
+  else text = String(value);
+  // Inline strings are never evaluated, so text starting with = is safe here
+  // (unlike CSV, see utils/csv.js)
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function rowXml(cells, rowNumber) {
+  return `<row r="${rowNumber}">${cells.map((v, i) => cellXml(v, `${columnName(i)}${rowNumber}`)).join('')}</row>`;
+}
+
+async function* sheetXml(columns, rows) {
+  yield `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>`;
+  yield rowXml(columns.map(c => c.header || c.key), 1);
+  let rowNumber = 1;
+  for await (const row of (typeof rows === 'function' ? rows() : rows)) {
+    rowNumber++;
+    yield rowXml(columns.map(c => (c.value ? c.value(row) : row[c.key])), rowNumber);
+  }
+  yield '</sheetData></worksheet>';
+}
+
+// Sheet names: max 31 characters, none of []:*?/\
+const sheetName = (name) => String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+
+function createXlsxStream(sheets) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const overrides = sheets.map((s, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('');
+
+  archive.append(
+    `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + `${overrides}</Types>`,
+    { name: '[Content_Types].xml' }
+  );
+  archive.append(
+    `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+    { name: '_rels/.rels' }
+  );
+  archive.append(
+    `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>`
+    + sheets.map((s, i) => `<sheet name="${escapeXml(sheetName(s.name))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+    + '</sheets></workbook>',
+    { name: 'xl/workbook.xml' }
+  );
+  archive.append(
+    `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + sheets.map((s, i) =>
+      `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+    ).join('')
+    + '</Relationships>',
+    { name: 'xl/_rels/workbook.xml.rels' }
+  );
+  sheets.forEach((s, i) => {
+    archive.append(Readable.from(sheetXml(s.columns, s.rows)), { name: `xl/worksheets/sheet${i + 1}.xml` });
+  });
+
+  archive.finalize();
+  return archive;
+}
+
+module.exports = {
+  columnName,
+  createXlsxStream
+};